@@ -1,9 +1,9 @@
 // Initialize the application
 const app = new TodoApp();
 
-// Add sample data if no tasks exist (aguardar um pouco para inicialização completa)
-setTimeout(() => {
+// Add sample data if no tasks exist (aguardar o carregamento do armazenamento)
+app.ready.then(() => {
     if (app.taskController.getAllTasks().length === 0) {
         app.addSampleData();
     }
-}, 100);
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,6 +1,9 @@
 /**
  * CategoryController - Gerencia operações CRUD de categorias
  * Responsável por toda lógica de negócio relacionada a categorias
+ * 
+ * Categorias podem ser aninhadas (parentId), sem limite de quantidade ou profundidade.
+ * Nomes são únicos entre categorias irmãs (mesmo pai).
  */
 class CategoryController {
     constructor(storageService, toastManager, taskController) {
@@ -58,15 +61,11 @@ class CategoryController {
      * @returns {boolean} Se a categoria foi adicionada
      */
     addCategory(categoryData) {
-        if (this.categories.length >= 5) {
-            this.toastManager.validationError('Limite de 5 categorias atingido. Exclua uma categoria existente para criar uma nova.');
-            return false;
-        }
-
         const category = {
             id: IdGenerator.generateCategoryId(),
             name: categoryData.name.trim(),
             color: categoryData.color,
+            parentId: categoryData.parentId || null,
             createdAt: new Date().toISOString()
         };
         
@@ -75,14 +74,15 @@ class CategoryController {
             this.toastManager.validationError('Por favor, insira um nome para a categoria.');
             return false;
         }
+
+        if (category.parentId && !this.getCategoryById(category.parentId)) {
+            this.toastManager.validationError('Categoria pai não encontrada.');
+            return false;
+        }
         
-        // Verificar se nome já existe
-        const existingCategory = this.categories.find(cat => 
-            cat.name.toLowerCase() === category.name.toLowerCase()
-        );
-        
-        if (existingCategory) {
-            this.toastManager.validationError('Já existe uma categoria com este nome.');
+        // Verificar se nome já existe entre as categorias irmãs
+        if (this.findSiblingByName(category.name, category.parentId)) {
+            this.toastManager.validationError('Já existe uma categoria com este nome neste nível.');
             return false;
         }
         
@@ -107,22 +107,30 @@ class CategoryController {
             return false;
         }
 
-        // Verificar se nome já existe (exceto a atual)
-        if (categoryData.name) {
-            const existingCategory = this.categories.find(cat => 
-                cat.id !== categoryId && 
-                cat.name.toLowerCase() === categoryData.name.toLowerCase()
-            );
-            
-            if (existingCategory) {
-                this.toastManager.validationError('Já existe uma categoria com este nome.');
-                return false;
-            }
+        const current = this.categories[categoryIndex];
+        const parentId = categoryData.parentId !== undefined ? (categoryData.parentId || null) : (current.parentId || null);
+
+        if (parentId && !this.getCategoryById(parentId)) {
+            this.toastManager.validationError('Categoria pai não encontrada.');
+            return false;
+        }
+
+        if (Category.wouldCreateCycle(this.categories, categoryId, parentId)) {
+            this.toastManager.validationError('Uma categoria não pode ficar dentro dela mesma ou de uma subcategoria sua.');
+            return false;
+        }
+
+        // Verificar se nome já existe entre as categorias irmãs (exceto a atual)
+        const name = categoryData.name || current.name;
+        if (this.findSiblingByName(name, parentId, categoryId)) {
+            this.toastManager.validationError('Já existe uma categoria com este nome neste nível.');
+            return false;
         }
 
         this.categories[categoryIndex] = {
-            ...this.categories[categoryIndex],
+            ...current,
             ...categoryData,
+            parentId,
             id: categoryId // Manter o ID original
         };
         
@@ -150,7 +158,11 @@ class CategoryController {
             return false;
         }
 
-        this.categories.splice(categoryIndex, 1);
+        // Subcategorias sobem um nível (passam para o pai da categoria excluída)
+        const [removed] = this.categories.splice(categoryIndex, 1);
+        this.categories = this.categories.map(cat => cat.parentId === categoryId
+            ? { ...cat, parentId: removed.parentId || null }
+            : cat);
         this.saveCategories();
         
         // Sem feedback visual para exclusão de categorias
@@ -171,9 +183,13 @@ class CategoryController {
         }
 
         const taskCount = this.taskController.getCategoryTaskCount(categoryId);
-        const message = taskCount > 0 
+        const childCount = this.getChildren(categoryId).length;
+        let message = taskCount > 0 
             ? `A categoria "${category.name}" está sendo usada por ${taskCount} tarefa(s). Deseja realmente excluí-la?`
             : `Deseja realmente excluir a categoria "${category.name}"?`;
+        if (childCount > 0) {
+            message += `\n\nSuas ${childCount} subcategoria(s) subirão um nível.`;
+        }
 
         if (confirm(message)) {
             return this.deleteCategory(categoryId);
@@ -199,16 +215,64 @@ class CategoryController {
         return this.taskController.getAllTasks().some(task => task.category === categoryId);
     }
 
+    /**
+     * Obtém as subcategorias diretas de uma categoria
+     * @param {string|null} parentId - ID da categoria pai (null para o primeiro nível)
+     * @returns {Array} Subcategorias
+     */
+    getChildren(parentId) {
+        return this.categories.filter(cat => (cat.parentId || null) === (parentId || null));
+    }
+
+    /**
+     * Procura uma categoria irmã com o mesmo nome
+     * @param {string} name - Nome
+     * @param {string|null} parentId - ID da categoria pai
+     * @param {string} excludeId - ID a ignorar (para updates)
+     * @returns {Object|null} Categoria encontrada ou null
+     */
+    findSiblingByName(name, parentId, excludeId = null) {
+        const normalized = name.trim().toLowerCase();
+        return this.getChildren(parentId).find(cat => 
+            cat.id !== excludeId && cat.name.toLowerCase() === normalized
+        ) || null;
+    }
+
     /**
      * Obtém estatísticas das categorias
-     * @returns {Object} Estatísticas das categorias
+     * Os totais de cada categoria incluem as tarefas das subcategorias
+     * @returns {Object} { total, inUse, unused, byCategory: { [id]: { tasks, pending, totalTasks, totalPending, depth } } }
      */
     getCategoryStats() {
+        const tasks = this.taskController.getAllTasks();
+        const direct = new Map();
+        tasks.forEach(task => {
+            const counts = direct.get(task.category) || { tasks: 0, pending: 0 };
+            counts.tasks++;
+            if (!task.completed) counts.pending++;
+            direct.set(task.category, counts);
+        });
+
+        const byCategory = {};
+        Category.sortAsTree(this.categories).forEach(({ category, depth }) => {
+            const own = direct.get(category.id) || { tasks: 0, pending: 0 };
+            const rollUp = [...Category.getDescendantIds(this.categories, category.id)]
+                .map(id => direct.get(id) || { tasks: 0, pending: 0 });
+
+            byCategory[category.id] = {
+                tasks: own.tasks,
+                pending: own.pending,
+                totalTasks: rollUp.reduce((sum, counts) => sum + counts.tasks, 0),
+                totalPending: rollUp.reduce((sum, counts) => sum + counts.pending, 0),
+                depth
+            };
+        });
+
         const total = this.categories.length;
-        const inUse = this.categories.filter(cat => this.isCategoryInUse(cat.id)).length;
+        const inUse = this.categories.filter(cat => byCategory[cat.id] && byCategory[cat.id].tasks > 0).length;
         const unused = total - inUse;
         
-        return { total, inUse, unused };
+        return { total, inUse, unused, byCategory };
     }
 
     /**
@@ -228,19 +292,14 @@ class CategoryController {
             errors.push('Nome da categoria deve ter no máximo 50 caracteres');
         }
 
-        if (categoryData.name) {
-            const existingCategory = this.categories.find(cat => 
-                cat.id !== excludeId && 
-                cat.name.toLowerCase() === categoryData.name.toLowerCase()
-            );
-            
-            if (existingCategory) {
-                errors.push('Já existe uma categoria com este nome');
-            }
+        if (categoryData.name && this.findSiblingByName(categoryData.name, categoryData.parentId || null, excludeId)) {
+            errors.push('Já existe uma categoria com este nome neste nível');
         }
 
-        if (this.categories.length >= 5 && !excludeId) {
-            errors.push('Limite máximo de 5 categorias atingido');
+        if (categoryData.parentId && !this.getCategoryById(categoryData.parentId)) {
+            errors.push('Categoria pai não encontrada');
+        } else if (excludeId && Category.wouldCreateCycle(this.categories, excludeId, categoryData.parentId)) {
+            errors.push('Uma categoria não pode ficar dentro dela mesma ou de uma subcategoria sua');
         }
 
         return {
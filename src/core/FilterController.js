@@ -9,9 +9,13 @@ class FilterController {
         
         // Estado dos filtros
         this.currentFilter = 'all';
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
         this.currentSearchTerm = '';
+
+        // Consulta da caixa de busca (ver SearchQuery); com erro de sintaxe, a última válida continua valendo
+        this.searchCriteria = null;
+        this.searchError = null;
     }
 
     /**
@@ -20,8 +24,8 @@ class FilterController {
      */
     initialize(options = {}) {
         this.currentFilter = options.currentFilter || 'all';
-        this.currentCategoryFilter = options.currentCategoryFilter || null;
-        this.currentTagFilter = options.currentTagFilter || null;
+        this.categoryFilters = options.categoryFilters || [];
+        this.tagExpression = options.tagExpression || null;
         this.currentSearchTerm = options.currentSearchTerm || '';
     }
 
@@ -34,17 +38,18 @@ class FilterController {
         this.taskFilter.setFilter(filter);
         
         // Limpar filtros de categoria/tag quando usar outros filtros
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
     }
 
     /**
      * Filtra por categoria
-     * @param {string} categoryId - ID da categoria
+     * @param {string} categoryId - ID da categoria (clicar de novo na única categoria filtrada desfaz o filtro)
+     * @param {boolean} additive - Adiciona/remove a categoria da seleção (ctrl+clique)
      */
-    setCategoryFilter(categoryId) {
-        this.currentCategoryFilter = categoryId;
-        this.taskFilter.setCategoryFilter(categoryId);
+    setCategoryFilter(categoryId, additive = false) {
+        this.taskFilter.setCategoryFilter(categoryId, additive);
+        this.categoryFilters = [...this.taskFilter.categoryFilters];
         
         // Limpar visualmente os botões de prioridade/status (SEM mexer na lógica)
         this.currentFilter = 'all';
@@ -52,16 +57,76 @@ class FilterController {
 
     /**
      * Filtra por tag
-     * @param {string} tagId - ID da tag
+     * @param {string} tagId - ID da tag (clicar de novo na única tag filtrada desfaz o filtro)
+     * @param {boolean} additive - Adiciona/remove a tag da expressão com AND (ctrl+clique)
      */
-    setTagFilter(tagId) {
-        this.currentTagFilter = tagId;
-        this.taskFilter.setTagFilter(tagId);
+    setTagFilter(tagId, additive = false) {
+        this.taskFilter.setTagFilter(tagId, additive);
+        this.tagExpression = this.taskFilter.tagExpression;
         
         // Limpar visualmente os botões de prioridade/status (SEM mexer na lógica)
         this.currentFilter = 'all';
     }
 
+    /**
+     * Filtra por uma expressão de tags digitada (ex: "#urgente AND NOT #aguardando")
+     * Expressões inválidas não alteram o filtro atual
+     * @param {string} text - Expressão
+     * @param {Array} tags - Lista de tags
+     * @returns {Object} { isValid, error } (error { message, position })
+     */
+    setTagExpressionText(text, tags = []) {
+        const { expression, error } = TagExpression.parse(text, tags);
+        if (error) {
+            return { isValid: false, error };
+        }
+
+        this.taskFilter.setTagExpression(expression);
+        this.tagExpression = expression;
+        if (expression) {
+            this.currentFilter = 'all';
+            this.taskFilter.currentFilter = 'all';
+        }
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * Obtém a expressão de tags atual como texto
+     * @param {Array} tags - Lista de tags
+     * @returns {string} Expressão
+     */
+    getTagExpressionText(tags = []) {
+        return TagExpression.toString(this.tagExpression, tags);
+    }
+
+    /**
+     * Obtém as tags citadas no filtro, separadas em incluídas e excluídas (NOT)
+     * @returns {Object} { included, excluded }
+     */
+    getTagFilterIds() {
+        return TagExpression.getTagIds(this.tagExpression);
+    }
+
+    /**
+     * Remove do filtro categorias e tags que não existem mais
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     */
+    pruneFilters(categories = [], tags = []) {
+        this.taskFilter.setCategoryFilters(this.categoryFilters.filter(id => categories.some(category => category.id === id)));
+        this.taskFilter.setTagExpression(TagExpression.prune(this.tagExpression, tags));
+        this.categoryFilters = [...this.taskFilter.categoryFilters];
+        this.tagExpression = this.taskFilter.tagExpression;
+    }
+
+    /**
+     * Verifica se há filtros de categoria ou tag ativos
+     * @returns {boolean}
+     */
+    hasCategoryOrTagFilters() {
+        return this.categoryFilters.length > 0 || this.tagExpression !== null;
+    }
+
     /**
      * Define termo de busca
      * @param {string} searchTerm - Termo de busca
@@ -76,9 +141,11 @@ class FilterController {
      */
     clearAllFilters() {
         this.currentFilter = 'all';
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
         this.currentSearchTerm = '';
+        this.searchCriteria = null;
+        this.searchError = null;
         
         this.taskFilter.clearAllFilters();
         this.searchFilter.clearSearch();
@@ -92,12 +159,70 @@ class FilterController {
      * @returns {Array} Lista de tarefas filtradas
      */
     getFilteredTasks(tasks, categories, tags) {
-        return this.taskFilter.filterTasks(
-            tasks,
-            categories,
-            tags,
-            this.currentSearchTerm
-        );
+        const criteria = this.parseSearchQuery(categories, tags);
+        return this.applyFilters(this.taskFilter, criteria, tasks, categories, tags);
+    }
+
+    /**
+     * Aplica os filtros de um TaskFilter e os critérios da busca
+     * @param {TaskFilter} taskFilter - Filtro de status, categorias e tags
+     * @param {Object} criteria - Critérios da busca (SearchQuery.parse) ou null
+     * @param {Array} tasks - Lista de tarefas
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     * @returns {Array} Lista filtrada e ordenada
+     */
+    applyFilters(taskFilter, criteria, tasks, categories, tags) {
+        // "is:completed" é mais um critério sobre o filtro de status atual: as concluídas, que os
+        // outros filtros escondem, são mantidas (dentro da janela de dias) para a busca escolhê-las
+        const includeCompleted = !!criteria && criteria.completed === true;
+        const filtered = taskFilter.filterTasks(tasks, categories, tags, '', includeCompleted);
+
+        // advancedSearch com termos (sem "text") mantém a ordenação escolhida
+        return criteria ? this.searchFilter.advancedSearch(filtered, criteria, categories, tags) : filtered;
+    }
+
+    /**
+     * Conta as tarefas de um estado de filtros sem alterar os filtros atuais (listas inteligentes)
+     * @param {Object} filterState - Estado dos filtros (ver getFilterState)
+     * @param {Array} tasks - Lista de tarefas
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     * @returns {number} Número de tarefas
+     */
+    countTasksForState(filterState, tasks, categories, tags) {
+        const taskFilter = new TaskFilter();
+        taskFilter.setCompletedTasksDays(this.taskFilter.completedTasksDays);
+        taskFilter.setFilter(filterState.currentFilter || 'all');
+        taskFilter.setCategoryFilters(filterState.categoryFilters || []);
+        taskFilter.setTagExpression(TagExpression.prune(filterState.tagExpression, tags));
+
+        // Uma busca que não é mais válida (ex: tag excluída) é ignorada na contagem
+        const { criteria } = SearchQuery.parse(filterState.currentSearchTerm, { categories, tags });
+        return this.applyFilters(taskFilter, criteria, tasks, categories, tags).length;
+    }
+
+    /**
+     * Interpreta o termo de busca atual como consulta (ex: "priority:high -is:completed relatório")
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     * @returns {Object|null} Critérios para SearchFilter.advancedSearch
+     */
+    parseSearchQuery(categories, tags) {
+        const result = SearchQuery.parse(this.currentSearchTerm, { categories, tags });
+        this.searchError = result.error;
+        if (!result.error) {
+            this.searchCriteria = result.criteria;
+        }
+        return this.searchCriteria;
+    }
+
+    /**
+     * Obtém o erro de sintaxe da busca atual
+     * @returns {Object|null} { message, position } ou null
+     */
+    getSearchError() {
+        return this.searchError;
     }
 
     /**
@@ -105,8 +230,7 @@ class FilterController {
      * @returns {boolean} Se há filtros ativos
      */
     hasActiveFilters() {
-        return this.currentCategoryFilter !== null || 
-               this.currentTagFilter !== null || 
+        return this.hasCategoryOrTagFilters() || 
                this.currentSearchTerm !== '';
     }
 
@@ -137,7 +261,7 @@ class FilterController {
      * @returns {Object} Estatísticas filtradas
      */
     getFilteredStats(tasks, categories, tags) {
-        if (this.currentCategoryFilter || this.currentTagFilter) {
+        if (this.hasCategoryOrTagFilters()) {
             const filteredTasks = this.taskFilter.filterTasksByCategoryAndTag(
                 tasks,
                 categories,
@@ -156,8 +280,8 @@ class FilterController {
     getFilterState() {
         return {
             currentFilter: this.currentFilter,
-            currentCategoryFilter: this.currentCategoryFilter,
-            currentTagFilter: this.currentTagFilter,
+            categoryFilters: [...this.categoryFilters],
+            tagExpression: this.tagExpression,
             currentSearchTerm: this.currentSearchTerm,
             hasActiveFilters: this.hasActiveFilters()
         };
@@ -165,22 +289,21 @@ class FilterController {
 
     /**
      * Aplica um estado de filtros
+     * Aceita também o formato antigo (currentCategoryFilter/currentTagFilter com um único ID)
      * @param {Object} filterState - Estado dos filtros
      */
     applyFilterState(filterState) {
         this.currentFilter = filterState.currentFilter || 'all';
-        this.currentCategoryFilter = filterState.currentCategoryFilter || null;
-        this.currentTagFilter = filterState.currentTagFilter || null;
+        this.categoryFilters = filterState.categoryFilters ||
+            (filterState.currentCategoryFilter ? [filterState.currentCategoryFilter] : []);
+        this.tagExpression = filterState.tagExpression ||
+            TagExpression.fromTagIds(filterState.currentTagFilter ? [filterState.currentTagFilter] : []);
         this.currentSearchTerm = filterState.currentSearchTerm || '';
         
         // Aplicar no TaskFilter
         this.taskFilter.setFilter(this.currentFilter);
-        if (this.currentCategoryFilter) {
-            this.taskFilter.setCategoryFilter(this.currentCategoryFilter);
-        }
-        if (this.currentTagFilter) {
-            this.taskFilter.setTagFilter(this.currentTagFilter);
-        }
+        this.taskFilter.setCategoryFilters(this.categoryFilters);
+        this.taskFilter.setTagExpression(this.tagExpression);
         
         // Aplicar no SearchFilter
         if (this.currentSearchTerm) {
@@ -246,7 +369,7 @@ class FilterController {
      * @returns {Array} Sugestões de busca
      */
     getSearchSuggestions(query, tasks, categories, tags) {
-        return this.searchFilter.getSuggestions(query);
+        return this.searchFilter.getSuggestions(query, { categories, tags });
     }
 
     /**
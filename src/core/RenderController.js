@@ -3,11 +3,13 @@
  * Responsável por coordenar a renderização de todos os componentes
  */
 class RenderController {
-    constructor(taskRenderer, modalManager, sidebarManager, settingsManager) {
+    constructor(taskRenderer, modalManager, sidebarManager, settingsManager, calendarRenderer, boardRenderer) {
         this.taskRenderer = taskRenderer;
         this.modalManager = modalManager;
         this.sidebarManager = sidebarManager;
         this.settingsManager = settingsManager;
+        this.calendarRenderer = calendarRenderer;
+        this.boardRenderer = boardRenderer;
         
         // Cache para updates incrementais
         this.lastRenderedTasks = new Map();
@@ -21,6 +23,12 @@ class RenderController {
         };
         this.currentPage = 1;
         this.showAllTasks = false;
+
+        // Visualização atual ('list', 'calendar' ou 'board') e estado do calendário e do quadro
+        this.currentView = 'list';
+        this.calendarMode = 'month';
+        this.calendarDate = new Date();
+        this.boardGroupBy = 'status';
     }
 
     /**
@@ -31,9 +39,13 @@ class RenderController {
         this.tasksPerPage = { ...this.tasksPerPage, ...options.tasksPerPage };
         this.currentPage = options.currentPage || 1;
         this.showAllTasks = options.showAllTasks || false;
+        this.currentView = options.view || 'list';
+        this.calendarMode = options.calendarMode || 'month';
+        this.boardGroupBy = options.boardGroupBy || 'status';
         
         // Cache do elemento da lista
         this.taskListElement = DOMUtils.getById('taskList');
+        this.updateViewVisibility();
     }
 
     /**
@@ -144,34 +156,224 @@ class RenderController {
         this.renderPaginationButton(tasks.length, limit, hasMoreTasks);
     }
 
+    // ===== VISUALIZAÇÕES =====
+
+    /**
+     * Define a visualização das tarefas
+     * @param {string} view - 'list', 'calendar' ou 'board'
+     */
+    setView(view) {
+        this.currentView = ['calendar', 'board'].includes(view) ? view : 'list';
+        this.updateViewVisibility();
+    }
+
+    /**
+     * Verifica se o calendário está ativo
+     * @returns {boolean} Se a visualização atual é o calendário
+     */
+    isCalendarView() {
+        return this.currentView === 'calendar';
+    }
+
+    /**
+     * Verifica se o quadro Kanban está ativo
+     * @returns {boolean} Se a visualização atual é o quadro
+     */
+    isBoardView() {
+        return this.currentView === 'board';
+    }
+
+    /**
+     * Alterna a exibição entre lista, calendário e quadro e atualiza os botões
+     */
+    updateViewVisibility() {
+        const containers = {
+            list: DOMUtils.getById('taskList'),
+            calendar: DOMUtils.getById('calendarView'),
+            board: DOMUtils.getById('boardView')
+        };
+
+        Object.entries(containers).forEach(([view, element]) => {
+            if (element) element.style.display = view === this.currentView ? '' : 'none';
+        });
+
+        DOMUtils.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.currentView);
+        });
+    }
+
+    /**
+     * Define o modo do calendário
+     * @param {string} mode - 'month', 'week' ou 'day'
+     * @param {Date} date - Data de referência opcional
+     */
+    setCalendarMode(mode, date = null) {
+        if (!['month', 'week', 'day'].includes(mode)) return;
+        this.calendarMode = mode;
+        if (date) this.calendarDate = date;
+    }
+
+    /**
+     * Navega o calendário para o período anterior ou seguinte
+     * @param {number} direction - 1 para avançar, -1 para voltar
+     */
+    shiftCalendar(direction) {
+        this.calendarDate = this.calendarRenderer.shiftDate(this.calendarMode, this.calendarDate, direction);
+    }
+
+    /**
+     * Volta o calendário para a data atual
+     */
+    goToCalendarToday() {
+        this.calendarDate = new Date();
+    }
+
+    /**
+     * Obtém o período visível do calendário
+     * @returns {Object} { start, end }
+     */
+    getCalendarRange() {
+        return this.calendarRenderer.getVisibleRange(this.calendarMode, this.calendarDate);
+    }
+
+    /**
+     * Renderiza o calendário
+     * @param {Array} tasks - Tarefas filtradas
+     * @param {Array} projected - Ocorrências recorrentes previstas
+     * @param {Array} categories - Lista de categorias
+     */
+    renderCalendar(tasks, projected = [], categories = []) {
+        this.calendarRenderer.renderCalendar({
+            mode: this.calendarMode,
+            referenceDate: this.calendarDate,
+            tasks,
+            projected,
+            categories
+        });
+    }
+
+    /**
+     * Define o agrupamento das colunas do quadro
+     * @param {string} groupBy - 'status', 'priority' ou 'category'
+     */
+    setBoardGroupBy(groupBy) {
+        if (!['status', 'priority', 'category'].includes(groupBy)) return;
+        this.boardGroupBy = groupBy;
+    }
+
+    /**
+     * Renderiza o quadro Kanban
+     * @param {Array} tasks - Tarefas filtradas
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     */
+    renderBoard(tasks, categories = [], tags = []) {
+        this.boardRenderer.renderBoard({
+            groupBy: this.boardGroupBy,
+            tasks,
+            categories,
+            tags
+        });
+    }
+
     /**
      * Renderiza categorias
      * @param {Array} categories - Lista de categorias
-     * @param {string} activeCategoryId - ID da categoria ativa
-     * @param {Array} tasks - Lista de tarefas para contadores
+     * @param {Array<string>} activeCategoryIds - IDs das categorias selecionadas no filtro
+     * @param {Object} categoryStats - Contadores por categoria, incluindo subcategorias
      */
-    renderCategories(categories, activeCategoryId = null, tasks = []) {
-        // Atualizar contadores antes de renderizar
-        this.taskRenderer.updateCategoryUsageCounts(tasks);
-        
-        this.taskRenderer.renderCategories(categories, activeCategoryId);
+    renderCategories(categories, activeCategoryIds = [], categoryStats = {}) {
+        this.taskRenderer.renderCategories(categories, activeCategoryIds, categoryStats);
         this.modalManager.updateCategoryFormState(categories.length);
     }
 
     /**
      * Renderiza tags
      * @param {Array} tags - Lista de tags
-     * @param {string} activeTagId - ID da tag ativa
+     * @param {Array<string>} activeTagIds - IDs das tags incluídas no filtro
      * @param {Array} tasks - Lista de tarefas para contadores
+     * @param {Array<string>} excludedTagIds - IDs das tags negadas no filtro
      */
-    renderTags(tags, activeTagId = null, tasks = []) {
+    renderTags(tags, activeTagIds = [], tasks = [], excludedTagIds = []) {
         // Atualizar contadores antes de renderizar
         this.taskRenderer.updateTagUsageCounts(tasks);
         
-        this.taskRenderer.renderTags(tags, activeTagId);
+        this.taskRenderer.renderTags(tags, activeTagIds, excludedTagIds);
         this.modalManager.updateTagFormState(tags.length);
     }
 
+    /**
+     * Renderiza as listas inteligentes na sidebar
+     * @param {Array} smartLists - Listas salvas
+     * @param {Object} counts - Número de tarefas por ID de lista
+     * @param {string} activeId - ID da lista ativa
+     */
+    renderSmartLists(smartLists, counts = {}, activeId = null) {
+        this.sidebarManager.renderSmartLists(smartLists, counts, activeId);
+    }
+
+    /**
+     * Atualiza o campo de expressão de tags com o filtro atual
+     * O campo não é alterado enquanto o usuário digita nele
+     * @param {string} text - Expressão
+     */
+    renderTagExpression(text) {
+        const input = DOMUtils.getById('tagExpressionInput');
+        if (!input || document.activeElement === input) return;
+
+        input.value = text;
+        this.renderTagExpressionError(null);
+    }
+
+    /**
+     * Exibe ou limpa o erro da expressão de tags
+     * @param {Object} error - { message, position } ou null
+     */
+    renderTagExpressionError(error) {
+        this.renderSyntaxError('tagExpressionInput', 'tagExpressionError', error);
+        const input = DOMUtils.getById('tagExpressionInput');
+        if (input && error) {
+            input.setSelectionRange(error.position, input.value.length);
+        }
+    }
+
+    /**
+     * Exibe ou limpa o erro de sintaxe da consulta de busca
+     * A seleção não é alterada, já que a busca é aplicada enquanto o usuário digita
+     * @param {Object} error - { message, position } ou null
+     */
+    renderSearchError(error) {
+        this.renderSyntaxError('searchInput', 'searchError', error);
+    }
+
+    /**
+     * Atualiza as sugestões do autocompletar da busca
+     * @param {Array<string>} suggestions - Textos sugeridos
+     */
+    renderSearchSuggestions(suggestions) {
+        const datalist = DOMUtils.getById('searchSuggestions');
+        if (!datalist) return;
+
+        datalist.innerHTML = suggestions.map(suggestion =>
+            `<option value="${DOMUtils.escapeHtml(suggestion)}"></option>`
+        ).join('');
+    }
+
+    /**
+     * Exibe um erro de sintaxe abaixo de um campo
+     * @param {string} inputId - ID do campo
+     * @param {string} errorId - ID do elemento da mensagem
+     * @param {Object} error - { message, position } ou null
+     */
+    renderSyntaxError(inputId, errorId, error) {
+        const input = DOMUtils.getById(inputId);
+        const errorElement = DOMUtils.getById(errorId);
+        if (!input || !errorElement) return;
+
+        errorElement.textContent = error ? `${error.message} (posição ${error.position + 1})` : '';
+        input.classList.toggle('error', Boolean(error));
+    }
+
     /**
      * Renderiza lista de categorias no modal de gerenciamento
      * @param {Array} categories - Lista de categorias
@@ -185,9 +387,10 @@ class RenderController {
             return;
         }
 
-        container.innerHTML = categories.map(category => `
-            <div class="management-item" data-category-id="${category.id}">
+        container.innerHTML = Category.sortAsTree(categories).map(({ category, depth }) => `
+            <div class="management-item" data-category-id="${category.id}" style="--category-depth: ${depth};">
                 <div class="management-item-info">
+                    ${depth > 0 ? '<i class="fas fa-level-up-alt fa-rotate-90 management-item-branch"></i>' : ''}
                     <div class="management-item-color" style="background-color: ${category.color};"></div>
                     <div class="management-item-text">
                         ${DOMUtils.escapeHtml(category.name)}
@@ -218,7 +421,7 @@ class RenderController {
             return;
         }
 
-        container.innerHTML = tags.map(tag => `
+        const renderTag = tag => `
             <div class="management-item" data-tag-id="${tag.id}">
                 <div class="management-item-info">
                     <div class="management-item-color" style="background-color: ${tag.color};"></div>
@@ -235,7 +438,36 @@ class RenderController {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+
+        // Tags agrupadas; as sem grupo ficam por último
+        container.innerHTML = Tag.getGroups(tags).map(group => {
+            if (!group.name) {
+                return `
+                    <div class="tag-group-section">
+                        ${tags.length > group.tags.length ? '<div class="tag-group-header"><span class="tag-group-name">Sem grupo</span></div>' : ''}
+                        ${group.tags.map(renderTag).join('')}
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="tag-group-section" data-tag-group="${DOMUtils.escapeHtml(group.name)}">
+                    <div class="tag-group-header">
+                        <span class="tag-group-name"><i class="fas fa-layer-group"></i> ${DOMUtils.escapeHtml(group.name)}</span>
+                        <label class="tag-group-exclusive" title="Uma tarefa pode ter apenas uma tag deste grupo">
+                            <input type="checkbox" ${group.exclusive ? 'checked' : ''}
+                                   onchange="app.setTagGroupExclusive(this.closest('[data-tag-group]').dataset.tagGroup, this.checked)">
+                            Uma tag por tarefa
+                        </label>
+                        <button class="management-btn" onclick="app.removeTagGroupConfirm(this.closest('[data-tag-group]').dataset.tagGroup)" title="Desfazer grupo">
+                            <i class="fas fa-object-ungroup"></i>
+                        </button>
+                    </div>
+                    ${group.tags.map(renderTag).join('')}
+                </div>
+            `;
+        }).join('');
     }
 
     /**
@@ -354,7 +586,7 @@ class RenderController {
      */
     hasTaskChanged(currentTask, lastTask) {
         // Comparar propriedades relevantes para renderização
-        const relevantProps = ['title', 'description', 'completed', 'priority', 'category', 'tags', 'dueDate', 'dueTime', 'isRecurring', 'recurrenceType', 'recurrenceData'];
+        const relevantProps = ['title', 'description', 'completed', 'status', 'priority', 'category', 'tags', 'dueDate', 'dueTime', 'isRecurring', 'recurrenceRule', 'recurrenceMode', 'originalDueDate', 'missedOccurrences', 'subtasks'];
         
         return relevantProps.some(prop => {
             if (prop === 'tags') {
@@ -363,12 +595,16 @@ class RenderController {
                 const lastTags = lastTask[prop] || [];
                 return JSON.stringify(currentTags.sort()) !== JSON.stringify(lastTags.sort());
             }
-            if (prop === 'recurrenceData') {
-                // Comparar objetos de dados de recorrência
+            if (prop === 'recurrenceRule') {
+                // Comparar objetos da regra de recorrência
                 const currentData = currentTask[prop] || null;
                 const lastData = lastTask[prop] || null;
                 return JSON.stringify(currentData) !== JSON.stringify(lastData);
             }
+            if (prop === 'subtasks') {
+                // Comparar checklist (títulos, ordem e status)
+                return JSON.stringify(currentTask[prop] || []) !== JSON.stringify(lastTask[prop] || []);
+            }
             return currentTask[prop] !== lastTask[prop];
         });
     }
@@ -463,6 +699,9 @@ class RenderController {
             lastRenderedTasksCount: this.lastRenderedTasks.size,
             showAllTasks: this.showAllTasks,
             currentPage: this.currentPage,
+            currentView: this.currentView,
+            calendarMode: this.calendarMode,
+            boardGroupBy: this.boardGroupBy,
             taskListElement: !!this.taskListElement
         };
     }
@@ -0,0 +1,175 @@
+/**
+ * SmartListController - Gerencia as listas inteligentes (buscas salvas)
+ * Responsável por guardar, com um nome, o filtro de status/prioridade, as categorias, a expressão
+ * de tags, a busca e a ordenação atuais, para reaplicá-los com um clique na sidebar
+ *
+ * Formato de uma lista:
+ * { id, name, filterState: { currentFilter, categoryFilters, tagExpression, currentSearchTerm },
+ *   sortOptions: { field, direction }, createdAt }
+ */
+class SmartListController {
+    constructor(storageService, toastManager) {
+        this.storageService = storageService;
+        this.toastManager = toastManager;
+
+        // Dados das listas
+        this.smartLists = [];
+    }
+
+    /**
+     * Nome máximo de uma lista
+     * @returns {number}
+     */
+    static get maxNameLength() {
+        return 40;
+    }
+
+    /**
+     * Inicializa o controlador
+     * @param {Array} smartLists - Lista inicial (padrão: listas salvas)
+     */
+    initialize(smartLists = null) {
+        this.smartLists = smartLists || this.storageService.loadSmartLists();
+    }
+
+    /**
+     * Salva as listas no storage
+     */
+    saveSmartLists() {
+        this.storageService.saveSmartLists(this.smartLists);
+    }
+
+    /**
+     * Obtém todas as listas
+     * @returns {Array} Listas inteligentes
+     */
+    getAllSmartLists() {
+        return this.smartLists;
+    }
+
+    /**
+     * Obtém uma lista por ID
+     * @param {string} smartListId - ID da lista
+     * @returns {Object|null} Lista encontrada ou null
+     */
+    getSmartListById(smartListId) {
+        return this.smartLists.find(list => list.id === smartListId) || null;
+    }
+
+    /**
+     * Salva os filtros atuais como uma nova lista
+     * @param {string} name - Nome da lista
+     * @param {Object} filterState - Estado dos filtros (FilterController.getFilterState)
+     * @param {Object} sortOptions - Ordenação atual
+     * @returns {Object|null} Lista criada ou null se inválida
+     */
+    addSmartList(name, filterState, sortOptions) {
+        const trimmedName = (name || '').trim();
+
+        if (!trimmedName) {
+            this.toastManager.validationError('Por favor, insira um nome para a lista.');
+            return null;
+        }
+
+        if (trimmedName.length > SmartListController.maxNameLength) {
+            this.toastManager.validationError(`O nome da lista deve ter no máximo ${SmartListController.maxNameLength} caracteres.`);
+            return null;
+        }
+
+        if (this.smartLists.some(list => list.name.toLowerCase() === trimmedName.toLowerCase())) {
+            this.toastManager.validationError('Já existe uma lista com este nome.');
+            return null;
+        }
+
+        if (!SmartListController.hasCriteria(filterState)) {
+            this.toastManager.validationError('Aplique um filtro ou uma busca antes de salvar a lista.');
+            return null;
+        }
+
+        const smartList = {
+            id: IdGenerator.generateSmartListId(),
+            name: trimmedName,
+            filterState: SmartListController.normalizeFilterState(filterState),
+            sortOptions: sortOptions ? { ...sortOptions } : null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.smartLists.push(smartList);
+        this.saveSmartLists();
+        this.toastManager.success(`Lista "${trimmedName}" salva.`);
+
+        return smartList;
+    }
+
+    /**
+     * Remove uma lista
+     * @param {string} smartListId - ID da lista
+     * @returns {boolean} Se a lista foi removida
+     */
+    deleteSmartList(smartListId) {
+        const smartList = this.getSmartListById(smartListId);
+        if (!smartList) {
+            console.error('Lista inteligente não encontrada:', smartListId);
+            return false;
+        }
+
+        this.smartLists = this.smartLists.filter(list => list.id !== smartListId);
+        this.saveSmartLists();
+        return true;
+    }
+
+    /**
+     * Remove uma lista após confirmação
+     * @param {string} smartListId - ID da lista
+     * @returns {boolean} Se a lista foi removida
+     */
+    deleteSmartListConfirm(smartListId) {
+        const smartList = this.getSmartListById(smartListId);
+        if (!smartList) return false;
+
+        if (confirm(`Deseja realmente excluir a lista "${smartList.name}"? As tarefas não são alteradas.`)) {
+            return this.deleteSmartList(smartListId);
+        }
+        return false;
+    }
+
+    /**
+     * Encontra a lista cujos filtros são iguais aos atuais
+     * @param {Object} filterState - Estado dos filtros
+     * @returns {Object|null} Lista encontrada
+     */
+    findByFilterState(filterState) {
+        const key = JSON.stringify(SmartListController.normalizeFilterState(filterState));
+        return this.smartLists.find(list => JSON.stringify(SmartListController.normalizeFilterState(list.filterState)) === key) || null;
+    }
+
+    /**
+     * Mantém apenas os campos de filtro salvos em uma lista, em ordem fixa
+     * @param {Object} filterState - Estado dos filtros
+     * @returns {Object} Estado normalizado
+     */
+    static normalizeFilterState(filterState = {}) {
+        return {
+            currentFilter: filterState.currentFilter || 'all',
+            categoryFilters: [...(filterState.categoryFilters || [])],
+            tagExpression: filterState.tagExpression || null,
+            currentSearchTerm: (filterState.currentSearchTerm || '').trim()
+        };
+    }
+
+    /**
+     * Verifica se o estado tem algum filtro (uma lista sem filtros seria igual a "Todas")
+     * @param {Object} filterState - Estado dos filtros
+     * @returns {boolean}
+     */
+    static hasCriteria(filterState) {
+        const state = SmartListController.normalizeFilterState(filterState);
+        return state.currentFilter !== 'all' ||
+               state.categoryFilters.length > 0 ||
+               state.tagExpression !== null ||
+               state.currentSearchTerm !== '';
+    }
+}
+
+// Exportar para uso global
+window.SmartListController = SmartListController;
@@ -58,15 +58,14 @@ class TagController {
      * @returns {boolean} Se a tag foi adicionada
      */
     addTag(tagData) {
-        if (this.tags.length >= 5) {
-            this.toastManager.validationError('Limite de 5 tags atingido. Exclua uma tag existente para criar uma nova.');
-            return false;
-        }
-
+        const group = this.normalizeGroupName(tagData.group);
         const tag = {
             id: IdGenerator.generateTagId(),
             name: tagData.name.trim(),
             color: tagData.color,
+            group,
+            // A tag nova segue a regra do grupo em que entra
+            groupExclusive: Tag.isGroupExclusive(this.tags, group),
             createdAt: new Date().toISOString()
         };
         
@@ -75,6 +74,11 @@ class TagController {
             this.toastManager.validationError('Por favor, insira um nome para a tag.');
             return false;
         }
+
+        if (group && group.length > 30) {
+            this.toastManager.validationError('O nome do grupo deve ter no máximo 30 caracteres.');
+            return false;
+        }
         
         // Verificar se nome já existe
         const existingTag = this.tags.find(t => 
@@ -120,9 +124,25 @@ class TagController {
             }
         }
 
+        const current = this.tags[tagIndex];
+        const changes = { ...tagData };
+        if (tagData.group !== undefined) {
+            changes.group = this.normalizeGroupName(tagData.group);
+
+            if (changes.group && changes.group.length > 30) {
+                this.toastManager.validationError('O nome do grupo deve ter no máximo 30 caracteres.');
+                return false;
+            }
+
+            if (!Tag.isSameGroup(changes.group, current.group)) {
+                const others = this.tags.filter(tag => tag.id !== tagId);
+                changes.groupExclusive = Tag.isGroupExclusive(others, changes.group);
+            }
+        }
+
         this.tags[tagIndex] = {
-            ...this.tags[tagIndex],
-            ...tagData,
+            ...current,
+            ...changes,
             id: tagId // Manter o ID original
         };
         
@@ -216,6 +236,87 @@ class TagController {
         return { total, inUse, unused };
     }
 
+    // ===== GRUPOS =====
+
+    /**
+     * Obtém as tags agrupadas (ver Tag.getGroups)
+     * @returns {Array<Object>} Grupos ({ name, exclusive, tags })
+     */
+    getTagGroups() {
+        return Tag.getGroups(this.tags);
+    }
+
+    /**
+     * Obtém os nomes dos grupos existentes
+     * @returns {Array<string>} Nomes dos grupos
+     */
+    getGroupNames() {
+        return this.getTagGroups().filter(group => group.name).map(group => group.name);
+    }
+
+    /**
+     * Normaliza o nome de um grupo, reaproveitando a grafia de um grupo já existente
+     * @param {string} group - Nome digitado
+     * @returns {string|null} Nome do grupo ou null (sem grupo)
+     */
+    normalizeGroupName(group) {
+        const name = typeof group === 'string' ? group.trim() : '';
+        if (!name) return null;
+
+        return this.getGroupNames().find(existing => Tag.isSameGroup(existing, name)) || name;
+    }
+
+    /**
+     * Define se um grupo aceita apenas uma tag por tarefa
+     * Tarefas que já têm mais de uma tag do grupo não são alteradas
+     * @param {string} group - Nome do grupo
+     * @param {boolean} exclusive - Uma tag por grupo
+     * @returns {boolean} Se o grupo foi atualizado
+     */
+    setGroupExclusive(group, exclusive) {
+        const groupTags = this.tags.filter(tag => Tag.isSameGroup(tag.group, group));
+        if (groupTags.length === 0) {
+            console.error('Grupo de tags não encontrado:', group);
+            return false;
+        }
+
+        groupTags.forEach(tag => {
+            tag.groupExclusive = Boolean(exclusive);
+        });
+        this.saveTags();
+
+        if (exclusive) {
+            const conflicting = this.taskController.getAllTasks().filter(task =>
+                Tag.findGroupConflicts(task.tags || [], this.tags).some(conflict => Tag.isSameGroup(conflict.group, group))
+            ).length;
+
+            if (conflicting > 0) {
+                this.toastManager.warning(`${conflicting} tarefa(s) já têm mais de uma tag do grupo "${group}" e ficam assim até serem editadas.`);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Desfaz um grupo (as tags continuam existindo, sem grupo)
+     * @param {string} group - Nome do grupo
+     * @returns {boolean} Se o grupo foi desfeito
+     */
+    removeGroup(group) {
+        const groupTags = this.tags.filter(tag => Tag.isSameGroup(tag.group, group));
+        if (groupTags.length === 0) {
+            console.error('Grupo de tags não encontrado:', group);
+            return false;
+        }
+
+        groupTags.forEach(tag => {
+            tag.group = null;
+            tag.groupExclusive = false;
+        });
+        this.saveTags();
+        return true;
+    }
+
     /**
      * Valida dados de tag
      * @param {Object} tagData - Dados da tag
@@ -244,8 +345,8 @@ class TagController {
             }
         }
 
-        if (this.tags.length >= 5 && !excludeId) {
-            errors.push('Limite máximo de 5 tags atingido');
+        if (tagData.group && tagData.group.trim().length > 30) {
+            errors.push('Nome do grupo deve ter no máximo 30 caracteres');
         }
 
         return {
@@ -3,6 +3,13 @@
  * Responsável por toda lógica de negócio relacionada a tarefas
  */
 class TaskController {
+    /**
+     * Máximo de ocorrências perdidas geradas por série na recuperação
+     */
+    static get maxCatchUpOccurrences() {
+        return 100;
+    }
+
     constructor(storageService, taskRenderer, toastManager) {
         this.storageService = storageService;
         this.taskRenderer = taskRenderer;
@@ -73,11 +80,15 @@ class TaskController {
             dueDate: taskData.dueDate || '',
             dueTime: taskData.dueTime || '',
             completed: taskData.completed || false,
+            completedAt: taskData.completed ? (taskData.completedAt || new Date().toISOString()) : null,
+            status: taskData.status || 'todo',
             createdAt: new Date().toISOString(),
             isRecurring: taskData.isRecurring || false,
-            recurrenceType: taskData.recurrenceType || null,
-            recurrenceData: taskData.recurrenceData || null,
-            parentRecurringId: taskData.parentRecurringId || null
+            recurrenceRule: taskData.recurrenceRule || null,
+            recurrenceMode: taskData.recurrenceMode || 'fixed',
+            catchUpPolicy: taskData.catchUpPolicy || 'collapse',
+            parentRecurringId: taskData.parentRecurringId || null,
+            subtasks: taskData.subtasks || []
         };
         
         // Validação básica
@@ -179,33 +190,213 @@ class TaskController {
         
         // Alternar status de conclusão
         task.completed = !task.completed;
+        task.completedAt = task.completed ? new Date().toISOString() : null;
         
         this.saveTasks();
         return { success: true, wasCompleted, isNowCompleted: task.completed };
     }
 
 
+    /**
+     * Converte uma subtarefa em uma tarefa completa
+     * A nova tarefa herda categoria, tags, prioridade e data da tarefa original
+     * @param {string} taskId - ID da tarefa que contém a subtarefa
+     * @param {string} subtaskId - ID da subtarefa
+     * @returns {boolean} Se a subtarefa foi convertida com sucesso
+     */
+    convertSubtaskToTask(taskId, subtaskId) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        const parentTask = this.tasks[taskIndex];
+        const subtasks = parentTask.subtasks || [];
+        const subtask = subtasks.find(item => item.id === subtaskId);
+        if (!subtask) {
+            console.error('Subtarefa não encontrada:', subtaskId);
+            return false;
+        }
+
+        const added = this.addTask({
+            title: subtask.title,
+            category: parentTask.category,
+            tags: [...(parentTask.tags || [])],
+            priority: parentTask.priority,
+            dueDate: parentTask.dueDate,
+            dueTime: parentTask.dueTime,
+            completed: subtask.completed
+        }, true);
+
+        if (!added) return false;
+
+        // Substituir o objeto para que a renderização incremental detecte a mudança
+        this.tasks[taskIndex] = {
+            ...parentTask,
+            subtasks: subtasks.filter(item => item.id !== subtaskId)
+        };
+
+        this.saveTasks();
+        this.toastManager.success('Subtarefa convertida em tarefa!');
+        return true;
+    }
+
     /**
      * Gera a próxima tarefa recorrente
-     * @param {Object} parentTask - Tarefa pai
+     * @param {Object} parentTask - Tarefa pai (início da série)
      * @param {Array} categories - Lista de categorias
      * @param {Array} tags - Lista de tags
+     * @param {string} fromDate - Data da ocorrência atual (YYYY-MM-DD); padrão é a data da tarefa pai
+     * @param {string} completedAt - Data/hora de conclusão da ocorrência atual (modo 'afterCompletion')
      */
-    generateNextRecurringTask(parentTask, categories = [], tags = []) {
-        const nextDate = DateUtils.calculateNextRecurrenceDate(parentTask);
+    generateNextRecurringTask(parentTask, categories = [], tags = [], fromDate = null, completedAt = null) {
+        // Sem início fixo, o limite de ocorrências do modo "após a conclusão" é contado pela série
+        const rule = RecurrenceUtils.normalize(parentTask.recurrenceRule);
+        if (parentTask.recurrenceMode === 'afterCompletion' && rule && rule.count &&
+            this.getSeriesTasks(parentTask.id).length >= rule.count) {
+            return;
+        }
+
+        const nextDate = DateUtils.calculateNextRecurrenceDate(parentTask, fromDate, completedAt);
         if (!nextDate) return;
 
-        const nextTask = {
-            ...parentTask,
+        // A próxima data pode já ter ocorrência (ex: geradas ao recuperar as ocorrências perdidas)
+        const nextDueDate = DateUtils.formatDateISO(nextDate);
+        if (this.getSeriesTasks(parentTask.id).some(task => (task.originalDueDate || task.dueDate) === nextDueDate)) {
+            return;
+        }
+
+        this.tasks.push(this.createRecurringOccurrence(parentTask, nextDueDate));
+        this.saveTasks();
+    }
+
+    /**
+     * Cria uma nova ocorrência de uma série a partir da tarefa pai
+     * @param {Object} parentTask - Tarefa pai (modelo da série)
+     * @param {string} dueDate - Data da ocorrência (YYYY-MM-DD)
+     * @returns {Object} Nova tarefa filha
+     */
+    createRecurringOccurrence(parentTask, dueDate) {
+        // Edições feitas só na ocorrência da tarefa pai não passam para as próximas
+        const template = { ...parentTask, ...(parentTask.seriesTemplate || {}) };
+        return {
+            ...template,
             id: IdGenerator.generateTaskId(),
-            dueDate: DateUtils.formatDateISO(nextDate),
+            dueDate,
             completed: false,
+            status: 'todo',
+            completedAt: null,
             createdAt: new Date().toISOString(),
-            parentRecurringId: parentTask.id
+            recurrenceStart: null,
+            originalDueDate: null,
+            missedOccurrences: 0,
+            seriesTemplate: null,
+            parentRecurringId: parentTask.id,
+            // Cada ocorrência começa com o checklist desmarcado
+            subtasks: (template.subtasks || []).map(subtask => ({ ...subtask, completed: false }))
         };
+    }
 
-        this.tasks.push(nextTask);
-        this.saveTasks();
+    /**
+     * Move uma ocorrência para outra data da série
+     * A tarefa pai guarda o início da série antes de ter a data alterada
+     * @param {Object} task - Ocorrência (pai ou filha)
+     * @param {string} dueDate - Nova data (YYYY-MM-DD)
+     * @returns {Object} Ocorrência atualizada
+     */
+    moveOccurrence(task, dueDate) {
+        return {
+            ...task,
+            dueDate,
+            originalDueDate: null,
+            recurrenceStart: task.parentRecurringId ? task.recurrenceStart || null : task.recurrenceStart || task.dueDate
+        };
+    }
+
+    /**
+     * Recupera séries recorrentes que ficaram para trás enquanto o app esteve fechado
+     * Cada série segue sua política: gerar todas as ocorrências perdidas ('all'),
+     * agrupá-las na tarefa atrasada ('collapse') ou pular para a próxima data ('skip')
+     * @param {Date} referenceDate - Data de referência (padrão: hoje)
+     * @returns {Object} Resumo ({ series, generated, collapsed, skipped })
+     */
+    catchUpRecurringTasks(referenceDate = new Date()) {
+        const today = DateUtils.getStartOfDay(referenceDate);
+        const todayISO = DateUtils.formatDateISO(today);
+        const summary = { series: 0, generated: 0, collapsed: 0, skipped: 0 };
+        const occurrenceDate = task => task.originalDueDate || task.dueDate || '';
+
+        // No modo "após a conclusão" a próxima data só existe depois de concluir
+        const roots = this.tasks.filter(task => task.isRecurring && !task.parentRecurringId && task.recurrenceMode !== 'afterCompletion');
+
+        roots.forEach(root => {
+            const seriesTasks = this.getSeriesTasks(root.id);
+            const latest = seriesTasks.reduce((last, task) => occurrenceDate(task) > occurrenceDate(last) ? task : last, root);
+            if (latest.completed || !latest.dueDate || latest.dueDate >= todayISO) return;
+
+            // Ocorrências previstas entre a última existente e hoje
+            const missedDates = [];
+            let cursor = occurrenceDate(latest);
+            for (let i = 0; i < RecurrenceUtils.maxIterations; i++) {
+                const next = DateUtils.calculateNextRecurrenceDate(root, cursor);
+                if (!next || next > today) break;
+                cursor = DateUtils.formatDateISO(next);
+                missedDates.push(cursor);
+            }
+
+            if (missedDates.length === 0) return;
+            summary.series++;
+
+            const lastMissed = missedDates[missedDates.length - 1];
+            const policy = root.catchUpPolicy || 'collapse';
+
+            if (policy === 'all') {
+                const dates = missedDates.slice(-TaskController.maxCatchUpOccurrences);
+                dates.forEach(date => this.tasks.push(this.createRecurringOccurrence(root, date)));
+                summary.generated += dates.length;
+                return;
+            }
+
+            if (policy === 'skip') {
+                const nextDate = lastMissed === todayISO ? today : DateUtils.calculateNextRecurrenceDate(root, lastMissed);
+                if (!nextDate) return;
+
+                const nextDueDate = DateUtils.formatDateISO(nextDate);
+                const skippedDates = [occurrenceDate(latest), ...missedDates].filter(date => date !== nextDueDate);
+                const exceptionDates = [...new Set([...(root.exceptionDates || []), ...skippedDates])].sort();
+                const seriesIds = new Set(seriesTasks.map(task => task.id));
+
+                this.tasks = this.tasks.map(task => {
+                    if (!seriesIds.has(task.id)) return task;
+                    const updated = task.id === latest.id ? this.moveOccurrence(task, nextDueDate) : { ...task };
+                    updated.exceptionDates = exceptionDates;
+                    return updated;
+                });
+                summary.skipped += skippedDates.length;
+                return;
+            }
+
+            // Agrupar: a tarefa pendente fica na sua data (continua atrasada) e representa as perdidas
+            // seguintes, que entram nas exceções da série para não serem geradas nem agrupadas de novo
+            const exceptionDates = [...new Set([...(root.exceptionDates || []), ...missedDates])].sort();
+            const seriesIds = new Set(seriesTasks.map(task => task.id));
+
+            this.tasks = this.tasks.map(task => {
+                if (!seriesIds.has(task.id)) return task;
+                const updated = { ...task, exceptionDates };
+                if (task.id === latest.id) {
+                    updated.missedOccurrences = (task.missedOccurrences || 0) + missedDates.length;
+                }
+                return updated;
+            });
+            summary.collapsed += missedDates.length;
+        });
+
+        if (summary.series > 0) {
+            this.saveTasks();
+        }
+        return summary;
     }
 
     /**
@@ -216,24 +407,585 @@ class TaskController {
      */
     generateRecurringAfterComplete(completedTask, categories = [], tags = []) {
         if (completedTask.isRecurring) {
-            // Para tarefas filhas, usar a tarefa pai como template mas com a data da tarefa atual
+            // Ocorrências adiadas continuam a série a partir da data prevista
+            const occurrenceDate = completedTask.originalDueDate || completedTask.dueDate;
+
+            // Para tarefas filhas, usar a tarefa pai como template e início da série,
+            // calculando a próxima ocorrência a partir da data da tarefa atual
             if (completedTask.parentRecurringId) {
                 const parentTask = this.getTaskById(completedTask.parentRecurringId);
                 if (parentTask) {
-                    // Criar uma cópia da tarefa pai com a data da tarefa atual
-                    const taskForCalculation = {
-                        ...parentTask,
-                        dueDate: completedTask.dueDate
-                    };
-                    this.generateNextRecurringTask(taskForCalculation, categories, tags);
+                    this.generateNextRecurringTask(parentTask, categories, tags, occurrenceDate, completedTask.completedAt);
                 }
             } else {
                 // Se é uma tarefa pai, gerar próxima ocorrência diretamente
-                this.generateNextRecurringTask(completedTask, categories, tags);
+                this.generateNextRecurringTask(completedTask, categories, tags, occurrenceDate, completedTask.completedAt);
             }
         }
     }
 
+    /**
+     * Obtém o ID da tarefa pai de uma série recorrente
+     * @param {Object} task - Tarefa da série (pai ou filha)
+     * @returns {string} ID da tarefa pai
+     */
+    getSeriesRootId(task) {
+        return task.parentRecurringId || task.id;
+    }
+
+    /**
+     * Obtém todas as tarefas de uma série recorrente, ordenadas por data
+     * @param {string} taskId - ID de qualquer tarefa da série
+     * @returns {Array} Tarefas da série (pai e filhas)
+     */
+    getSeriesTasks(taskId) {
+        const task = this.getTaskById(taskId);
+        if (!task) return [];
+
+        const rootId = this.getSeriesRootId(task);
+        return this.tasks
+            .filter(item => item.id === rootId || item.parentRecurringId === rootId)
+            .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+    }
+
+    /**
+     * Obtém as tarefas afetadas por uma operação na série
+     * @param {string} taskId - ID da tarefa de referência
+     * @param {string} scope - 'future' (esta e as próximas), 'afterThis' (apenas as próximas) ou 'all'
+     * @returns {Array} Tarefas afetadas
+     */
+    getSeriesScopeTasks(taskId, scope) {
+        const task = this.getTaskById(taskId);
+        if (!task) return [];
+
+        const seriesTasks = this.getSeriesTasks(taskId);
+        const currentDate = task.dueDate || '';
+
+        switch (scope) {
+            case 'all':
+                return seriesTasks;
+            case 'future':
+                // O histórico (ocorrências concluídas) é preservado
+                return seriesTasks.filter(item => item.id === task.id ||
+                    (!item.completed && (item.dueDate || '') >= currentDate));
+            case 'afterThis':
+                return seriesTasks.filter(item => item.id !== task.id &&
+                    !item.completed && (item.dueDate || '') > currentDate);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Exclui ocorrências de uma série recorrente
+     * Nos escopos 'future' e 'afterThis' a regra das tarefas restantes recebe uma
+     * data de término para que novas ocorrências não sejam geradas
+     * @param {string} taskId - ID da tarefa de referência (pai ou filha)
+     * @param {string} scope - 'future', 'afterThis' ou 'all'
+     * @returns {number|boolean} Número de tarefas excluídas ou false em caso de erro
+     */
+    deleteRecurringSeries(taskId, scope) {
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        const affectedIds = new Set(this.getSeriesScopeTasks(taskId, scope).map(item => item.id));
+        const remainingSeries = this.getSeriesTasks(taskId).filter(item => !affectedIds.has(item.id));
+        const remainingSeriesIds = new Set(remainingSeries.map(item => item.id));
+
+        if (scope !== 'all' && task.dueDate) {
+            const endDate = DateUtils.createLocalDate(task.dueDate);
+            const until = DateUtils.formatDateISO(scope === 'future' ? DateUtils.addDays(endDate, -1) : endDate);
+
+            this.tasks = this.tasks.map(item => {
+                if (!remainingSeriesIds.has(item.id) || !item.recurrenceRule) return item;
+                return {
+                    ...item,
+                    recurrenceRule: RecurrenceUtils.normalize({ ...item.recurrenceRule, count: null, until })
+                };
+            });
+        }
+
+        // Se a tarefa pai foi excluída, a ocorrência restante mais antiga passa a ser a pai,
+        // mantendo o início da série
+        const rootTask = this.getTaskById(this.getSeriesRootId(task));
+        if (rootTask && affectedIds.has(rootTask.id) && remainingSeries.length > 0) {
+            const newRootId = remainingSeries[0].id;
+            this.tasks = this.tasks.map(item => {
+                if (item.id === newRootId) {
+                    return {
+                        ...item,
+                        parentRecurringId: null,
+                        recurrenceStart: rootTask.recurrenceStart || rootTask.dueDate || null
+                    };
+                }
+                return remainingSeriesIds.has(item.id) ? { ...item, parentRecurringId: newRootId } : item;
+            });
+        }
+
+        this.tasks = this.tasks.filter(item => !affectedIds.has(item.id));
+        this.saveTasks();
+
+        const count = affectedIds.size;
+        this.toastManager.success(scope === 'afterThis'
+            ? `Série encerrada. ${count} ocorrência(s) futura(s) removida(s).`
+            : `${count} ocorrência(s) da série excluída(s)!`);
+        return count;
+    }
+
+    /**
+     * Campos compartilhados por todas as ocorrências de uma série recorrente
+     * (data de vencimento e conclusão são próprias de cada ocorrência)
+     */
+    static get seriesFields() {
+        return ['title', 'description', 'category', 'tags', 'priority', 'dueTime', 'isRecurring', 'recurrenceRule', 'recurrenceMode', 'catchUpPolicy', 'subtasks'];
+    }
+
+    /**
+     * Campos da série copiados da tarefa pai para cada nova ocorrência (os demais são a regra da série)
+     * @returns {Array<string>}
+     */
+    static get templateFields() {
+        return ['title', 'description', 'category', 'tags', 'priority', 'dueTime', 'subtasks'];
+    }
+
+    /**
+     * Atualiza uma tarefa recorrente aplicando as alterações no escopo escolhido
+     * @param {string} taskId - ID da ocorrência editada (pai ou filha)
+     * @param {Object} taskData - Novos dados da tarefa
+     * @param {string} scope - 'this' (apenas esta), 'following' (esta e as seguintes) ou 'all'
+     * @returns {boolean} Se a série foi atualizada com sucesso
+     */
+    updateRecurringTask(taskId, taskData, scope = 'this') {
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        if (!task.isRecurring && !task.parentRecurringId) {
+            return this.updateTask(taskId, taskData);
+        }
+
+        if (scope === 'this') {
+            return task.parentRecurringId
+                ? this.updateTask(taskId, taskData)
+                : this.updateTask(taskId, this.getRootOccurrenceData(task, taskData));
+        }
+
+        const seriesData = {};
+        TaskController.seriesFields.forEach(field => {
+            if (taskData[field] !== undefined) {
+                seriesData[field] = taskData[field];
+            }
+        });
+
+        const currentDate = task.dueDate || '';
+        const seriesTasks = this.getSeriesTasks(taskId);
+        const targets = scope === 'all'
+            ? seriesTasks
+            : seriesTasks.filter(item => item.id === taskId || (item.dueDate || '') >= currentDate);
+        const targetIds = new Set(targets.map(item => item.id));
+
+        // "Esta e as seguintes" a partir de uma filha divide a série:
+        // a ocorrência editada passa a ser a tarefa pai da nova série
+        const splitSeries = scope === 'following' && !!task.parentRecurringId;
+        const oldRootId = this.getSeriesRootId(task);
+        let oldSeriesUntil = null;
+        let newSeriesRule = seriesData.recurrenceRule !== undefined ? seriesData.recurrenceRule : task.recurrenceRule;
+
+        if (splitSeries && currentDate) {
+            oldSeriesUntil = DateUtils.formatDateISO(DateUtils.addDays(DateUtils.createLocalDate(currentDate), -1));
+            newSeriesRule = this.getRemainingSeriesRule(this.getTaskById(oldRootId), newSeriesRule, currentDate);
+        }
+
+        this.tasks = this.tasks.map(item => {
+            if (item.id === taskId) {
+                const updated = { ...item, ...taskData, id: taskId };
+                if (item.seriesTemplate) {
+                    updated.seriesTemplate = { ...item.seriesTemplate, ...this.pickTemplateFields(seriesData) };
+                }
+                if (splitSeries) {
+                    updated.parentRecurringId = null;
+                    updated.recurrenceRule = newSeriesRule;
+                }
+                return updated;
+            }
+
+            if (targetIds.has(item.id)) {
+                const updated = {
+                    ...item,
+                    ...seriesData,
+                    subtasks: this.mergeSeriesSubtasks(seriesData.subtasks, item.subtasks)
+                };
+                if (item.seriesTemplate) {
+                    updated.seriesTemplate = { ...item.seriesTemplate, ...this.pickTemplateFields(seriesData) };
+                }
+                if (splitSeries) {
+                    updated.parentRecurringId = taskId;
+                    updated.recurrenceRule = newSeriesRule;
+                }
+                return updated;
+            }
+
+            // Ocorrências anteriores da série original terminam antes da divisão
+            if (oldSeriesUntil && (item.id === oldRootId || item.parentRecurringId === oldRootId) && item.recurrenceRule) {
+                return {
+                    ...item,
+                    recurrenceRule: RecurrenceUtils.normalize({ ...item.recurrenceRule, count: null, until: oldSeriesUntil })
+                };
+            }
+
+            return item;
+        });
+
+        this.saveTasks();
+        this.toastManager.taskUpdated();
+        return true;
+    }
+
+    /**
+     * Obtém os dados de uma edição "apenas esta ocorrência" feita na tarefa pai
+     * A tarefa pai também é o modelo e o início da série: a regra não muda, os campos do modelo
+     * anteriores à edição ficam em seriesTemplate e uma nova data é tratada como adiamento
+     * @param {Object} rootTask - Tarefa pai da série
+     * @param {Object} taskData - Novos dados da tarefa
+     * @returns {Object} Dados a aplicar na tarefa pai
+     */
+    getRootOccurrenceData(rootTask, taskData) {
+        const data = { ...taskData };
+        ['isRecurring', 'recurrenceRule', 'recurrenceMode', 'catchUpPolicy'].forEach(field => delete data[field]);
+
+        const changesTemplate = TaskController.templateFields.some(field =>
+            data[field] !== undefined && JSON.stringify(data[field]) !== JSON.stringify(rootTask[field]));
+        if (changesTemplate && !rootTask.seriesTemplate) {
+            data.seriesTemplate = this.pickTemplateFields(rootTask);
+        }
+
+        if (data.dueDate !== undefined && data.dueDate !== rootTask.dueDate) {
+            data.recurrenceStart = rootTask.recurrenceStart || rootTask.dueDate || null;
+            if (data.dueDate) {
+                data.originalDueDate = this.getPostponedOccurrence(rootTask, data.dueDate).originalDueDate;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Copia os campos do modelo da série
+     * @param {Object} source - Tarefa ou dados editados
+     * @returns {Object} Campos de TaskController.templateFields presentes em source
+     */
+    pickTemplateFields(source) {
+        const fields = {};
+        TaskController.templateFields.forEach(field => {
+            if (source[field] !== undefined) {
+                fields[field] = source[field];
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * Calcula a regra da nova série criada ao dividir uma série existente
+     * Se a regra mantém o limite de ocorrências original, desconta as que já passaram
+     * @param {Object} rootTask - Tarefa pai da série original
+     * @param {Object} rule - Regra da nova série
+     * @param {string} splitDate - Data da primeira ocorrência da nova série (YYYY-MM-DD)
+     * @returns {Object|null} Regra ajustada
+     */
+    getRemainingSeriesRule(rootTask, rule, splitDate) {
+        const normalized = RecurrenceUtils.normalize(rule);
+        const rootRule = rootTask ? RecurrenceUtils.normalize(rootTask.recurrenceRule) : null;
+        if (!normalized || !normalized.count || !rootRule || rootRule.count !== normalized.count || !rootTask.dueDate) {
+            return normalized;
+        }
+
+        // O índice da primeira ocorrência a partir da divisão é o número de ocorrências anteriores
+        const splitDay = DateUtils.createLocalDate(splitDate);
+        let elapsed = rootRule.count;
+        RecurrenceUtils.iterateOccurrences(rootRule, DateUtils.createLocalDate(rootTask.recurrenceStart || rootTask.dueDate), (date, index) => {
+            if (date < splitDay) return true;
+            elapsed = index;
+            return false;
+        }, splitDay);
+
+        return { ...normalized, count: Math.max(1, normalized.count - elapsed) };
+    }
+
+    /**
+     * Aplica o checklist modelo a uma ocorrência, preservando o que já foi marcado nela
+     * @param {Array} templateSubtasks - Checklist editado (undefined mantém o atual)
+     * @param {Array} currentSubtasks - Checklist atual da ocorrência
+     * @returns {Array} Checklist resultante
+     */
+    mergeSeriesSubtasks(templateSubtasks, currentSubtasks = []) {
+        if (!templateSubtasks) return currentSubtasks || [];
+
+        return templateSubtasks.map(subtask => {
+            const existing = (currentSubtasks || []).find(item => item.id === subtask.id);
+            return { ...subtask, completed: existing ? existing.completed : false };
+        });
+    }
+
+    /**
+     * Pula uma ocorrência de uma série recorrente sem concluí-la
+     * A data prevista entra nas exceções da série e a tarefa avança para a próxima ocorrência
+     * @param {string} taskId - ID da ocorrência (pai ou filha)
+     * @returns {boolean} Se a ocorrência foi pulada com sucesso
+     */
+    skipOccurrence(taskId) {
+        const task = this.getTaskById(taskId);
+        if (!task || (!task.isRecurring && !task.parentRecurringId)) {
+            console.error('Tarefa não encontrada ou não é recorrente:', taskId);
+            return false;
+        }
+
+        const isRoot = !task.parentRecurringId;
+        const rootTask = (isRoot ? task : this.getTaskById(task.parentRecurringId)) || task;
+        const scheduledDate = task.originalDueDate || task.dueDate;
+        const exceptionDates = [...new Set([...(rootTask.exceptionDates || []), scheduledDate])].sort();
+        const seriesIds = new Set(this.getSeriesTasks(taskId).map(item => item.id));
+
+        const seriesRule = { ...rootTask, exceptionDates };
+        const isGenerated = date => this.tasks.some(item => item.id !== taskId && seriesIds.has(item.id) &&
+            !item.completed && (item.originalDueDate || item.dueDate) === date);
+        let nextDate = DateUtils.calculateNextRecurrenceDate(seriesRule, scheduledDate, new Date().toISOString());
+
+        // A raiz guarda a regra da série e não pode ser removida: ela avança para a primeira data
+        // que ainda não tem ocorrência (ex: depois de recuperar todas as ocorrências perdidas)
+        let rootExhausted = false;
+        if (isRoot) {
+            for (let guard = 0; nextDate && isGenerated(DateUtils.formatDateISO(nextDate)); guard++) {
+                if (guard > seriesIds.size) {
+                    rootExhausted = true;
+                    break;
+                }
+                nextDate = DateUtils.calculateNextRecurrenceDate(seriesRule, DateUtils.formatDateISO(nextDate), new Date().toISOString());
+            }
+            // Sem data livre, a raiz é concluída e as ocorrências já geradas continuam a série
+            rootExhausted = rootExhausted || (!nextDate && seriesIds.size > 1);
+        }
+        const nextDueDate = nextDate && !rootExhausted ? DateUtils.formatDateISO(nextDate) : null;
+
+        // A próxima ocorrência pode já existir (ex: gerada antes); nesse caso só removemos a atual
+        const alreadyGenerated = !isRoot && nextDueDate && isGenerated(nextDueDate);
+        const removeTask = !rootExhausted && (!nextDueDate || alreadyGenerated);
+
+        this.tasks = this.tasks
+            .filter(item => !(removeTask && item.id === taskId))
+            .map(item => {
+                if (!seriesIds.has(item.id)) return item;
+
+                const updated = { ...item, exceptionDates };
+                if (item.id === taskId && rootExhausted) {
+                    return { ...updated, completed: true, completedAt: new Date().toISOString() };
+                }
+                if (item.id === taskId) {
+                    return {
+                        ...this.moveOccurrence(updated, nextDueDate),
+                        completed: false,
+                        completedAt: null,
+                        subtasks: (item.subtasks || []).map(subtask => ({ ...subtask, completed: false }))
+                    };
+                }
+                return updated;
+            });
+
+        this.saveTasks();
+
+        if (rootExhausted) {
+            this.toastManager.info('Ocorrência pulada. As próximas datas da série já estão na lista.');
+        } else if (!nextDueDate) {
+            this.toastManager.warning('Ocorrência pulada. Era a última da série.');
+        } else {
+            this.toastManager.info(`Ocorrência pulada. Próxima em ${DateUtils.formatDateBR(nextDate)}.`);
+        }
+        return true;
+    }
+
+    /**
+     * Adia uma ocorrência de uma série recorrente para outra data
+     * A série continua seguindo a data prevista original
+     * @param {string} taskId - ID da ocorrência (pai ou filha)
+     * @param {string} newDate - Nova data de vencimento (YYYY-MM-DD)
+     * @returns {boolean} Se a ocorrência foi adiada com sucesso
+     */
+    postponeOccurrence(taskId, newDate) {
+        const taskIndex = this.tasks.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        if (!newDate || !/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
+            this.toastManager.validationError('Informe uma data válida para adiar a tarefa.');
+            return false;
+        }
+
+        const task = this.tasks[taskIndex];
+        if (newDate === task.dueDate) return false;
+
+        this.tasks[taskIndex] = this.getPostponedOccurrence(task, newDate);
+
+        this.saveTasks();
+        this.toastManager.success(`Ocorrência adiada para ${DateUtils.formatDateBR(DateUtils.createLocalDate(newDate))}.`);
+        return true;
+    }
+
+    /**
+     * Obtém a ocorrência movida para outra data, lembrando a data prevista original
+     * @param {Object} task - Ocorrência (pai ou filha)
+     * @param {string} newDate - Nova data de vencimento (YYYY-MM-DD)
+     * @returns {Object} Ocorrência adiada
+     */
+    getPostponedOccurrence(task, newDate) {
+        const originalDueDate = task.originalDueDate || task.dueDate;
+        return {
+            ...this.moveOccurrence(task, newDate),
+            originalDueDate: originalDueDate === newDate ? null : originalDueDate
+        };
+    }
+
+    /**
+     * Reagenda uma tarefa (ex.: arrastando no calendário)
+     * Ocorrências recorrentes são adiadas sem alterar o restante da série
+     * @param {string} taskId - ID da tarefa
+     * @param {string} newDate - Nova data de vencimento (YYYY-MM-DD)
+     * @param {string} newTime - Novo horário (HH:MM, '' para sem horário ou undefined para manter)
+     * @returns {boolean} Se a tarefa foi reagendada com sucesso
+     */
+    rescheduleTask(taskId, newDate, newTime = undefined) {
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        if (!newDate || !/^\d{4}-\d{2}-\d{2}$/.test(newDate)) {
+            this.toastManager.validationError('Informe uma data válida para reagendar a tarefa.');
+            return false;
+        }
+
+        const timeChanged = newTime !== undefined && newTime !== (task.dueTime || '');
+        if (newDate === task.dueDate && !timeChanged) return false;
+
+        const changes = { dueDate: newDate };
+        if (timeChanged) changes.dueTime = newTime;
+
+        if ((task.isRecurring || task.parentRecurringId) && task.dueDate && newDate !== task.dueDate) {
+            const postponed = this.getPostponedOccurrence(task, newDate);
+            changes.originalDueDate = postponed.originalDueDate;
+            changes.recurrenceStart = postponed.recurrenceStart;
+        }
+
+        return this.updateTask(taskId, changes);
+    }
+
+    /**
+     * Move uma tarefa para outra coluna do quadro Kanban
+     * Concluir pelo quadro segue o fluxo do checkbox (ver TodoApp.moveBoardTask)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} groupBy - 'status', 'priority' ou 'category'
+     * @param {string} value - Valor da coluna de destino
+     * @returns {boolean} Se a tarefa foi atualizada
+     */
+    moveTaskToBoardColumn(taskId, groupBy, value) {
+        const task = this.getTaskById(taskId);
+        if (!task) {
+            console.error('Tarefa não encontrada:', taskId);
+            return false;
+        }
+
+        let changes;
+        if (groupBy === 'priority' && ['low', 'medium', 'high'].includes(value)) {
+            changes = { priority: value };
+        } else if (groupBy === 'category') {
+            changes = { category: value };
+        } else if (groupBy === 'status' && ['todo', 'doing'].includes(value)) {
+            // Voltar de "Concluído" reabre a tarefa
+            changes = { status: value, completed: false, completedAt: null };
+        } else {
+            return false;
+        }
+
+        const current = { ...task, status: task.status || 'todo' };
+        const hasChanges = Object.keys(changes).some(key => (current[key] || null) !== (changes[key] || null));
+        if (!hasChanges) return false;
+
+        return this.updateTask(taskId, changes);
+    }
+
+    /**
+     * Projeta as próximas ocorrências das séries recorrentes dentro de um período
+     * As projeções partem da ocorrência mais recente de cada série e não são salvas
+     * @param {Array} tasks - Tarefas visíveis (já filtradas)
+     * @param {Date} rangeStart - Início do período
+     * @param {Date} rangeEnd - Fim do período
+     * @returns {Array} Ocorrências previstas ({ projected: true, sourceTaskId })
+     */
+    getProjectedOccurrences(tasks, rangeStart, rangeEnd) {
+        const projected = [];
+        const startISO = DateUtils.formatDateISO(rangeStart);
+        const endISO = DateUtils.formatDateISO(rangeEnd);
+        const visibleIds = new Set(tasks.map(task => task.id));
+        const visitedSeries = new Set();
+
+        tasks.forEach(task => {
+            if (!task.isRecurring && !task.parentRecurringId) return;
+
+            const rootId = this.getSeriesRootId(task);
+            if (visitedSeries.has(rootId)) return;
+            visitedSeries.add(rootId);
+
+            // Projetar somente a partir da ocorrência mais recente da série, se estiver visível e pendente
+            const seriesTasks = this.getSeriesTasks(task.id).filter(item => item.dueDate);
+            const latest = seriesTasks[seriesTasks.length - 1];
+            if (!latest || latest.completed || !visibleIds.has(latest.id)) return;
+
+            const template = this.getTaskById(rootId) || latest;
+            if (!template.isRecurring || !template.recurrenceRule) return;
+
+            const isAfterCompletion = template.recurrenceMode === 'afterCompletion';
+            const rule = RecurrenceUtils.normalize(template.recurrenceRule);
+            // Sem início fixo, o limite de ocorrências do modo "após a conclusão" é contado pela série
+            const remaining = isAfterCompletion && rule && rule.count
+                ? rule.count - seriesTasks.length
+                : RecurrenceUtils.maxIterations;
+            let cursor = latest.originalDueDate || latest.dueDate;
+
+            for (let i = 0; i < remaining && i < RecurrenceUtils.maxIterations; i++) {
+                // No modo após a conclusão, supõe que cada ocorrência será concluída na data prevista
+                const completedAt = isAfterCompletion ? DateUtils.createLocalDate(cursor).toISOString() : null;
+                const next = DateUtils.calculateNextRecurrenceDate(template, cursor, completedAt);
+                const nextDate = next ? DateUtils.formatDateISO(next) : null;
+                if (!nextDate || nextDate <= cursor || nextDate > endISO) break;
+
+                if (nextDate >= startISO) {
+                    projected.push({
+                        ...template,
+                        id: `projected-${rootId}-${nextDate}`,
+                        dueDate: nextDate,
+                        completed: false,
+                        completedAt: null,
+                        originalDueDate: null,
+                        missedOccurrences: 0,
+                        parentRecurringId: rootId,
+                        projected: true,
+                        sourceTaskId: latest.id
+                    });
+                }
+
+                cursor = nextDate;
+            }
+        });
+
+        return projected;
+    }
+
     /**
      * Obtém estatísticas das tarefas
      * @returns {Object} Estatísticas das tarefas
@@ -271,7 +1023,7 @@ class TaskController {
      * @returns {boolean}
      */
     hasTaskChanged(currentTask, lastTask) {
-        const relevantProps = ['title', 'description', 'completed', 'priority', 'category', 'tags', 'dueDate', 'dueTime', 'isRecurring'];
+        const relevantProps = ['title', 'description', 'completed', 'status', 'priority', 'category', 'tags', 'dueDate', 'dueTime', 'isRecurring', 'recurrenceRule', 'recurrenceMode', 'originalDueDate', 'missedOccurrences', 'subtasks'];
         
         return relevantProps.some(prop => {
             if (prop === 'tags') {
@@ -279,6 +1031,9 @@ class TaskController {
                 const lastTags = lastTask[prop] || [];
                 return JSON.stringify(currentTags.sort()) !== JSON.stringify(lastTags.sort());
             }
+            if (prop === 'subtasks' || prop === 'recurrenceRule') {
+                return JSON.stringify(currentTask[prop] || null) !== JSON.stringify(lastTask[prop] || null);
+            }
             return currentTask[prop] !== lastTask[prop];
         });
     }
@@ -8,8 +8,12 @@
 class TodoApp {
     constructor() {
         // Inicializar serviços
-        this.storageService = new StorageService();
-        this.exportService = new ExportService();
+        this.migrationService = new MigrationService();
+        this.storageService = new StorageService(null, this.migrationService);
+        this.exportService = new ExportService(this.migrationService);
+        this.syncService = new SyncService();
+        this.importMergeService = new ImportMergeService();
+        this.backupService = new BackupService();
         
         // Inicializar filtros
         this.taskFilter = new TaskFilter();
@@ -17,7 +21,10 @@ class TodoApp {
         
         // Inicializar módulos UI
         this.taskRenderer = new TaskRenderer();
+        this.calendarRenderer = new CalendarRenderer();
+        this.boardRenderer = new BoardRenderer();
         this.modalManager = new ModalManager();
+        this.quickAddManager = new QuickAddManager();
         this.sidebarManager = new SidebarManager();
         this.settingsManager = new SettingsManager();
         this.guideManager = new GuideManager();
@@ -51,11 +58,18 @@ class TodoApp {
             this.searchFilter
         );
         
+        this.smartListController = new SmartListController(
+            this.storageService,
+            this.toastManager
+        );
+        
         this.renderController = new RenderController(
             this.taskRenderer,
             this.modalManager,
             this.sidebarManager,
-            this.settingsManager
+            this.settingsManager,
+            this.calendarRenderer,
+            this.boardRenderer
         );
         
         // Configurar callbacks do RenderController
@@ -77,21 +91,40 @@ class TodoApp {
         
         // Debounce para busca
         this.searchTimeout = null;
+
+        // Verificação periódica do backup agendado
+        this.backupTimer = null;
+
+        // Avisos da sincronização guardados até a aba ficar visível (chave -> função)
+        this.pendingVisibleActions = new Map();
+        this.pendingSyncTaskIds = new Set();
+
+        // Conflitos à espera da escolha do usuário, com a versão desta aba que foi descartada
+        this.pendingSyncConflicts = new Map();
         
-        // Inicializar aplicação
-        this.init();
+        // Inicializar aplicação (a promessa resolve quando os dados estiverem carregados)
+        this.ready = this.init();
     }
 
     /**
      * Inicializa a aplicação
-     */
-    init() {
+     * @returns {Promise<void>}
+     */
+    async init() {
+        // Abrir o armazenamento (IndexedDB ou localStorage) antes de carregar os dados
+        const backend = await this.storageService.init();
+        DOMUtils.setText(
+            DOMUtils.getById('storageBackendInfo'),
+            backend === 'indexedDB' ? 'IndexedDB (dados locais)' : 'localStorage (dados locais)'
+        );
+
         // Inicializar controladores
         this.taskController.initialize();
         this.categoryController.initialize();
         this.tagController.initialize();
         this.filterController.initialize();
-        this.renderController.initialize();
+        this.smartListController.initialize();
+        this.renderController.initialize(this.storageService.loadTaskView());
         this.settingsController.initialize();
         
         // Inicializar gerenciadores
@@ -101,8 +134,8 @@ class TodoApp {
             tags: [],
             settings: this.settingsController.getAllSettings(),
             currentFilter: 'all',
-            currentCategoryFilter: null,
-            currentTagFilter: null
+            categoryFilters: [],
+            tagExpression: null
         });
         
         this.eventManager.setupKeyboardListeners();
@@ -111,6 +144,7 @@ class TodoApp {
         // Inicializar módulos UI
         this.sidebarManager.init();
         this.modalManager.setupModalEventListeners();
+        this.quickAddManager.init();
         this.settingsManager.init();
         
         // Conectar callbacks do SettingsManager
@@ -118,11 +152,16 @@ class TodoApp {
         
         // Conectar callbacks do ModalManager
         this.connectModalCallbacks();
+
+        // Conectar callbacks da criação rápida
+        this.connectQuickAddCallbacks();
         
         // Carregar dados e configurar aplicação
-        this.loadData();
+        const catchUpSummary = this.loadData();
         this.setupEventListeners();
         this.setupEventDelegation();
+        this.setupCalendarDelegation();
+        this.setupBoardDelegation();
         
         // Aplicar configurações
         this.settingsController.applySettings();
@@ -130,23 +169,82 @@ class TodoApp {
         this.updateUserGreeting();
         this.renderAll();
         this.updateSortUI();
+        this.notifyRecurringCatchUp(catchUpSummary);
+        await this.handleLegacyLeftovers();
+
+        // Sincronizar alterações com outras abas abertas
+        this.connectSyncCallbacks();
+        this.syncService.init();
+        this.storageService.setSyncService(this.syncService);
+
+        // Backups automáticos
+        await this.initBackups();
     }
 
     /**
      * Carrega todos os dados da aplicação
+     * @returns {Object} Resumo da recuperação de ocorrências recorrentes perdidas
      */
     loadData() {
         // Carregar dados usando controladores
         this.taskController.loadTasks();
         this.categoryController.loadCategories();
         this.tagController.loadTags();
+
+        // Colocar em dia as séries recorrentes que ficaram para trás
+        return this.taskController.catchUpRecurringTasks();
+    }
+
+    /**
+     * Mostra os dados antigos do localStorage que não foram migrados (o armazenamento atual
+     * já tinha dados) e oferece baixá-los num arquivo JSON, para importar com "Mesclar"
+     * Se o usuário adiar, os dados continuam guardados e a pergunta volta no próximo início
+     * @returns {Promise<void>}
+     */
+    async handleLegacyLeftovers() {
+        const leftovers = this.storageService.legacyLeftovers;
+        const labels = { tasks: 'tarefa(s)', categories: 'categoria(s)', tags: 'tag(s)' };
+        const counts = Object.keys(leftovers).map(collection => `${leftovers[collection].length} ${labels[collection]}`);
+        if (counts.length === 0) return;
+
+        if (!confirm(`Há dados de uma versão anterior que não foram migrados, porque o armazenamento atual já tinha dados: ${counts.join(', ')}.\n\nOK: baixar esses dados num arquivo JSON (para importar com "Mesclar") e removê-los do navegador\nCancelar: manter guardados e perguntar de novo na próxima vez`)) {
+            return;
+        }
+
+        try {
+            await this.exportService.exportToJSON({ ...this.settingsController.exportSettings(), ...leftovers });
+            await this.storageService.discardLegacyLeftovers();
+            this.toastManager.success('Dados antigos baixados. Use Importar > Mesclar para trazê-los de volta.');
+        } catch (error) {
+            console.error('Erro ao exportar dados antigos:', error);
+            this.toastManager.error('Erro ao baixar os dados antigos. Eles continuam guardados no navegador.');
+        }
+    }
+
+    /**
+     * Exibe o resumo da recuperação de ocorrências recorrentes perdidas
+     * @param {Object} summary - Resumo retornado por TaskController.catchUpRecurringTasks
+     */
+    notifyRecurringCatchUp(summary) {
+        if (!summary || summary.series === 0) return;
+
+        const details = [];
+        if (summary.generated > 0) details.push(`${summary.generated} ocorrência(s) gerada(s)`);
+        if (summary.collapsed > 0) details.push(`${summary.collapsed} agrupada(s) em tarefas atrasadas`);
+        if (summary.skipped > 0) details.push(`${summary.skipped} pulada(s)`);
+
+        this.toastManager.info(`Recorrências atualizadas em ${summary.series} série(s): ${details.join(', ')}.`, 6000);
     }
 
     /**
      * Renderiza todos os componentes
      */
     renderAll() {
+        // Filtros que citam categorias ou tags excluídas (inclusive em outra aba) são ajustados
+        this.filterController.pruneFilters(this.categoryController.getAllCategories(), this.tagController.getAllTags());
+
         this.renderTasks();
+        this.renderSmartLists();
         this.renderCategories();
         this.renderTags();
         this.updateStats();
@@ -158,11 +256,14 @@ class TodoApp {
     /**
      * Adiciona uma nova tarefa
      * @param {Object} taskData - Dados da tarefa
+     * @returns {boolean} Se a tarefa foi adicionada
      */
     addTask(taskData) {
-        if (this.taskController.addTask(taskData)) {
+        const added = this.taskController.addTask(taskData);
+        if (added) {
             this.renderAll();
         }
+        return added;
     }
 
 
@@ -195,26 +296,93 @@ class TodoApp {
     }
 
     /**
-     * Exclui série recorrente completa
+     * Converte uma subtarefa em tarefa completa
+     * @param {string} taskId - ID da tarefa que contém a subtarefa
+     * @param {string} subtaskId - ID da subtarefa
+     * @returns {boolean} Se a subtarefa foi convertida
+     */
+    convertSubtaskToTask(taskId, subtaskId) {
+        if (this.taskController.convertSubtaskToTask(taskId, subtaskId)) {
+            this.renderAll();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Exclui ocorrências de uma série recorrente
+     * Funciona a partir da tarefa pai ou de qualquer ocorrência gerada,
+     * mostrando quantas tarefas serão afetadas antes de confirmar
      * @param {string} taskId - ID da tarefa
      */
     deleteRecurringSeries(taskId) {
         const task = this.taskController.getTaskById(taskId);
-        if (!task || !task.isRecurring) {
+        if (!task || (!task.isRecurring && !task.parentRecurringId)) {
             console.warn('Tarefa não encontrada ou não é recorrente:', taskId);
             return;
         }
 
-        if (confirm(`Tem certeza que deseja excluir toda a série recorrente "${task.title}"? Esta ação não pode ser desfeita.`)) {
-            // Implementar lógica para excluir toda a série
-            console.log('Excluindo série recorrente:', taskId);
-            
-            // Por enquanto, apenas excluir a tarefa atual
-            if (this.taskController.deleteTaskConfirm(taskId)) {
-                this.toastManager.success('Série recorrente excluída com sucesso!');
-                this.renderAll();
+        const count = scope => this.taskController.getSeriesScopeTasks(taskId, scope).length;
+        const futureCount = count('future');
+        const afterThisCount = count('afterThis');
+        const allCount = count('all');
+
+        this.modalManager.openRecurringScopeModal({
+            title: 'Excluir Série Recorrente',
+            message: `"${task.title}" faz parte de uma série com ${allCount} tarefa(s). Esta ação não pode ser desfeita.`,
+            options: [
+                {
+                    value: 'future',
+                    label: 'Esta e as próximas ocorrências',
+                    description: `Exclui ${futureCount} tarefa(s) pendente(s). Ocorrências concluídas são mantidas.`
+                },
+                {
+                    value: 'afterThis',
+                    label: 'Encerrar a série após esta',
+                    description: `Mantém esta ocorrência e exclui ${afterThisCount} tarefa(s) futura(s).`
+                },
+                {
+                    value: 'all',
+                    label: 'Toda a série, incluindo o histórico',
+                    description: `Exclui ${allCount} tarefa(s), inclusive as concluídas.`
+                }
+            ],
+            confirmText: 'Excluir',
+            danger: true,
+            onConfirm: (scope) => {
+                if (this.taskController.deleteRecurringSeries(taskId, scope) !== false) {
+                    this.renderAll();
+                }
             }
+        });
+    }
+
+    /**
+     * Pula uma ocorrência recorrente sem marcá-la como concluída
+     * @param {string} taskId - ID da tarefa
+     */
+    skipOccurrence(taskId) {
+        if (this.taskController.skipOccurrence(taskId)) {
+            this.renderAll();
+        }
+    }
+
+    /**
+     * Abre o modal para adiar uma ocorrência recorrente
+     * @param {string} taskId - ID da tarefa
+     */
+    postponeOccurrence(taskId) {
+        const task = this.taskController.getTaskById(taskId);
+        if (!task) {
+            console.warn('Tarefa não encontrada:', taskId);
+            return;
         }
+
+        this.modalManager.openPostponeModal(task, (newDate) => {
+            if (this.taskController.postponeOccurrence(taskId, newDate)) {
+                this.renderAll();
+            }
+        });
     }
 
     /**
@@ -261,12 +429,15 @@ class TodoApp {
      * Atualiza uma categoria existente
      * @param {string} categoryId - ID da categoria
      * @param {Object} categoryData - Novos dados da categoria
+     * @returns {boolean} Se a categoria foi atualizada
      */
     updateCategory(categoryId, categoryData) {
         if (this.categoryController.updateCategory(categoryId, categoryData)) {
             this.renderAll();
             this.updateCategorySelects();
+            return true;
         }
+        return false;
     }
 
     /**
@@ -305,11 +476,41 @@ class TodoApp {
      * Atualiza uma tag existente
      * @param {string} tagId - ID da tag
      * @param {Object} tagData - Novos dados da tag
+     * @returns {boolean} Se a tag foi atualizada
      */
     updateTag(tagId, tagData) {
         if (this.tagController.updateTag(tagId, tagData)) {
             this.renderAll();
             this.updateTagSelects();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Define se um grupo de tags aceita apenas uma tag por tarefa
+     * @param {string} group - Nome do grupo
+     * @param {boolean} exclusive - Uma tag por grupo
+     */
+    setTagGroupExclusive(group, exclusive) {
+        if (this.tagController.setGroupExclusive(group, exclusive)) {
+            this.renderTags();
+            this.renderTagsManagement();
+            this.updateTagSelects();
+        }
+    }
+
+    /**
+     * Confirma e desfaz um grupo de tags (as tags são mantidas, sem grupo)
+     * @param {string} group - Nome do grupo
+     */
+    removeTagGroupConfirm(group) {
+        if (!confirm(`Desfazer o grupo "${group}"? As tags do grupo continuam existindo, sem grupo.`)) return;
+
+        if (this.tagController.removeGroup(group)) {
+            this.renderTags();
+            this.renderTagsManagement();
+            this.updateTagSelects();
         }
     }
 
@@ -338,11 +539,27 @@ class TodoApp {
         const searchTerm = DOMUtils.getValue(DOMUtils.getById('searchInput')) || '';
         this.filterController.setSearchTerm(searchTerm);
         
-        return this.filterController.getFilteredTasks(
+        const tasks = this.filterController.getFilteredTasks(
             this.taskController.getAllTasks(),
             this.categoryController.getAllCategories(),
             this.tagController.getAllTags()
         );
+        this.renderController.renderSearchError(this.filterController.getSearchError());
+        return tasks;
+    }
+
+    /**
+     * Atualiza o autocompletar da busca (campos da consulta e histórico)
+     */
+    updateSearchSuggestions() {
+        const query = DOMUtils.getValue(DOMUtils.getById('searchInput')) || '';
+        const suggestions = this.filterController.getSearchSuggestions(
+            query,
+            this.taskController.getAllTasks(),
+            this.categoryController.getAllCategories(),
+            this.tagController.getAllTags()
+        );
+        this.renderController.renderSearchSuggestions(suggestions);
     }
 
     /**
@@ -422,6 +639,10 @@ class TodoApp {
                         this.deleteTaskConfirm(taskId);
                     } else if (action.classList.contains('delete-series')) {
                         this.deleteRecurringSeries(taskId);
+                    } else if (action.classList.contains('skip')) {
+                        this.skipOccurrence(taskId);
+                    } else if (action.classList.contains('postpone')) {
+                        this.postponeOccurrence(taskId);
                     }
                 }
             } catch (error) {
@@ -449,6 +670,174 @@ class TodoApp {
 
 
 
+    /**
+     * Configura event delegation do calendário (navegação, edição e arrastar para reagendar)
+     */
+    setupCalendarDelegation() {
+        const calendarView = DOMUtils.getById('calendarView');
+        if (!calendarView) return;
+
+        DOMUtils.addEventListener(calendarView, 'click', (e) => {
+            try {
+                const modeBtn = e.target.closest('[data-calendar-mode]');
+                const actionBtn = e.target.closest('[data-calendar-action]');
+                const taskChip = e.target.closest('.calendar-task');
+
+                if (modeBtn) {
+                    this.renderController.setCalendarMode(modeBtn.dataset.calendarMode);
+                    this.saveTaskView();
+                } else if (actionBtn) {
+                    const action = actionBtn.dataset.calendarAction;
+                    if (action === 'prev') {
+                        this.renderController.shiftCalendar(-1);
+                    } else if (action === 'next') {
+                        this.renderController.shiftCalendar(1);
+                    } else if (action === 'today') {
+                        this.renderController.goToCalendarToday();
+                    } else if (action === 'open-day') {
+                        this.renderController.setCalendarMode('day', DateUtils.createLocalDate(actionBtn.dataset.date));
+                        this.saveTaskView();
+                    }
+                } else if (taskChip) {
+                    // Ocorrências previstas abrem a ocorrência atual da série
+                    this.editTask(taskChip.dataset.taskId);
+                    return;
+                } else {
+                    return;
+                }
+
+                this.renderTasks();
+            } catch (error) {
+                console.error('Erro no event delegation do calendário (click):', error);
+            }
+        });
+
+        DOMUtils.addEventListener(calendarView, 'dragstart', (e) => {
+            const taskChip = e.target.closest('.calendar-task[draggable="true"]');
+            if (!taskChip) return;
+
+            e.dataTransfer.setData('text/plain', taskChip.dataset.taskId);
+            e.dataTransfer.effectAllowed = 'move';
+            taskChip.classList.add('dragging');
+        });
+
+        DOMUtils.addEventListener(calendarView, 'dragend', (e) => {
+            const taskChip = e.target.closest('.calendar-task');
+            if (taskChip) taskChip.classList.remove('dragging');
+        });
+
+        DOMUtils.addEventListener(calendarView, 'dragover', (e) => {
+            const dropTarget = e.target.closest('[data-date]:not(button)');
+            if (!dropTarget) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            calendarView.querySelectorAll('.drop-target').forEach(el => {
+                if (el !== dropTarget) el.classList.remove('drop-target');
+            });
+            dropTarget.classList.add('drop-target');
+        });
+
+        DOMUtils.addEventListener(calendarView, 'dragleave', (e) => {
+            const dropTarget = e.target.closest('[data-date]:not(button)');
+            if (dropTarget && !dropTarget.contains(e.relatedTarget)) {
+                dropTarget.classList.remove('drop-target');
+            }
+        });
+
+        DOMUtils.addEventListener(calendarView, 'drop', (e) => {
+            try {
+                const dropTarget = e.target.closest('[data-date]:not(button)');
+                if (!dropTarget) return;
+
+                e.preventDefault();
+                dropTarget.classList.remove('drop-target');
+
+                const taskId = e.dataTransfer.getData('text/plain');
+                if (!taskId) return;
+
+                // Apenas a agenda diária define o horário; nos demais modos o horário é mantido
+                const newTime = dropTarget.dataset.time !== undefined ? dropTarget.dataset.time : undefined;
+                this.rescheduleTask(taskId, dropTarget.dataset.date, newTime);
+            } catch (error) {
+                console.error('Erro no event delegation do calendário (drop):', error);
+            }
+        });
+    }
+
+    /**
+     * Configura event delegation do quadro Kanban (agrupamento, edição e arrastar entre colunas)
+     */
+    setupBoardDelegation() {
+        const boardView = DOMUtils.getById('boardView');
+        if (!boardView) return;
+
+        DOMUtils.addEventListener(boardView, 'click', (e) => {
+            try {
+                const groupBtn = e.target.closest('[data-board-group]');
+                if (groupBtn) {
+                    this.renderController.setBoardGroupBy(groupBtn.dataset.boardGroup);
+                    this.saveTaskView();
+                    this.renderTasks();
+                    return;
+                }
+
+                const card = e.target.closest('.board-card');
+                if (card) this.editTask(card.dataset.taskId);
+            } catch (error) {
+                console.error('Erro no event delegation do quadro (click):', error);
+            }
+        });
+
+        DOMUtils.addEventListener(boardView, 'dragstart', (e) => {
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+
+            e.dataTransfer.setData('text/plain', card.dataset.taskId);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+
+        DOMUtils.addEventListener(boardView, 'dragend', (e) => {
+            const card = e.target.closest('.board-card');
+            if (card) card.classList.remove('dragging');
+        });
+
+        DOMUtils.addEventListener(boardView, 'dragover', (e) => {
+            const column = e.target.closest('.board-column');
+            if (!column) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            boardView.querySelectorAll('.board-column.drop-target').forEach(el => {
+                if (el !== column) el.classList.remove('drop-target');
+            });
+            column.classList.add('drop-target');
+        });
+
+        DOMUtils.addEventListener(boardView, 'dragleave', (e) => {
+            const column = e.target.closest('.board-column');
+            if (column && !column.contains(e.relatedTarget)) {
+                column.classList.remove('drop-target');
+            }
+        });
+
+        DOMUtils.addEventListener(boardView, 'drop', (e) => {
+            try {
+                const column = e.target.closest('.board-column');
+                if (!column) return;
+
+                e.preventDefault();
+                column.classList.remove('drop-target');
+
+                const taskId = e.dataTransfer.getData('text/plain');
+                if (taskId) this.moveBoardTask(taskId, column.dataset.columnValue);
+            } catch (error) {
+                console.error('Erro no event delegation do quadro (drop):', error);
+            }
+        });
+    }
+
     /**
      * Debug: Verifica o estado atual da renderização
      * @returns {Object} Estado de debug
@@ -488,14 +877,15 @@ class TodoApp {
 
     /**
      * Filtra por categoria
+     * Clique simples filtra só pela categoria (ou desfaz o filtro); ctrl/cmd+clique adiciona ou remove
+     * a categoria da seleção, mostrando tarefas de qualquer uma das categorias selecionadas
      * @param {string} categoryId - ID da categoria
+     * @param {MouseEvent} event - Evento do clique (opcional)
      */
-    filterByCategory(categoryId) {
-        // Toggle: se já está ativa, desmarcar; senão, marcar
-        const isCurrentlyActive = this.filterController.currentCategoryFilter === categoryId;
-        const newCategoryId = isCurrentlyActive ? null : categoryId;
+    filterByCategory(categoryId, event = null) {
+        const additive = Boolean(event && (event.ctrlKey || event.metaKey));
         
-        this.filterController.setCategoryFilter(newCategoryId);
+        this.filterController.setCategoryFilter(categoryId, additive);
         this.updateActiveFilterButtons();
         this.updateSectionTitle();
         this.renderController.resetPagination();
@@ -504,20 +894,39 @@ class TodoApp {
 
     /**
      * Filtra por tag
+     * Clique simples filtra só pela tag (ou desfaz o filtro); ctrl/cmd+clique adiciona ou remove
+     * a tag da expressão com AND
      * @param {string} tagId - ID da tag
+     * @param {MouseEvent} event - Evento do clique (opcional)
      */
-    filterByTag(tagId) {
-        // Toggle: se já está ativa, desmarcar; senão, marcar
-        const isCurrentlyActive = this.filterController.currentTagFilter === tagId;
-        const newTagId = isCurrentlyActive ? null : tagId;
+    filterByTag(tagId, event = null) {
+        const additive = Boolean(event && (event.ctrlKey || event.metaKey));
         
-        this.filterController.setTagFilter(newTagId);
+        this.filterController.setTagFilter(tagId, additive);
         this.updateActiveFilterButtons();
         this.updateSectionTitle();
         this.renderController.resetPagination();
         this.renderAll();
     }
 
+    /**
+     * Filtra pela expressão de tags digitada na sidebar (ex: "#urgente AND NOT #aguardando")
+     * Erros de sintaxe aparecem abaixo do campo e mantêm o filtro anterior
+     * @param {string} text - Expressão
+     * @returns {boolean} Se a expressão foi aplicada
+     */
+    applyTagExpression(text) {
+        const result = this.filterController.setTagExpressionText(text, this.tagController.getAllTags());
+        this.renderController.renderTagExpressionError(result.error);
+        if (!result.isValid) return false;
+
+        this.updateActiveFilterButtons();
+        this.updateSectionTitle();
+        this.renderController.resetPagination();
+        this.renderAll();
+        return true;
+    }
+
     /**
      * Limpa todos os filtros
      */
@@ -529,6 +938,89 @@ class TodoApp {
         this.renderAll();
     }
 
+    // ===== SMART LISTS =====
+
+    /**
+     * Salva os filtros, a busca e a ordenação atuais como lista inteligente
+     * @param {string} name - Nome da lista
+     * @returns {boolean} Se a lista foi salva
+     */
+    saveSmartList(name) {
+        this.filterController.setSearchTerm(DOMUtils.getValue(DOMUtils.getById('searchInput')) || '');
+        if (this.filterController.getSearchError()) {
+            this.toastManager.validationError('Corrija a busca antes de salvar a lista.');
+            return false;
+        }
+
+        const smartList = this.smartListController.addSmartList(
+            name,
+            this.filterController.getFilterState(),
+            this.settingsController.getSetting('sortOptions')
+        );
+        if (!smartList) return false;
+
+        this.sidebarManager.toggleSmartListForm(false);
+        this.renderSmartLists();
+        return true;
+    }
+
+    /**
+     * Aplica uma lista inteligente (clicar de novo na lista ativa limpa os filtros)
+     * @param {string} smartListId - ID da lista
+     */
+    applySmartList(smartListId) {
+        const smartList = this.smartListController.getSmartListById(smartListId);
+        if (!smartList) return;
+
+        const activeList = this.smartListController.findByFilterState(this.filterController.getFilterState());
+        if (activeList && activeList.id === smartListId) {
+            DOMUtils.setValue(DOMUtils.getById('searchInput'), '');
+            this.clearAllFilters();
+            return;
+        }
+
+        DOMUtils.setValue(DOMUtils.getById('searchInput'), smartList.filterState.currentSearchTerm || '');
+        this.filterController.applyFilterState(smartList.filterState);
+
+        if (smartList.sortOptions) {
+            this.settingsController.updateSortOptions(smartList.sortOptions);
+            this.updateSortUI();
+        }
+
+        this.updateActiveFilterButtons();
+        this.updateSectionTitle();
+        this.renderController.resetPagination();
+        this.renderAll();
+    }
+
+    /**
+     * Confirma exclusão de lista inteligente
+     * @param {string} smartListId - ID da lista
+     */
+    deleteSmartListConfirm(smartListId) {
+        if (this.smartListController.deleteSmartListConfirm(smartListId)) {
+            this.renderSmartLists();
+        }
+    }
+
+    /**
+     * Renderiza as listas inteligentes com o número atual de tarefas de cada uma
+     */
+    renderSmartLists() {
+        const tasks = this.taskController.getAllTasks();
+        const categories = this.categoryController.getAllCategories();
+        const tags = this.tagController.getAllTags();
+        const smartLists = this.smartListController.getAllSmartLists();
+
+        const counts = {};
+        smartLists.forEach(list => {
+            counts[list.id] = this.filterController.countTasksForState(list.filterState, tasks, categories, tags);
+        });
+
+        const activeList = this.smartListController.findByFilterState(this.filterController.getFilterState());
+        this.renderController.renderSmartLists(smartLists, counts, activeList ? activeList.id : null);
+    }
+
     // ===== RENDERING =====
 
     /**
@@ -537,6 +1029,20 @@ class TodoApp {
     renderTasks() {
         const filteredTasks = this.getFilteredTasks();
         const hasActiveFilters = this.filterController.hasActiveFilters();
+
+        if (this.renderController.isCalendarView()) {
+            this.renderCalendar(filteredTasks);
+            return;
+        }
+
+        if (this.renderController.isBoardView()) {
+            this.renderController.renderBoard(
+                filteredTasks,
+                this.categoryController.getAllCategories(),
+                this.tagController.getAllTags()
+            );
+            return;
+        }
         
         this.renderController.renderTasksWithPagination(
             filteredTasks,
@@ -546,6 +1052,75 @@ class TodoApp {
         );
     }
 
+    /**
+     * Renderiza o calendário com as tarefas filtradas e as ocorrências previstas
+     * @param {Array} filteredTasks - Tarefas filtradas
+     */
+    renderCalendar(filteredTasks = this.getFilteredTasks()) {
+        const { start, end } = this.renderController.getCalendarRange();
+        const projected = this.taskController.getProjectedOccurrences(filteredTasks, start, end);
+
+        this.renderController.renderCalendar(
+            filteredTasks,
+            projected,
+            this.categoryController.getAllCategories()
+        );
+    }
+
+    /**
+     * Alterna entre lista, calendário e quadro
+     * @param {string} view - 'list', 'calendar' ou 'board'
+     */
+    setView(view) {
+        this.renderController.setView(view);
+        this.saveTaskView();
+        this.renderTasks();
+    }
+
+    /**
+     * Salva a visualização atual
+     */
+    saveTaskView() {
+        this.storageService.saveTaskView({
+            view: this.renderController.currentView,
+            calendarMode: this.renderController.calendarMode,
+            boardGroupBy: this.renderController.boardGroupBy
+        });
+    }
+
+    /**
+     * Move um cartão do quadro para outra coluna
+     * Soltar em "Concluído" conclui a tarefa como o checkbox (gerando a próxima recorrência)
+     * @param {string} taskId - ID da tarefa
+     * @param {string} value - Valor da coluna de destino
+     */
+    moveBoardTask(taskId, value) {
+        const groupBy = this.renderController.boardGroupBy;
+        const task = this.taskController.getTaskById(taskId);
+        if (!task) return;
+
+        if (groupBy === 'status' && value === 'done') {
+            if (!task.completed) this.toggleTaskComplete(taskId);
+            return;
+        }
+
+        if (this.taskController.moveTaskToBoardColumn(taskId, groupBy, value)) {
+            this.renderAll();
+        }
+    }
+
+    /**
+     * Reagenda uma tarefa arrastada no calendário
+     * @param {string} taskId - ID da tarefa
+     * @param {string} newDate - Nova data (YYYY-MM-DD)
+     * @param {string} newTime - Novo horário (undefined para manter)
+     */
+    rescheduleTask(taskId, newDate, newTime = undefined) {
+        if (this.taskController.rescheduleTask(taskId, newDate, newTime)) {
+            this.renderAll();
+        }
+    }
+
     /**
      * Renderiza o botão de paginação
      * @param {number} totalTasks - Total de tarefas filtradas
@@ -607,11 +1182,20 @@ class TodoApp {
     renderCategories() {
         this.renderController.renderCategories(
             this.categoryController.getAllCategories(),
-            this.filterController.currentCategoryFilter,
-            this.taskController.getAllTasks()
+            this.filterController.categoryFilters,
+            this.categoryController.getCategoryStats().byCategory
         );
     }
 
+    /**
+     * Recolhe ou expande as subcategorias de uma categoria na sidebar
+     * @param {string} categoryId - ID da categoria
+     */
+    toggleCategoryCollapse(categoryId) {
+        this.taskRenderer.toggleCategoryCollapse(categoryId);
+        this.renderCategories();
+    }
+
     /**
      * Renderiza a lista de categorias no modal de gerenciamento
      */
@@ -628,6 +1212,7 @@ class TodoApp {
         this.renderController.renderTagsManagement(
             this.tagController.getAllTags()
         );
+        this.modalManager.updateTagGroupOptions(this.tagController.getGroupNames());
     }
 
     /**
@@ -654,8 +1239,9 @@ class TodoApp {
     handleCategoryFormSubmit() {
         const name = DOMUtils.getValue(DOMUtils.getById('categoryName')).trim();
         const color = DOMUtils.getValue(DOMUtils.getById('categoryColor'));
+        const parentId = DOMUtils.getValue(DOMUtils.getById('categoryParent')) || null;
 
-        if (this.addCategory({ name, color })) {
+        if (this.addCategory({ name, color, parentId })) {
             this.clearCategoryForm();
             this.renderCategoriesManagement();
             this.updateCategoryFormButton();
@@ -668,8 +1254,9 @@ class TodoApp {
     handleTagFormSubmit() {
         const name = DOMUtils.getValue(DOMUtils.getById('tagName')).trim();
         const color = DOMUtils.getValue(DOMUtils.getById('tagColor'));
+        const group = DOMUtils.getValue(DOMUtils.getById('tagGroup'));
 
-        if (this.addTag({ name, color })) {
+        if (this.addTag({ name, color, group })) {
             this.clearTagForm();
             this.renderTagsManagement();
             this.updateTagFormButton();
@@ -683,16 +1270,12 @@ class TodoApp {
         const button = DOMUtils.querySelector('#categoryForm button[type="submit"]');
         if (button) {
             const count = this.categoryController.getAllCategories().length;
-            const max = 5;
             const isEditing = button.getAttribute('data-editing-category');
             
-            if (isEditing) {
-                // Se está editando, não desabilitar o botão
-                button.disabled = false;
-            } else {
-                // Se está adicionando, verificar limite
-                button.innerHTML = `<i class="fas fa-plus"></i> Adicionar Categoria (${count}/${max})`;
-                button.disabled = count >= max;
+            // Sem limite de categorias: o botão nunca fica desabilitado
+            button.disabled = false;
+            if (!isEditing) {
+                button.innerHTML = `<i class="fas fa-plus"></i> Adicionar Categoria (${count})`;
             }
         }
     }
@@ -704,16 +1287,12 @@ class TodoApp {
         const button = DOMUtils.querySelector('#tagForm button[type="submit"]');
         if (button) {
             const count = this.tagController.getAllTags().length;
-            const max = 5;
             const isEditing = button.getAttribute('data-editing-tag');
             
-            if (isEditing) {
-                // Se está editando, não desabilitar o botão
-                button.disabled = false;
-            } else {
-                // Se está adicionando, verificar limite
-                button.innerHTML = `<i class="fas fa-plus"></i> Adicionar Tag (${count}/${max})`;
-                button.disabled = count >= max;
+            // Sem limite de tags: o botão nunca fica desabilitado
+            button.disabled = false;
+            if (!isEditing) {
+                button.innerHTML = `<i class="fas fa-plus"></i> Adicionar Tag (${count})`;
             }
         }
     }
@@ -729,6 +1308,11 @@ class TodoApp {
         // Preencher formulário com dados da categoria
         DOMUtils.setValue(DOMUtils.getById('categoryName'), category.name);
         DOMUtils.setValue(DOMUtils.getById('categoryColor'), category.color);
+        this.modalManager.updateCategoryParentSelect(
+            this.categoryController.getAllCategories(),
+            categoryId,
+            category.parentId || null
+        );
         
         // Alterar botão para "Atualizar"
         const button = DOMUtils.querySelector('#categoryForm button[type="submit"]');
@@ -755,6 +1339,7 @@ class TodoApp {
         // Preencher formulário com dados da tag
         DOMUtils.setValue(DOMUtils.getById('tagName'), tag.name);
         DOMUtils.setValue(DOMUtils.getById('tagColor'), tag.color);
+        DOMUtils.setValue(DOMUtils.getById('tagGroup'), tag.group || '');
         
         // Alterar botão para "Atualizar"
         const button = DOMUtils.querySelector('#tagForm button[type="submit"]');
@@ -777,8 +1362,9 @@ class TodoApp {
     updateCategoryFromForm(categoryId) {
         const name = DOMUtils.getValue(DOMUtils.getById('categoryName')).trim();
         const color = DOMUtils.getValue(DOMUtils.getById('categoryColor'));
+        const parentId = DOMUtils.getValue(DOMUtils.getById('categoryParent')) || null;
 
-        if (this.updateCategory(categoryId, { name, color })) {
+        if (this.updateCategory(categoryId, { name, color, parentId })) {
             this.clearCategoryForm();
             this.renderCategoriesManagement();
             this.updateCategoryFormButton();
@@ -793,8 +1379,9 @@ class TodoApp {
     updateTagFromForm(tagId) {
         const name = DOMUtils.getValue(DOMUtils.getById('tagName')).trim();
         const color = DOMUtils.getValue(DOMUtils.getById('tagColor'));
+        const group = DOMUtils.getValue(DOMUtils.getById('tagGroup'));
 
-        if (this.updateTag(tagId, { name, color })) {
+        if (this.updateTag(tagId, { name, color, group })) {
             this.clearTagForm();
             this.renderTagsManagement();
             this.updateTagFormButton();
@@ -832,6 +1419,7 @@ class TodoApp {
         if (this.categoryController.deleteCategoryConfirm(categoryId)) {
             this.renderAll();
             this.renderCategoriesManagement();
+            this.modalManager.updateCategoryParentSelect(this.categoryController.getAllCategories());
             this.updateCategoryFormButton();
         }
     }
@@ -852,11 +1440,11 @@ class TodoApp {
      * Renderiza as tags
      */
     renderTags() {
-        this.renderController.renderTags(
-            this.tagController.getAllTags(),
-            this.filterController.currentTagFilter,
-            this.taskController.getAllTasks()
-        );
+        const tags = this.tagController.getAllTags();
+        const { included, excluded } = this.filterController.getTagFilterIds();
+
+        this.renderController.renderTags(tags, included, this.taskController.getAllTasks(), excluded);
+        this.renderController.renderTagExpression(this.filterController.getTagExpressionText(tags));
     }
 
     // ===== UTILITY METHODS =====
@@ -892,8 +1480,7 @@ class TodoApp {
      */
     updateActiveFilterButtons() {
         // Se há filtros de categoria/tag ativos, não mostrar botão "Todas" ativo
-        const hasCategoryOrTagFilters = this.filterController.currentCategoryFilter !== null || 
-                                       this.filterController.currentTagFilter !== null;
+        const hasCategoryOrTagFilters = this.filterController.hasCategoryOrTagFilters();
         
         if (hasCategoryOrTagFilters && this.filterController.currentFilter === 'all') {
             // Limpar todos os botões sem ativar nenhum
@@ -937,11 +1524,31 @@ class TodoApp {
             this.openModal();
         });
 
+        // Alternar entre lista e calendário
+        DOMUtils.querySelectorAll('.view-btn').forEach(btn => {
+            DOMUtils.addEventListener(btn, 'click', () => {
+                this.setView(btn.dataset.view);
+            });
+        });
+
         // Search input (com debounce para melhorar performance)
         DOMUtils.addEventListener(DOMUtils.getById('searchInput'), 'input', () => {
+            this.updateSearchSuggestions();
             this.debouncedSearch();
         });
 
+        // Buscas confirmadas (Enter ou saída do campo) sem erro entram no histórico
+        DOMUtils.addEventListener(DOMUtils.getById('searchInput'), 'change', () => {
+            const searchTerm = (DOMUtils.getValue(DOMUtils.getById('searchInput')) || '').trim();
+            if (searchTerm && !this.filterController.getSearchError()) {
+                this.filterController.addToSearchHistory(searchTerm);
+            }
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('searchInput'), 'focus', () => {
+            this.updateSearchSuggestions();
+        });
+
         // Filter buttons
         DOMUtils.querySelectorAll('.filter-btn').forEach(btn => {
             DOMUtils.addEventListener(btn, 'click', (e) => {
@@ -954,6 +1561,30 @@ class TodoApp {
             this.clearAllFilters();
         });
 
+        // Listas inteligentes
+        DOMUtils.addEventListener(DOMUtils.getById('addSmartListBtn'), 'click', () => {
+            this.sidebarManager.toggleSmartListForm();
+        });
+        DOMUtils.addEventListener(DOMUtils.getById('smartListForm'), 'submit', (e) => {
+            e.preventDefault();
+            this.saveSmartList(DOMUtils.getValue(DOMUtils.getById('smartListName')));
+        });
+        DOMUtils.addEventListener(DOMUtils.getById('smartListName'), 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.sidebarManager.toggleSmartListForm(false);
+            }
+        });
+
+        // Expressão de tags (aplicada com Enter ou ao sair do campo)
+        const tagExpressionInput = DOMUtils.getById('tagExpressionInput');
+        DOMUtils.addEventListener(tagExpressionInput, 'change', () => {
+            this.applyTagExpression(tagExpressionInput.value);
+        });
+        DOMUtils.addEventListener(tagExpressionInput, 'input', () => {
+            this.renderController.renderTagExpressionError(null);
+        });
+
         // Management buttons
         DOMUtils.addEventListener(DOMUtils.getById('manageCategoriesBtn'), 'click', () => {
             this.openCategoryModal();
@@ -1064,6 +1695,7 @@ class TodoApp {
         if (modal) {
             modal.style.display = 'flex';
             this.renderCategoriesManagement();
+            this.modalManager.updateCategoryParentSelect(this.categoryController.getAllCategories());
             this.updateCategoryFormButton();
             
             // Fechar sidebar no mobile para dar mais espaço
@@ -1118,6 +1750,7 @@ class TodoApp {
     clearCategoryForm() {
         DOMUtils.setValue(DOMUtils.getById('categoryName'), '');
         DOMUtils.setValue(DOMUtils.getById('categoryColor'), '#007bff');
+        this.modalManager.updateCategoryParentSelect(this.categoryController.getAllCategories());
         this.resetCategoryFormButton();
     }
 
@@ -1127,6 +1760,7 @@ class TodoApp {
     clearTagForm() {
         DOMUtils.setValue(DOMUtils.getById('tagName'), '');
         DOMUtils.setValue(DOMUtils.getById('tagColor'), '#dc3545');
+        DOMUtils.setValue(DOMUtils.getById('tagGroup'), '');
         this.resetTagFormButton();
     }
 
@@ -1134,7 +1768,15 @@ class TodoApp {
      * Fecha o modal de tarefa
      */
     closeModal() {
+        // Sobre o modal de tarefa, o Esc fecha só a escolha de escopo e volta ao formulário
+        if (this.modalManager.currentModal === 'recurringScope' && this.modalManager.recurringScopeReturnModal) {
+            this.modalManager.closeRecurringScopeModal();
+            return;
+        }
+
         this.modalManager.closeTaskModal();
+        this.modalManager.closeRecurringScopeModal();
+        this.modalManager.closePostponeModal();
     }
 
     /**
@@ -1189,32 +1831,186 @@ class TodoApp {
         this.settingsManager.onCustomColorsChange = (colors) => this.applyCustomColors(colors);
         this.settingsManager.onCompletedTasksDaysChange = (days) => this.updateCompletedTasksDays(days);
         this.settingsManager.onSortOptionsChange = (sortOptions) => this.updateSortOptions(sortOptions);
-        this.settingsManager.onExportData = (format) => this.exportData(format);
-        this.settingsManager.onValidateImportFile = (file) => this.validateImportFile(file);
-        this.settingsManager.onImportData = (file) => this.importData(file);
+        this.settingsManager.onExportData = (format, options) => this.exportData(format, options);
+        this.settingsManager.onPreviewImport = (file, options) => this.previewImport(file, options);
+        this.settingsManager.onImportData = (file, mode, selection, options) => this.importData(file, mode, selection, options);
+        this.settingsManager.onPreviewImportMerge = (file, selection, options) => this.previewImportMerge(file, selection, options);
         this.settingsManager.onClearAllData = () => this.clearAllData();
+        this.settingsManager.onBackupSettingsChange = (settings) => this.updateBackupSettings(settings);
+        this.settingsManager.onCreateBackup = () => this.createBackupNow();
+        this.settingsManager.onChooseBackupFolder = () => this.chooseBackupFolder();
+        this.settingsManager.onRestoreSnapshot = (snapshotId) => this.restoreSnapshot(snapshotId);
     }
 
     /**
      * Conecta callbacks do ModalManager
      */
     connectModalCallbacks() {
-        this.modalManager.onTaskFormSubmit = (formData, taskId) => this.handleTaskFormSubmit(formData, taskId);
+        this.modalManager.onTaskFormSubmit = (formData, taskId, scope) => this.handleTaskFormSubmit(formData, taskId, scope);
         this.modalManager.getTaskById = (taskId) => this.getTaskById(taskId);
         this.modalManager.getCategoryUsageCount = (categoryId) => this.getCategoryTaskCount(categoryId);
         this.modalManager.getTagUsageCount = (tagId) => this.getTagTaskCount(tagId);
         this.modalManager.onValidationError = (message) => this.toastManager.validationError(message);
+        this.modalManager.onConvertSubtask = (taskId, subtaskId) => this.convertSubtaskToTask(taskId, subtaskId);
+    }
+
+    /**
+     * Conecta callbacks da criação rápida
+     */
+    connectQuickAddCallbacks() {
+        this.quickAddManager.getCategories = () => this.categoryController.getAllCategories();
+        this.quickAddManager.getTags = () => this.tagController.getAllTags();
+        this.quickAddManager.onSubmit = (taskData) => this.addTask(taskData);
+        this.quickAddManager.onValidationError = (message) => this.toastManager.validationError(message);
+    }
+
+    /**
+     * Conecta callbacks da sincronização entre abas
+     */
+    connectSyncCallbacks() {
+        this.syncService.onMessage = (message) => this.handleSyncMessage(message);
+        document.addEventListener('visibilitychange', () => this.runPendingVisibleActions());
+    }
+
+    /**
+     * Executa uma ação quando a aba estiver visível (na hora, se já estiver)
+     * Ações com a mesma chave substituem a anterior
+     * @param {string} key - Chave da ação
+     * @param {Function} action - Ação
+     */
+    whenTabVisible(key, action) {
+        this.pendingVisibleActions.set(key, action);
+        this.runPendingVisibleActions();
+    }
+
+    /**
+     * Executa as ações guardadas, se a aba estiver visível
+     */
+    runPendingVisibleActions() {
+        if (document.hidden) return;
+
+        const actions = [...this.pendingVisibleActions.values()];
+        this.pendingVisibleActions.clear();
+        actions.forEach(action => action());
+    }
+
+    /**
+     * Aplica as alterações feitas em outra aba
+     * Quando o mesmo registro foi alterado nas duas abas, a alteração mais recente fica valendo
+     * (a mesma nas duas abas) e a aba cuja versão foi descartada pergunta ao usuário qual manter
+     * @param {Object} message - Mensagem do SyncService
+     */
+    handleSyncMessage(message) {
+        const { collection } = message;
+        const { applied, conflicts } = this.storageService.applyRemoteChanges(collection, message.changes);
+        const changedIds = applied.map(change => change.id);
+
+        conflicts.forEach(conflict => {
+            const keepLocal = this.storageService.shouldKeepLocal(conflict, message.tabId);
+            this.storageService.resolveConflict(collection, conflict, keepLocal);
+            if (!keepLocal) {
+                changedIds.push(conflict.id);
+                const key = `conflict:${collection}:${conflict.id}`;
+                this.pendingSyncConflicts.set(key, { collection, conflict });
+                this.whenTabVisible(key, () => this.askSyncConflict(key));
+            }
+        });
+
+        if (applied.length === 0 && conflicts.length === 0) return;
+
+        this.reloadSyncedCollection(collection, changedIds);
+    }
+
+    /**
+     * Recarrega uma coleção alterada pela sincronização e atualiza a interface
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} changedIds - IDs dos registros alterados
+     */
+    reloadSyncedCollection(collection, changedIds) {
+        if (collection === 'tasks') {
+            this.taskController.loadTasks();
+        } else if (collection === 'categories') {
+            this.categoryController.loadCategories();
+        } else if (collection === 'tags') {
+            this.tagController.loadTags();
+        }
+
+        this.renderAll();
+
+        if (collection === 'tasks') {
+            // A pergunta sobre o formulário aberto espera a aba ficar visível
+            changedIds.forEach(id => this.pendingSyncTaskIds.add(id));
+            this.whenTabVisible('editingTask', () => {
+                const ids = [...this.pendingSyncTaskIds];
+                this.pendingSyncTaskIds.clear();
+                this.checkEditingTaskChanged(ids);
+            });
+        }
+    }
+
+    /**
+     * Pergunta ao usuário qual versão manter num conflito em que a desta aba foi descartada
+     * Até a resposta vale a versão da outra aba; se o usuário escolher a sua, ela é restaurada
+     * @param {string} key - Chave do conflito em pendingSyncConflicts
+     */
+    askSyncConflict(key) {
+        const pending = this.pendingSyncConflicts.get(key);
+        if (!pending) return;
+        this.pendingSyncConflicts.delete(key);
+
+        const { collection, conflict } = pending;
+        if (confirm(this.getSyncConflictMessage(collection, conflict))) return;
+
+        this.storageService.restoreConflictVersion(collection, conflict);
+        this.reloadSyncedCollection(collection, [conflict.id]);
+        this.toastManager.success('A versão desta aba foi restaurada.');
+    }
+
+    /**
+     * Monta a pergunta exibida num conflito de sincronização em que a versão desta aba foi descartada
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Object} conflict - { id, local, remote }
+     * @returns {string} Mensagem
+     */
+    getSyncConflictMessage(collection, conflict) {
+        const labels = { tasks: 'A tarefa', categories: 'A categoria', tags: 'A tag' };
+        const record = conflict.local || conflict.remote;
+        const name = record.title || record.name || record.id;
+        const remoteAction = conflict.remote ? 'alterada' : 'excluída';
+        const localAction = conflict.local ? 'alterada' : 'excluída';
+
+        return `${labels[collection]} "${name}" foi ${remoteAction} em outra aba e também ${localAction} nesta aba. No momento, vale a versão da outra aba.\n\nOK: usar a versão da outra aba\nCancelar: restaurar a versão desta aba`;
+    }
+
+    /**
+     * Avisa se a tarefa aberta no modal de edição mudou em outra aba
+     * @param {Array} changedIds - IDs das tarefas alteradas
+     */
+    checkEditingTaskChanged(changedIds) {
+        const taskId = this.modalManager.editingTaskId;
+        if (this.modalManager.currentModal !== 'task' || !taskId || !changedIds.includes(taskId)) return;
+
+        if (!this.getTaskById(taskId)) {
+            this.modalManager.closeTaskModal();
+            this.toastManager.warning('A tarefa que você estava editando foi excluída em outra aba.');
+            return;
+        }
+
+        if (confirm('A tarefa que você está editando foi alterada em outra aba.\n\nOK: recarregar o formulário com a versão atualizada\nCancelar: continuar editando (ao salvar, sua versão substituirá a outra)')) {
+            this.editTask(taskId);
+        }
     }
 
     /**
      * Lida com o envio do formulário de tarefa
      * @param {Object} formData - Dados do formulário
      * @param {string} taskId - ID da tarefa (se editando)
+     * @param {string} scope - Escopo da edição em séries recorrentes ('this', 'following' ou 'all')
      */
-    handleTaskFormSubmit(formData, taskId) {
+    handleTaskFormSubmit(formData, taskId, scope = 'this') {
         if (taskId) {
             // Editar tarefa existente
-            this.updateTask(taskId, formData);
+            this.updateTask(taskId, formData, scope);
         } else {
             // Criar nova tarefa
             this.addTask(formData);
@@ -1225,9 +2021,10 @@ class TodoApp {
      * Atualiza uma tarefa existente
      * @param {string} taskId - ID da tarefa
      * @param {Object} taskData - Novos dados da tarefa
+     * @param {string} scope - Escopo da edição em séries recorrentes ('this', 'following' ou 'all')
      */
-    updateTask(taskId, taskData) {
-        if (this.taskController.updateTask(taskId, taskData)) {
+    updateTask(taskId, taskData, scope = 'this') {
+        if (this.taskController.updateRecurringTask(taskId, taskData, scope)) {
             this.renderAll();
         }
     }
@@ -1288,6 +2085,7 @@ class TodoApp {
      */
     loadSettingsForm() {
         this.settingsManager.loadSettingsForm(this.settingsController.getAllSettings());
+        this.refreshBackupPanel();
     }
 
     /**
@@ -1309,22 +2107,29 @@ class TodoApp {
     }
 
 
+    /**
+     * Obtém todos os dados da aplicação (tarefas, categorias, tags e configurações)
+     * @returns {Object} Dados para exportação ou backup
+     */
+    getAppData() {
+        return {
+            tasks: this.taskController.getAllTasks(),
+            categories: this.categoryController.getAllCategories(),
+            tags: this.tagController.getAllTags(),
+            smartLists: this.smartListController.getAllSmartLists(),
+            ...this.settingsController.exportSettings()
+        };
+    }
+
     /**
      * Exporta dados
-     * @param {string} format - Formato de exportação ('json' ou 'csv')
+     * @param {string} format - Formato de exportação ('json', 'csv' ou 'ics')
+     * @param {Object} options - Opções do formato (ics: { datedAsEvents })
      */
-    async exportData(format = 'json') {
+    async exportData(format = 'json', options = {}) {
         try {
-            const data = {
-                tasks: this.taskController.getAllTasks(),
-                categories: this.categoryController.getAllCategories(),
-                tags: this.tagController.getAllTags(),
-                ...this.settingsController.exportSettings()
-            };
-
-            await this.exportService.exportData(data, format);
+            await this.exportService.exportData(this.getAppData(), format, options);
             
-            const formatName = format === 'csv' ? 'CSV' : 'JSON';
             this.toastManager.dataExported();
         } catch (error) {
             console.error('Erro ao exportar dados:', error);
@@ -1333,58 +2138,38 @@ class TodoApp {
     }
 
     /**
-     * Valida arquivo de importação
+     * Monta a prévia item a item de um arquivo de importação
      * @param {File} file - Arquivo para validar
-     * @returns {Promise<boolean>} Se o arquivo é válido
-     */
-    async validateImportFile(file) {
-        try {
-            const data = await this.exportService.importData(file);
-            return data !== null;
-        } catch (error) {
-            console.error('Erro na validação:', error);
-            return false;
-        }
+     * @param {Object} options - Opções de leitura (ver ExportService.readImportFile)
+     * @returns {Promise<Object>} Prévia do ExportService.buildImportPreview
+     */
+    async previewImport(file, options = {}) {
+        const migration = await this.exportService.readImportFile(file, options);
+        return this.exportService.buildImportPreview(migration.data, {
+            tasks: this.taskController.getAllTasks(),
+            categories: this.categoryController.getAllCategories(),
+            tags: this.tagController.getAllTags()
+        });
     }
 
     /**
      * Importa dados
      * @param {File} file - Arquivo para importar
+     * @param {string} mode - 'replace' (substitui tudo) ou 'merge' (mescla com os dados atuais)
+     * @param {Object} selection - Itens escolhidos na prévia ({ tasks, categories, tags }; opcional)
+     * @param {Object} options - Opções de leitura (ver ExportService.readImportFile)
      */
-    async importData(file) {
+    async importData(file, mode = 'replace', selection = null, options = {}) {
         try {
-            const data = await this.exportService.importData(file);
+            const data = await this.exportService.importData(file, selection, options);
+
+            // Guardar os dados atuais antes de alterá-los
+            if (data && !await this.createSafetySnapshot('import')) return;
             
-            if (data) {
-                // Atualizar controladores com novos dados
-                this.taskController.initialize(data.tasks || []);
-                this.categoryController.initialize(data.categories || []);
-                this.tagController.initialize(data.tags || []);
-                
-                // Atualizar configurações se disponíveis
-                const settingsData = {
-                    userName: data.userName,
-                    customColors: data.customColors,
-                    theme: data.theme,
-                    sortOptions: data.sortOptions,
-                    notificationsEnabled: data.notificationsEnabled,
-                    notificationTime: data.notificationTime,
-                    completedTasksDays: data.completedTasksDays,
-                    sidebarCollapsed: data.sidebarCollapsed
-                };
-                
-                this.settingsController.importSettings(settingsData);
-                
-                // Salvar no localStorage
-                this.taskController.saveTasks();
-                this.categoryController.saveCategories();
-                this.tagController.saveTags();
-                this.settingsController.saveSettings();
-                
-                // Aplicar configurações e atualizar UI
-                this.settingsController.applySettings();
-                this.renderAll();
-                
+            if (data && mode === 'merge') {
+                this.mergeImportedData(data);
+            } else if (data) {
+                this.replaceAppData(data);
                 this.toastManager.dataImported();
             } else {
                 this.toastManager.error('Erro ao processar arquivo');
@@ -1395,10 +2180,279 @@ class TodoApp {
         }
     }
 
+    /**
+     * Substitui todos os dados pelos importados
+     * @param {Object} data - Dados importados (ExportService.processImportData)
+     */
+    replaceAppData(data) {
+        // Atualizar controladores com novos dados
+        this.taskController.initialize(data.tasks || []);
+        this.categoryController.initialize(data.categories || []);
+        this.tagController.initialize(data.tags || []);
+        
+        // Atualizar configurações se disponíveis (só backups JSON e CSV do Planno têm configurações)
+        const settingsData = !['json', 'csv'].includes(data.sourceFormat) ? {} : {
+            userName: data.userName,
+            customColors: data.customColors,
+            theme: data.theme,
+            sortOptions: data.sortOptions,
+            notificationsEnabled: data.notificationsEnabled,
+            notificationTime: data.notificationTime,
+            completedTasksDays: data.completedTasksDays,
+            sidebarCollapsed: data.sidebarCollapsed
+        };
+        
+        this.settingsController.importSettings(settingsData);
+
+        // Listas inteligentes só existem nos backups JSON
+        if (data.sourceFormat === 'json') {
+            this.smartListController.initialize(data.smartLists || []);
+            this.smartListController.saveSmartLists();
+        }
+        
+        // Salvar no localStorage
+        this.taskController.saveTasks();
+        this.categoryController.saveCategories();
+        this.tagController.saveTags();
+        this.settingsController.saveSettings();
+        
+        // Aplicar configurações e atualizar UI
+        this.settingsController.applySettings();
+        this.renderAll();
+    }
+
+    /**
+     * Monta o plano de mesclagem de um arquivo com os dados atuais
+     * @param {Object} data - Dados importados (ExportService.importData)
+     * @returns {Object} Plano do ImportMergeService
+     */
+    planImportMerge(data) {
+        return this.importMergeService.planMerge({
+            tasks: this.taskController.getAllTasks(),
+            categories: this.categoryController.getAllCategories(),
+            tags: this.tagController.getAllTags()
+        }, data);
+    }
+
+    /**
+     * Calcula a prévia da mesclagem de um arquivo
+     * @param {File} file - Arquivo para importar
+     * @param {Object} selection - Itens escolhidos na prévia (opcional)
+     * @param {Object} options - Opções de leitura (ver ExportService.readImportFile)
+     * @returns {Promise<Object|null>} Resumo (novas, atualizadas e ignoradas por tipo)
+     */
+    async previewImportMerge(file, selection = null, options = {}) {
+        try {
+            const data = await this.exportService.importData(file, selection, options);
+            return this.importMergeService.summarize(this.planImportMerge(data));
+        } catch (error) {
+            console.error('Erro ao calcular prévia da mesclagem:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Mescla os dados importados com os atuais (configurações locais são mantidas)
+     * @param {Object} data - Dados importados (ExportService.importData)
+     */
+    mergeImportedData(data) {
+        const plan = this.planImportMerge(data);
+        const summary = this.importMergeService.summarize(plan);
+
+        this.taskController.initialize(plan.result.tasks);
+        this.categoryController.initialize(plan.result.categories);
+        this.tagController.initialize(plan.result.tags);
+
+        this.taskController.saveTasks();
+        this.categoryController.saveCategories();
+        this.tagController.saveTags();
+
+        this.renderAll();
+
+        this.toastManager.success(`Importação mesclada: ${summary.tasks.added} tarefa(s) nova(s), ${summary.tasks.updated} atualizada(s), ${summary.tasks.skipped} ignorada(s).`, 5000);
+    }
+
+    // ===== BACKUPS AUTOMÁTICOS =====
+
+    /**
+     * Abre os backups automáticos, faz o backup agendado se estiver na hora
+     * e verifica de novo periodicamente enquanto o app estiver aberto
+     * @returns {Promise<void>}
+     */
+    async initBackups() {
+        try {
+            await this.backupService.init();
+        } catch (error) {
+            console.error('Erro ao abrir backups automáticos:', error);
+            return;
+        }
+
+        await this.runScheduledBackup();
+        this.backupTimer = setInterval(() => this.runScheduledBackup(), BackupService.checkInterval);
+    }
+
+    /**
+     * Cria o backup agendado se a frequência escolhida já passou desde o último
+     * @returns {Promise<void>}
+     */
+    async runScheduledBackup() {
+        if (this.backupService.isDue(this.storageService.loadBackupSettings())) {
+            await this.createSnapshot('scheduled');
+        }
+    }
+
+    /**
+     * Cria um snapshot de todos os dados atuais
+     * @param {string} reason - Motivo (ver BackupService.reasonLabels)
+     * @param {boolean} requestAccess - Se pode pedir permissão da pasta (só em resposta a um clique)
+     * @returns {Promise<Object|null>} Resumo do snapshot ou null se não foi possível criá-lo
+     */
+    async createSnapshot(reason, requestAccess = false) {
+        if (!this.backupService.isAvailable()) return null;
+
+        try {
+            const settings = this.storageService.loadBackupSettings();
+            const data = this.exportService.prepareExportData(this.getAppData());
+            const snapshot = await this.backupService.createSnapshot(data, reason, settings, requestAccess);
+
+            // Os de segurança não adiam o próximo backup agendado
+            if (!BackupService.safetyReasons.includes(reason)) {
+                this.storageService.saveBackupSettings({ ...settings, lastBackupAt: snapshot.createdAt });
+            }
+            if (this.settingsManager.isOpen) await this.refreshBackupPanel();
+            return snapshot;
+        } catch (error) {
+            console.error('Erro ao criar backup automático:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cria o snapshot de segurança antes de apagar ou substituir os dados
+     * Se não for possível criá-lo, o usuário decide se continua sem ele
+     * @param {string} reason - Motivo (ver BackupService.safetyReasons)
+     * @returns {Promise<boolean>} Se a operação pode continuar
+     */
+    async createSafetySnapshot(reason) {
+        if (await this.createSnapshot(reason)) return true;
+
+        if (confirm('Não foi possível criar o backup de segurança dos dados atuais.\n\nSe continuar, eles não poderão ser recuperados. Deseja continuar mesmo assim?')) {
+            return true;
+        }
+
+        this.toastManager.info('Operação cancelada. Nenhum dado foi alterado.');
+        return false;
+    }
+
+    /**
+     * Cria um backup na hora (botão das configurações)
+     * @returns {Promise<void>}
+     */
+    async createBackupNow() {
+        const snapshot = await this.createSnapshot('manual', true);
+        if (!snapshot) {
+            this.toastManager.error('Erro ao criar backup');
+            return;
+        }
+
+        const settings = this.storageService.loadBackupSettings();
+        if (settings.destination === 'folder' && snapshot.destination !== 'folder') {
+            this.toastManager.warning('Sem acesso à pasta escolhida - backup guardado no navegador.');
+        } else {
+            this.toastManager.success('Backup criado.');
+        }
+    }
+
+    /**
+     * Atualiza as configurações dos backups e aplica a nova retenção
+     * @param {Object} changes - Configurações alteradas ({ frequency, keep, destination })
+     * @returns {Promise<void>}
+     */
+    async updateBackupSettings(changes) {
+        const { min, max } = BackupService.keepLimits;
+        const settings = { ...this.storageService.loadBackupSettings(), ...changes };
+        settings.keep = Math.min(max, Math.max(min, parseInt(settings.keep) || BackupService.defaultSettings.keep));
+        this.storageService.saveBackupSettings(settings);
+
+        try {
+            if (this.backupService.isAvailable()) await this.backupService.prune(settings.keep);
+        } catch (error) {
+            console.error('Erro ao aplicar retenção dos backups:', error);
+        }
+
+        await this.refreshBackupPanel();
+    }
+
+    /**
+     * Pede ao usuário a pasta onde os backups serão gravados
+     * @returns {Promise<void>}
+     */
+    async chooseBackupFolder() {
+        try {
+            const folderName = await this.backupService.chooseFolder();
+            await this.updateBackupSettings({ destination: 'folder' });
+            this.toastManager.success(`Backups serão gravados na pasta "${folderName}".`);
+        } catch (error) {
+            // Cancelar a escolha da pasta não é um erro
+            if (error.name === 'AbortError') return;
+            console.error('Erro ao escolher pasta de backups:', error);
+            this.toastManager.error('Não foi possível usar a pasta escolhida');
+        }
+    }
+
+    /**
+     * Restaura um snapshot no lugar dos dados atuais
+     * Os dados atuais viram um novo snapshot antes da restauração
+     * @param {string} snapshotId - ID do snapshot
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(snapshotId) {
+        try {
+            const snapshot = await this.backupService.getSnapshot(snapshotId);
+            const data = this.exportService.loadBackupData(snapshot.data);
+
+            if (!await this.createSafetySnapshot('restore')) return;
+            this.replaceAppData(data);
+            this.updateUserGreeting();
+            await this.refreshBackupPanel();
+
+            this.toastManager.success(`Backup de ${new Date(snapshot.createdAt).toLocaleString('pt-BR')} restaurado.`);
+        } catch (error) {
+            console.error('Erro ao restaurar backup:', error);
+            this.toastManager.error('Erro ao restaurar backup');
+        }
+    }
+
+    /**
+     * Atualiza a seção de backups automáticos das configurações
+     * @returns {Promise<void>}
+     */
+    async refreshBackupPanel() {
+        if (!this.backupService.isAvailable()) {
+            this.settingsManager.renderBackupPanel(null);
+            return;
+        }
+
+        try {
+            this.settingsManager.renderBackupPanel({
+                settings: this.storageService.loadBackupSettings(),
+                folder: await this.backupService.getFolderInfo(),
+                folderSupported: BackupService.isFolderSupported(),
+                snapshots: await this.backupService.listSnapshots()
+            });
+        } catch (error) {
+            console.error('Erro ao listar backups:', error);
+        }
+    }
+
     /**
      * Limpa todos os dados
+     * Um snapshot dos dados é criado antes, para que possam ser restaurados
+     * @returns {Promise<void>}
      */
-    clearAllData() {
+    async clearAllData() {
+        if (!await this.createSafetySnapshot('clear')) return;
+
         // Limpar dados do localStorage
         this.storageService.clearAllData();
         
@@ -1406,6 +2460,7 @@ class TodoApp {
         this.taskController.initialize([]);
         this.categoryController.initialize([]);
         this.tagController.initialize([]);
+        this.smartListController.initialize([]);
         this.settingsController.resetSettings();
         
         // Adicionar dados de exemplo
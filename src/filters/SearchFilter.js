@@ -5,9 +5,9 @@
  * Funcionalidades:
  * - Busca por texto em tarefas
  * - Busca em múltiplos campos
- * - Filtros de busca avançados
+ * - Filtros de busca avançados (também a partir da linguagem de consulta, ver SearchQuery)
  * - Histórico de buscas
- * - Sugestões de busca
+ * - Sugestões de busca e autocompletar dos campos da consulta
  */
 class SearchFilter {
     constructor() {
@@ -211,18 +211,24 @@ class SearchFilter {
 
     /**
      * Obtém sugestões de busca baseadas no histórico
+     * Quando o último termo é um campo da consulta (ex: "tag:cl"), sugere os campos e valores
+     * possíveis antes do histórico
      * @param {string} partialTerm - Termo parcial
+     * @param {Object} context - { categories, tags } para sugerir valores de tag: e category:
      * @returns {Array} Lista de sugestões
      */
-    getSuggestions(partialTerm = '') {
+    getSuggestions(partialTerm = '', context = {}) {
         if (!partialTerm || partialTerm.length < 1) {
             return this.searchHistory.slice(0, 5);
         }
 
+        const completions = SearchQuery.getCompletions(partialTerm, context).slice(0, 10);
         const term = partialTerm.toLowerCase();
-        return this.searchHistory
-            .filter(item => item.toLowerCase().includes(term))
+        const history = this.searchHistory
+            .filter(item => item.toLowerCase().includes(term) && !completions.includes(item))
             .slice(0, 5);
+
+        return [...completions, ...history];
     }
 
     /**
@@ -267,6 +273,10 @@ class SearchFilter {
 
     /**
      * Realiza busca avançada com múltiplos critérios
+     * Critérios: text (ordena por relevância), terms (todos precisam aparecer, mantém a ordem),
+     * priority, category (inclui subcategorias), tags (qualquer uma), allTags (todas), completed,
+     * dateFrom/dateTo (YYYY-MM-DD), recurring, overdue, dueToday e exclude (lista de critérios;
+     * tarefas que atendem a qualquer um deles são removidas)
      * @param {Array} tasks - Lista de tarefas
      * @param {Object} criteria - Critérios de busca
      * @param {Array} categories - Lista de categorias
@@ -282,6 +292,12 @@ class SearchFilter {
             results = this.searchTasks(results, categories, tags);
         }
 
+        // Termos da consulta (sem reordenar)
+        if (criteria.terms && criteria.terms.length > 0) {
+            const terms = criteria.terms.map(term => term.toLowerCase());
+            results = results.filter(task => terms.every(term => this.matchesTask(task, term, categories, tags)));
+        }
+
         // Filtro por prioridade
         if (criteria.priority) {
             results = results.filter(task => task.priority === criteria.priority);
@@ -289,7 +305,8 @@ class SearchFilter {
 
         // Filtro por categoria
         if (criteria.category) {
-            results = results.filter(task => task.category === criteria.category);
+            const categoryIds = Category.getDescendantIds(categories, criteria.category);
+            results = results.filter(task => categoryIds.has(task.category));
         }
 
         // Filtro por tags
@@ -299,6 +316,12 @@ class SearchFilter {
             );
         }
 
+        if (criteria.allTags && criteria.allTags.length > 0) {
+            results = results.filter(task => 
+                task.tags && criteria.allTags.every(tagId => task.tags.includes(tagId))
+            );
+        }
+
         // Filtro por status
         if (criteria.completed !== undefined) {
             results = results.filter(task => task.completed === criteria.completed);
@@ -326,6 +349,22 @@ class SearchFilter {
             results = results.filter(task => task.isRecurring === criteria.recurring);
         }
 
+        // Filtros de vencimento
+        if (criteria.overdue !== undefined) {
+            results = results.filter(task => DateUtils.isTaskOverdue(task) === criteria.overdue);
+        }
+
+        if (criteria.dueToday !== undefined) {
+            results = results.filter(task => DateUtils.isTaskDueToday(task) === criteria.dueToday);
+        }
+
+        // Exclusões (termos negados da consulta)
+        if (criteria.exclude && criteria.exclude.length > 0) {
+            results = results.filter(task => 
+                !criteria.exclude.some(excluded => this.matchesAllCriteria(task, excluded, categories, tags))
+            );
+        }
+
         return results;
     }
 
@@ -412,7 +451,11 @@ class SearchFilter {
      */
     matchesAllCriteria(task, criteria, categories = [], tags = []) {
         // Verificar texto
-        if (criteria.text && !this.matchesTask(task, criteria.text, categories, tags)) {
+        if (criteria.text && !this.matchesTask(task, criteria.text.toLowerCase(), categories, tags)) {
+            return false;
+        }
+
+        if (criteria.terms && !criteria.terms.every(term => this.matchesTask(task, term.toLowerCase(), categories, tags))) {
             return false;
         }
 
@@ -421,8 +464,8 @@ class SearchFilter {
             return false;
         }
 
-        // Verificar categoria
-        if (criteria.category && task.category !== criteria.category) {
+        // Verificar categoria (incluindo subcategorias)
+        if (criteria.category && !Category.getDescendantIds(categories, criteria.category).has(task.category)) {
             return false;
         }
 
@@ -433,20 +476,26 @@ class SearchFilter {
             }
         }
 
+        if (criteria.allTags && criteria.allTags.length > 0) {
+            if (!task.tags || !criteria.allTags.every(tagId => task.tags.includes(tagId))) {
+                return false;
+            }
+        }
+
         // Verificar status
         if (criteria.completed !== undefined && task.completed !== criteria.completed) {
             return false;
         }
 
-        // Verificar data
-        if (criteria.dateFrom && task.dueDate) {
-            if (new Date(task.dueDate) < new Date(criteria.dateFrom)) {
+        // Verificar data (tarefas sem prazo não entram em intervalos, como em advancedSearch)
+        if (criteria.dateFrom) {
+            if (!task.dueDate || new Date(task.dueDate) < new Date(criteria.dateFrom)) {
                 return false;
             }
         }
 
-        if (criteria.dateTo && task.dueDate) {
-            if (new Date(task.dueDate) > new Date(criteria.dateTo)) {
+        if (criteria.dateTo) {
+            if (!task.dueDate || new Date(task.dueDate) > new Date(criteria.dateTo)) {
                 return false;
             }
         }
@@ -456,6 +505,20 @@ class SearchFilter {
             return false;
         }
 
+        // Verificar vencimento
+        if (criteria.overdue !== undefined && DateUtils.isTaskOverdue(task) !== criteria.overdue) {
+            return false;
+        }
+
+        if (criteria.dueToday !== undefined && DateUtils.isTaskDueToday(task) !== criteria.dueToday) {
+            return false;
+        }
+
+        // Verificar exclusões
+        if (criteria.exclude && criteria.exclude.some(excluded => this.matchesAllCriteria(task, excluded, categories, tags))) {
+            return false;
+        }
+
         return true;
     }
 }
@@ -0,0 +1,380 @@
+/**
+ * SearchQuery - Linguagem de consulta da caixa de busca
+ * Responsável por converter textos como
+ * 'priority:high tag:cliente due:<2026-11-01 is:overdue -is:completed "frase exata"'
+ * nos critérios de SearchFilter.advancedSearch
+ *
+ * Funcionalidades:
+ * - Campos priority:, tag:, category:, due: e is: (também em português: prioridade:, categoria:, prazo:, status:)
+ * - Subcategorias pelo caminho (category:"Trabalho/Cliente A"), exigido quando o nome se repete
+ * - is:completed soma-se ao filtro de status da sidebar e mostra as concluídas dentro da janela
+ *   de dias das configurações (completedTasksDays), como o filtro "Concluídas"
+ * - Negação com "-" antes de qualquer termo (-is:completed, -tag:casa, -reunião)
+ * - Frases entre aspas e valores com espaços (tag:"Cliente A")
+ * - Datas com comparação (due:<2026-11-01, due:>=hoje, due:15/11)
+ * - Erros com a posição no texto, para exibição junto ao campo
+ * - Vocabulário dos campos para o autocompletar (SearchFilter.getSuggestions)
+ *
+ * Palavras com ":" que não são campos conhecidos (ex: 10:30) são buscadas como texto.
+ */
+class SearchQuery {
+    /**
+     * Campos aceitos e seus nomes alternativos (sem acentos, em minúsculas)
+     * @returns {Object} Nomes por campo
+     */
+    static get fieldAliases() {
+        return {
+            priority: ['priority', 'prioridade', 'p'],
+            tag: ['tag', 'tags'],
+            category: ['category', 'categoria', 'cat'],
+            due: ['due', 'prazo', 'vence'],
+            is: ['is', 'status']
+        };
+    }
+
+    /**
+     * Valores aceitos por priority:
+     * @returns {Object} Nomes por prioridade
+     */
+    static get priorityAliases() {
+        return {
+            low: ['low', 'baixa'],
+            medium: ['medium', 'media'],
+            high: ['high', 'alta']
+        };
+    }
+
+    /**
+     * Valores aceitos por is: e os critérios que geram
+     * @returns {Object} Nomes e critérios por status
+     */
+    static get statusAliases() {
+        return {
+            completed: { names: ['completed', 'done', 'concluida'], criteria: { completed: true } },
+            pending: { names: ['pending', 'open', 'pendente'], criteria: { completed: false } },
+            overdue: { names: ['overdue', 'atrasada', 'vencida'], criteria: { overdue: true } },
+            today: { names: ['today', 'hoje'], criteria: { dueToday: true } },
+            recurring: { names: ['recurring', 'recorrente'], criteria: { recurring: true } }
+        };
+    }
+
+    /**
+     * Interpreta o texto da busca
+     * @param {string} text - Texto digitado
+     * @param {Object} options - { categories, tags, referenceDate }
+     * @returns {Object} { criteria, error } (criteria null para texto vazio ou inválido;
+     *                   error { message, position } ou null)
+     */
+    static parse(text, { categories = [], tags = [], referenceDate = new Date() } = {}) {
+        const today = new Date(referenceDate);
+        today.setHours(0, 0, 0, 0);
+
+        try {
+            const tokens = this.tokenize(String(text || ''));
+            if (tokens.length === 0) {
+                return { criteria: null, error: null };
+            }
+
+            const criteria = {};
+            const context = { categories, tags, today };
+
+            tokens.forEach(token => {
+                if (token.negated) {
+                    const excluded = {};
+                    this.applyToken(excluded, token, context);
+                    criteria.exclude = [...(criteria.exclude || []), excluded];
+                } else {
+                    this.applyToken(criteria, token, context);
+                }
+            });
+
+            return { criteria, error: null };
+        } catch (error) {
+            if (error.position === undefined) throw error;
+            return { criteria: null, error: { message: error.message, position: error.position } };
+        }
+    }
+
+    /**
+     * Divide o texto em termos
+     * @param {string} text - Texto digitado
+     * @returns {Array<Object>} Termos ({ field, value, negated, raw, position }; field null para texto)
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            if (/\s/.test(text[index])) {
+                index++;
+                continue;
+            }
+
+            const start = index;
+            const negated = text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1]);
+            if (negated) index++;
+
+            const fieldMatch = text.slice(index).match(/^([\p{L}]+):/u);
+            const field = fieldMatch ? this.resolveAlias(this.fieldAliases, fieldMatch[1]) : null;
+            if (field) index += fieldMatch[0].length;
+
+            let value;
+            if (text[index] === '"') {
+                const end = text.indexOf('"', index + 1);
+                if (end === -1) {
+                    throw this.createError('Aspas sem fechamento', index);
+                }
+                value = text.slice(index + 1, end);
+                index = end + 1;
+            } else {
+                const word = text.slice(index).match(/^\S*/)[0];
+                value = word;
+                index += word.length;
+            }
+
+            if (!value.trim()) {
+                throw this.createError(field ? `Valor esperado após "${fieldMatch[0]}"` : 'Texto esperado após "-"', start);
+            }
+
+            tokens.push({ field, value, negated, raw: text.slice(start, index), position: start });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Adiciona o termo aos critérios
+     * @param {Object} criteria - Critérios em construção
+     * @param {Object} token - Termo
+     * @param {Object} context - { categories, tags, today }
+     */
+    static applyToken(criteria, token, context) {
+        const { value, position } = token;
+
+        switch (token.field) {
+            case 'priority': {
+                const priority = this.resolveAlias(this.priorityAliases, value);
+                if (!priority) {
+                    throw this.createError(`Prioridade "${value}" inválida (use low, medium ou high)`, position);
+                }
+                if (criteria.priority && criteria.priority !== priority) {
+                    throw this.createError('Use apenas uma prioridade por busca', position);
+                }
+                criteria.priority = priority;
+                break;
+            }
+            case 'tag': {
+                const tag = QuickAddParser.findByName(context.tags, value);
+                if (!tag) {
+                    throw this.createError(`Tag "${value}" não encontrada`, position);
+                }
+                criteria.allTags = [...new Set([...(criteria.allTags || []), tag.id])];
+                break;
+            }
+            case 'category': {
+                const category = this.findCategory(context.categories, value, position);
+                if (criteria.category && criteria.category !== category.id) {
+                    throw this.createError('Use apenas uma categoria por busca', position);
+                }
+                criteria.category = category.id;
+                break;
+            }
+            case 'due':
+                this.applyDueDate(criteria, value, position, context.today);
+                break;
+            case 'is': {
+                const status = this.resolveAlias(this.statusAliases, value, entry => entry.names);
+                if (!status) {
+                    throw this.createError(`Status "${value}" inválido (use completed, pending, overdue, today ou recurring)`, position);
+                }
+                Object.assign(criteria, this.statusAliases[status].criteria);
+                break;
+            }
+            default:
+                criteria.terms = [...(criteria.terms || []), value];
+        }
+    }
+
+    /**
+     * Procura a categoria de category: pelo nome ou pelo caminho ("Trabalho/Cliente A")
+     * @param {Array} categories - Lista de categorias
+     * @param {string} value - Nome ou caminho digitado
+     * @param {number} position - Posição do termo
+     * @returns {Object} Categoria
+     * @throws {Error} Se não existir ou se o nome se repetir em mais de um lugar da árvore
+     */
+    static findCategory(categories, value, position) {
+        const matches = categories.filter(category => QuickAddParser.findByName([category], value));
+        if (matches.length > 1) {
+            const paths = matches.map(category => `"${this.getCategoryPath(categories, category)}"`).join(', ');
+            throw this.createError(`Há mais de uma categoria "${value}" (${paths}); use o caminho, ex: category:${paths.split(', ')[0]}`, position);
+        }
+        if (matches.length === 1) return matches[0];
+
+        // Caminho: cada parte é procurada entre as filhas da anterior (nomes não se repetem no mesmo nível)
+        const ids = new Set(categories.map(category => category.id));
+        let parentId = null;
+        let found = null;
+        for (const segment of value.split('/').filter(part => part.trim())) {
+            const children = categories.filter(category => parentId
+                ? category.parentId === parentId
+                : !category.parentId || !ids.has(category.parentId));
+            found = QuickAddParser.findByName(children, segment);
+            if (!found) break;
+            parentId = found.id;
+        }
+
+        if (!found || !value.includes('/')) {
+            throw this.createError(`Categoria "${value}" não encontrada`, position);
+        }
+        return found;
+    }
+
+    /**
+     * Monta o caminho de uma categoria como é digitado em category: ("Trabalho/Cliente A")
+     * @param {Array} categories - Lista de categorias
+     * @param {Object} category - Categoria
+     * @returns {string} Caminho
+     */
+    static getCategoryPath(categories, category) {
+        return Category.getPath(categories, category.id).map(item => item.name).join('/');
+    }
+
+    /**
+     * Converte due: em intervalo de datas (dateFrom/dateTo), mantendo o intervalo mais restrito
+     * @param {Object} criteria - Critérios em construção
+     * @param {string} value - Valor (ex: "<2026-11-01", ">=hoje", "15/11")
+     * @param {number} position - Posição do termo
+     * @param {Date} today - Data de referência
+     */
+    static applyDueDate(criteria, value, position, today) {
+        const [, operator, dateText] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+        const date = this.parseDateValue(dateText, today);
+        if (!date) {
+            throw this.createError(`Data "${dateText}" inválida (use AAAA-MM-DD, DD/MM/AAAA, hoje ou amanhã)`, position);
+        }
+
+        let from = null;
+        let to = null;
+        switch (operator) {
+            case '<': to = DateUtils.addDays(date, -1); break;
+            case '<=': to = date; break;
+            case '>': from = DateUtils.addDays(date, 1); break;
+            case '>=': from = date; break;
+            default: from = date; to = date;
+        }
+
+        if (from) {
+            const iso = DateUtils.formatDateISO(from);
+            criteria.dateFrom = criteria.dateFrom && criteria.dateFrom > iso ? criteria.dateFrom : iso;
+        }
+        if (to) {
+            const iso = DateUtils.formatDateISO(to);
+            criteria.dateTo = criteria.dateTo && criteria.dateTo < iso ? criteria.dateTo : iso;
+        }
+    }
+
+    /**
+     * Interpreta uma data de due:
+     * @param {string} text - Data digitada
+     * @param {Date} today - Data de referência
+     * @returns {Date|null} Data ou null se inválida
+     */
+    static parseDateValue(text, today) {
+        const folded = QuickAddParser.fold(text.trim());
+        const relative = { ontem: -1, yesterday: -1, hoje: 0, today: 0, amanha: 1, tomorrow: 1 };
+        if (relative[folded] !== undefined) {
+            return DateUtils.addDays(today, relative[folded]);
+        }
+
+        let match = folded.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (match) {
+            return QuickAddParser.buildDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+        }
+
+        match = folded.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+        if (match) {
+            const year = match[3] ? parseInt(match[3]) : today.getFullYear();
+            return QuickAddParser.buildDate(year < 100 ? 2000 + year : year, parseInt(match[2]), parseInt(match[1]));
+        }
+
+        return null;
+    }
+
+    /**
+     * Procura o nome canônico de um valor digitado
+     * @param {Object} aliases - Nomes alternativos por chave
+     * @param {string} value - Valor digitado
+     * @param {Function} getNames - Extrai a lista de nomes de cada entrada
+     * @returns {string|null} Chave encontrada
+     */
+    static resolveAlias(aliases, value, getNames = entry => entry) {
+        const folded = QuickAddParser.fold(String(value)).trim();
+        const found = Object.keys(aliases).find(key => getNames(aliases[key]).includes(folded));
+        return found || null;
+    }
+
+    /**
+     * Sugestões para completar o último termo do texto
+     * @param {string} text - Texto digitado
+     * @param {Object} options - { categories, tags }
+     * @returns {Array<string>} Textos completos sugeridos (vazio se o último termo não é um campo)
+     */
+    static getCompletions(text, { categories = [], tags = [] } = {}) {
+        const match = String(text || '').match(/(^|\s)(-?)([\p{L}]*)(?::("?[^"\s]*))?$/u);
+        if (!match || !match[3]) return [];
+
+        const prefix = text.slice(0, text.length - match[0].length + match[1].length) + match[2];
+        const fieldText = QuickAddParser.fold(match[3]);
+        const slug = name => QuickAddParser.fold(name).trim().replace(/[\s_]+/g, '-');
+
+        // Ainda digitando o nome do campo: sugerir os campos
+        if (match[4] === undefined) {
+            return Object.values(this.fieldAliases)
+                .map(names => names[0])
+                .filter(name => name.startsWith(fieldText) && name !== fieldText)
+                .map(name => `${prefix}${name}:`);
+        }
+
+        const field = this.resolveAlias(this.fieldAliases, fieldText);
+        if (!field) return [];
+
+        const valueText = QuickAddParser.fold(match[4].replace(/^"/, ''));
+        const values = {
+            priority: () => Object.values(this.priorityAliases).map(names => names[0]),
+            tag: () => tags.map(tag => slug(tag.name)),
+            // Nomes repetidos na árvore são sugeridos pelo caminho
+            category: () => categories.map(category => {
+                const repeated = categories.filter(other => slug(other.name) === slug(category.name)).length > 1;
+                return repeated
+                    ? this.getCategoryPath(categories, category).split('/').map(slug).join('/')
+                    : slug(category.name);
+            }),
+            due: () => ['<hoje', 'hoje', 'amanha', `<=${DateUtils.formatDateISO(DateUtils.addDays(new Date(), 7))}`],
+            is: () => Object.values(this.statusAliases).map(entry => entry.names[0])
+        }[field]();
+
+        return [...new Set(values)]
+            .filter(value => value.startsWith(valueText))
+            .map(value => `${prefix}${match[3]}:${value}`);
+    }
+
+    /**
+     * Cria um erro de sintaxe com posição
+     * @param {string} message - Mensagem
+     * @param {number} position - Posição no texto
+     * @returns {Error} Erro
+     */
+    static createError(message, position) {
+        const error = new Error(message);
+        error.position = position;
+        return error;
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+} else {
+    window.SearchQuery = SearchQuery;
+}
@@ -0,0 +1,383 @@
+/**
+ * TagExpression - Expressões de filtro por tags
+ * Responsável por interpretar, avaliar e descrever expressões como
+ * "#urgente AND #cliente-a AND NOT #aguardando"
+ *
+ * Funcionalidades:
+ * - Operadores AND, OR e NOT (também E, OU, NÃO, &&, ||, ! e -#tag), com parênteses
+ * - AND implícito entre termos seguidos ("#urgente #cliente-a")
+ * - Tags por nome, com ou sem #; nomes com espaços como #cliente-a ou #"Cliente A"
+ * - Erros com a posição no texto, para exibição junto ao campo
+ *
+ * A expressão interpretada é uma árvore de objetos simples, que pode ser salva em JSON:
+ * { type: 'tag', id } | { type: 'not', operand } | { type: 'and' | 'or', operands: [...] }
+ */
+class TagExpression {
+    /**
+     * Palavras reservadas dos operadores (texto sem acentos, em minúsculas)
+     * @returns {Object} Operador por palavra
+     */
+    static get operatorWords() {
+        return {
+            and: 'and', e: 'and',
+            or: 'or', ou: 'or',
+            not: 'not', nao: 'not'
+        };
+    }
+
+    /**
+     * Interpreta uma expressão digitada
+     * @param {string} text - Expressão
+     * @param {Array} tags - Tags existentes
+     * @returns {Object} { expression, error } (expression null para texto vazio ou inválido;
+     *                   error { message, position } ou null)
+     */
+    static parse(text, tags = []) {
+        try {
+            const tokens = this.tokenize(String(text || ''));
+            if (tokens.length === 0) {
+                return { expression: null, error: null };
+            }
+
+            const state = { tokens, index: 0, tags };
+            const expression = this.parseOr(state);
+
+            if (state.index < tokens.length) {
+                const token = tokens[state.index];
+                throw this.createError(token.type === 'rparen' ? 'Parêntese ")" sem abertura' : `"${token.raw}" inesperado`, token.position);
+            }
+
+            return { expression, error: null };
+        } catch (error) {
+            if (error.position === undefined) throw error;
+            return { expression: null, error: { message: error.message, position: error.position } };
+        }
+    }
+
+    /**
+     * Divide o texto em tokens
+     * @param {string} text - Expressão
+     * @returns {Array<Object>} Tokens ({ type, value, raw, position })
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const wordRegex = /^[\p{L}\p{N}_-]+/u;
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            const rest = text.slice(index);
+
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', raw: char, position: index });
+                index++;
+                continue;
+            }
+
+            const symbol = rest.match(/^(&&|&|\|\||\||!)/);
+            if (symbol) {
+                const type = symbol[1].startsWith('&') ? 'and' : symbol[1].startsWith('|') ? 'or' : 'not';
+                tokens.push({ type, raw: symbol[1], position: index });
+                index += symbol[1].length;
+                continue;
+            }
+
+            // "-#tag" e "-tag" são atalhos para NOT
+            if (char === '-' && /^-[#"\p{L}\p{N}_]/u.test(rest)) {
+                tokens.push({ type: 'not', raw: '-', position: index });
+                index++;
+                continue;
+            }
+
+            const hasMarker = char === '#';
+            const nameStart = index + (hasMarker ? 1 : 0);
+
+            if (text[nameStart] === '"') {
+                const end = text.indexOf('"', nameStart + 1);
+                if (end === -1) {
+                    throw this.createError('Aspas sem fechamento', nameStart);
+                }
+                tokens.push({ type: 'tag', value: text.slice(nameStart + 1, end), raw: text.slice(index, end + 1), position: index });
+                index = end + 1;
+                continue;
+            }
+
+            const word = text.slice(nameStart).match(wordRegex);
+            if (!word) {
+                throw this.createError(hasMarker ? 'Nome de tag esperado após "#"' : `Caractere "${char}" inválido`, index);
+            }
+
+            const operator = !hasMarker && this.operatorWords[this.fold(word[0])];
+            tokens.push(operator
+                ? { type: operator, raw: word[0], position: index }
+                : { type: 'tag', value: word[0], raw: text.slice(index, nameStart + word[0].length), position: index });
+            index = nameStart + word[0].length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * OR: termos separados por OR
+     * @param {Object} state - Estado do parser
+     * @returns {Object} Nó da expressão
+     */
+    static parseOr(state) {
+        const operands = [this.parseAnd(state)];
+
+        while (this.peek(state, 'or')) {
+            state.index++;
+            operands.push(this.parseAnd(state));
+        }
+
+        return this.combine('or', operands);
+    }
+
+    /**
+     * AND: termos separados por AND ou apenas por espaço
+     * @param {Object} state - Estado do parser
+     * @returns {Object} Nó da expressão
+     */
+    static parseAnd(state) {
+        const operands = [this.parseNot(state)];
+
+        while (this.peek(state, 'and') || this.peek(state, 'tag') || this.peek(state, 'not') || this.peek(state, 'lparen')) {
+            if (this.peek(state, 'and')) state.index++;
+            operands.push(this.parseNot(state));
+        }
+
+        return this.combine('and', operands);
+    }
+
+    /**
+     * NOT: negação de um termo
+     * @param {Object} state - Estado do parser
+     * @returns {Object} Nó da expressão
+     */
+    static parseNot(state) {
+        if (this.peek(state, 'not')) {
+            state.index++;
+            return { type: 'not', operand: this.parseNot(state) };
+        }
+        return this.parsePrimary(state);
+    }
+
+    /**
+     * Tag ou expressão entre parênteses
+     * @param {Object} state - Estado do parser
+     * @returns {Object} Nó da expressão
+     */
+    static parsePrimary(state) {
+        const token = state.tokens[state.index];
+        if (!token) {
+            const last = state.tokens[state.tokens.length - 1];
+            throw this.createError('Expressão incompleta: falta uma tag no final', last.position + last.raw.length);
+        }
+
+        if (token.type === 'lparen') {
+            state.index++;
+            const expression = this.parseOr(state);
+            if (!this.peek(state, 'rparen')) {
+                throw this.createError('Parêntese "(" sem fechamento', token.position);
+            }
+            state.index++;
+            return expression;
+        }
+
+        if (token.type === 'tag') {
+            const tag = QuickAddParser.findByName(state.tags, token.value);
+            if (!tag) {
+                throw this.createError(`Tag "${token.value}" não encontrada`, token.position);
+            }
+            state.index++;
+            return { type: 'tag', id: tag.id };
+        }
+
+        throw this.createError(`Tag esperada antes de "${token.raw}"`, token.position);
+    }
+
+    /**
+     * Verifica o tipo do próximo token
+     * @param {Object} state - Estado do parser
+     * @param {string} type - Tipo esperado
+     * @returns {boolean}
+     */
+    static peek(state, type) {
+        const token = state.tokens[state.index];
+        return Boolean(token && token.type === type);
+    }
+
+    /**
+     * Junta operandos de um operador, achatando operadores iguais aninhados
+     * @param {string} type - 'and' ou 'or'
+     * @param {Array} operands - Operandos
+     * @returns {Object} Nó da expressão
+     */
+    static combine(type, operands) {
+        const flat = operands.flatMap(operand => operand.type === type ? operand.operands : [operand]);
+        return flat.length === 1 ? flat[0] : { type, operands: flat };
+    }
+
+    /**
+     * Cria um erro de sintaxe com posição
+     * @param {string} message - Mensagem
+     * @param {number} position - Posição no texto
+     * @returns {Error} Erro
+     */
+    static createError(message, position) {
+        const error = new Error(message);
+        error.position = position;
+        return error;
+    }
+
+    /**
+     * Avalia a expressão para as tags de uma tarefa
+     * @param {Object} expression - Expressão (null aceita qualquer tarefa)
+     * @param {Array<string>} tagIds - IDs das tags da tarefa
+     * @returns {boolean}
+     */
+    static evaluate(expression, tagIds = []) {
+        if (!expression) return true;
+
+        switch (expression.type) {
+            case 'tag':
+                return tagIds.includes(expression.id);
+            case 'not':
+                return !this.evaluate(expression.operand, tagIds);
+            case 'and':
+                return expression.operands.every(operand => this.evaluate(operand, tagIds));
+            case 'or':
+                return expression.operands.some(operand => this.evaluate(operand, tagIds));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Converte a expressão em texto (mesma sintaxe aceita por parse)
+     * @param {Object} expression - Expressão
+     * @param {Array} tags - Tags existentes
+     * @returns {string} Texto da expressão
+     */
+    static toString(expression, tags = []) {
+        if (!expression) return '';
+
+        const wrap = node => ['and', 'or'].includes(node.type) ? `(${this.toString(node, tags)})` : this.toString(node, tags);
+
+        switch (expression.type) {
+            case 'tag': {
+                const tag = tags.find(item => item.id === expression.id);
+                const name = tag ? tag.name : expression.id;
+                return /^[\p{L}\p{N}_-]+$/u.test(name) ? `#${name}` : `#"${name}"`;
+            }
+            case 'not':
+                return `NOT ${wrap(expression.operand)}`;
+            case 'and':
+                return expression.operands.map(wrap).join(' AND ');
+            case 'or':
+                return expression.operands.map(operand => operand.type === 'and' ? this.toString(operand, tags) : wrap(operand)).join(' OR ');
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Separa as tags citadas na expressão em incluídas e excluídas (negadas)
+     * @param {Object} expression - Expressão
+     * @returns {Object} { included: Array<string>, excluded: Array<string> }
+     */
+    static getTagIds(expression) {
+        const included = new Set();
+        const excluded = new Set();
+
+        const visit = (node, negated) => {
+            if (!node) return;
+            if (node.type === 'tag') {
+                (negated ? excluded : included).add(node.id);
+            } else if (node.type === 'not') {
+                visit(node.operand, !negated);
+            } else {
+                node.operands.forEach(operand => visit(operand, negated));
+            }
+        };
+        visit(expression, false);
+
+        return { included: [...included], excluded: [...excluded] };
+    }
+
+    /**
+     * Cria uma expressão com todas as tags (AND)
+     * @param {Array<string>} tagIds - IDs das tags
+     * @returns {Object|null} Expressão
+     */
+    static fromTagIds(tagIds = []) {
+        if (tagIds.length === 0) return null;
+        return this.combine('and', tagIds.map(id => ({ type: 'tag', id })));
+    }
+
+    /**
+     * Adiciona ou remove uma tag de uma expressão (seleção múltipla na sidebar)
+     * Expressões que são apenas tags com AND ganham ou perdem a tag; as demais recebem "AND tag"
+     * @param {Object} expression - Expressão atual
+     * @param {string} tagId - ID da tag
+     * @returns {Object|null} Nova expressão
+     */
+    static toggleTag(expression, tagId) {
+        if (!expression) return this.fromTagIds([tagId]);
+
+        const operands = expression.type === 'and' ? expression.operands : [expression];
+        if (operands.every(operand => operand.type === 'tag')) {
+            const ids = operands.map(operand => operand.id);
+            return this.fromTagIds(ids.includes(tagId) ? ids.filter(id => id !== tagId) : [...ids, tagId]);
+        }
+
+        return this.combine('and', [expression, { type: 'tag', id: tagId }]);
+    }
+
+    /**
+     * Remove tags que não existem mais da expressão
+     * @param {Object} expression - Expressão
+     * @param {Array} tags - Tags existentes
+     * @returns {Object|null} Expressão sem as tags ausentes
+     */
+    static prune(expression, tags = []) {
+        if (!expression) return null;
+
+        switch (expression.type) {
+            case 'tag':
+                return tags.some(tag => tag.id === expression.id) ? expression : null;
+            case 'not': {
+                const operand = this.prune(expression.operand, tags);
+                return operand ? { type: 'not', operand } : null;
+            }
+            default: {
+                const operands = expression.operands.map(operand => this.prune(operand, tags)).filter(Boolean);
+                return operands.length > 0 ? this.combine(expression.type, operands) : null;
+            }
+        }
+    }
+
+    /**
+     * Remove acentos e converte para minúsculas
+     * @param {string} text - Texto
+     * @returns {string}
+     */
+    static fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagExpression;
+} else {
+    window.TagExpression = TagExpression;
+}
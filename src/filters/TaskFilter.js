@@ -6,16 +6,16 @@
  * - Filtros por status (pendente, concluída, recorrente, etc.)
  * - Filtros por data (hoje, em breve, atrasadas)
  * - Filtros por prioridade
- * - Filtros por categoria
- * - Filtros por tags
+ * - Filtros por uma ou mais categorias (incluindo as subcategorias)
+ * - Filtros por expressão de tags (AND/OR/NOT, ver TagExpression)
  * - Ordenação dinâmica
  * - Filtros combinados
  */
 class TaskFilter {
     constructor() {
         this.currentFilter = 'all';
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
         this.sortOptions = {
             field: 'createdAt',
             direction: 'desc'
@@ -30,45 +30,75 @@ class TaskFilter {
     setFilter(filter) {
         this.currentFilter = filter;
         // Limpa filtros de categoria e tag quando usa filtros de status
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
     }
 
     /**
      * Define o filtro por categoria
-     * @param {string} categoryId - ID da categoria
+     * Várias categorias aceitam tarefas de qualquer uma delas (OR), incluindo as subcategorias
+     * (ver getCategoryFilterIds)
+     * @param {string} categoryId - ID da categoria (null limpa o filtro)
+     * @param {boolean} additive - Adiciona/remove a categoria da seleção em vez de substituí-la
      */
-    setCategoryFilter(categoryId) {
-        // Se já está filtrado por esta categoria, desfazer o filtro
-        if (this.currentCategoryFilter === categoryId) {
-            this.currentCategoryFilter = null;
+    setCategoryFilter(categoryId, additive = false) {
+        if (!categoryId) {
+            this.categoryFilters = [];
+        } else if (additive) {
+            this.categoryFilters = this.categoryFilters.includes(categoryId)
+                ? this.categoryFilters.filter(id => id !== categoryId)
+                : [...this.categoryFilters, categoryId];
+        } else if (this.categoryFilters.length === 1 && this.categoryFilters[0] === categoryId) {
+            // Se já está filtrado apenas por esta categoria, desfazer o filtro
+            this.categoryFilters = [];
         } else {
-            this.currentCategoryFilter = categoryId;
+            this.categoryFilters = [categoryId];
         }
         this.currentFilter = 'all'; // Volta para "todas" quando filtra por categoria
     }
 
+    /**
+     * Define as categorias filtradas
+     * @param {Array<string>} categoryIds - IDs das categorias
+     */
+    setCategoryFilters(categoryIds = []) {
+        this.categoryFilters = [...new Set(categoryIds.filter(id => id))];
+    }
+
     /**
      * Define o filtro por tag
-     * @param {string} tagId - ID da tag
+     * @param {string} tagId - ID da tag (null limpa o filtro)
+     * @param {boolean} additive - Adiciona/remove a tag da expressão (AND) em vez de substituí-la
      */
-    setTagFilter(tagId) {
-        // Se já está filtrado por esta tag, desfazer o filtro
-        if (this.currentTagFilter === tagId) {
-            this.currentTagFilter = null;
+    setTagFilter(tagId, additive = false) {
+        if (!tagId) {
+            this.tagExpression = null;
+        } else if (additive) {
+            this.tagExpression = TagExpression.toggleTag(this.tagExpression, tagId);
+        } else if (this.tagExpression && this.tagExpression.type === 'tag' && this.tagExpression.id === tagId) {
+            // Se já está filtrado apenas por esta tag, desfazer o filtro
+            this.tagExpression = null;
         } else {
-            this.currentTagFilter = tagId;
+            this.tagExpression = TagExpression.fromTagIds([tagId]);
         }
         this.currentFilter = 'all'; // Volta para "todas" quando filtra por tag
     }
 
+    /**
+     * Define a expressão de tags
+     * @param {Object} expression - Expressão interpretada (ver TagExpression.parse) ou null
+     */
+    setTagExpression(expression) {
+        this.tagExpression = expression || null;
+    }
+
     /**
      * Limpa todos os filtros
      */
     clearAllFilters() {
         this.currentFilter = 'all';
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
     }
 
     /**
@@ -93,13 +123,14 @@ class TaskFilter {
      * @param {Array} categories - Lista de categorias
      * @param {Array} tags - Lista de tags
      * @param {string} searchTerm - Termo de busca
+     * @param {boolean} includeCompleted - Manter as concluídas em qualquer filtro de status (busca is:completed)
      * @returns {Array} Lista filtrada e ordenada
      */
-    filterTasks(tasks, categories = [], tags = [], searchTerm = '') {
+    filterTasks(tasks, categories = [], tags = [], searchTerm = '', includeCompleted = false) {
         let filtered = [...tasks];
 
         // Aplicar filtro de status (sempre aplicado)
-        filtered = this.applyStatusFilter(filtered);
+        filtered = this.applyStatusFilter(filtered, includeCompleted);
 
         // Aplicar filtro de prioridade (independente de categoria/tag)
         filtered = this.applyPriorityFilter(filtered);
@@ -107,17 +138,18 @@ class TaskFilter {
         // Coletar filtros de categoria/tag (que se combinam)
         const activeFilters = [];
         
-        if (this.currentCategoryFilter) {
+        if (this.categoryFilters.length > 0) {
+            const categoryIds = this.getCategoryFilterIds(categories);
             activeFilters.push({
                 type: 'category',
-                filter: (task) => task.category === this.currentCategoryFilter
+                filter: (task) => categoryIds.has(task.category)
             });
         }
 
-        if (this.currentTagFilter) {
+        if (this.tagExpression) {
             activeFilters.push({
                 type: 'tag',
-                filter: (task) => task.tags && task.tags.includes(this.currentTagFilter)
+                filter: (task) => TagExpression.evaluate(this.tagExpression, task.tags || [])
             });
         }
 
@@ -170,6 +202,19 @@ class TaskFilter {
         return titleMatch || descriptionMatch || categoryMatch || tagMatch;
     }
 
+    /**
+     * Obtém os IDs aceitos pelo filtro de categoria: as categorias filtradas e suas descendentes
+     * @param {Array} categories - Lista de categorias
+     * @returns {Set<string>} IDs das categorias
+     */
+    getCategoryFilterIds(categories = []) {
+        const ids = new Set();
+        this.categoryFilters.forEach(categoryId => {
+            Category.getDescendantIds(categories, categoryId).forEach(id => ids.add(id));
+        });
+        return ids;
+    }
+
     /**
      * Filtra tarefas apenas por categoria e tag (para estatísticas)
      * @param {Array} tasks - Lista de tarefas
@@ -181,14 +226,15 @@ class TaskFilter {
         let filtered = [...tasks];
 
         // Aplicar apenas filtro de categoria
-        if (this.currentCategoryFilter) {
-            filtered = filtered.filter(task => task.category === this.currentCategoryFilter);
+        if (this.categoryFilters.length > 0) {
+            const categoryIds = this.getCategoryFilterIds(categories);
+            filtered = filtered.filter(task => categoryIds.has(task.category));
         }
 
         // Aplicar apenas filtro de tag
-        if (this.currentTagFilter) {
+        if (this.tagExpression) {
             filtered = filtered.filter(task => 
-                task.tags && task.tags.includes(this.currentTagFilter)
+                TagExpression.evaluate(this.tagExpression, task.tags || [])
             );
         }
 
@@ -198,23 +244,15 @@ class TaskFilter {
     /**
      * Aplica filtros de status
      * @param {Array} tasks - Lista de tarefas
+     * @param {boolean} includeCompleted - Manter as concluídas em qualquer filtro (busca is:completed)
      * @returns {Array} Lista filtrada
      */
-    applyStatusFilter(tasks) {
+    applyStatusFilter(tasks, includeCompleted = false) {
         let filtered = [...tasks];
 
         switch (this.currentFilter) {
             case 'completed':
                 filtered = filtered.filter(task => task.completed);
-                // Aplicar filtro de dias para tarefas concluídas
-                if (this.completedTasksDays > 0) {
-                    const cutoffDate = new Date();
-                    cutoffDate.setDate(cutoffDate.getDate() - this.completedTasksDays);
-                    filtered = filtered.filter(task => {
-                        const completedDate = new Date(task.completedAt || task.createdAt);
-                        return completedDate >= cutoffDate;
-                    });
-                }
                 break;
             case 'recurring':
                 filtered = filtered.filter(task => task.isRecurring);
@@ -231,10 +269,21 @@ class TaskFilter {
         }
 
         // Esconder tarefas concluídas de todos os filtros exceto 'completed'
-        if (this.currentFilter !== 'completed') {
+        if (this.currentFilter !== 'completed' && !includeCompleted) {
             filtered = filtered.filter(task => !task.completed);
         }
 
+        // Aplicar filtro de dias para tarefas concluídas
+        if (this.completedTasksDays > 0) {
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - this.completedTasksDays);
+            filtered = filtered.filter(task => {
+                if (!task.completed) return true;
+                const completedDate = new Date(task.completedAt || task.createdAt);
+                return completedDate >= cutoffDate;
+            });
+        }
+
         return filtered;
     }
 
@@ -385,20 +434,17 @@ class TaskFilter {
             title = statusTitles[this.currentFilter] || 'Todas as Tarefas';
         }
 
-        // Adicionar filtro de categoria ao título
-        if (this.currentCategoryFilter) {
-            const category = categories.find(cat => cat.id === this.currentCategoryFilter);
-            if (category) {
-                filters.push(category.name);
-            }
+        // Adicionar filtro de categoria ao título (várias categorias: qualquer uma delas)
+        const categoryNames = this.categoryFilters
+            .map(categoryId => Category.getFullName(categories, categoryId))
+            .filter(name => name);
+        if (categoryNames.length > 0) {
+            filters.push(categoryNames.join(' ou '));
         }
 
         // Adicionar filtro de tag ao título
-        if (this.currentTagFilter) {
-            const tag = tags.find(t => t.id === this.currentTagFilter);
-            if (tag) {
-                filters.push(tag.name);
-            }
+        if (this.tagExpression) {
+            filters.push(this.describeTagExpression(tags));
         }
 
         // Construir título combinado
@@ -418,7 +464,23 @@ class TaskFilter {
      * @returns {boolean}
      */
     hasActiveFilters() {
-        return this.currentCategoryFilter !== null || this.currentTagFilter !== null;
+        return this.categoryFilters.length > 0 || this.tagExpression !== null;
+    }
+
+    /**
+     * Descreve a expressão de tags para exibição
+     * Uma única tag aparece só pelo nome; expressões compostas usam a sintaxe de TagExpression
+     * @param {Array} tags - Lista de tags
+     * @returns {string} Descrição
+     */
+    describeTagExpression(tags = []) {
+        if (!this.tagExpression) return '';
+
+        if (this.tagExpression.type === 'tag') {
+            const tag = tags.find(t => t.id === this.tagExpression.id);
+            return tag ? tag.name : '';
+        }
+        return TagExpression.toString(this.tagExpression, tags);
     }
 
     /**
@@ -430,34 +492,44 @@ class TaskFilter {
     getActiveFiltersInfo(categories = [], tags = []) {
         const activeFilters = [];
 
-        if (this.currentCategoryFilter) {
-            const category = categories.find(cat => cat.id === this.currentCategoryFilter);
+        this.categoryFilters.forEach(categoryId => {
+            const category = categories.find(cat => cat.id === categoryId);
             if (category) {
                 activeFilters.push({
                     type: 'category',
                     id: category.id,
-                    name: category.name,
+                    name: Category.getFullName(categories, category.id),
                     color: category.color
                 });
             }
-        }
+        });
 
-        if (this.currentTagFilter) {
-            const tag = tags.find(t => t.id === this.currentTagFilter);
-            if (tag) {
-                activeFilters.push({
-                    type: 'tag',
-                    id: tag.id,
-                    name: tag.name,
-                    color: tag.color
-                });
-            }
-        }
+        // Tags negadas (NOT) vêm marcadas como excluded
+        const { included, excluded } = TagExpression.getTagIds(this.tagExpression);
+        [...included.map(id => ({ id, excluded: false })), ...excluded.map(id => ({ id, excluded: true }))]
+            .forEach(({ id, excluded: isExcluded }) => {
+                const tag = tags.find(t => t.id === id);
+                if (tag) {
+                    activeFilters.push({
+                        type: 'tag',
+                        id: tag.id,
+                        name: tag.name,
+                        color: tag.color,
+                        excluded: isExcluded
+                    });
+                }
+            });
 
         return {
             hasActive: activeFilters.length > 0,
             filters: activeFilters,
-            count: activeFilters.length
+            count: activeFilters.length,
+            categoryMode: 'or',
+            tagExpression: TagExpression.toString(this.tagExpression, tags),
+            description: [
+                activeFilters.filter(filter => filter.type === 'category').map(filter => filter.name).join(' ou '),
+                this.describeTagExpression(tags)
+            ].filter(part => part).join(' + ')
         };
     }
 
@@ -520,8 +592,8 @@ class TaskFilter {
     getState() {
         return {
             currentFilter: this.currentFilter,
-            currentCategoryFilter: this.currentCategoryFilter,
-            currentTagFilter: this.currentTagFilter,
+            categoryFilters: [...this.categoryFilters],
+            tagExpression: this.tagExpression,
             sortOptions: { ...this.sortOptions },
             completedTasksDays: this.completedTasksDays
         };
@@ -555,67 +627,67 @@ class TaskFilter {
         // Teste 3: Apenas categoria
         if (categories.length > 0) {
             const categoryId = categories[0].id;
-            this.currentCategoryFilter = categoryId;
+            this.categoryFilters = [categoryId];
             results.tests.categoryOnly = {
                 description: `Apenas categoria "${categories[0].name}"`,
                 result: this.filterTasks(tasks, categories, tags, '').length
             };
-            this.currentCategoryFilter = null;
+            this.categoryFilters = [];
         }
 
         // Teste 4: Apenas tag
         if (tags.length > 0) {
             const tagId = tags[0].id;
-            this.currentTagFilter = tagId;
+            this.tagExpression = TagExpression.fromTagIds([tagId]);
             results.tests.tagOnly = {
                 description: `Apenas tag "${tags[0].name}"`,
                 result: this.filterTasks(tasks, categories, tags, '').length
             };
-            this.currentTagFilter = null;
+            this.tagExpression = null;
         }
 
         // Teste 5: Categoria + Tag (AND logic)
         if (categories.length > 0 && tags.length > 0) {
-            this.currentCategoryFilter = categories[0].id;
-            this.currentTagFilter = tags[0].id;
+            this.categoryFilters = [categories[0].id];
+            this.tagExpression = TagExpression.fromTagIds([tags[0].id]);
             results.tests.categoryAndTag = {
                 description: `Categoria "${categories[0].name}" AND Tag "${tags[0].name}" (ambos)`,
                 result: this.filterTasks(tasks, categories, tags, '').length
             };
-            this.currentCategoryFilter = null;
-            this.currentTagFilter = null;
+            this.categoryFilters = [];
+            this.tagExpression = null;
         }
 
         // Teste 6: Categoria + Busca (AND logic)
         if (categories.length > 0) {
-            this.currentCategoryFilter = categories[0].id;
+            this.categoryFilters = [categories[0].id];
             results.tests.categoryAndSearch = {
                 description: `Categoria "${categories[0].name}" AND Busca "tarefa" (ambos)`,
                 result: this.filterTasks(tasks, categories, tags, 'tarefa').length
             };
-            this.currentCategoryFilter = null;
+            this.categoryFilters = [];
         }
 
         // Teste 7: Tag + Busca (AND logic)
         if (tags.length > 0) {
-            this.currentTagFilter = tags[0].id;
+            this.tagExpression = TagExpression.fromTagIds([tags[0].id]);
             results.tests.tagAndSearch = {
                 description: `Tag "${tags[0].name}" AND Busca "tarefa" (ambos)`,
                 result: this.filterTasks(tasks, categories, tags, 'tarefa').length
             };
-            this.currentTagFilter = null;
+            this.tagExpression = null;
         }
 
         // Teste 8: Todos os filtros (AND logic)
         if (categories.length > 0 && tags.length > 0) {
-            this.currentCategoryFilter = categories[0].id;
-            this.currentTagFilter = tags[0].id;
+            this.categoryFilters = [categories[0].id];
+            this.tagExpression = TagExpression.fromTagIds([tags[0].id]);
             results.tests.allFilters = {
                 description: `Todos: Categoria "${categories[0].name}" AND Tag "${tags[0].name}" AND Busca "tarefa" (todos)`,
                 result: this.filterTasks(tasks, categories, tags, 'tarefa').length
             };
-            this.currentCategoryFilter = null;
-            this.currentTagFilter = null;
+            this.categoryFilters = [];
+            this.tagExpression = null;
         }
 
         return results;
@@ -643,8 +715,8 @@ class TaskFilter {
         const tag = tags[0];
 
         // Teste 1: Apenas categoria
-        this.currentCategoryFilter = category.id;
-        this.currentTagFilter = null;
+        this.categoryFilters = [category.id];
+        this.tagExpression = null;
         const categoryOnly = this.filterTasks(tasks, categories, tags, '');
         results.tests.categoryOnly = {
             description: `Apenas categoria "${category.name}"`,
@@ -653,8 +725,8 @@ class TaskFilter {
         };
 
         // Teste 2: Apenas tag
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = tag.id;
+        this.categoryFilters = [];
+        this.tagExpression = TagExpression.fromTagIds([tag.id]);
         const tagOnly = this.filterTasks(tasks, categories, tags, '');
         results.tests.tagOnly = {
             description: `Apenas tag "${tag.name}"`,
@@ -663,8 +735,8 @@ class TaskFilter {
         };
 
         // Teste 3: Categoria + Tag (AND logic)
-        this.currentCategoryFilter = category.id;
-        this.currentTagFilter = tag.id;
+        this.categoryFilters = [category.id];
+        this.tagExpression = TagExpression.fromTagIds([tag.id]);
         const categoryAndTag = this.filterTasks(tasks, categories, tags, '');
         results.tests.categoryAndTag = {
             description: `Categoria "${category.name}" AND Tag "${tag.name}"`,
@@ -688,8 +760,8 @@ class TaskFilter {
         };
 
         // Limpar filtros
-        this.currentCategoryFilter = null;
-        this.currentTagFilter = null;
+        this.categoryFilters = [];
+        this.tagExpression = null;
 
         return results;
     }
@@ -700,8 +772,9 @@ class TaskFilter {
      */
     setState(state) {
         this.currentFilter = state.currentFilter || 'all';
-        this.currentCategoryFilter = state.currentCategoryFilter || null;
-        this.currentTagFilter = state.currentTagFilter || null;
+        // Estados antigos guardavam uma única categoria e uma única tag
+        this.categoryFilters = state.categoryFilters || (state.currentCategoryFilter ? [state.currentCategoryFilter] : []);
+        this.tagExpression = state.tagExpression || TagExpression.fromTagIds(state.currentTagFilter ? [state.currentTagFilter] : []);
         this.sortOptions = { ...this.sortOptions, ...state.sortOptions };
         this.completedTasksDays = state.completedTasksDays || 30;
     }
@@ -6,6 +6,7 @@
  * - id: Identificador único
  * - name: Nome da categoria
  * - color: Cor da categoria (hexadecimal)
+ * - parentId: ID da categoria pai (null para categorias de primeiro nível)
  * - createdAt: Data de criação
  * - usageCount: Número de tarefas usando esta categoria (calculado dinamicamente)
  */
@@ -14,6 +15,7 @@ class Category {
         this.id = data.id || IdGenerator.generateCategoryId();
         this.name = data.name || '';
         this.color = data.color || '#007bff';
+        this.parentId = data.parentId || null;
         this.createdAt = data.createdAt || new Date().toISOString();
         this.usageCount = data.usageCount || 0;
     }
@@ -56,6 +58,7 @@ class Category {
             id: this.id,
             name: this.name,
             color: this.color,
+            parentId: this.parentId,
             createdAt: this.createdAt,
             usageCount: this.usageCount
         });
@@ -70,6 +73,7 @@ class Category {
             id: this.id,
             name: this.name,
             color: this.color,
+            parentId: this.parentId,
             createdAt: this.createdAt
         };
     }
@@ -102,6 +106,10 @@ class Category {
             errors.push('Cor deve estar no formato hexadecimal válido');
         }
 
+        if (this.parentId && this.parentId === this.id) {
+            errors.push('Categoria não pode ser pai de si mesma');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -180,6 +188,99 @@ class Category {
         ];
     }
 
+    // ===== HIERARQUIA =====
+    // Categorias cujo pai não existe (ou que formariam um ciclo) são tratadas como de primeiro nível
+
+    /**
+     * Obtém o caminho de uma categoria, da raiz até ela
+     * @param {Array} categories - Lista de categorias
+     * @param {string} categoryId - ID da categoria
+     * @returns {Array} Categorias do caminho (vazio se a categoria não existir)
+     */
+    static getPath(categories, categoryId) {
+        const byId = new Map(categories.map(category => [category.id, category]));
+        const path = [];
+        const visited = new Set();
+        let current = byId.get(categoryId);
+
+        while (current && !visited.has(current.id)) {
+            visited.add(current.id);
+            path.unshift(current);
+            current = byId.get(current.parentId);
+        }
+
+        return path;
+    }
+
+    /**
+     * Obtém o nome completo de uma categoria (ex: "Trabalho › Cliente A › Projeto X")
+     * @param {Array} categories - Lista de categorias
+     * @param {string} categoryId - ID da categoria
+     * @returns {string} Nome completo ('' se a categoria não existir)
+     */
+    static getFullName(categories, categoryId) {
+        return Category.getPath(categories, categoryId).map(category => category.name).join(' › ');
+    }
+
+    /**
+     * Obtém os IDs de uma categoria e de todas as suas descendentes
+     * @param {Array} categories - Lista de categorias
+     * @param {string} categoryId - ID da categoria
+     * @returns {Set<string>} IDs (inclui a própria categoria)
+     */
+    static getDescendantIds(categories, categoryId) {
+        const ids = new Set([categoryId]);
+        let added = true;
+
+        while (added) {
+            added = false;
+            categories.forEach(category => {
+                if (category.parentId && ids.has(category.parentId) && !ids.has(category.id)) {
+                    ids.add(category.id);
+                    added = true;
+                }
+            });
+        }
+
+        return ids;
+    }
+
+    /**
+     * Verifica se mover uma categoria para um novo pai criaria um ciclo
+     * @param {Array} categories - Lista de categorias
+     * @param {string} categoryId - ID da categoria movida
+     * @param {string|null} parentId - ID do novo pai
+     * @returns {boolean}
+     */
+    static wouldCreateCycle(categories, categoryId, parentId) {
+        return !!parentId && Category.getDescendantIds(categories, categoryId).has(parentId);
+    }
+
+    /**
+     * Ordena as categorias como árvore (cada pai seguido das filhas, na ordem original)
+     * @param {Array} categories - Lista de categorias
+     * @returns {Array<Object>} Itens { category, depth, hasChildren }
+     */
+    static sortAsTree(categories) {
+        const ids = new Set(categories.map(category => category.id));
+        const isRoot = category => !category.parentId || !ids.has(category.parentId) ||
+            Category.getPath(categories, category.parentId).some(ancestor => ancestor.id === category.id);
+        const result = [];
+        const visited = new Set();
+
+        const visit = (category, depth) => {
+            if (visited.has(category.id)) return;
+            visited.add(category.id);
+
+            const children = categories.filter(child => child.parentId === category.id && !isRoot(child));
+            result.push({ category, depth, hasChildren: children.length > 0 });
+            children.forEach(child => visit(child, depth + 1));
+        };
+
+        categories.filter(isRoot).forEach(category => visit(category, 0));
+        return result;
+    }
+
     /**
      * Verifica se uma categoria é padrão do sistema
      * @returns {boolean}
@@ -6,6 +6,8 @@
  * - id: Identificador único
  * - name: Nome da tag
  * - color: Cor da tag (hexadecimal)
+ * - group: Nome do grupo da tag (ex: "Contexto", "Energia", "Pessoa") ou null
+ * - groupExclusive: Se o grupo aceita apenas uma tag por tarefa (vale para o grupo todo)
  * - createdAt: Data de criação
  * - usageCount: Número de tarefas usando esta tag (calculado dinamicamente)
  */
@@ -14,6 +16,8 @@ class Tag {
         this.id = data.id || IdGenerator.generateTagId();
         this.name = data.name || '';
         this.color = data.color || '#dc3545';
+        this.group = data.group ? String(data.group).trim() || null : null;
+        this.groupExclusive = Boolean(this.group && data.groupExclusive);
         this.createdAt = data.createdAt || new Date().toISOString();
         this.usageCount = data.usageCount || 0;
     }
@@ -56,6 +60,8 @@ class Tag {
             id: this.id,
             name: this.name,
             color: this.color,
+            group: this.group,
+            groupExclusive: this.groupExclusive,
             createdAt: this.createdAt,
             usageCount: this.usageCount
         });
@@ -70,6 +76,8 @@ class Tag {
             id: this.id,
             name: this.name,
             color: this.color,
+            group: this.group,
+            groupExclusive: this.groupExclusive,
             createdAt: this.createdAt
         };
     }
@@ -102,6 +110,10 @@ class Tag {
             errors.push('Cor deve estar no formato hexadecimal válido');
         }
 
+        if (this.group && this.group.length > 30) {
+            errors.push('Nome do grupo deve ter no máximo 30 caracteres');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -153,6 +165,74 @@ class Tag {
         };
     }
 
+    // ===== GRUPOS =====
+
+    /**
+     * Compara nomes de grupo sem diferenciar maiúsculas
+     * @param {string} a - Nome do grupo
+     * @param {string} b - Nome do grupo
+     * @returns {boolean}
+     */
+    static isSameGroup(a, b) {
+        return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+    }
+
+    /**
+     * Agrupa as tags pelo campo group
+     * Um grupo é exclusivo se qualquer uma das suas tags estiver marcada como exclusiva
+     * @param {Array} tags - Lista de tags
+     * @returns {Array<Object>} Grupos ({ name, exclusive, tags }) em ordem alfabética;
+     *                          as tags sem grupo vêm por último, com name null
+     */
+    static getGroups(tags = []) {
+        const groups = [];
+        const ungrouped = [];
+
+        tags.forEach(tag => {
+            if (!tag.group) {
+                ungrouped.push(tag);
+                return;
+            }
+
+            let group = groups.find(item => Tag.isSameGroup(item.name, tag.group));
+            if (!group) {
+                group = { name: tag.group.trim(), exclusive: false, tags: [] };
+                groups.push(group);
+            }
+            group.exclusive = group.exclusive || Boolean(tag.groupExclusive);
+            group.tags.push(tag);
+        });
+
+        groups.sort((a, b) => a.name.localeCompare(b.name));
+        if (ungrouped.length > 0) {
+            groups.push({ name: null, exclusive: false, tags: ungrouped });
+        }
+        return groups;
+    }
+
+    /**
+     * Verifica se um grupo aceita apenas uma tag por tarefa
+     * @param {Array} tags - Lista de tags
+     * @param {string} group - Nome do grupo
+     * @returns {boolean}
+     */
+    static isGroupExclusive(tags = [], group) {
+        return tags.some(tag => Tag.isSameGroup(tag.group, group) && tag.groupExclusive);
+    }
+
+    /**
+     * Encontra grupos exclusivos com mais de uma tag selecionada
+     * @param {Array<string>} tagIds - IDs das tags da tarefa
+     * @param {Array} tags - Lista de tags
+     * @returns {Array<Object>} Conflitos ({ group, tags })
+     */
+    static findGroupConflicts(tagIds = [], tags = []) {
+        const selected = tags.filter(tag => tagIds.includes(tag.id));
+        return Tag.getGroups(selected)
+            .filter(group => group.name && group.tags.length > 1 && Tag.isGroupExclusive(tags, group.name))
+            .map(group => ({ group: group.name, tags: group.tags }));
+    }
+
     /**
      * Cria tags padrão do sistema
      * @returns {Array<Tag>} Array de tags padrão
@@ -204,6 +284,8 @@ class Tag {
             id: this.id,
             name: this.name,
             color: this.color,
+            group: this.group,
+            groupExclusive: this.groupExclusive,
             createdAt: this.createdAt,
             isDefault: this.isDefault(),
             ageInDays: this.getAgeInDays()
@@ -12,12 +12,20 @@
  * - dueDate: Data de vencimento (YYYY-MM-DD)
  * - dueTime: Horário de vencimento (HH:MM)
  * - completed: Se a tarefa está concluída
+ * - status: Etapa do fluxo enquanto pendente ('todo' ou 'doing')
  * - createdAt: Data de criação
  * - completedAt: Data de conclusão
  * - isRecurring: Se é uma tarefa recorrente
- * - recurrenceType: Tipo de recorrência (daily, weekly, monthly, yearly)
- * - recurrenceData: Dados específicos da recorrência
+ * - recurrenceRule: Regra de recorrência no modelo RRULE (ver RecurrenceUtils)
+ * - recurrenceMode: 'fixed' (agenda fixa) ou 'afterCompletion' (conta a partir da conclusão)
+ * - recurrenceStart: Início da série quando a tarefa pai foi adiada ou pulada (YYYY-MM-DD)
+ * - exceptionDates: Ocorrências puladas da série (YYYY-MM-DD)
+ * - originalDueDate: Data prevista de uma ocorrência adiada (YYYY-MM-DD)
+ * - catchUpPolicy: O que fazer com ocorrências perdidas ('all', 'collapse' ou 'skip')
+ * - missedOccurrences: Ocorrências perdidas agrupadas nesta tarefa
+ * - seriesTemplate: Campos da série guardados quando a tarefa pai é editada só como ocorrência
  * - parentRecurringId: ID da tarefa pai (para tarefas geradas automaticamente)
+ * - subtasks: Checklist de subtarefas ({ id, title, completed })
  */
 class Task {
     constructor(data = {}) {
@@ -30,12 +38,23 @@ class Task {
         this.dueDate = data.dueDate || '';
         this.dueTime = data.dueTime || '';
         this.completed = data.completed || false;
+        this.status = data.status || 'todo';
         this.createdAt = data.createdAt || new Date().toISOString();
         this.completedAt = data.completedAt || null;
         this.isRecurring = data.isRecurring || false;
-        this.recurrenceType = data.recurrenceType || null;
-        this.recurrenceData = data.recurrenceData || null;
+        // Dados antigos (recurrenceType/recurrenceData) são convertidos para a regra RRULE
+        this.recurrenceRule = data.recurrenceRule
+            ? RecurrenceUtils.normalize(data.recurrenceRule)
+            : RecurrenceUtils.fromLegacy(data.recurrenceType, data.recurrenceData);
+        this.recurrenceMode = data.recurrenceMode || 'fixed';
+        this.recurrenceStart = data.recurrenceStart || null;
+        this.exceptionDates = Array.isArray(data.exceptionDates) ? [...data.exceptionDates] : [];
+        this.originalDueDate = data.originalDueDate || null;
+        this.catchUpPolicy = data.catchUpPolicy || 'collapse';
+        this.missedOccurrences = data.missedOccurrences || 0;
+        this.seriesTemplate = data.seriesTemplate ? { ...data.seriesTemplate } : null;
         this.parentRecurringId = data.parentRecurringId || null;
+        this.subtasks = Array.isArray(data.subtasks) ? data.subtasks.map(subtask => ({ ...subtask })) : [];
     }
 
 
@@ -65,7 +84,7 @@ class Task {
      * @returns {boolean} Se a tag foi adicionada
      */
     addTag(tagId) {
-        if (!this.tags.includes(tagId) && this.tags.length < 3) {
+        if (!this.tags.includes(tagId)) {
             this.tags.push(tagId);
             return true;
         }
@@ -95,6 +114,73 @@ class Task {
         return this.tags.includes(tagId);
     }
 
+    /**
+     * Adiciona uma subtarefa ao checklist
+     * @param {string} title - Título da subtarefa
+     * @returns {Object|null} Subtarefa criada ou null se o título for inválido
+     */
+    addSubtask(title) {
+        const trimmedTitle = (title || '').trim();
+        if (!trimmedTitle) return null;
+
+        const subtask = {
+            id: IdGenerator.generateWithPrefix('subtask'),
+            title: trimmedTitle,
+            completed: false
+        };
+        this.subtasks.push(subtask);
+        return subtask;
+    }
+
+    /**
+     * Remove uma subtarefa do checklist
+     * @param {string} subtaskId - ID da subtarefa
+     * @returns {Object|null} Subtarefa removida ou null se não encontrada
+     */
+    removeSubtask(subtaskId) {
+        const index = this.subtasks.findIndex(subtask => subtask.id === subtaskId);
+        if (index === -1) return null;
+        return this.subtasks.splice(index, 1)[0];
+    }
+
+    /**
+     * Alterna o status de conclusão de uma subtarefa
+     * @param {string} subtaskId - ID da subtarefa
+     * @returns {boolean} Se a subtarefa foi encontrada
+     */
+    toggleSubtask(subtaskId) {
+        const subtask = this.subtasks.find(item => item.id === subtaskId);
+        if (!subtask) return false;
+        subtask.completed = !subtask.completed;
+        return true;
+    }
+
+    /**
+     * Move uma subtarefa para outra posição do checklist
+     * @param {string} subtaskId - ID da subtarefa
+     * @param {number} newIndex - Nova posição
+     * @returns {boolean} Se a subtarefa foi movida
+     */
+    moveSubtask(subtaskId, newIndex) {
+        const index = this.subtasks.findIndex(subtask => subtask.id === subtaskId);
+        if (index === -1 || newIndex < 0 || newIndex >= this.subtasks.length) return false;
+
+        const [subtask] = this.subtasks.splice(index, 1);
+        this.subtasks.splice(newIndex, 0, subtask);
+        return true;
+    }
+
+    /**
+     * Obtém o progresso do checklist
+     * @returns {Object} { completed: number, total: number }
+     */
+    getSubtaskProgress() {
+        return {
+            completed: this.subtasks.filter(subtask => subtask.completed).length,
+            total: this.subtasks.length
+        };
+    }
+
     /**
      * Define a categoria da tarefa
      * @param {string} categoryId - ID da categoria
@@ -131,13 +217,13 @@ class Task {
 
     /**
      * Configura a recorrência da tarefa
-     * @param {string} type - Tipo de recorrência
-     * @param {Object} data - Dados específicos da recorrência
+     * @param {Object} rule - Regra de recorrência (freq, interval, byDay, byMonthDay, bySetPos, count, until)
+     * @param {string} mode - 'fixed' ou 'afterCompletion'
      */
-    setRecurrence(type, data = null) {
+    setRecurrence(rule, mode = 'fixed') {
         this.isRecurring = true;
-        this.recurrenceType = type;
-        this.recurrenceData = data;
+        this.recurrenceRule = RecurrenceUtils.normalize(rule);
+        this.recurrenceMode = mode;
     }
 
     /**
@@ -145,8 +231,8 @@ class Task {
      */
     removeRecurrence() {
         this.isRecurring = false;
-        this.recurrenceType = null;
-        this.recurrenceData = null;
+        this.recurrenceRule = null;
+        this.recurrenceMode = 'fixed';
     }
 
     /**
@@ -176,12 +262,20 @@ class Task {
             dueDate: this.dueDate,
             dueTime: this.dueTime,
             completed: this.completed,
+            status: this.status,
             createdAt: this.createdAt,
             completedAt: this.completedAt,
             isRecurring: this.isRecurring,
-            recurrenceType: this.recurrenceType,
-            recurrenceData: this.recurrenceData ? { ...this.recurrenceData } : null,
-            parentRecurringId: this.parentRecurringId
+            recurrenceRule: this.recurrenceRule ? RecurrenceUtils.normalize(this.recurrenceRule) : null,
+            recurrenceMode: this.recurrenceMode,
+            recurrenceStart: this.recurrenceStart,
+            exceptionDates: [...this.exceptionDates],
+            originalDueDate: this.originalDueDate,
+            catchUpPolicy: this.catchUpPolicy,
+            missedOccurrences: this.missedOccurrences,
+            seriesTemplate: this.seriesTemplate ? { ...this.seriesTemplate } : null,
+            parentRecurringId: this.parentRecurringId,
+            subtasks: this.subtasks.map(subtask => ({ ...subtask }))
         });
     }
 
@@ -196,6 +290,7 @@ class Task {
         newTask.id = newId;
         newTask.dueDate = newDueDate;
         newTask.completed = false;
+        newTask.status = 'todo';
         newTask.createdAt = new Date().toISOString();
         newTask.completedAt = null;
         newTask.parentRecurringId = this.id;
@@ -217,12 +312,20 @@ class Task {
             dueDate: this.dueDate,
             dueTime: this.dueTime,
             completed: this.completed,
+            status: this.status,
             createdAt: this.createdAt,
             completedAt: this.completedAt,
             isRecurring: this.isRecurring,
-            recurrenceType: this.recurrenceType,
-            recurrenceData: this.recurrenceData,
-            parentRecurringId: this.parentRecurringId
+            recurrenceRule: this.recurrenceRule,
+            recurrenceMode: this.recurrenceMode,
+            recurrenceStart: this.recurrenceStart,
+            exceptionDates: this.exceptionDates,
+            originalDueDate: this.originalDueDate,
+            catchUpPolicy: this.catchUpPolicy,
+            missedOccurrences: this.missedOccurrences,
+            seriesTemplate: this.seriesTemplate,
+            parentRecurringId: this.parentRecurringId,
+            subtasks: this.subtasks
         };
     }
 
@@ -254,18 +357,39 @@ class Task {
             errors.push('Descrição deve ter no máximo 500 caracteres');
         }
 
-        if (this.tags && this.tags.length > 3) {
-            errors.push('Máximo de 3 tags por tarefa');
-        }
-
         if (!['low', 'medium', 'high'].includes(this.priority)) {
             errors.push('Prioridade inválida');
         }
 
+        if (!['todo', 'doing'].includes(this.status)) {
+            errors.push('Status inválido');
+        }
+
+        if (this.subtasks.some(subtask => !subtask.title || subtask.title.trim() === '')) {
+            errors.push('Subtarefas precisam de título');
+        }
+
         if (this.isRecurring && !this.dueDate) {
             errors.push('Tarefas recorrentes precisam de data de vencimento');
         }
 
+        if (this.isRecurring) {
+            const ruleValidation = RecurrenceUtils.validate(this.recurrenceRule);
+            errors.push(...ruleValidation.errors);
+
+            if (!RecurrenceUtils.modes.includes(this.recurrenceMode)) {
+                errors.push('Modo de recorrência inválido');
+            }
+
+            if (!RecurrenceUtils.catchUpPolicies.includes(this.catchUpPolicy)) {
+                errors.push('Política de ocorrências perdidas inválida');
+            }
+
+            if (this.exceptionDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+                errors.push('Datas de exceção inválidas');
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -281,17 +405,12 @@ class Task {
             return { type: 'none', label: 'Não recorrente' };
         }
 
-        const labels = {
-            daily: 'Diária',
-            weekly: 'Semanal',
-            monthly: 'Mensal',
-            yearly: 'Anual'
-        };
-
         return {
-            type: this.recurrenceType,
-            label: labels[this.recurrenceType] || 'Recorrente',
-            data: this.recurrenceData
+            type: this.recurrenceRule ? this.recurrenceRule.freq.toLowerCase() : 'none',
+            label: RecurrenceUtils.describe(this.recurrenceRule),
+            rule: this.recurrenceRule,
+            mode: this.recurrenceMode,
+            modeLabel: RecurrenceUtils.describeMode(this.recurrenceMode)
         };
     }
 
@@ -0,0 +1,441 @@
+/**
+ * BackupService - Backups automáticos (snapshots) dos dados
+ * Guarda cópias completas dos dados em um banco IndexedDB próprio ou em uma
+ * pasta escolhida pelo usuário (File System Access API)
+ *
+ * O banco de backups é separado do banco de dados da aplicação, então limpar
+ * os dados não apaga os snapshots. Na pasta, cada snapshot é um backup JSON
+ * comum, que também pode ser importado pela tela de importação.
+ *
+ * Funcionalidades:
+ * - Snapshots agendados (diário ou semanal) e antes de operações arriscadas
+ * - Retenção: só os N snapshots mais recentes são mantidos
+ * - Lista de snapshots com data, motivo e quantidade de itens
+ * - Leitura de um snapshot para restauração
+ *
+ * Formato do snapshot:
+ * { id, createdAt, reason, counts: { tasks, categories, tags }, destination, data }
+ * - data: dados no formato de backup (ExportService.prepareExportData)
+ */
+class BackupService {
+    constructor(databaseName = 'planno-backups') {
+        this.databaseName = databaseName;
+        this.version = 1;
+        this.db = null;
+        this.directoryHandle = null;
+    }
+
+    /**
+     * Intervalo de cada frequência de backup (ms)
+     * @returns {Object} Frequência -> intervalo (0: desativado)
+     */
+    static get frequencies() {
+        return {
+            off: 0,
+            daily: 24 * 60 * 60 * 1000,
+            weekly: 7 * 24 * 60 * 60 * 1000
+        };
+    }
+
+    /**
+     * Intervalo entre verificações do backup agendado enquanto o app está aberto (ms)
+     * @returns {number}
+     */
+    static get checkInterval() {
+        return 60 * 60 * 1000;
+    }
+
+    /**
+     * Configurações padrão dos backups
+     * @returns {Object} { frequency, keep, destination, lastBackupAt }
+     */
+    static get defaultSettings() {
+        return {
+            frequency: 'daily',
+            keep: 10,
+            destination: 'indexedDB',
+            lastBackupAt: null
+        };
+    }
+
+    /**
+     * Limites da quantidade de snapshots mantidos
+     * @returns {Object} { min, max }
+     */
+    static get keepLimits() {
+        return { min: 1, max: 50 };
+    }
+
+    /**
+     * Descrição de cada motivo de snapshot
+     * @returns {Object} Motivo -> rótulo
+     */
+    static get reasonLabels() {
+        return {
+            scheduled: 'Automático',
+            manual: 'Manual',
+            clear: 'Antes de limpar os dados',
+            import: 'Antes de importar',
+            restore: 'Antes de restaurar um backup'
+        };
+    }
+
+    /**
+     * Motivos dos snapshots de segurança (criados antes de apagar ou substituir dados)
+     * Eles têm retenção própria e não ocupam as vagas dos backups agendados e manuais
+     * @returns {Array<string>}
+     */
+    static get safetyReasons() {
+        return ['clear', 'import', 'restore'];
+    }
+
+    /**
+     * Quantidade de snapshots de segurança mantidos
+     * @returns {number}
+     */
+    static get safetyKeep() {
+        return 5;
+    }
+
+    /**
+     * Início do nome dos arquivos de snapshot na pasta
+     * (diferente dos backups exportados, que nunca são apagados pela retenção)
+     * @returns {string}
+     */
+    static get filePrefix() {
+        return 'planno-snapshot-';
+    }
+
+    /**
+     * Verifica se o navegador permite gravar em uma pasta escolhida
+     * @returns {boolean}
+     */
+    static isFolderSupported() {
+        return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Abre o banco de backups e recupera a pasta escolhida anteriormente
+     * @returns {Promise<void>}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            if (!IndexedDBAdapter.isAvailable()) {
+                reject(new Error('IndexedDB indisponível'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('handles')) {
+                    db.createObjectStore('handles', { keyPath: 'name' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.run('handles', 'readonly', store => store.get('folder'))
+                    .then(record => {
+                        this.directoryHandle = record ? record.handle : null;
+                        resolve();
+                    })
+                    .catch(reject);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Banco de backups bloqueado por outra aba'));
+        });
+    }
+
+    /**
+     * Verifica se os backups podem ser usados
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * Executa uma operação em um object store do banco de backups
+     * @param {string} storeName - 'snapshots' ou 'handles'
+     * @param {string} mode - 'readonly' ou 'readwrite'
+     * @param {Function} action - Recebe o store e retorna o IDBRequest (opcional)
+     * @returns {Promise<*>} Resultado do request
+     */
+    run(storeName, mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transação cancelada'));
+        });
+    }
+
+    /**
+     * Verifica se está na hora do backup agendado
+     * @param {Object} settings - Configurações dos backups
+     * @param {Date} now - Momento atual (padrão: agora)
+     * @returns {boolean}
+     */
+    isDue(settings, now = new Date()) {
+        const interval = BackupService.frequencies[settings.frequency];
+        if (!interval) return false;
+        if (!settings.lastBackupAt) return true;
+
+        return now.getTime() - new Date(settings.lastBackupAt).getTime() >= interval;
+    }
+
+    /**
+     * Cria um snapshot e aplica a retenção
+     * Se a pasta escolhida não estiver acessível, o snapshot fica no navegador
+     * @param {Object} data - Dados no formato de backup (ExportService.prepareExportData)
+     * @param {string} reason - Motivo (ver reasonLabels)
+     * @param {Object} settings - Configurações dos backups
+     * @param {boolean} requestAccess - Se pode pedir permissão da pasta (só em resposta a um clique)
+     * @returns {Promise<Object>} Resumo do snapshot (sem os dados)
+     */
+    async createSnapshot(data, reason, settings, requestAccess = false) {
+        const createdAt = new Date().toISOString();
+        const snapshot = {
+            id: IdGenerator.generate(),
+            createdAt,
+            reason,
+            counts: this.countItems(data),
+            destination: 'indexedDB',
+            data: { ...data, snapshotReason: reason }
+        };
+
+        const folder = settings.destination === 'folder' ? await this.getFolder(requestAccess) : null;
+        if (folder) {
+            // Os de segurança levam o motivo no nome, para a retenção separá-los sem abrir os arquivos
+            const suffix = BackupService.safetyReasons.includes(reason) ? `-${reason}` : '';
+            const fileName = `${BackupService.filePrefix}${createdAt.replace(/[:.]/g, '-')}${suffix}.json`;
+            const fileHandle = await folder.getFileHandle(fileName, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(JSON.stringify(snapshot.data, null, 2));
+            await writable.close();
+
+            snapshot.id = `folder:${fileName}`;
+            snapshot.destination = 'folder';
+        } else {
+            await this.run('snapshots', 'readwrite', store => store.put(snapshot));
+        }
+
+        await this.prune(settings.keep);
+
+        const { data: snapshotData, ...summary } = snapshot;
+        return summary;
+    }
+
+    /**
+     * Lista os snapshots, do mais recente para o mais antigo
+     * @returns {Promise<Array>} Resumos ({ id, createdAt, reason, counts, destination })
+     */
+    async listSnapshots() {
+        const stored = await this.run('snapshots', 'readonly', store => store.getAll());
+        const summaries = (stored || []).map(({ data, ...summary }) => summary);
+
+        const folder = await this.getFolder();
+        if (folder) {
+            for (const entry of await this.getFolderEntries(folder)) {
+                try {
+                    summaries.push(this.toFolderSummary(entry.name, JSON.parse(await (await entry.getFile()).text())));
+                } catch (error) {
+                    console.error(`Erro ao ler backup ${entry.name}:`, error);
+                }
+            }
+        }
+
+        return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Obtém um snapshot completo
+     * @param {string} id - ID do snapshot
+     * @returns {Promise<Object>} Snapshot com os dados
+     * @throws {Error} Se o snapshot não existir
+     */
+    async getSnapshot(id) {
+        if (id.startsWith('folder:')) {
+            const folder = await this.getFolder(true);
+            if (!folder) throw new Error('Sem acesso à pasta de backups');
+
+            const fileName = id.slice('folder:'.length);
+            const file = await (await folder.getFileHandle(fileName)).getFile();
+            const data = JSON.parse(await file.text());
+            return { ...this.toFolderSummary(fileName, data), data };
+        }
+
+        const snapshot = await this.run('snapshots', 'readonly', store => store.get(id));
+        if (!snapshot) throw new Error('Backup não encontrado');
+        return snapshot;
+    }
+
+    /**
+     * Apaga os snapshots mais antigos além do limite, em cada destino
+     * Os agendados/manuais seguem o limite escolhido e os de segurança o safetyKeep, separadamente
+     * @param {number} keep - Quantidade de snapshots agendados/manuais mantidos
+     * @returns {Promise<number>} Quantidade de snapshots apagados
+     */
+    async prune(keep) {
+        const limit = Math.max(BackupService.keepLimits.min, parseInt(keep) || BackupService.defaultSettings.keep);
+        const expire = (items, isSafety) => [
+            ...items.filter(item => !isSafety(item)).slice(limit),
+            ...items.filter(isSafety).slice(BackupService.safetyKeep)
+        ];
+        let removed = 0;
+
+        const stored = await this.run('snapshots', 'readonly', store => store.getAll());
+        const expired = expire(
+            (stored || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+            snapshot => BackupService.safetyReasons.includes(snapshot.reason)
+        );
+        if (expired.length > 0) {
+            await this.run('snapshots', 'readwrite', store => {
+                expired.forEach(snapshot => store.delete(snapshot.id));
+            });
+            removed += expired.length;
+        }
+
+        const folder = await this.getFolder();
+        if (folder) {
+            // O nome do arquivo começa pela data, então a ordem alfabética é a cronológica
+            const names = (await this.getFolderEntries(folder)).map(entry => entry.name).sort().reverse();
+            for (const name of expire(names, name => BackupService.isSafetyFileName(name))) {
+                await folder.removeEntry(name);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Conta os itens de um backup
+     * @param {Object} data - Dados no formato de backup
+     * @returns {Object} { tasks, categories, tags }
+     */
+    countItems(data) {
+        return {
+            tasks: (data.tasks || []).length,
+            categories: (data.categories || []).length,
+            tags: (data.tags || []).length
+        };
+    }
+
+    // ===== PASTA (File System Access API) =====
+
+    /**
+     * Pede ao usuário uma pasta para gravar os snapshots
+     * @returns {Promise<string>} Nome da pasta escolhida
+     * @throws {Error} Se o navegador não permitir ou o usuário cancelar
+     */
+    async chooseFolder() {
+        if (!BackupService.isFolderSupported()) {
+            throw new Error('Este navegador não permite gravar em pastas');
+        }
+
+        const handle = await window.showDirectoryPicker({ id: 'planno-backups', mode: 'readwrite' });
+        await this.run('handles', 'readwrite', store => store.put({ name: 'folder', handle }));
+        this.directoryHandle = handle;
+        return handle.name;
+    }
+
+    /**
+     * Obtém informações da pasta escolhida
+     * @returns {Promise<Object|null>} { name, granted } ou null se nenhuma pasta foi escolhida
+     */
+    async getFolderInfo() {
+        if (!this.directoryHandle) return null;
+
+        return {
+            name: this.directoryHandle.name,
+            granted: await this.hasFolderPermission(false)
+        };
+    }
+
+    /**
+     * Obtém a pasta escolhida, se houver permissão de gravação
+     * @param {boolean} requestAccess - Se pode pedir a permissão (só em resposta a um clique)
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async getFolder(requestAccess = false) {
+        return await this.hasFolderPermission(requestAccess) ? this.directoryHandle : null;
+    }
+
+    /**
+     * Verifica (e opcionalmente pede) a permissão de gravação na pasta escolhida
+     * O navegador esquece a permissão ao fechar a página; pedir de novo exige um clique
+     * @param {boolean} requestAccess - Se pode pedir a permissão
+     * @returns {Promise<boolean>}
+     */
+    async hasFolderPermission(requestAccess = false) {
+        if (!this.directoryHandle || typeof this.directoryHandle.queryPermission !== 'function') return false;
+
+        try {
+            const options = { mode: 'readwrite' };
+            let permission = await this.directoryHandle.queryPermission(options);
+            if (permission === 'prompt' && requestAccess) {
+                permission = await this.directoryHandle.requestPermission(options);
+            }
+            return permission === 'granted';
+        } catch (error) {
+            console.error('Erro ao verificar acesso à pasta de backups:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Lista os arquivos de snapshot de uma pasta
+     * @param {FileSystemDirectoryHandle} folder - Pasta
+     * @returns {Promise<Array<FileSystemFileHandle>>}
+     */
+    async getFolderEntries(folder) {
+        const entries = [];
+        for await (const entry of folder.values()) {
+            if (entry.kind === 'file' && entry.name.startsWith(BackupService.filePrefix) && entry.name.endsWith('.json')) {
+                entries.push(entry);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Verifica se um arquivo da pasta é um snapshot de segurança
+     * @param {string} fileName - Nome do arquivo
+     * @returns {boolean}
+     */
+    static isSafetyFileName(fileName) {
+        return BackupService.safetyReasons.some(reason => fileName.endsWith(`-${reason}.json`));
+    }
+
+    /**
+     * Monta o resumo de um snapshot gravado na pasta
+     * @param {string} fileName - Nome do arquivo
+     * @param {Object} data - Conteúdo do arquivo
+     * @returns {Object} Resumo ({ id, createdAt, reason, counts, destination })
+     */
+    toFolderSummary(fileName, data) {
+        return {
+            id: `folder:${fileName}`,
+            createdAt: data.exportDate || '',
+            reason: data.snapshotReason || 'scheduled',
+            counts: this.countItems(data),
+            destination: 'folder'
+        };
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupService;
+} else {
+    window.BackupService = BackupService;
+}
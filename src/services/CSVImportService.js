@@ -0,0 +1,550 @@
+/**
+ * CSVImportService - Importação de arquivos CSV
+ * Responsável por ler o CSV exportado pelo Planno e planilhas simples de tarefas
+ *
+ * Formatos aceitos:
+ * - CSV do Planno (ExportService.convertToCSV): seções "# TAREFAS", "# CATEGORIAS", "# TAGS",
+ *   "# CONFIGURAÇÕES" e "# CORES PERSONALIZADAS", com cabeçalhos em português e booleanos Sim/Não.
+ *   As colunas são lidas pelo nome, então arquivos de versões anteriores também funcionam.
+ * - Planilha simples (uma linha por tarefa, ex: salva pelo Excel): cada coluna é associada a um
+ *   campo da tarefa pelo nome do cabeçalho ou por um mapeamento escolhido pelo usuário.
+ *   Separador vírgula, ponto e vírgula ou tabulação; datas em YYYY-MM-DD ou DD/MM/AAAA.
+ */
+class CSVImportService {
+    /**
+     * Colunas das tarefas no CSV do Planno (cabeçalho → campo)
+     * @returns {Object}
+     */
+    static get taskColumns() {
+        return {
+            'ID': 'id',
+            'Título': 'title',
+            'Descrição': 'description',
+            'Categoria': 'category',
+            'Tags': 'tags',
+            'Prioridade': 'priority',
+            'Data Vencimento': 'dueDate',
+            'Hora Vencimento': 'dueTime',
+            'Concluída': 'completed',
+            'Status': 'status',
+            'Data Criação': 'createdAt',
+            'Data Conclusão': 'completedAt',
+            'Recorrente': 'isRecurring',
+            'Regra Recorrência': 'recurrenceRule',
+            'Modo Recorrência': 'recurrenceMode',
+            'Datas Exceção': 'exceptionDates',
+            'Política Ocorrências Perdidas': 'catchUpPolicy',
+            'Pai Recorrente': 'parentRecurringId',
+            'Subtarefas': 'subtasks',
+            // Versões anteriores ao schema 2
+            'Tipo Recorrência': 'recurrenceType',
+            'Dados Recorrência': 'recurrenceData'
+        };
+    }
+
+    /**
+     * Campos que uma coluna de planilha pode preencher (com os nomes de cabeçalho reconhecidos)
+     * Os nomes são comparados sem acentos e sem diferenciar maiúsculas
+     * @returns {Object}
+     */
+    static get tableFields() {
+        return {
+            title: { label: 'Título', aliases: ['titulo', 'title', 'tarefa', 'task', 'nome', 'name', 'assunto', 'subject', 'content'] },
+            description: { label: 'Descrição', aliases: ['descricao', 'description', 'notas', 'notes', 'observacoes', 'obs', 'detalhes', 'details'] },
+            category: { label: 'Categoria', aliases: ['categoria', 'category', 'projeto', 'project', 'lista', 'list'] },
+            tags: { label: 'Tags', aliases: ['tags', 'tag', 'etiquetas', 'etiqueta', 'labels', 'label'] },
+            priority: { label: 'Prioridade', aliases: ['prioridade', 'priority', 'importancia', 'importance'] },
+            dueDate: { label: 'Data de vencimento', aliases: ['data vencimento', 'data de vencimento', 'vencimento', 'prazo', 'data', 'due', 'due date', 'date'] },
+            dueTime: { label: 'Hora', aliases: ['hora vencimento', 'hora', 'horario', 'time', 'due time'] },
+            completed: { label: 'Concluída', aliases: ['concluida', 'concluido', 'feito', 'feita', 'done', 'completed', 'complete'] },
+            status: { label: 'Status', aliases: ['status', 'situacao', 'estado', 'state'] },
+            recurrence: { label: 'Recorrência', aliases: ['recorrencia', 'regra recorrencia', 'repetir', 'recurrence', 'repeat'] },
+            id: { label: 'ID', aliases: ['id'] }
+        };
+    }
+
+    /**
+     * Verifica se um texto é um CSV exportado pelo Planno
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {boolean}
+     */
+    isPlannoCSV(content) {
+        return /^\uFEFF?# Planno\b/.test(content) || /^# TAREFAS\s*$/m.test(content);
+    }
+
+    // ===== CSV DO PLANNO =====
+
+    /**
+     * Converte o CSV do Planno no formato de backup
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Object} Dados no formato de backup (tarefas, categorias, tags, configurações e metadados)
+     */
+    parsePlannoCSV(content) {
+        const data = { tasks: [], categories: [], tags: [], importWarnings: [], sourceFormat: 'csv' };
+        const sections = {};
+        let current = null;
+
+        CSVUtils.parse(content, ',').forEach(row => {
+            if (row[0].trim().startsWith('#')) {
+                const line = row.join(',').replace(/^\s*#\s*/, '').trim();
+                const meta = line.match(/^([^:]+):\s*(.*)$/);
+
+                if (meta) {
+                    this.applyMetadata(data, meta[1].trim(), meta[2].trim());
+                    current = null;
+                } else {
+                    current = { name: line.toUpperCase(), rows: [] };
+                    sections[current.name] = current;
+                }
+                return;
+            }
+
+            if (current) current.rows.push(row);
+        });
+
+        const records = name => sections[name] ? CSVUtils.toObjects(sections[name].rows) : [];
+
+        data.tasks = records('TAREFAS').map((record, index) => this.recordToTask(record, index, data.importWarnings));
+        data.categories = records('CATEGORIAS').map(record => this.recordToLabel(record));
+        data.tags = records('TAGS').map(record => this.recordToLabel(record));
+        this.applySettings(data, records('CONFIGURAÇÕES'));
+
+        const colors = records('CORES PERSONALIZADAS');
+        if (colors.length > 0) {
+            data.customColors = {};
+            colors.forEach(record => {
+                if (record.Tipo) data.customColors[record.Tipo] = record.Cor;
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * Aplica uma linha de metadados do cabeçalho ("# Versão: 1.0.0")
+     * @param {Object} data - Dados em construção
+     * @param {string} key - Nome do metadado
+     * @param {string} value - Valor
+     */
+    applyMetadata(data, key, value) {
+        switch (key) {
+            case 'Versão':
+                data.version = value;
+                break;
+            case 'Schema':
+                data.schemaVersion = parseInt(value) || undefined;
+                break;
+            case 'Data de Exportação': {
+                // Gravada com toLocaleString('pt-BR'): "19/10/2026, 14:30:00"
+                const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+                if (match) {
+                    const date = new Date(+match[3], +match[2] - 1, +match[1], +match[4], +match[5], +(match[6] || 0));
+                    if (!isNaN(date.getTime())) data.exportDate = date.toISOString();
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Converte uma linha da seção de tarefas
+     * Células vazias não criam o campo (o modelo Task aplica os padrões)
+     * @param {Object} record - Linha (cabeçalho → valor)
+     * @param {number} index - Índice da linha
+     * @param {Array} warnings - Lista de avisos
+     * @returns {Object} Tarefa
+     */
+    recordToTask(record, index, warnings) {
+        const task = {};
+        const columns = CSVImportService.taskColumns;
+
+        Object.entries(record).forEach(([header, rawValue]) => {
+            const field = columns[header];
+            const value = (rawValue || '').trim();
+            if (!field || value === '') return;
+
+            switch (field) {
+                case 'title':
+                case 'description':
+                    // Textos mantêm os espaços originais
+                    task[field] = rawValue;
+                    break;
+                case 'tags':
+                case 'exceptionDates':
+                    task[field] = value.split(';').map(item => item.trim()).filter(item => item);
+                    break;
+                case 'completed':
+                case 'isRecurring':
+                    task[field] = this.parseBoolean(value);
+                    break;
+                case 'recurrenceRule': {
+                    const ignoredParts = [];
+                    task[field] = RecurrenceUtils.parseRRuleString(value, ignoredParts);
+                    if (task[field] && ignoredParts.length > 0) {
+                        warnings.push(`Tarefa ${index + 1}: partes da recorrência ignoradas (${ignoredParts.join(';')})`);
+                    }
+                    break;
+                }
+                case 'subtasks':
+                case 'recurrenceData':
+                    task[field] = this.parseJSONCell(value, `Tarefa ${index + 1}: coluna "${header}" inválida, ignorada`, warnings);
+                    break;
+                default:
+                    task[field] = value;
+            }
+        });
+
+        // Colunas sempre presentes, mesmo vazias
+        ['completed', 'isRecurring'].forEach(field => {
+            if (task[field] === undefined) task[field] = false;
+        });
+
+        return task;
+    }
+
+    /**
+     * Converte uma linha das seções de categorias ou tags
+     * @param {Object} record - Linha (ID, Nome, Cor, Data Criação; Categoria Pai nas categorias e Grupo nas tags)
+     * @returns {Object} Categoria ou tag
+     */
+    recordToLabel(record) {
+        const label = {
+            id: (record.ID || '').trim(),
+            name: (record['Nome'] || '').trim(),
+            color: (record['Cor'] || '').trim()
+        };
+        if ((record['Data Criação'] || '').trim()) label.createdAt = record['Data Criação'].trim();
+        if ((record['Categoria Pai'] || '').trim()) label.parentId = record['Categoria Pai'].trim();
+        if ((record['Grupo'] || '').trim()) {
+            label.group = record['Grupo'].trim();
+            label.groupExclusive = this.parseBoolean(record['Uma Tag por Grupo']);
+        }
+        return label;
+    }
+
+    /**
+     * Aplica a seção de configurações (Propriedade, Valor)
+     * @param {Object} data - Dados em construção
+     * @param {Array} records - Linhas da seção
+     */
+    applySettings(data, records) {
+        const sortOptions = {};
+
+        records.forEach(record => {
+            const value = (record.Valor || '').trim();
+
+            switch ((record.Propriedade || '').trim()) {
+                case 'Nome do Usuário':
+                    data.userName = value;
+                    break;
+                case 'Tema':
+                    data.theme = value;
+                    break;
+                case 'Dias para Tarefas Concluídas':
+                    data.completedTasksDays = parseInt(value) || 30;
+                    break;
+                case 'Sidebar Recolhida':
+                    data.sidebarCollapsed = this.parseBoolean(value);
+                    break;
+                case 'Campo de Ordenação':
+                    sortOptions.field = value;
+                    break;
+                case 'Direção de Ordenação':
+                    sortOptions.direction = value;
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        if (sortOptions.field || sortOptions.direction) {
+            data.sortOptions = { field: 'createdAt', direction: 'desc', ...sortOptions };
+        }
+    }
+
+    // ===== PLANILHA SIMPLES =====
+
+    /**
+     * Descobre o campo de cada coluna pelo nome do cabeçalho
+     * @param {Array<string>} headers - Cabeçalhos
+     * @returns {Array<string>} Campo de cada coluna ('' = ignorada)
+     */
+    detectColumnMapping(headers) {
+        const used = new Set();
+
+        return headers.map(header => {
+            const name = this.fold(header);
+            const field = Object.keys(CSVImportService.tableFields)
+                .find(key => !used.has(key) && CSVImportService.tableFields[key].aliases.includes(name));
+            if (!field) return '';
+
+            used.add(field);
+            return field;
+        });
+    }
+
+    /**
+     * Converte uma planilha simples de tarefas
+     * @param {string} content - Conteúdo do arquivo
+     * @param {Array<string>} columnMapping - Campo de cada coluna (opcional; padrão: detectado pelo cabeçalho)
+     * @returns {Object} { tasks, categories, tags, importWarnings, tableColumns, sourceFormat }
+     */
+    parseTable(content, columnMapping = null) {
+        const rows = CSVUtils.parse(content);
+        const headers = (rows[0] || []).map(header => header.trim());
+        const fields = CSVImportService.tableFields;
+        const mapping = headers.map((header, index) => {
+            const field = columnMapping ? columnMapping[index] : this.detectColumnMapping(headers)[index];
+            return fields[field] ? field : '';
+        });
+
+        const warnings = [];
+        const categories = new Map();
+        const tags = new Map();
+        const tasks = [];
+
+        const getLabel = (map, name, prefix, color) => {
+            const key = this.fold(name);
+            if (!map.has(key)) {
+                map.set(key, { id: IdGenerator.generateFromString(key, prefix), name, color, createdAt: new Date().toISOString() });
+            }
+            return map.get(key);
+        };
+
+        if (!mapping.includes('title')) {
+            warnings.push('Nenhuma coluna associada ao título: escolha a coluna do título abaixo');
+        } else {
+            rows.slice(1).forEach((values, index) => {
+                const lineLabel = `Linha ${index + 2}`;
+                const cells = {};
+                mapping.forEach((field, column) => {
+                    if (field) cells[field] = (values[column] || '').trim();
+                });
+
+                if (!cells.title) {
+                    warnings.push(`${lineLabel}: sem título, ignorada`);
+                    return;
+                }
+
+                const task = this.cellsToTask(cells, lineLabel, warnings);
+                if (cells.category) {
+                    task.category = getLabel(categories, cells.category.slice(0, 50), 'csvcat', '#007bff').id;
+                }
+                task.tags = task.tags.map(name => getLabel(tags, name.slice(0, 30), 'csvtag', '#6c757d').id);
+
+                tasks.push(task);
+            });
+        }
+
+        const ignored = headers.filter((header, index) => header && !mapping[index]);
+        if (ignored.length > 0) {
+            warnings.push(`Colunas não importadas: ${ignored.join(', ')}`);
+        }
+
+        return {
+            tasks,
+            categories: [...categories.values()],
+            tags: [...tags.values()],
+            importWarnings: warnings,
+            tableColumns: {
+                headers,
+                mapping,
+                fields: Object.entries(fields).map(([key, field]) => ({ key, label: field.label }))
+            },
+            sourceFormat: 'csv-table'
+        };
+    }
+
+    /**
+     * Converte as células de uma linha em tarefa
+     * @param {Object} cells - Valores por campo
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     * @param {Array} warnings - Lista de avisos
+     * @returns {Object} Tarefa (tags como nomes)
+     */
+    cellsToTask(cells, lineLabel, warnings) {
+        const title = cells.title.slice(0, 100);
+        if (cells.title.length > 100) warnings.push(`${lineLabel}: título encurtado para 100 caracteres`);
+
+        const description = (cells.description || '').slice(0, 500);
+        if ((cells.description || '').length > 500) warnings.push(`${lineLabel}: descrição encurtada para 500 caracteres`);
+
+        const due = this.parseDateCell(cells.dueDate);
+        if (cells.dueDate && !due) warnings.push(`${lineLabel}: data não reconhecida ("${cells.dueDate}")`);
+
+        const time = this.parseTimeCell(cells.dueTime) || (due && due.time) || '';
+        if (cells.dueTime && !this.parseTimeCell(cells.dueTime)) warnings.push(`${lineLabel}: horário não reconhecido ("${cells.dueTime}")`);
+
+        const status = this.parseStatusCell(cells.status);
+        if (cells.status && !status) warnings.push(`${lineLabel}: status não reconhecido ("${cells.status}")`);
+
+        const completed = cells.completed ? this.parseBoolean(cells.completed) : status === 'done';
+        const priority = this.parsePriorityCell(cells.priority);
+        if (cells.priority && !priority) warnings.push(`${lineLabel}: prioridade não reconhecida ("${cells.priority}"), usada média`);
+
+        const tagNames = [...new Set((cells.tags || '').split(/[;,]/).map(name => name.trim().replace(/^#/, '')).filter(name => name))];
+
+        const task = {
+            id: cells.id && IdGenerator.isValid(cells.id) ? cells.id : IdGenerator.generateFromString(`${lineLabel}:${title}`, 'csv'),
+            title,
+            description,
+            tags: tagNames,
+            priority: priority || 'medium',
+            dueDate: due ? due.date : '',
+            dueTime: due ? time : '',
+            completed,
+            status: !completed && status === 'doing' ? 'doing' : 'todo',
+            createdAt: new Date().toISOString(),
+            completedAt: completed ? new Date().toISOString() : null,
+            isRecurring: false,
+            recurrenceRule: null
+        };
+
+        if (cells.recurrence) {
+            const ignoredParts = [];
+            const rule = /^(RRULE:)?FREQ=/i.test(cells.recurrence)
+                ? RecurrenceUtils.parseRRuleString(cells.recurrence, ignoredParts)
+                : QuickAddParser.parse(cells.recurrence).taskData.recurrenceRule;
+
+            if (rule && ignoredParts.length > 0) {
+                warnings.push(`${lineLabel}: partes da recorrência ignoradas (${ignoredParts.join(';')})`);
+            }
+
+            if (!rule) {
+                warnings.push(`${lineLabel}: recorrência não reconhecida ("${cells.recurrence}")`);
+            } else if (!task.dueDate) {
+                warnings.push(`${lineLabel}: recorrência sem data de vencimento ignorada`);
+            } else {
+                task.isRecurring = true;
+                task.recurrenceRule = rule;
+            }
+        }
+
+        return task;
+    }
+
+    // ===== AUXILIARES =====
+
+    /**
+     * Interpreta um booleano (Sim/Não, yes/no, true/false, x, 1/0)
+     * @param {string} value - Texto
+     * @returns {boolean}
+     */
+    parseBoolean(value) {
+        return ['sim', 's', 'yes', 'y', 'true', 'x', '1', 'verdadeiro', 'concluida', 'concluido', 'feito', 'done', 'completed']
+            .includes(this.fold(value));
+    }
+
+    /**
+     * Interpreta uma célula JSON
+     * @param {string} value - Texto JSON
+     * @param {string} message - Aviso se o JSON for inválido
+     * @param {Array} warnings - Lista de avisos
+     * @returns {*} Valor interpretado ou undefined
+     */
+    parseJSONCell(value, message, warnings) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            warnings.push(message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Interpreta uma data de planilha (YYYY-MM-DD, DD/MM/AAAA, DD/MM/AA, DD.MM.AAAA ou DD-MM-AAAA,
+     * opcionalmente seguida de horário)
+     * @param {string} value - Texto
+     * @returns {Object|null} { date, time }
+     */
+    parseDateCell(value) {
+        const text = (value || '').trim();
+        if (!text) return null;
+
+        let year;
+        let month;
+        let day;
+        let rest;
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/);
+        if (match) {
+            [, year, month, day, rest] = match;
+        } else {
+            match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:,?\s+(.*))?$/);
+            if (!match) return null;
+            [, day, month, year, rest] = match;
+            if (year.length === 2) year = `20${year}`;
+        }
+
+        const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        if (DateUtils.formatDateISO(DateUtils.createLocalDate(date)) !== date) return null;
+
+        return { date, time: rest ? this.parseTimeCell(rest) || '' : '' };
+    }
+
+    /**
+     * Interpreta um horário (14:30, 14:30:00, 14h30, 14h)
+     * @param {string} value - Texto
+     * @returns {string|null} Horário HH:MM
+     */
+    parseTimeCell(value) {
+        const match = (value || '').trim().match(/^(\d{1,2})(?::(\d{2})(?::\d{2})?|h(\d{2})?)$/i);
+        if (!match) return null;
+
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2] || match[3] || '0');
+        if (hours > 23 || minutes > 59) return null;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Interpreta uma prioridade (alta/média/baixa, high/medium/low, 1/2/3)
+     * @param {string} value - Texto
+     * @returns {string|null} 'high', 'medium', 'low' ou null se vazia ou não reconhecida
+     */
+    parsePriorityCell(value) {
+        const priorities = {
+            alta: 'high', high: 'high', urgente: 'high', 1: 'high', p1: 'high', a: 'high',
+            media: 'medium', medium: 'medium', normal: 'medium', 2: 'medium', p2: 'medium', b: 'medium',
+            baixa: 'low', low: 'low', 3: 'low', p3: 'low', c: 'low'
+        };
+        return priorities[this.fold(value)] || null;
+    }
+
+    /**
+     * Interpreta um status (A fazer, Em andamento, Concluída, todo, doing, done...)
+     * @param {string} value - Texto
+     * @returns {string|null} 'todo', 'doing', 'done' ou null se vazio ou não reconhecido
+     */
+    parseStatusCell(value) {
+        const statuses = {
+            'a fazer': 'todo', 'pendente': 'todo', 'todo': 'todo', 'to do': 'todo', 'not started': 'todo', 'nao iniciada': 'todo',
+            'em andamento': 'doing', 'fazendo': 'doing', 'doing': 'doing', 'in progress': 'doing',
+            'concluida': 'done', 'concluido': 'done', 'feito': 'done', 'done': 'done', 'completed': 'done'
+        };
+        return statuses[this.fold(value)] || null;
+    }
+
+    /**
+     * Normaliza um texto para comparação (sem acentos, caixa e espaços extras)
+     * @param {string} value - Texto
+     * @returns {string} Texto normalizado
+     */
+    fold(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(/\s+/g, ' ');
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVImportService;
+} else {
+    window.CSVImportService = CSVImportService;
+}
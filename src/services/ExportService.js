@@ -3,30 +3,49 @@
  * Responsável por exportar e importar dados da aplicação
  * 
  * Funcionalidades:
- * - Exportar dados para JSON
- * - Importar dados de JSON
+ * - Exportar dados para JSON, CSV, iCalendar (.ics), todo.txt e Markdown
+ * - Importar dados de JSON, CSV (do Planno ou planilhas), iCalendar (.ics), todo.txt e Markdown
+ * - Importar exportações do Todoist, Google Tasks e Microsoft To Do (ExternalImportService)
  * - Validação de dados de importação
+ * - Prévia item a item da importação e importação parcial
+ * - Atualização de backups antigos para o schema atual (MigrationService)
  * - Backup e restauração
  * - Limpeza de dados
  */
 class ExportService {
-    constructor() {
+    /**
+     * @param {MigrationService} migrationService - Migrações do schema (opcional)
+     */
+    constructor(migrationService = null) {
+        this.migrationService = migrationService || new MigrationService();
+        this.icalendarService = new ICalendarService();
+        this.externalImportService = new ExternalImportService();
+        this.plainTextService = new PlainTextService();
+        this.csvImportService = new CSVImportService();
         this.version = '1.0.0';
         this.appName = 'Planno - Organizador de Tarefas Gratuito';
         this.maxFileSize = 5 * 1024 * 1024; // 5MB
-        this.supportedFormats = ['.json', '.csv'];
+        this.supportedFormats = ['.json', '.csv', '.ics', '.txt', '.md'];
+        this.importFormats = ['.json', '.ics', '.csv', '.txt', '.md'];
     }
 
     /**
      * Exporta todos os dados da aplicação
      * @param {Object} data - Dados para exportar
-     * @param {string} format - Formato de exportação ('json' ou 'csv')
+     * @param {string} format - Formato de exportação ('json', 'csv', 'ics', 'todotxt' ou 'markdown')
+     * @param {Object} options - Opções do formato (ics: { datedAsEvents })
      * @returns {Promise<boolean>} Se a exportação foi bem-sucedida
      */
-    async exportData(data, format = 'json') {
+    async exportData(data, format = 'json', options = {}) {
         try {
             if (format === 'csv') {
                 return await this.exportToCSV(data);
+            } else if (format === 'ics') {
+                return await this.exportToICS(data, options);
+            } else if (format === 'todotxt') {
+                return await this.exportToTodoTxt(data);
+            } else if (format === 'markdown') {
+                return await this.exportToMarkdown(data);
             } else {
                 return await this.exportToJSON(data);
             }
@@ -83,6 +102,77 @@ class ExportService {
         }
     }
 
+    /**
+     * Exporta as tarefas em formato iCalendar (.ics)
+     * @param {Object} data - Dados para exportar
+     * @param {Object} options - Opções
+     * @param {boolean} options.datedAsEvents - Exportar tarefas com data como VEVENT
+     * @returns {Promise<boolean>} Se a exportação foi bem-sucedida
+     */
+    async exportToICS(data, options = {}) {
+        try {
+            const icsContent = this.icalendarService.generate(data, options);
+            
+            const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8;' });
+            const url = URL.createObjectURL(blob);
+            
+            const filename = this.generateFilename('ics');
+            await this.downloadFile(url, filename);
+            
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            console.error('Erro ao exportar dados iCalendar:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exporta as tarefas em formato todo.txt
+     * @param {Object} data - Dados para exportar
+     * @returns {Promise<boolean>} Se a exportação foi bem-sucedida
+     */
+    async exportToTodoTxt(data) {
+        try {
+            const txtContent = this.plainTextService.generateTodoTxt(data);
+            
+            const blob = new Blob([txtContent], { type: 'text/plain;charset=utf-8;' });
+            const url = URL.createObjectURL(blob);
+            
+            const filename = this.generateFilename('txt');
+            await this.downloadFile(url, filename);
+            
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            console.error('Erro ao exportar dados todo.txt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exporta as tarefas em Markdown (checklists agrupados por categoria)
+     * @param {Object} data - Dados para exportar
+     * @returns {Promise<boolean>} Se a exportação foi bem-sucedida
+     */
+    async exportToMarkdown(data) {
+        try {
+            const markdownContent = this.plainTextService.generateMarkdown(data);
+            
+            const blob = new Blob([markdownContent], { type: 'text/markdown;charset=utf-8;' });
+            const url = URL.createObjectURL(blob);
+            
+            const filename = this.generateFilename('md');
+            await this.downloadFile(url, filename);
+            
+            URL.revokeObjectURL(url);
+            return true;
+        } catch (error) {
+            console.error('Erro ao exportar dados Markdown:', error);
+            throw error;
+        }
+    }
+
     /**
      * Prepara os dados para exportação
      * @param {Object} data - Dados da aplicação
@@ -104,17 +194,19 @@ class ExportService {
             sortOptions: data.sortOptions || { field: 'createdAt', direction: 'desc' },
             completedTasksDays: data.completedTasksDays || 30,
             sidebarCollapsed: data.sidebarCollapsed || false,
+            smartLists: data.smartLists || [],
             
             // Metadados
             exportDate: new Date().toISOString(),
             version: this.version,
+            schemaVersion: this.migrationService.currentVersion,
             appName: this.appName
         };
     }
 
     /**
      * Gera o nome do arquivo de exportação
-     * @param {string} format - Formato do arquivo ('json' ou 'csv')
+     * @param {string} format - Extensão do arquivo ('json', 'csv', 'ics', 'txt' ou 'md')
      * @returns {string} Nome do arquivo
      */
     generateFilename(format = 'json') {
@@ -161,12 +253,13 @@ class ExportService {
         csvLines.push('# Planno - Exportação de Dados');
         csvLines.push(`# Data de Exportação: ${new Date().toLocaleString('pt-BR')}`);
         csvLines.push(`# Versão: ${this.version}`);
+        csvLines.push(`# Schema: ${this.migrationService.currentVersion}`);
         csvLines.push('');
         
         // Seção de Tarefas
         if (data.tasks && data.tasks.length > 0) {
             csvLines.push('# TAREFAS');
-            csvLines.push('ID,Título,Descrição,Categoria,Tags,Prioridade,Data Vencimento,Hora Vencimento,Concluída,Data Criação,Data Conclusão,Recorrente,Tipo Recorrência,Dados Recorrência,Pai Recorrente');
+            csvLines.push('ID,Título,Descrição,Categoria,Tags,Prioridade,Data Vencimento,Hora Vencimento,Concluída,Status,Data Criação,Data Conclusão,Recorrente,Regra Recorrência,Modo Recorrência,Datas Exceção,Política Ocorrências Perdidas,Pai Recorrente,Subtarefas');
             
             data.tasks.forEach(task => {
                 const row = [
@@ -179,12 +272,16 @@ class ExportService {
                     this.escapeCSV(task.dueDate),
                     this.escapeCSV(task.dueTime),
                     task.completed ? 'Sim' : 'Não',
+                    this.escapeCSV(task.status || 'todo'),
                     this.escapeCSV(task.createdAt),
                     this.escapeCSV(task.completedAt),
                     task.isRecurring ? 'Sim' : 'Não',
-                    this.escapeCSV(task.recurrenceType),
-                    this.escapeCSV(task.recurrenceData ? JSON.stringify(task.recurrenceData) : ''),
-                    this.escapeCSV(task.parentRecurringId)
+                    this.escapeCSV(task.recurrenceRule ? RecurrenceUtils.toRRuleString(task.recurrenceRule) : ''),
+                    this.escapeCSV(task.isRecurring ? (task.recurrenceMode || 'fixed') : ''),
+                    this.escapeCSV(task.exceptionDates ? task.exceptionDates.join(';') : ''),
+                    this.escapeCSV(task.isRecurring ? (task.catchUpPolicy || 'collapse') : ''),
+                    this.escapeCSV(task.parentRecurringId),
+                    this.escapeCSV(task.subtasks && task.subtasks.length > 0 ? JSON.stringify(task.subtasks) : '')
                 ];
                 csvLines.push(row.join(','));
             });
@@ -194,14 +291,15 @@ class ExportService {
         // Seção de Categorias
         if (data.categories && data.categories.length > 0) {
             csvLines.push('# CATEGORIAS');
-            csvLines.push('ID,Nome,Cor,Data Criação');
+            csvLines.push('ID,Nome,Cor,Data Criação,Categoria Pai');
             
             data.categories.forEach(category => {
                 const row = [
                     this.escapeCSV(category.id),
                     this.escapeCSV(category.name),
                     this.escapeCSV(category.color),
-                    this.escapeCSV(category.createdAt)
+                    this.escapeCSV(category.createdAt),
+                    this.escapeCSV(category.parentId)
                 ];
                 csvLines.push(row.join(','));
             });
@@ -211,14 +309,16 @@ class ExportService {
         // Seção de Tags
         if (data.tags && data.tags.length > 0) {
             csvLines.push('# TAGS');
-            csvLines.push('ID,Nome,Cor,Data Criação');
+            csvLines.push('ID,Nome,Cor,Data Criação,Grupo,Uma Tag por Grupo');
             
             data.tags.forEach(tag => {
                 const row = [
                     this.escapeCSV(tag.id),
                     this.escapeCSV(tag.name),
                     this.escapeCSV(tag.color),
-                    this.escapeCSV(tag.createdAt)
+                    this.escapeCSV(tag.createdAt),
+                    this.escapeCSV(tag.group),
+                    tag.groupExclusive ? 'Sim' : 'Não'
                 ];
                 csvLines.push(row.join(','));
             });
@@ -274,29 +374,113 @@ class ExportService {
     /**
      * Importa dados de um arquivo
      * @param {File} file - Arquivo para importar
+     * @param {Object} selection - Índices dos itens a importar ({ tasks, categories, tags }; opcional)
+     * @param {Object} options - Opções de leitura (ver readImportFile)
      * @returns {Promise<Object>} Dados importados
      */
-    async importData(file) {
+    async importData(file, selection = null, options = {}) {
         try {
-            // Validar arquivo
-            this.validateImportFile(file);
-            
-            // Ler arquivo
-            const fileContent = await this.readFile(file);
-            
-            // Parsear JSON
-            const data = JSON.parse(fileContent);
+            // Ler arquivo e atualizar para o schema atual
+            const migration = await this.readImportFile(file, options);
+            const data = selection ? this.selectImportItems(migration.data, selection) : migration.data;
             
             // Validar dados
             this.validateImportData(data);
             
-            return this.processImportData(data);
+            return this.processImportData(data, migration);
         } catch (error) {
             console.error('Erro ao importar dados:', error);
             throw error;
         }
     }
 
+    /**
+     * Atualiza, valida e processa dados de backup já lidos (ex.: um backup automático)
+     * @param {Object} data - Dados no formato de backup
+     * @returns {Object} Dados importados (ver processImportData)
+     */
+    loadBackupData(data) {
+        const migration = this.migrateImportData(data);
+        this.validateImportData(migration.data);
+        return this.processImportData(migration.data, migration);
+    }
+
+    /**
+     * Lê um arquivo de backup e o atualiza para o schema atual, sem validar os itens
+     * @param {File} file - Arquivo para ler
+     * @param {Object} options - Opções de leitura
+     * @param {Array<string>} options.columnMapping - Campo de cada coluna de uma planilha CSV (opcional)
+     * @returns {Promise<Object>} Resultado do MigrationService.migrate
+     */
+    async readImportFile(file, options = {}) {
+        // Validar arquivo
+        this.validateImportFile(file);
+        
+        // Ler arquivo
+        const fileContent = await this.readFile(file);
+        
+        return this.migrateImportData(this.parseImportContent(fileContent, file, options));
+    }
+
+    /**
+     * Interpreta o conteúdo de um arquivo de importação
+     * Calendários .ics e exportações de outros aplicativos são convertidos para o formato de backup
+     * @param {string} content - Conteúdo do arquivo
+     * @param {File} file - Arquivo de origem (extensão e nome)
+     * @param {Object} options - Opções de leitura (ver readImportFile)
+     * @returns {Object} Dados no formato de backup
+     */
+    parseImportContent(content, file, options = {}) {
+        const extension = this.getFileExtension(file);
+        const currentSchema = { schemaVersion: this.migrationService.currentVersion };
+
+        if (extension === 'ics') {
+            return { ...this.icalendarService.parse(content), sourceFormat: 'ics', ...currentSchema };
+        }
+
+        if (extension === 'csv') {
+            // CSV do Planno, exportação do Todoist ou planilha simples
+            if (this.csvImportService.isPlannoCSV(content)) {
+                return { ...this.csvImportService.parsePlannoCSV(content), appName: this.appName };
+            }
+
+            if (this.externalImportService.detectCSV(content)) {
+                return { ...this.externalImportService.convertCSV(content, file.name), ...currentSchema };
+            }
+
+            return { ...this.csvImportService.parseTable(content, options.columnMapping), ...currentSchema };
+        }
+
+        if (extension === 'txt') {
+            return { ...this.plainTextService.parseTodoTxt(content), sourceFormat: 'todotxt', ...currentSchema };
+        }
+
+        if (extension === 'md') {
+            return { ...this.plainTextService.parseMarkdown(content), sourceFormat: 'markdown', ...currentSchema };
+        }
+
+        const data = JSON.parse(content);
+        if (this.externalImportService.detectJSON(data)) {
+            return { ...this.externalImportService.convertJSON(data), ...currentSchema };
+        }
+
+        return data;
+    }
+
+    /**
+     * Atualiza os dados de um backup para a versão atual do schema
+     * @param {Object} data - Dados do backup
+     * @returns {Object} Resultado do MigrationService.migrate
+     * @throws {Error} Se o backup for de uma versão mais nova do schema
+     */
+    migrateImportData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Dados devem ser um objeto válido');
+        }
+
+        return this.migrationService.migrate(data);
+    }
+
     /**
      * Valida o arquivo de importação
      * @param {File} file - Arquivo para validar
@@ -307,18 +491,27 @@ class ExportService {
             throw new Error('Nenhum arquivo selecionado');
         }
 
-        if (file.type !== 'application/json') {
+        const extension = this.getFileExtension(file);
+        if (!this.importFormats.includes(`.${extension}`)) {
+            throw new Error(`Formato não suportado. Use: ${this.importFormats.join(', ')}`);
+        }
+
+        if (extension === 'json' && file.type !== 'application/json') {
             throw new Error('Arquivo deve ser do tipo JSON');
         }
 
         if (file.size > this.maxFileSize) {
             throw new Error(`Arquivo muito grande. Máximo ${this.maxFileSize / 1024 / 1024}MB`);
         }
+    }
 
-        const extension = file.name.split('.').pop().toLowerCase();
-        if (!this.supportedFormats.includes(`.${extension}`)) {
-            throw new Error(`Formato não suportado. Use: ${this.supportedFormats.join(', ')}`);
-        }
+    /**
+     * Obtém a extensão de um arquivo
+     * @param {File} file - Arquivo
+     * @returns {string} Extensão em minúsculas (sem ponto)
+     */
+    getFileExtension(file) {
+        return file.name.split('.').pop().toLowerCase();
     }
 
     /**
@@ -402,6 +595,11 @@ class ExportService {
             warnings.push(`Versão do arquivo (${data.version}) diferente da versão atual (${this.version})`);
         }
 
+        // Verificar schema
+        if (this.migrationService.detectVersion(data) > this.migrationService.currentVersion) {
+            errors.push(`Schema do arquivo (${data.schemaVersion}) mais novo que o suportado (${this.migrationService.currentVersion})`);
+        }
+
         // Verificar metadados
         if (!data.exportDate) {
             warnings.push('Arquivo não contém data de exportação');
@@ -493,8 +691,6 @@ class ExportService {
 
         if (task.tags && !Array.isArray(task.tags)) {
             errors.push('Tags devem ser um array');
-        } else if (task.tags && task.tags.length > 3) {
-            errors.push('Máximo de 3 tags por tarefa');
         }
 
         if (task.priority && !['low', 'medium', 'high'].includes(task.priority)) {
@@ -518,6 +714,10 @@ class ExportService {
             errors.push('Status de conclusão deve ser boolean');
         }
 
+        if (task.status !== undefined && task.status !== null && !['todo', 'doing'].includes(task.status)) {
+            errors.push('Status deve ser: todo ou doing');
+        }
+
         if (task.createdAt !== undefined && task.createdAt !== null && task.createdAt !== '' && String(task.createdAt).trim() !== '') {
             if (!this.isValidDate(task.createdAt)) {
                 errors.push('Data de criação inválida');
@@ -534,10 +734,65 @@ class ExportService {
             errors.push('Flag de recorrência deve ser boolean');
         }
 
+        // Backups antigos usam recurrenceType; os novos usam recurrenceRule (RRULE)
         if (task.isRecurring && task.recurrenceType && !['daily', 'weekly', 'monthly', 'yearly'].includes(task.recurrenceType)) {
             errors.push('Tipo de recorrência inválido');
         }
 
+        if (task.recurrenceRule !== undefined && task.recurrenceRule !== null) {
+            const ruleValidation = RecurrenceUtils.validate(task.recurrenceRule);
+            errors.push(...ruleValidation.errors);
+        }
+
+        if (task.recurrenceMode !== undefined && task.recurrenceMode !== null && !RecurrenceUtils.modes.includes(task.recurrenceMode)) {
+            errors.push('Modo de recorrência inválido');
+        }
+
+        if (task.catchUpPolicy !== undefined && task.catchUpPolicy !== null && !RecurrenceUtils.catchUpPolicies.includes(task.catchUpPolicy)) {
+            errors.push('Política de ocorrências perdidas inválida');
+        }
+
+        if (task.exceptionDates !== undefined && task.exceptionDates !== null) {
+            if (!Array.isArray(task.exceptionDates)) {
+                errors.push('Datas de exceção devem ser um array');
+            } else if (task.exceptionDates.some(date => !this.isValidDate(date))) {
+                errors.push('Datas de exceção inválidas');
+            }
+        }
+
+        ['originalDueDate', 'recurrenceStart'].forEach(field => {
+            if (task[field] && !this.isValidDate(task[field])) {
+                errors.push(field === 'originalDueDate' ? 'Data prevista da ocorrência inválida' : 'Data de início da série inválida');
+            }
+        });
+
+        if (task.subtasks !== undefined && task.subtasks !== null) {
+            if (!Array.isArray(task.subtasks)) {
+                errors.push('Subtarefas devem ser um array');
+            } else {
+                task.subtasks.forEach((subtask, subtaskIndex) => {
+                    if (!subtask || typeof subtask !== 'object') {
+                        errors.push(`Subtarefa ${subtaskIndex + 1} deve ser um objeto válido`);
+                        return;
+                    }
+
+                    if (!subtask.id || typeof subtask.id !== 'string') {
+                        errors.push(`Subtarefa ${subtaskIndex + 1}: ID é obrigatório e deve ser uma string`);
+                    }
+
+                    if (!subtask.title || typeof subtask.title !== 'string') {
+                        errors.push(`Subtarefa ${subtaskIndex + 1}: título é obrigatório e deve ser uma string`);
+                    } else if (subtask.title.length > 100) {
+                        errors.push(`Subtarefa ${subtaskIndex + 1}: título deve ter no máximo 100 caracteres`);
+                    }
+
+                    if (typeof subtask.completed !== 'boolean') {
+                        errors.push(`Subtarefa ${subtaskIndex + 1}: status de conclusão deve ser boolean`);
+                    }
+                });
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -615,6 +870,12 @@ class ExportService {
             errors.push('Data de criação inválida');
         }
 
+        if (category.parentId !== undefined && category.parentId !== null && typeof category.parentId !== 'string') {
+            errors.push('Categoria pai deve ser uma string');
+        } else if (category.parentId && category.parentId === category.id) {
+            errors.push('Categoria não pode ser pai de si mesma');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -692,6 +953,12 @@ class ExportService {
             errors.push('Data de criação inválida');
         }
 
+        if (tag.group !== undefined && tag.group !== null && typeof tag.group !== 'string') {
+            errors.push('Grupo deve ser uma string');
+        } else if (tag.group && tag.group.length > 30) {
+            errors.push('Grupo deve ter no máximo 30 caracteres');
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -735,6 +1002,21 @@ class ExportService {
             }
         }
 
+        // Validar listas inteligentes
+        if (data.smartLists !== undefined) {
+            if (!Array.isArray(data.smartLists)) {
+                errors.push('Listas inteligentes devem ser uma lista');
+            } else {
+                data.smartLists.forEach((list, index) => {
+                    if (!list || typeof list.name !== 'string' || !list.name.trim()) {
+                        errors.push(`Lista inteligente ${index + 1}: nome é obrigatório`);
+                    } else if (!list.filterState || typeof list.filterState !== 'object') {
+                        errors.push(`Lista inteligente "${list.name}": filtros são obrigatórios`);
+                    }
+                });
+            }
+        }
+
         // Validar cores personalizadas
         if (data.customColors && typeof data.customColors !== 'object') {
             errors.push('Cores personalizadas devem ser um objeto');
@@ -811,10 +1093,11 @@ class ExportService {
 
     /**
      * Processa os dados importados
-     * @param {Object} data - Dados importados
+     * @param {Object} data - Dados importados (já no schema atual)
+     * @param {Object} migration - Resultado da migração aplicada (opcional)
      * @returns {Object} Dados processados
      */
-    processImportData(data) {
+    processImportData(data, migration = null) {
         return {
             // Dados principais
             tasks: data.tasks || [],
@@ -830,12 +1113,199 @@ class ExportService {
             sortOptions: data.sortOptions || { field: 'createdAt', direction: 'desc' },
             completedTasksDays: data.completedTasksDays || 30,
             sidebarCollapsed: data.sidebarCollapsed || false,
+            smartLists: data.smartLists || [],
             
             // Metadados de importação
             importDate: new Date().toISOString(),
             originalExportDate: data.exportDate,
-            originalVersion: data.version
+            originalVersion: data.version,
+            sourceFormat: data.sourceFormat || 'json',
+            originalSchemaVersion: migration ? migration.fromVersion : this.migrationService.detectVersion(data),
+            appliedMigrations: migration ? migration.applied : []
+        };
+    }
+
+    /**
+     * Monta a prévia item a item de um arquivo de importação
+     * Cada tarefa, categoria e tag recebe um status em relação aos dados atuais:
+     * 'new' (não existe), 'changed' (mesmo ID, conteúdo diferente), 'identical' ou 'invalid'
+     * @param {Object} data - Dados do arquivo (já no schema atual)
+     * @param {Object} current - Dados atuais ({ tasks, categories, tags })
+     * @returns {Object} { tasks, categories, tags, errors, warnings }
+     */
+    buildImportPreview(data, current) {
+        const errors = [];
+        const warnings = [];
+
+        // Problemas do arquivo como um todo (não de itens) impedem a importação
+        this.validateMetadata(data, errors, warnings);
+        this.validateSettings(data, errors, warnings);
+
+        const preview = {
+            tasks: this.previewCollection(data.tasks, current.tasks || [], 'tasks', (task, index) => this.validateTaskSchema(task, index)),
+            categories: this.previewCollection(data.categories, current.categories || [], 'categories', (category, index) => this.validateCategorySchema(category, index)),
+            tags: this.previewCollection(data.tags, current.tags || [], 'tags', (tag, index) => this.validateTagSchema(tag, index)),
+            errors,
+            warnings: [...warnings, ...(data.importWarnings || [])],
+            source: ExternalImportService.sourceLabels[data.sourceFormat] || null,
+            columns: data.tableColumns || null
+        };
+
+        ['tasks', 'categories', 'tags'].forEach(collection => {
+            if (data[collection] !== undefined && !Array.isArray(data[collection])) {
+                errors.push(`Lista de ${ExportService.previewLabels[collection].plural} deve ser um array`);
+            }
+        });
+
+        return preview;
+    }
+
+    /**
+     * Nomes usados na prévia de importação
+     * @returns {Object} Rótulos por coleção e por campo
+     */
+    static get previewLabels() {
+        return {
+            tasks: { plural: 'tarefas' },
+            categories: { plural: 'categorias' },
+            tags: { plural: 'tags' },
+            fields: {
+                title: 'Título',
+                description: 'Descrição',
+                category: 'Categoria',
+                tags: 'Tags',
+                priority: 'Prioridade',
+                dueDate: 'Data',
+                dueTime: 'Horário',
+                completed: 'Conclusão',
+                completedAt: 'Data de conclusão',
+                status: 'Status',
+                createdAt: 'Data de criação',
+                isRecurring: 'Recorrência',
+                recurrenceRule: 'Regra de recorrência',
+                recurrenceMode: 'Modo de recorrência',
+                recurrenceStart: 'Início da série',
+                exceptionDates: 'Exceções',
+                originalDueDate: 'Data original',
+                catchUpPolicy: 'Ocorrências perdidas',
+                missedOccurrences: 'Ocorrências perdidas',
+                parentRecurringId: 'Série',
+                subtasks: 'Subtarefas',
+                name: 'Nome',
+                color: 'Cor',
+                parentId: 'Categoria pai',
+                group: 'Grupo',
+                groupExclusive: 'Uma tag por grupo'
+            }
+        };
+    }
+
+    /**
+     * Compara os itens de uma coleção do arquivo com os dados atuais
+     * @param {Array} items - Itens do arquivo
+     * @param {Array} localItems - Itens atuais
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Function} validate - Validador do item (retorna { isValid, errors })
+     * @returns {Array} Itens da prévia ({ index, id, label, status, errors, changes })
+     */
+    previewCollection(items, localItems, collection, validate) {
+        if (!Array.isArray(items)) return [];
+
+        const seenIds = new Set();
+
+        return items.map((item, index) => {
+            const validation = validate(item, index);
+            const errors = [...validation.errors];
+            const id = item && typeof item === 'object' ? item.id : null;
+
+            if (id && seenIds.has(id)) {
+                errors.push('ID duplicado no arquivo');
+            }
+            if (id) seenIds.add(id);
+
+            const entry = {
+                index,
+                id,
+                label: item && typeof item === 'object' ? (item.title || item.name || id || `Item ${index + 1}`) : `Item ${index + 1}`,
+                status: 'invalid',
+                errors,
+                changes: []
+            };
+
+            if (errors.length > 0) return entry;
+
+            const local = localItems.find(localItem => localItem.id === id);
+            if (!local) {
+                entry.status = 'new';
+                return entry;
+            }
+
+            entry.changes = this.getChangedFields(collection, local, item);
+            entry.status = entry.changes.length > 0 ? 'changed' : 'identical';
+            return entry;
+        });
+    }
+
+    /**
+     * Lista os campos que diferem entre a versão local e a do arquivo
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Object} local - Item atual
+     * @param {Object} item - Item do arquivo
+     * @returns {Array} Nomes dos campos alterados (sem repetição)
+     */
+    getChangedFields(collection, local, item) {
+        const models = { tasks: Task, categories: Category, tags: Tag };
+        const Model = models[collection];
+        const normalize = record => Model
+            ? JSON.parse(JSON.stringify(record instanceof Model ? record : new Model(record)))
+            : JSON.parse(JSON.stringify(record));
+        const before = normalize(local);
+        const after = normalize(item);
+        const ignored = ['id', 'usageCount'];
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => !ignored.includes(key));
+
+        const labels = ExportService.previewLabels.fields;
+        const changed = keys
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+            .map(key => labels[key] || key);
+
+        return [...new Set(changed)];
+    }
+
+    /**
+     * Mantém só os itens escolhidos na prévia
+     * Categorias e tags usadas pelas tarefas escolhidas vêm junto quando estão no arquivo
+     * @param {Object} data - Dados do arquivo
+     * @param {Object} selection - Índices escolhidos ({ tasks, categories, tags })
+     * @returns {Object} Dados filtrados
+     */
+    selectImportItems(data, selection) {
+        const pick = (items, indexes) => (items || []).filter((item, index) => (indexes || []).includes(index));
+
+        const tasks = pick(data.tasks, selection.tasks);
+        const categories = pick(data.categories, selection.categories);
+        const tags = pick(data.tags, selection.tags);
+
+        const addReferenced = (selected, all, ids, validate) => {
+            (all || []).forEach((item, index) => {
+                if (item && ids.has(item.id) && validate(item, index).isValid
+                    && !selected.some(selectedItem => selectedItem.id === item.id)) {
+                    selected.push(item);
+                }
+            });
         };
+
+        // Categorias pai vêm junto, para manter a hierarquia
+        const fileCategories = (data.categories || []).filter(item => item && typeof item === 'object');
+        const categoryIds = new Set([...tasks.map(task => task.category), ...categories.map(category => category.id)]
+            .flatMap(id => Category.getPath(fileCategories, id).map(category => category.id)));
+
+        addReferenced(categories, data.categories, categoryIds,
+            (category, index) => this.validateCategorySchema(category, index));
+        addReferenced(tags, data.tags, new Set(tasks.flatMap(task => task.tags || [])),
+            (tag, index) => this.validateTagSchema(tag, index));
+
+        return { ...data, tasks, categories, tags };
     }
 
     /**
@@ -879,7 +1349,8 @@ class ExportService {
             categories: exportData.categories.length,
             tags: exportData.tags.length,
             exportDate: exportData.exportDate,
-            version: exportData.version
+            version: exportData.version,
+            schemaVersion: exportData.schemaVersion
         };
     }
 
@@ -947,6 +1418,14 @@ class ExportService {
             warnings.push(`Versão do arquivo (${data.version}) diferente da versão atual (${this.version})`);
         }
         
+        // Verificar schema (versões antigas são migradas; mais novas não)
+        const schemaVersion = this.migrationService.detectVersion(data);
+        if (schemaVersion > this.migrationService.currentVersion) {
+            issues.push(`Schema do arquivo (${schemaVersion}) mais novo que o suportado (${this.migrationService.currentVersion})`);
+        } else if (schemaVersion < this.migrationService.currentVersion) {
+            warnings.push(`Arquivo será atualizado do schema ${schemaVersion} para ${this.migrationService.currentVersion}`);
+        }
+        
         // Verificar estrutura
         if (!Array.isArray(data.tasks)) {
             issues.push('Lista de tarefas não encontrada');
@@ -979,9 +1458,11 @@ class ExportService {
     getState() {
         return {
             version: this.version,
+            schemaVersion: this.migrationService.currentVersion,
             appName: this.appName,
             maxFileSize: this.maxFileSize,
-            supportedFormats: [...this.supportedFormats]
+            supportedFormats: [...this.supportedFormats],
+            importFormats: [...this.importFormats]
         };
     }
 
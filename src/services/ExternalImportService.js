@@ -0,0 +1,761 @@
+/**
+ * ExternalImportService - Importação de exportações de outros aplicativos
+ * Responsável por converter backups do Todoist, Google Tasks e Microsoft To Do
+ * para o formato de importação do Planno
+ *
+ * Formatos aceitos:
+ * - Todoist: CSV de projeto (TYPE, CONTENT, PRIORITY, INDENT, DATE...) e JSON (Sync ou REST)
+ * - Google Tasks: Tasks.json do Google Takeout (kind "tasks#taskLists")
+ * - Microsoft To Do: JSON da Microsoft Graph (listas com displayName e suas tarefas)
+ *
+ * Mapeamento:
+ * - Projetos/listas viram categorias e etiquetas/categorias viram tags
+ * - Prioridades: Todoist p1 = alta, p2 = média, p3 = baixa, p4 (sem prioridade) = média;
+ *   Microsoft high/normal/low = alta/média/baixa
+ * - Recorrências em texto (Todoist) são interpretadas pelo QuickAddParser
+ * - Subtarefas (INDENT, parent_id, parent, checklistItems) viram subtarefas da tarefa raiz
+ *
+ * O que não tem equivalente no Planno (seções, comentários, lembretes, anexos,
+ * recorrências não reconhecidas...) vai para o relatório em importWarnings.
+ */
+class ExternalImportService {
+    /**
+     * Nomes dos formatos de origem (sourceFormat)
+     * @returns {Object}
+     */
+    static get sourceLabels() {
+        return {
+            todoist: 'Todoist',
+            'google-tasks': 'Google Tasks',
+            'microsoft-todo': 'Microsoft To Do'
+        };
+    }
+
+    /**
+     * Prefixos dos IDs gerados por formato de origem
+     * @returns {Object}
+     */
+    static get idPrefixes() {
+        return {
+            todoist: 'td',
+            'google-tasks': 'gt',
+            'microsoft-todo': 'ms'
+        };
+    }
+
+    // ===== DETECÇÃO =====
+
+    /**
+     * Identifica o aplicativo de origem de um JSON
+     * @param {Object|Array} data - JSON já interpretado
+     * @returns {string|null} 'todoist', 'google-tasks', 'microsoft-todo' ou null (backup do Planno ou desconhecido)
+     */
+    detectJSON(data) {
+        if (!data || typeof data !== 'object') return null;
+
+        if (data.kind === 'tasks#taskLists') return 'google-tasks';
+
+        const items = Array.isArray(data) ? data : (data.items || (data.projects ? data.tasks : null));
+        if (Array.isArray(items) && items.length > 0 && items.every(item => item && 'content' in item && 'project_id' in item)) {
+            return 'todoist';
+        }
+
+        const lists = Array.isArray(data) ? data : (data.value || data.lists);
+        if (Array.isArray(lists) && lists.length > 0 && lists.every(list => list && typeof list.displayName === 'string')) {
+            return 'microsoft-todo';
+        }
+
+        return null;
+    }
+
+    /**
+     * Converte um JSON de outro aplicativo
+     * @param {Object|Array} data - JSON já interpretado
+     * @returns {Object} { tasks, categories, tags, importWarnings, sourceFormat }
+     * @throws {Error} Se o formato não for reconhecido
+     */
+    convertJSON(data) {
+        switch (this.detectJSON(data)) {
+            case 'todoist':
+                return this.parseTodoistJSON(data);
+            case 'google-tasks':
+                return this.parseGoogleTasks(data);
+            case 'microsoft-todo':
+                return this.parseMicrosoftToDo(data);
+            default:
+                throw new Error('Formato JSON não reconhecido');
+        }
+    }
+
+    /**
+     * Converte um CSV de outro aplicativo
+     * @param {string} content - Conteúdo do arquivo
+     * @param {string} fileName - Nome do arquivo (o Todoist usa o nome do projeto)
+     * @returns {Object} { tasks, categories, tags, importWarnings, sourceFormat }
+     * @throws {Error} Se o formato não for reconhecido
+     */
+    convertCSV(content, fileName = '') {
+        const rows = CSVUtils.parse(content);
+
+        if (this.detectCSV(content) === 'todoist') {
+            return this.parseTodoistCSV(rows, fileName);
+        }
+
+        throw new Error('Formato CSV não reconhecido');
+    }
+
+    /**
+     * Identifica o aplicativo de origem de um CSV
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {string|null} 'todoist' ou null (desconhecido)
+     */
+    detectCSV(content) {
+        const header = (CSVUtils.parse(String(content || '').split(/\r?\n/)[0])[0] || [])
+            .map(name => name.trim().toUpperCase());
+
+        return header.includes('TYPE') && header.includes('CONTENT') ? 'todoist' : null;
+    }
+
+    // ===== TODOIST =====
+
+    /**
+     * Converte o CSV de um projeto do Todoist
+     * @param {Array<Array<string>>} rows - Linhas do CSV (ver CSVUtils.parse)
+     * @param {string} fileName - Nome do arquivo (nome do projeto)
+     * @returns {Object} Dados no formato de importação
+     */
+    parseTodoistCSV(rows, fileName) {
+        const context = this.createContext('todoist');
+        const records = CSVUtils.toObjects([rows[0].map(name => name.trim().toUpperCase()), ...rows.slice(1)]);
+        // Backups do Todoist nomeiam os arquivos como "Projeto [123456].csv"
+        const projectName = fileName.replace(/\.csv$/i, '').replace(/\s*\[\d+\]$/, '').trim() || 'Todoist';
+        const category = this.getCategory(context, projectName, projectName);
+        let parent = null;
+
+        records.forEach((record, index) => {
+            const type = (record.TYPE || '').trim().toLowerCase();
+            const content = (record.CONTENT || '').trim();
+
+            if (type === 'section') {
+                this.report(context, `Seção "${content}" ignorada (as tarefas ficam na categoria do projeto)`);
+                return;
+            }
+
+            if (type === 'note') {
+                this.report(context, `Comentário ignorado${parent ? ` em "${parent.title}"` : ''}`);
+                return;
+            }
+
+            if (type !== 'task' || !content) return;
+
+            const { text, labels } = this.extractInlineLabels(content);
+            const indent = parseInt(record.INDENT) || 1;
+
+            if (indent > 1 && parent) {
+                this.addSubtask(context, parent, text, false, [record.DESCRIPTION, record.DATE, labels.join('')]);
+                return;
+            }
+
+            const task = this.buildTask(context, {
+                id: `${projectName}:${index}:${text}`,
+                title: text,
+                description: record.DESCRIPTION,
+                category: category.id,
+                priority: this.mapTodoistPriority(parseInt(record.PRIORITY), false),
+                tags: labels
+            });
+
+            this.applyDueString(context, task, record.DATE);
+            context.tasks.push(task);
+            parent = task;
+        });
+
+        return this.finish(context);
+    }
+
+    /**
+     * Converte o JSON do Todoist (Sync API: { projects, items, labels, sections } ou lista de tarefas da REST API)
+     * @param {Object|Array} data - JSON do Todoist
+     * @returns {Object} Dados no formato de importação
+     */
+    parseTodoistJSON(data) {
+        const context = this.createContext('todoist');
+        const items = Array.isArray(data) ? data : (data.items || data.tasks || []);
+        const projects = new Map((data.projects || []).map(project => [String(project.id), project.name]));
+        const labelNames = new Map((data.labels || []).map(label => [String(label.id), label.name]));
+        const byId = new Map(items.map(item => [String(item.id), item]));
+        const tasksById = new Map();
+
+        if (projects.size === 0) {
+            this.report(context, 'Arquivo sem lista de projetos: tarefas importadas na categoria padrão');
+        }
+
+        if ((data.sections || []).length > 0) {
+            this.report(context, `${data.sections.length} seção(ões) ignorada(s) (as tarefas ficam na categoria do projeto)`);
+        }
+
+        if ((data.notes || data.comments || []).length > 0) {
+            this.report(context, `${(data.notes || data.comments).length} comentário(s) ignorado(s)`);
+        }
+
+        // Subtarefas de qualquer nível vão para a tarefa raiz
+        const getRoot = item => {
+            let current = item;
+            const visited = new Set();
+            while (current.parent_id && byId.has(String(current.parent_id)) && !visited.has(current.id)) {
+                visited.add(current.id);
+                current = byId.get(String(current.parent_id));
+            }
+            return current;
+        };
+
+        const roots = items.filter(item => getRoot(item) === item);
+        const children = items.filter(item => getRoot(item) !== item);
+
+        roots.forEach(item => {
+            if (item.is_deleted) {
+                this.report(context, 'Tarefa excluída ignorada');
+                return;
+            }
+
+            const projectName = projects.get(String(item.project_id));
+            if (!projectName && projects.size > 0) {
+                this.report(context, `"${(item.content || '').trim()}": projeto ${item.project_id === undefined ? 'não informado' : `${item.project_id} não encontrado`} (tarefa importada na categoria padrão)`);
+            }
+            const labels = (item.labels || []).map(label => labelNames.get(String(label)) || String(label));
+            const completed = !!(item.checked || item.is_completed || item.completed_at);
+
+            const task = this.buildTask(context, {
+                id: item.id,
+                title: (item.content || '').trim(),
+                description: item.description,
+                category: projectName ? this.getCategory(context, item.project_id, projectName).id : undefined,
+                priority: this.mapTodoistPriority(parseInt(item.priority), true),
+                tags: labels,
+                completed,
+                completedAt: item.completed_at || null,
+                createdAt: item.added_at || item.created_at
+            });
+
+            if (item.due) {
+                this.applyTodoistDue(context, task, item.due);
+            }
+
+            context.tasks.push(task);
+            tasksById.set(String(item.id), task);
+        });
+
+        children.forEach(item => {
+            const parent = tasksById.get(String(getRoot(item).id));
+            if (!parent || item.is_deleted) return;
+
+            const completed = !!(item.checked || item.is_completed || item.completed_at);
+            this.addSubtask(context, parent, (item.content || '').trim(), completed,
+                [item.description, item.due && item.due.string, (item.labels || []).join('')]);
+        });
+
+        return this.finish(context);
+    }
+
+    /**
+     * Aplica a data do Todoist ({ date, string, is_recurring }) a uma tarefa
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} task - Tarefa
+     * @param {Object} due - Data do Todoist
+     */
+    applyTodoistDue(context, task, due) {
+        const parsed = this.parseDateTime(due.date || due.datetime);
+        if (parsed) {
+            task.dueDate = parsed.date;
+            task.dueTime = parsed.time;
+        }
+
+        if (due.is_recurring) {
+            const rule = this.parseRecurrenceString(context, task.title, due.string);
+            if (rule && task.dueDate) {
+                task.isRecurring = true;
+                task.recurrenceRule = rule;
+            }
+        }
+    }
+
+    /**
+     * Aplica a data em texto do CSV do Todoist ("tomorrow", "every monday", "2024-05-10")
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} task - Tarefa
+     * @param {string} dueString - Texto da coluna DATE
+     */
+    applyDueString(context, task, dueString) {
+        const text = (dueString || '').trim();
+        if (!text) return;
+
+        const parsed = QuickAddParser.parse(text);
+        const { taskData } = parsed;
+
+        if (!taskData.dueDate && !taskData.isRecurring) {
+            this.report(context, `"${task.title}": data não reconhecida ("${text}")`);
+            return;
+        }
+
+        task.dueDate = taskData.dueDate;
+        task.dueTime = taskData.dueTime;
+        if (taskData.isRecurring) {
+            task.isRecurring = true;
+            task.recurrenceRule = taskData.recurrenceRule;
+        }
+
+        if (taskData.title) {
+            this.report(context, `"${task.title}": parte da data não reconhecida ("${taskData.title}" em "${text}")`);
+        }
+    }
+
+    /**
+     * Interpreta uma recorrência em texto ("every monday", "toda segunda", "every 2 weeks")
+     * @param {Object} context - Contexto da conversão
+     * @param {string} title - Título da tarefa (para o relatório)
+     * @param {string} text - Texto da recorrência
+     * @returns {Object|null} Regra de recorrência
+     */
+    parseRecurrenceString(context, title, text) {
+        const { taskData } = QuickAddParser.parse(text || '');
+
+        if (!taskData.isRecurring) {
+            this.report(context, `"${title}": recorrência não reconhecida ("${text || ''}"), importada como tarefa única`);
+            return null;
+        }
+
+        if (taskData.title) {
+            this.report(context, `"${title}": parte da recorrência não reconhecida ("${taskData.title}" em "${text}")`);
+        }
+
+        return taskData.recurrenceRule;
+    }
+
+    /**
+     * Converte a prioridade do Todoist
+     * No CSV, 1 é a mais alta (p1); na API, 4 é a mais alta (p1)
+     * @param {number} priority - Prioridade do Todoist
+     * @param {boolean} fromApi - Se o valor vem da API (JSON)
+     * @returns {string} 'low', 'medium' ou 'high'
+     */
+    mapTodoistPriority(priority, fromApi) {
+        if (!priority) return 'medium';
+
+        const level = fromApi ? 5 - priority : priority;
+        if (level === 1) return 'high';
+        if (level === 3) return 'low';
+        return 'medium';
+    }
+
+    /**
+     * Separa as etiquetas escritas no texto da tarefa ("Comprar pão @mercado")
+     * @param {string} content - Texto da tarefa
+     * @returns {Object} { text, labels }
+     */
+    extractInlineLabels(content) {
+        const labels = [];
+        const text = content
+            .replace(/(^|\s)@([\p{L}\p{N}_-]+)/gu, (match, space, label) => {
+                labels.push(label);
+                return space;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return { text: text || content, labels };
+    }
+
+    // ===== GOOGLE TASKS =====
+
+    /**
+     * Converte o Tasks.json do Google Takeout
+     * @param {Object} data - JSON do Google Takeout
+     * @returns {Object} Dados no formato de importação
+     */
+    parseGoogleTasks(data) {
+        const context = this.createContext('google-tasks');
+
+        (data.items || []).forEach(list => {
+            const listName = (list.title || '').trim() || 'Google Tasks';
+            const category = this.getCategory(context, list.id || listName, listName);
+            const items = list.items || [];
+            const tasksById = new Map();
+
+            items.filter(item => !item.parent).forEach(item => {
+                if (item.deleted) {
+                    this.report(context, 'Tarefa excluída ignorada');
+                    return;
+                }
+
+                const completed = item.status === 'completed';
+                // O Google Tasks só guarda a data; o horário do campo "due" é sempre meia-noite UTC
+                const dueDate = item.due ? String(item.due).slice(0, 10) : '';
+
+                const task = this.buildTask(context, {
+                    id: item.id,
+                    title: (item.title || '').trim(),
+                    description: item.notes,
+                    category: category.id,
+                    dueDate: this.isISODate(dueDate) ? dueDate : '',
+                    completed,
+                    completedAt: completed ? item.completed : null
+                });
+
+                if ((item.links || []).length > 0) {
+                    this.report(context, `"${task.title}": ${item.links.length} link(s) ignorado(s)`);
+                }
+
+                context.tasks.push(task);
+                tasksById.set(item.id, task);
+            });
+
+            items.filter(item => item.parent).forEach(item => {
+                const parent = tasksById.get(item.parent);
+                if (!parent || item.deleted) return;
+                this.addSubtask(context, parent, (item.title || '').trim(), item.status === 'completed', [item.notes, item.due]);
+            });
+        });
+
+        return this.finish(context);
+    }
+
+    // ===== MICROSOFT TO DO =====
+
+    /**
+     * Converte listas do Microsoft To Do (formato da Microsoft Graph)
+     * Aceita { value: [lista] }, { lists: [lista] } ou [lista], com as tarefas em lista.tasks
+     * @param {Object|Array} data - JSON do Microsoft To Do
+     * @returns {Object} Dados no formato de importação
+     */
+    parseMicrosoftToDo(data) {
+        const context = this.createContext('microsoft-todo');
+        const lists = Array.isArray(data) ? data : (data.value || data.lists || []);
+        const importance = { high: 'high', normal: 'medium', low: 'low' };
+
+        lists.forEach(list => {
+            const listName = list.displayName.trim() || 'Microsoft To Do';
+            const category = this.getCategory(context, list.id || listName, listName);
+            const items = Array.isArray(list.tasks) ? list.tasks : ((list.tasks && list.tasks.value) || []);
+
+            items.forEach(item => {
+                const completed = item.status === 'completed';
+                const due = item.dueDateTime ? this.parseDateTime(item.dueDateTime.dateTime) : null;
+                const completedAt = item.completedDateTime ? this.parseDateTime(item.completedDateTime.dateTime) : null;
+
+                const task = this.buildTask(context, {
+                    id: item.id || `${listName}:${item.title}`,
+                    title: (item.title || '').trim(),
+                    description: this.getMicrosoftBody(item.body),
+                    category: category.id,
+                    priority: importance[item.importance] || 'medium',
+                    tags: item.categories || [],
+                    dueDate: due ? due.date : '',
+                    completed,
+                    status: item.status === 'inProgress' ? 'doing' : 'todo',
+                    completedAt: completed && completedAt ? completedAt.iso : null,
+                    createdAt: item.createdDateTime
+                });
+
+                if (['waitingOnOthers', 'deferred'].includes(item.status)) {
+                    this.report(context, `"${task.title}": status "${item.status}" importado como "A fazer"`);
+                }
+
+                if (item.recurrence && task.dueDate) {
+                    const rule = this.mapMicrosoftRecurrence(context, task.title, item.recurrence);
+                    if (rule) {
+                        task.isRecurring = true;
+                        task.recurrenceRule = rule;
+                    }
+                }
+
+                if (item.isReminderOn || item.reminderDateTime) {
+                    this.report(context, `"${task.title}": lembrete ignorado`);
+                }
+
+                if (item.hasAttachments || (item.linkedResources || []).length > 0) {
+                    this.report(context, `"${task.title}": anexos e links ignorados`);
+                }
+
+                (item.checklistItems || []).forEach(checklistItem => {
+                    this.addSubtask(context, task, (checklistItem.displayName || '').trim(), !!checklistItem.isChecked);
+                });
+
+                context.tasks.push(task);
+            });
+        });
+
+        return this.finish(context);
+    }
+
+    /**
+     * Obtém o texto da descrição de uma tarefa do Microsoft To Do
+     * @param {Object} body - { content, contentType }
+     * @returns {string} Texto sem HTML
+     */
+    getMicrosoftBody(body) {
+        if (!body || !body.content) return '';
+        if (body.contentType !== 'html') return body.content;
+
+        return body.content
+            .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    /**
+     * Converte a recorrência do Microsoft To Do ({ pattern, range }) em regra
+     * @param {Object} context - Contexto da conversão
+     * @param {string} title - Título da tarefa (para o relatório)
+     * @param {Object} recurrence - Recorrência da Microsoft Graph
+     * @returns {Object|null} Regra de recorrência
+     */
+    mapMicrosoftRecurrence(context, title, recurrence) {
+        const pattern = recurrence.pattern || {};
+        const range = recurrence.range || {};
+        const freqMap = {
+            daily: 'DAILY',
+            weekly: 'WEEKLY',
+            absoluteMonthly: 'MONTHLY',
+            relativeMonthly: 'MONTHLY',
+            absoluteYearly: 'YEARLY',
+            relativeYearly: 'YEARLY'
+        };
+        const positions = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+        const freq = freqMap[pattern.type];
+        if (!freq) {
+            this.report(context, `"${title}": recorrência "${pattern.type}" não reconhecida, importada como tarefa única`);
+            return null;
+        }
+
+        const days = (pattern.daysOfWeek || [])
+            .map(day => RecurrenceUtils.weekdayCodes[['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(String(day).toLowerCase())])
+            .filter(code => code);
+
+        let byDay = [];
+        if (pattern.type === 'weekly') {
+            byDay = days;
+        } else if (pattern.type === 'relativeMonthly') {
+            byDay = days.map(code => `${positions[pattern.index] || 1}${code}`);
+        } else if (pattern.type === 'relativeYearly') {
+            this.report(context, `"${title}": recorrência anual por dia da semana importada como anual na data da tarefa`);
+        }
+
+        return RecurrenceUtils.normalize({
+            freq,
+            interval: pattern.interval || 1,
+            byDay,
+            byMonthDay: pattern.type === 'absoluteMonthly' && pattern.dayOfMonth ? [pattern.dayOfMonth] : [],
+            count: range.type === 'numbered' ? range.numberOfOccurrences : null,
+            until: range.type === 'endDate' && this.isISODate(range.endDate) ? range.endDate : null
+        });
+    }
+
+    // ===== AUXILIARES =====
+
+    /**
+     * Cria o contexto de uma conversão
+     * @param {string} source - Formato de origem
+     * @returns {Object} { source, categories, tags, tasks, warnings }
+     */
+    createContext(source) {
+        return {
+            source,
+            prefix: ExternalImportService.idPrefixes[source],
+            categories: new Map(),
+            tags: new Map(),
+            tasks: [],
+            warnings: new Map()
+        };
+    }
+
+    /**
+     * Registra um item do relatório (mensagens repetidas são contadas)
+     * @param {Object} context - Contexto da conversão
+     * @param {string} message - Mensagem
+     */
+    report(context, message) {
+        context.warnings.set(message, (context.warnings.get(message) || 0) + 1);
+    }
+
+    /**
+     * Obtém (ou cria) a categoria de um projeto/lista
+     * @param {Object} context - Contexto da conversão
+     * @param {string} key - Identificador do projeto/lista na origem
+     * @param {string} name - Nome do projeto/lista
+     * @returns {Object} Categoria
+     */
+    getCategory(context, key, name) {
+        const mapKey = String(key);
+        if (!context.categories.has(mapKey)) {
+            context.categories.set(mapKey, {
+                id: IdGenerator.generateFromString(`${context.source}:${mapKey}`, `${context.prefix}cat`),
+                name: this.limitText(context, name, 50, 'Nome de categoria'),
+                color: '#007bff',
+                createdAt: new Date().toISOString()
+            });
+        }
+        return context.categories.get(mapKey);
+    }
+
+    /**
+     * Obtém (ou cria) a tag de uma etiqueta
+     * @param {Object} context - Contexto da conversão
+     * @param {string} name - Nome da etiqueta
+     * @returns {Object} Tag
+     */
+    getTag(context, name) {
+        const key = name.trim().toLowerCase();
+        if (!context.tags.has(key)) {
+            context.tags.set(key, {
+                id: IdGenerator.generateFromString(`${context.source}:${key}`, `${context.prefix}tag`),
+                name: this.limitText(context, name.trim(), 30, 'Nome de tag'),
+                color: '#6c757d',
+                createdAt: new Date().toISOString()
+            });
+        }
+        return context.tags.get(key);
+    }
+
+    /**
+     * Monta uma tarefa no formato do Planno
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} fields - Campos já mapeados (tags como nomes)
+     * @returns {Object} Tarefa
+     */
+    buildTask(context, fields) {
+        const title = this.limitText(context, fields.title || 'Sem título', 100, 'Título');
+        const labels = [...new Set((fields.tags || []).map(name => String(name).trim()).filter(name => name))];
+
+        const createdAt = this.parseDateTime(fields.createdAt);
+        const completedAt = this.parseDateTime(fields.completedAt);
+        const completed = !!fields.completed;
+
+        return {
+            id: IdGenerator.generateFromString(`${context.source}:${fields.id}`, context.prefix),
+            title,
+            description: this.limitText(context, (fields.description || '').trim(), 500, `Descrição de "${title}"`),
+            category: fields.category,
+            tags: labels.map(name => this.getTag(context, name).id),
+            priority: fields.priority || 'medium',
+            dueDate: fields.dueDate || '',
+            dueTime: '',
+            completed,
+            status: !completed && fields.status === 'doing' ? 'doing' : 'todo',
+            createdAt: createdAt ? createdAt.iso : new Date().toISOString(),
+            completedAt: completed ? (completedAt ? completedAt.iso : new Date().toISOString()) : null,
+            isRecurring: false,
+            recurrenceRule: null,
+            subtasks: []
+        };
+    }
+
+    /**
+     * Adiciona uma subtarefa (que só tem título e conclusão no Planno)
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} parent - Tarefa principal
+     * @param {string} title - Título da subtarefa
+     * @param {boolean} completed - Se está concluída
+     * @param {Array} lostFields - Valores da origem sem equivalente em subtarefas (para o relatório)
+     */
+    addSubtask(context, parent, title, completed, lostFields = []) {
+        if (!title) return;
+
+        const subtaskTitle = this.limitText(context, title, 100, 'Título de subtarefa');
+        parent.subtasks.push({
+            id: IdGenerator.generateFromString(`${parent.id}:${parent.subtasks.length}:${title}`, 'subtask'),
+            title: subtaskTitle,
+            completed: !!completed
+        });
+
+        if (lostFields.some(value => value && String(value).trim())) {
+            this.report(context, `Subtarefa "${subtaskTitle}": descrição, data e etiquetas ignoradas`);
+        }
+    }
+
+    /**
+     * Encurta um texto até o limite do Planno, registrando no relatório
+     * @param {Object} context - Contexto da conversão
+     * @param {string} text - Texto
+     * @param {number} maxLength - Tamanho máximo
+     * @param {string} label - Nome do campo (para o relatório)
+     * @returns {string} Texto dentro do limite
+     */
+    limitText(context, text, maxLength, label) {
+        const value = String(text || '');
+        if (value.length <= maxLength) return value;
+
+        this.report(context, `${label} encurtado para ${maxLength} caracteres: ${value.slice(0, 30)}...`);
+        return value.slice(0, maxLength);
+    }
+
+    /**
+     * Interpreta uma data ou data-hora ISO
+     * Valores com fuso (Z ou ±hh:mm) são convertidos para o horário local; os demais são usados como estão
+     * @param {string} value - Data (YYYY-MM-DD ou YYYY-MM-DDTHH:MM[:SS[.fff]][Z|±hh:mm])
+     * @returns {Object|null} { date, time, iso }
+     */
+    parseDateTime(value) {
+        const match = String(value || '').trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+        if (!match || !this.isISODate(match[1])) return null;
+
+        if (!match[2]) {
+            return { date: match[1], time: '', iso: DateUtils.createLocalDate(match[1]).toISOString() };
+        }
+
+        if (match[4]) {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) return null;
+            return {
+                date: DateUtils.formatDateISO(date),
+                time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`,
+                iso: date.toISOString()
+            };
+        }
+
+        const local = DateUtils.createLocalDate(match[1]);
+        local.setHours(parseInt(match[2]), parseInt(match[3]));
+        return { date: match[1], time: `${match[2]}:${match[3]}`, iso: local.toISOString() };
+    }
+
+    /**
+     * Verifica se um texto é uma data válida no formato YYYY-MM-DD
+     * @param {string} value - Texto
+     * @returns {boolean}
+     */
+    isISODate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+        return DateUtils.formatDateISO(DateUtils.createLocalDate(value)) === value;
+    }
+
+    /**
+     * Finaliza a conversão
+     * @param {Object} context - Contexto da conversão
+     * @returns {Object} { tasks, categories, tags, importWarnings, sourceFormat }
+     */
+    finish(context) {
+        if (context.tasks.length === 0) {
+            this.report(context, 'Nenhuma tarefa encontrada no arquivo');
+        }
+
+        return {
+            tasks: context.tasks,
+            categories: [...context.categories.values()],
+            tags: [...context.tags.values()],
+            importWarnings: [...context.warnings.entries()]
+                .map(([message, total]) => total > 1 ? `${message} (${total}x)` : message),
+            sourceFormat: context.source
+        };
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExternalImportService;
+} else {
+    window.ExternalImportService = ExternalImportService;
+}
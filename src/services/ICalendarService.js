@@ -0,0 +1,533 @@
+/**
+ * ICalendarService - Conversão de tarefas para iCalendar (.ics) e vice-versa
+ * Responsável por gerar e interpretar arquivos no formato RFC 5545
+ *
+ * Funcionalidades:
+ * - Exporta tarefas como VTODO (opcionalmente, tarefas com data como VEVENT)
+ * - Recorrência como RRULE e ocorrências puladas como EXDATE
+ * - Categoria e tags como CATEGORIES (a categoria também vai em X-PLANNO-CATEGORY)
+ * - Importa VTODO e VEVENT de outros aplicativos no formato de backup do Planno
+ *
+ * Limitações da importação:
+ * - Horários com TZID são convertidos para o fuso local quando o navegador conhece o fuso
+ *   (nomes IANA, ex: America/Sao_Paulo); os demais são usados como estão, com aviso
+ * - Partes da RRULE sem equivalente (ex: BYMONTH, FREQ=HOURLY) são ignoradas, com aviso
+ * - Exceções de séries (RECURRENCE-ID) são ignoradas
+ */
+class ICalendarService {
+    constructor() {
+        this.productId = '-//Planno//Organizador de Tarefas//PT';
+        this.uidDomain = 'planno';
+    }
+
+    /**
+     * Mapeamento de prioridades (PRIORITY vai de 1 = mais alta a 9 = mais baixa)
+     * @returns {Object}
+     */
+    static get priorityMap() {
+        return { high: 1, medium: 5, low: 9 };
+    }
+
+    // ===== EXPORTAÇÃO =====
+
+    /**
+     * Gera o conteúdo .ics com as tarefas
+     * @param {Object} data - Dados ({ tasks, categories, tags })
+     * @param {Object} options - Opções
+     * @param {boolean} options.datedAsEvents - Exportar tarefas com data como VEVENT
+     * @returns {string} Conteúdo iCalendar
+     */
+    generate(data, { datedAsEvents = false } = {}) {
+        const categories = data.categories || [];
+        const tags = data.tags || [];
+        const stamp = this.formatUTC(new Date());
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'X-WR-CALNAME:Planno'
+        ];
+
+        (data.tasks || []).forEach(task => {
+            const asEvent = datedAsEvents && !!task.dueDate;
+            lines.push(...this.buildComponent(task, asEvent, { categories, tags, stamp }));
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Monta as linhas de um VTODO ou VEVENT
+     * @param {Object} task - Tarefa
+     * @param {boolean} asEvent - Se deve gerar VEVENT
+     * @param {Object} context - { categories, tags, stamp }
+     * @returns {Array} Linhas do componente
+     */
+    buildComponent(task, asEvent, { categories, tags, stamp }) {
+        const type = asEvent ? 'VEVENT' : 'VTODO';
+        const category = categories.find(item => item.id === task.category);
+        const tagNames = (task.tags || [])
+            .map(tagId => tags.find(tag => tag.id === tagId))
+            .filter(tag => tag)
+            .map(tag => tag.name);
+        const labels = [category ? category.name : null, ...tagNames].filter(name => name);
+
+        const lines = [
+            `BEGIN:${type}`,
+            `UID:${task.id}@${this.uidDomain}`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${this.escapeText(task.title)}`
+        ];
+
+        if (task.createdAt) lines.push(`CREATED:${this.formatUTC(new Date(task.createdAt))}`);
+        if (task.description) lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+
+        if (task.dueDate) {
+            const start = task.isRecurring && task.recurrenceStart ? task.recurrenceStart : task.dueDate;
+
+            if (asEvent) {
+                lines.push(this.formatDateProperty('DTSTART', start, task.dueTime));
+                if (task.dueTime) {
+                    lines.push('DURATION:PT1H');
+                } else {
+                    const end = DateUtils.addDays(DateUtils.createLocalDate(start), 1);
+                    lines.push(this.formatDateProperty('DTEND', DateUtils.formatDateISO(end)));
+                }
+            } else {
+                // RRULE precisa de DTSTART; DUE marca a ocorrência atual
+                if (task.isRecurring) lines.push(this.formatDateProperty('DTSTART', start, task.dueTime));
+                lines.push(this.formatDateProperty('DUE', task.dueDate, task.dueTime));
+            }
+        }
+
+        if (task.isRecurring && task.recurrenceRule && task.dueDate) {
+            let rrule = RecurrenceUtils.toRRuleString(task.recurrenceRule);
+            // UNTIL deve ter o mesmo tipo de DTSTART (data ou data-hora)
+            if (task.dueTime) rrule = rrule.replace(/UNTIL=(\d{8})(?=;|$)/, 'UNTIL=$1T235959');
+            if (rrule) lines.push(`RRULE:${rrule}`);
+
+            (task.exceptionDates || []).forEach(date => {
+                lines.push(this.formatDateProperty('EXDATE', date, task.dueTime));
+            });
+        }
+
+        if (!asEvent) {
+            if (task.completed) {
+                lines.push('STATUS:COMPLETED');
+                if (task.completedAt) lines.push(`COMPLETED:${this.formatUTC(new Date(task.completedAt))}`);
+            } else {
+                lines.push(task.status === 'doing' ? 'STATUS:IN-PROCESS' : 'STATUS:NEEDS-ACTION');
+            }
+        }
+
+        lines.push(`PRIORITY:${ICalendarService.priorityMap[task.priority] || 5}`);
+
+        if (labels.length > 0) {
+            lines.push(`CATEGORIES:${labels.map(label => this.escapeText(label)).join(',')}`);
+        }
+
+        if (category) {
+            lines.push(`X-PLANNO-CATEGORY:${this.escapeText(category.name)}`);
+        }
+
+        lines.push(`END:${type}`);
+        return lines;
+    }
+
+    /**
+     * Formata uma propriedade de data (data inteira ou data-hora local)
+     * @param {string} name - Nome da propriedade (DTSTART, DUE, EXDATE...)
+     * @param {string} date - Data (YYYY-MM-DD)
+     * @param {string} time - Horário (HH:MM, opcional)
+     * @returns {string} Linha da propriedade
+     */
+    formatDateProperty(name, date, time = '') {
+        const compactDate = date.replace(/-/g, '');
+        if (time) {
+            return `${name}:${compactDate}T${time.replace(':', '')}00`;
+        }
+        return `${name};VALUE=DATE:${compactDate}`;
+    }
+
+    /**
+     * Formata uma data em UTC (YYYYMMDDTHHMMSSZ)
+     * @param {Date} date - Data
+     * @returns {string} Data formatada
+     */
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escapa texto conforme a RFC 5545
+     * @param {string} value - Texto
+     * @returns {string} Texto escapado
+     */
+    escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Quebra linhas longas (máximo de 75 caracteres por linha)
+     * @param {string} line - Linha
+     * @returns {string} Linha dobrada
+     */
+    foldLine(line) {
+        if (line.length <= 75) return line;
+
+        const parts = [line.slice(0, 75)];
+        for (let index = 75; index < line.length; index += 74) {
+            parts.push(' ' + line.slice(index, index + 74));
+        }
+        return parts.join('\r\n');
+    }
+
+    // ===== IMPORTAÇÃO =====
+
+    /**
+     * Converte um arquivo .ics no formato de importação do Planno
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Object} { tasks, categories, tags, importWarnings }
+     * @throws {Error} Se o conteúdo não for um calendário
+     */
+    parse(content) {
+        const lines = this.unfoldLines(content);
+        if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line))) {
+            throw new Error('Arquivo não é um calendário iCalendar válido');
+        }
+
+        const components = this.extractComponents(lines);
+        const warnings = [];
+        const categoriesByName = new Map();
+        const tagsByName = new Map();
+        const tasks = [];
+
+        const getLabel = (map, name, prefix) => {
+            const key = name.toLowerCase();
+            if (!map.has(key)) {
+                map.set(key, { id: IdGenerator.generateFromString(key, prefix), name, createdAt: new Date().toISOString() });
+            }
+            return map.get(key);
+        };
+
+        components.forEach(component => {
+            if (component.properties['RECURRENCE-ID']) {
+                warnings.push(`Exceção de série ignorada: ${this.getValue(component, 'SUMMARY') || 'sem título'}`);
+                return;
+            }
+
+            const task = this.componentToTask(component, warnings);
+            if (!task) return;
+
+            const categoryName = this.getValue(component, 'X-PLANNO-CATEGORY');
+            const labels = this.getListValues(component, 'CATEGORIES')
+                .filter(label => !categoryName || label.toLowerCase() !== categoryName.toLowerCase());
+
+            if (categoryName) {
+                task.category = getLabel(categoriesByName, categoryName, 'icscat').id;
+            }
+
+            task.tags = labels.map(label => getLabel(tagsByName, label, 'icstag').id);
+
+            tasks.push(task);
+        });
+
+        if (tasks.length === 0) {
+            warnings.push('Nenhuma tarefa ou evento encontrado no calendário');
+        }
+
+        return {
+            tasks,
+            categories: [...categoriesByName.values()].map(category => ({ ...category, color: '#007bff' })),
+            tags: [...tagsByName.values()].map(tag => ({ ...tag, color: '#6c757d' })),
+            importWarnings: warnings
+        };
+    }
+
+    /**
+     * Converte um VTODO/VEVENT em tarefa
+     * @param {Object} component - { type, properties }
+     * @param {Array} warnings - Lista de avisos
+     * @returns {Object|null} Tarefa
+     */
+    componentToTask(component, warnings) {
+        let title = this.getValue(component, 'SUMMARY') || 'Sem título';
+        if (title.length > 100) {
+            warnings.push(`Título encurtado para 100 caracteres: ${title.slice(0, 30)}...`);
+            title = title.slice(0, 100);
+        }
+
+        let description = this.getValue(component, 'DESCRIPTION') || '';
+        if (description.length > 500) {
+            warnings.push(`Descrição de "${title}" encurtada para 500 caracteres`);
+            description = description.slice(0, 500);
+        }
+
+        const due = this.parseDateValue(component.properties[component.type === 'VTODO' ? 'DUE' : 'DTSTART'], warnings)
+            || this.parseDateValue(component.properties.DTSTART, warnings);
+        const start = this.parseDateValue(component.properties.DTSTART, warnings);
+        const status = (this.getValue(component, 'STATUS') || '').toUpperCase();
+        const completedAt = this.parseDateValue(component.properties.COMPLETED, warnings);
+        const completed = status === 'COMPLETED' || !!completedAt;
+
+        const rruleText = this.getValue(component, 'RRULE');
+        const ignoredParts = [];
+        const rule = RecurrenceUtils.parseRRuleString(rruleText, ignoredParts);
+        if (rruleText && !rule) {
+            const detail = ignoredParts.length > 0 ? ` (${ignoredParts.join(';')})` : '';
+            warnings.push(`"${title}": recorrência não suportada${detail}, importada como tarefa única`);
+        } else if (ignoredParts.length > 0) {
+            warnings.push(`"${title}": partes da recorrência ignoradas (${ignoredParts.join(';')})`);
+        }
+        const uid = this.getValue(component, 'UID') || `${title}-${due ? due.date : ''}`;
+        const created = this.parseDateValue(component.properties.CREATED);
+
+        const exceptionDates = (component.properties.EXDATE || [])
+            .flatMap(property => property.value.split(',').map(value => this.parseDateValue([{ ...property, value }], warnings)))
+            .filter(date => date)
+            .map(date => date.date);
+
+        return {
+            id: this.getTaskId(uid),
+            title,
+            description,
+            priority: this.mapPriority(parseInt(this.getValue(component, 'PRIORITY')) || 0),
+            dueDate: due ? due.date : '',
+            dueTime: due ? due.time : '',
+            completed,
+            status: !completed && status === 'IN-PROCESS' ? 'doing' : 'todo',
+            createdAt: created ? created.iso : new Date().toISOString(),
+            completedAt: completed ? (completedAt ? completedAt.iso : new Date().toISOString()) : null,
+            isRecurring: !!(rule && due),
+            recurrenceRule: rule && due ? rule : null,
+            recurrenceMode: 'fixed',
+            recurrenceStart: rule && start && due && start.date !== due.date ? start.date : null,
+            exceptionDates: rule ? [...new Set(exceptionDates)].sort() : [],
+            tags: []
+        };
+    }
+
+    /**
+     * Converte a prioridade iCalendar (0-9) para a do Planno
+     * @param {number} priority - PRIORITY (0 = indefinida)
+     * @returns {string} 'low', 'medium' ou 'high'
+     */
+    mapPriority(priority) {
+        if (priority >= 1 && priority <= 4) return 'high';
+        if (priority >= 6 && priority <= 9) return 'low';
+        return 'medium';
+    }
+
+    /**
+     * Obtém o ID da tarefa a partir do UID
+     * Tarefas exportadas pelo Planno mantêm o ID original; as demais recebem um ID estável
+     * @param {string} uid - UID do componente
+     * @returns {string} ID da tarefa
+     */
+    getTaskId(uid) {
+        const suffix = `@${this.uidDomain}`;
+        if (uid.endsWith(suffix)) {
+            const id = uid.slice(0, -suffix.length);
+            if (IdGenerator.isValid(id)) return id;
+        }
+        return IdGenerator.generateFromString(uid, 'ics');
+    }
+
+    /**
+     * Junta as linhas dobradas do arquivo
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Array} Linhas lógicas
+     */
+    unfoldLines(content) {
+        return String(content || '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .map(line => line.trimEnd())
+            .filter(line => line);
+    }
+
+    /**
+     * Separa os VTODO e VEVENT do calendário (componentes aninhados, como VALARM, são ignorados)
+     * @param {Array} lines - Linhas lógicas
+     * @returns {Array} Componentes ({ type, properties: { NOME: [{ params, value }] } })
+     */
+    extractComponents(lines) {
+        const components = [];
+        let current = null;
+        let depth = 0;
+
+        lines.forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                const type = property.value.toUpperCase();
+                if (!current && ['VTODO', 'VEVENT'].includes(type)) {
+                    current = { type, properties: {} };
+                    depth = 0;
+                } else if (current) {
+                    depth++;
+                }
+                return;
+            }
+
+            if (property.name === 'END' && current) {
+                if (depth > 0) {
+                    depth--;
+                } else {
+                    components.push(current);
+                    current = null;
+                }
+                return;
+            }
+
+            if (current && depth === 0) {
+                if (!current.properties[property.name]) current.properties[property.name] = [];
+                current.properties[property.name].push(property);
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Interpreta uma linha de propriedade (NOME;PARAM=VALOR:VALOR)
+     * @param {string} line - Linha lógica
+     * @returns {Object|null} { name, params, value }
+     */
+    parseLine(line) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+        if (!match) return null;
+
+        const params = {};
+        match[2].split(';').filter(param => param).forEach(param => {
+            const [key, ...rest] = param.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    /**
+     * Obtém o valor de texto de uma propriedade (sem escapes)
+     * @param {Object} component - Componente
+     * @param {string} name - Nome da propriedade
+     * @returns {string|null} Valor
+     */
+    getValue(component, name) {
+        const property = (component.properties[name] || [])[0];
+        return property ? this.unescapeText(property.value) : null;
+    }
+
+    /**
+     * Obtém os valores de uma propriedade de lista (ex: CATEGORIES), em todas as ocorrências
+     * @param {Object} component - Componente
+     * @param {string} name - Nome da propriedade
+     * @returns {Array} Valores sem repetição
+     */
+    getListValues(component, name) {
+        const values = (component.properties[name] || [])
+            .flatMap(property => property.value.split(/(?<!\\),/))
+            .map(value => this.unescapeText(value).trim())
+            .filter(value => value);
+
+        return [...new Map(values.map(value => [value.toLowerCase(), value])).values()];
+    }
+
+    /**
+     * Interpreta uma data ou data-hora iCalendar
+     * Valores em UTC (sufixo Z) ou com TZID conhecido são convertidos para o horário local
+     * @param {Array} properties - Ocorrências da propriedade
+     * @param {Array} warnings - Lista de avisos (fusos desconhecidos; opcional)
+     * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:MM' ou '', iso }
+     */
+    parseDateValue(properties, warnings = []) {
+        const property = (properties || [])[0];
+        if (!property) return null;
+
+        const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        const isDateOnly = !hours || property.params.VALUE === 'DATE';
+
+        let date;
+        if (isDateOnly) {
+            date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+        } else if (utc) {
+            date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds || 0)));
+        } else if (property.params.TZID) {
+            const timeZone = property.params.TZID.replace(/^\//, '');
+            date = this.toZonedDate([year, month, day, hours, minutes, seconds || 0].map(value => parseInt(value)), timeZone);
+            if (!date) {
+                const warning = `Fuso horário "${timeZone}" desconhecido: horários usados como estão`;
+                if (!warnings.includes(warning)) warnings.push(warning);
+                date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds || 0));
+            }
+        } else {
+            date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes), parseInt(seconds || 0));
+        }
+
+        if (isNaN(date.getTime())) return null;
+
+        return {
+            date: DateUtils.formatDateISO(date),
+            time: isDateOnly ? '' : `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`,
+            iso: date.toISOString()
+        };
+    }
+
+    /**
+     * Converte um horário de um fuso (TZID) no instante correspondente
+     * @param {Array<number>} parts - [ano, mês, dia, hora, minuto, segundo] no fuso
+     * @param {string} timeZone - Nome IANA do fuso (ex: Europe/Lisbon)
+     * @returns {Date|null} Data ou null se o navegador não conhecer o fuso
+     */
+    toZonedDate([year, month, day, hours, minutes, seconds], timeZone) {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch (error) {
+            return null;
+        }
+
+        // Diferença entre o relógio do fuso e o UTC num instante
+        const offsetAt = time => {
+            const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(part => [part.type, parseInt(part.value)]));
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+        };
+
+        // A segunda passada acerta o deslocamento perto das mudanças de horário de verão
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        const firstGuess = wallClock - offsetAt(wallClock);
+        return new Date(wallClock - offsetAt(firstGuess));
+    }
+
+    /**
+     * Remove os escapes de texto da RFC 5545
+     * @param {string} value - Texto escapado
+     * @returns {string} Texto
+     */
+    unescapeText(value) {
+        return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICalendarService;
+} else {
+    window.ICalendarService = ICalendarService;
+}
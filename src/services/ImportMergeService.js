@@ -0,0 +1,236 @@
+/**
+ * ImportMergeService - Mesclagem de dados importados
+ * Responsável por combinar um arquivo importado com os dados atuais, sem apagá-los
+ *
+ * Funcionalidades:
+ * - Categorias e tags combinadas por ID e por nome (categorias pelo caminho, ex: "Trabalho › Cliente A")
+ * - Categorias pai de categorias importadas seguem os IDs finais
+ * - IDs de categorias/tags em conflito (mesmo ID, outro nome) recebem um novo ID
+ * - Referências das tarefas atualizadas para os IDs finais
+ * - Tarefas com o mesmo ID atualizadas; tarefas idênticas ignoradas
+ * - Campos ausentes numa tarefa importada (ex: descrição no todo.txt) mantêm o valor local
+ * - Plano com o que será adicionado, atualizado e ignorado (para pré-visualização)
+ *
+ * Motivos usados em "skipped":
+ * - 'identical': mesmo ID e mesmo conteúdo
+ * - 'sameName': categoria/tag com o mesmo nome (ou caminho) de uma local (a local é mantida)
+ * - 'duplicate': tarefa com o mesmo conteúdo de uma local, com outro ID
+ */
+class ImportMergeService {
+    /**
+     * Monta o plano de mesclagem
+     * @param {Object} current - Dados atuais ({ tasks, categories, tags })
+     * @param {Object} incoming - Dados importados ({ tasks, categories, tags })
+     * @returns {Object} Plano ({ categories, tags, tasks, result })
+     */
+    planMerge(current, incoming) {
+        const categories = this.mergeLabels(current.categories || [], incoming.categories || [],
+            (category, list) => this.fold(Category.getFullName(list, category.id) || category.name));
+        const tags = this.mergeLabels(current.tags || [], incoming.tags || []);
+
+        const remappedTasks = (incoming.tasks || []).map(task => ({
+            ...task,
+            category: categories.idMap[task.category] || task.category,
+            tags: [...new Set((task.tags || []).map(tagId => tags.idMap[tagId] || tagId))]
+        }));
+
+        const tasks = this.mergeTasks(current.tasks || [], remappedTasks);
+
+        return {
+            categories,
+            tags,
+            tasks,
+            result: {
+                tasks: tasks.records,
+                categories: categories.records,
+                tags: tags.records
+            }
+        };
+    }
+
+    /**
+     * Mescla categorias ou tags
+     * @param {Array} localItems - Itens atuais
+     * @param {Array} incomingItems - Itens importados
+     * @param {Function} getKey - Chave de comparação de um item na sua lista (padrão: nome normalizado)
+     * @returns {Object} { added, updated, skipped, remapped, idMap, records }
+     */
+    mergeLabels(localItems, incomingItems, getKey = item => this.fold(item.name)) {
+        const records = localItems.map(item => this.toPlain(item));
+        const incomingRecords = incomingItems.map(item => this.toPlain(item));
+        const keys = new Map(records.map(record => [record.id, getKey(record, records)]));
+        const added = [];
+        const updated = [];
+        const skipped = [];
+        const remapped = [];
+        const idMap = {};
+
+        incomingRecords.forEach(item => {
+            const key = getKey(item, incomingRecords);
+            const sameId = records.find(record => record.id === item.id);
+            const sameName = records.find(record => keys.get(record.id) === key);
+
+            if (sameId && keys.get(sameId.id) === key) {
+                if (sameId.color === item.color) {
+                    skipped.push({ item, reason: 'identical' });
+                } else {
+                    const index = records.indexOf(sameId);
+                    records[index] = { ...sameId, color: item.color };
+                    updated.push({ item: records[index], previous: sameId });
+                }
+                return;
+            }
+
+            if (sameName) {
+                idMap[item.id] = sameName.id;
+                skipped.push({ item, reason: 'sameName', targetId: sameName.id });
+                return;
+            }
+
+            const newItem = { ...item, usageCount: 0 };
+            if (sameId) {
+                newItem.id = IdGenerator.generate();
+                idMap[item.id] = newItem.id;
+                remapped.push({ from: item.id, to: newItem.id, name: item.name });
+            }
+
+            records.push(newItem);
+            keys.set(newItem.id, key);
+            added.push({ item: newItem });
+        });
+
+        // Categorias novas passam a apontar para o ID final da categoria pai
+        added.forEach(({ item }) => {
+            if (item.parentId && idMap[item.parentId]) item.parentId = idMap[item.parentId];
+        });
+
+        return { added, updated, skipped, remapped, idMap, records };
+    }
+
+    /**
+     * Mescla tarefas (já com categorias e tags remapeadas)
+     * @param {Array} localTasks - Tarefas atuais
+     * @param {Array} incomingTasks - Tarefas importadas
+     * @returns {Object} { added, updated, skipped, records }
+     */
+    mergeTasks(localTasks, incomingTasks) {
+        const records = localTasks.map(task => this.toPlainTask(task));
+        const added = [];
+        const updated = [];
+        const skipped = [];
+        const taskIdMap = {};
+
+        incomingTasks.forEach(rawTask => {
+            const sameId = records.find(record => record.id === rawTask.id);
+            const task = this.toPlainTask(sameId ? { ...sameId, ...rawTask } : rawTask);
+
+            if (sameId) {
+                if (JSON.stringify(sameId) === JSON.stringify(task)) {
+                    skipped.push({ item: task, reason: 'identical' });
+                } else {
+                    records[records.indexOf(sameId)] = task;
+                    updated.push({ item: task, previous: sameId });
+                }
+                return;
+            }
+
+            const signature = this.getTaskSignature(task);
+            const duplicate = records.find(record => this.getTaskSignature(record) === signature);
+            if (duplicate) {
+                taskIdMap[task.id] = duplicate.id;
+                skipped.push({ item: task, reason: 'duplicate', targetId: duplicate.id });
+                return;
+            }
+
+            records.push(task);
+            added.push({ item: task });
+        });
+
+        // Ocorrências cuja série original foi ignorada como duplicada passam a apontar para a série local
+        const addedIds = new Set(added.map(entry => entry.item.id));
+        const result = records.map(task => addedIds.has(task.id) && taskIdMap[task.parentRecurringId]
+            ? { ...task, parentRecurringId: taskIdMap[task.parentRecurringId] }
+            : task);
+
+        return { added, updated, skipped, records: result };
+    }
+
+    /**
+     * Assinatura do conteúdo de uma tarefa (sem ID e datas de criação)
+     * @param {Object} task - Tarefa
+     * @returns {string} Assinatura
+     */
+    getTaskSignature(task) {
+        return JSON.stringify([
+            this.fold(task.title),
+            (task.description || '').trim(),
+            task.category || '',
+            [...(task.tags || [])].sort(),
+            task.priority || 'medium',
+            task.dueDate || '',
+            task.dueTime || '',
+            !!task.completed,
+            !!task.isRecurring,
+            task.recurrenceRule || null
+        ]);
+    }
+
+    /**
+     * Resume o plano para exibição
+     * @param {Object} plan - Plano retornado por planMerge
+     * @returns {Object} Contagens por tipo ({ tasks: { added, updated, skipped }, ... })
+     */
+    summarize(plan) {
+        const count = section => ({
+            added: section.added.length,
+            updated: section.updated.length,
+            skipped: section.skipped.length
+        });
+
+        return {
+            tasks: count(plan.tasks),
+            categories: { ...count(plan.categories), remapped: plan.categories.remapped.length },
+            tags: { ...count(plan.tags), remapped: plan.tags.remapped.length }
+        };
+    }
+
+    /**
+     * Converte instâncias de modelo para objetos simples e normalizados
+     * @param {Object} item - Tarefa, categoria ou tag
+     * @returns {Object} Objeto simples
+     */
+    toPlain(item) {
+        return JSON.parse(JSON.stringify(item));
+    }
+
+    /**
+     * Converte uma tarefa para objeto simples no formato do modelo Task,
+     * para que tarefas iguais tenham a mesma serialização
+     * @param {Object} task - Tarefa
+     * @returns {Object} Objeto simples
+     */
+    toPlainTask(task) {
+        return this.toPlain(task instanceof Task ? task : new Task(task));
+    }
+
+    /**
+     * Normaliza um nome para comparação (sem acentos, caixa e espaços extras)
+     * @param {string} value - Nome
+     * @returns {string} Nome normalizado
+     */
+    fold(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(/\s+/g, ' ');
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportMergeService;
+} else {
+    window.ImportMergeService = ImportMergeService;
+}
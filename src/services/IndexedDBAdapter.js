@@ -0,0 +1,162 @@
+/**
+ * IndexedDBAdapter - Adaptador de armazenamento baseado em IndexedDB
+ * Guarda cada tarefa, categoria e tag como um registro próprio (chave: id)
+ *
+ * Funcionalidades:
+ * - Um object store por coleção (tasks, categories, tags)
+ * - Gravação incremental: só registros alterados são escritos e os removidos são apagados
+ * - Mesma interface do LocalStorageAdapter (ver StorageService)
+ */
+class IndexedDBAdapter {
+    constructor(databaseName = 'planno') {
+        this.name = 'indexedDB';
+        this.databaseName = databaseName;
+        this.version = 1;
+        this.collections = ['tasks', 'categories', 'tags'];
+        this.db = null;
+
+        // Última versão gravada de cada registro (id -> JSON), para gravar só o que mudou
+        this.snapshots = {};
+    }
+
+    /**
+     * Verifica se o IndexedDB está disponível
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Abre o banco de dados, criando os object stores na primeira execução
+     * @returns {Promise<void>}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            if (!IndexedDBAdapter.isAvailable()) {
+                reject(new Error('IndexedDB indisponível'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.collections.forEach(collection => {
+                    if (!db.objectStoreNames.contains(collection)) {
+                        db.createObjectStore(collection, { keyPath: 'id' });
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Banco de dados bloqueado por outra aba'));
+        });
+    }
+
+    /**
+     * Obtém todos os registros de uma coleção
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @returns {Promise<Array>} Registros
+     */
+    getAll(collection) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(collection, 'readonly').objectStore(collection).getAll();
+
+            request.onsuccess = () => {
+                const records = request.result || [];
+                this.snapshots[collection] = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+                resolve(records);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Salva uma coleção gravando apenas os registros novos ou alterados
+     * e apagando os que deixaram de existir
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} records - Registros atuais da coleção
+     * @returns {Promise<void>}
+     */
+    saveCollection(collection, records) {
+        return new Promise((resolve, reject) => {
+            const previous = this.snapshots[collection] || new Map();
+            const next = new Map();
+            const changed = [];
+
+            records.forEach(record => {
+                const serialized = JSON.stringify(record);
+                next.set(record.id, serialized);
+                if (previous.get(record.id) !== serialized) {
+                    changed.push(JSON.parse(serialized));
+                }
+            });
+
+            const removedIds = [...previous.keys()].filter(id => !next.has(id));
+            if (changed.length === 0 && removedIds.length === 0) {
+                resolve();
+                return;
+            }
+
+            const transaction = this.db.transaction(collection, 'readwrite');
+            const store = transaction.objectStore(collection);
+
+            changed.forEach(record => store.put(record));
+            removedIds.forEach(id => store.delete(id));
+
+            transaction.oncomplete = () => {
+                this.snapshots[collection] = next;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transação cancelada'));
+        });
+    }
+
+    /**
+     * Descarta a última versão conhecida de registros que outra aba pode ter gravado,
+     * para que a próxima gravação da coleção os escreva de novo
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} ids - IDs dos registros
+     */
+    forget(collection, ids) {
+        const snapshot = this.snapshots[collection];
+        if (!snapshot) return;
+        ids.forEach(id => snapshot.delete(id));
+    }
+
+    /**
+     * Remove todos os registros de todas as coleções
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.collections, 'readwrite');
+            this.collections.forEach(collection => transaction.objectStore(collection).clear());
+
+            transaction.oncomplete = () => {
+                this.snapshots = {};
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBAdapter;
+} else {
+    window.IndexedDBAdapter = IndexedDBAdapter;
+}
@@ -0,0 +1,84 @@
+/**
+ * LocalStorageAdapter - Adaptador de armazenamento baseado em localStorage
+ * Guarda cada coleção como um array JSON em uma chave (formato original do Planno)
+ *
+ * Interface de adaptador (usada pelo StorageService):
+ * - name: Nome do backend
+ * - init(): Promise<void>
+ * - getAll(collection): Promise<Array>
+ * - saveCollection(collection, records): Promise<void>
+ * - clear(): Promise<void>
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+
+        // Chaves originais, mantidas para compatibilidade com dados existentes
+        this.keys = {
+            tasks: 'todoTasks',
+            categories: 'todoCategories',
+            tags: 'todoTags'
+        };
+    }
+
+    /**
+     * Verifica se o localStorage está disponível
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        try {
+            const test = '__localStorage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Inicializa o adaptador
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!LocalStorageAdapter.isAvailable()) {
+            throw new Error('localStorage indisponível');
+        }
+    }
+
+    /**
+     * Obtém todos os registros de uma coleção
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @returns {Promise<Array>} Registros
+     */
+    async getAll(collection) {
+        const saved = localStorage.getItem(this.keys[collection]);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    /**
+     * Salva uma coleção inteira
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} records - Registros
+     * @returns {Promise<void>}
+     */
+    async saveCollection(collection, records) {
+        localStorage.setItem(this.keys[collection], JSON.stringify(records));
+    }
+
+    /**
+     * Remove as coleções do adaptador
+     * @param {Array<string>} collections - Coleções a remover (padrão: todas)
+     * @returns {Promise<void>}
+     */
+    async clear(collections = Object.keys(this.keys)) {
+        collections.forEach(collection => localStorage.removeItem(this.keys[collection]));
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageAdapter;
+} else {
+    window.LocalStorageAdapter = LocalStorageAdapter;
+}
@@ -0,0 +1,251 @@
+/**
+ * MigrationService - Versionamento do schema de dados
+ * Responsável por atualizar dados salvos e backups antigos, passo a passo,
+ * até a versão atual do schema
+ *
+ * Funcionalidades:
+ * - Registro de migrações numeradas (cada uma com up e down)
+ * - Migração para frente (up) e para trás (down) entre quaisquer versões
+ * - Execução sem efeitos colaterais (os dados de entrada nunca são alterados)
+ * - Plano de migração para simulação (dry-run)
+ *
+ * Versões do schema:
+ * - 1: Formato original (recurrenceType/recurrenceData)
+ * - 2: Recorrência RRULE (recurrenceRule), modos, exceções, ocorrências perdidas e subtarefas
+ * - 3: Status de fluxo das tarefas pendentes (status: 'todo' | 'doing')
+ * - 4: Categorias aninhadas (parentId)
+ * - 5: Grupos de tags (group, groupExclusive) e tags sem limite por tarefa
+ *
+ * Cada migração recebe e devolve o conjunto de dados ({ tasks, categories, tags, ... })
+ * e deve ser idempotente: dados que já estão no formato novo passam sem alteração.
+ */
+class MigrationService {
+    constructor() {
+        this.migrations = [];
+
+        this.register({
+            version: 2,
+            description: 'Recorrência no modelo RRULE e campos de séries recorrentes',
+            up: data => ({
+                ...data,
+                tasks: (data.tasks || []).map(task => {
+                    const { recurrenceType, recurrenceData, ...rest } = task;
+                    return {
+                        ...rest,
+                        recurrenceRule: task.recurrenceRule
+                            ? RecurrenceUtils.normalize(task.recurrenceRule)
+                            : RecurrenceUtils.fromLegacy(recurrenceType, recurrenceData),
+                        recurrenceMode: task.recurrenceMode || 'fixed',
+                        recurrenceStart: task.recurrenceStart || null,
+                        exceptionDates: Array.isArray(task.exceptionDates) ? task.exceptionDates : [],
+                        originalDueDate: task.originalDueDate || null,
+                        catchUpPolicy: task.catchUpPolicy || 'collapse',
+                        missedOccurrences: task.missedOccurrences || 0,
+                        subtasks: Array.isArray(task.subtasks) ? task.subtasks : []
+                    };
+                })
+            }),
+            // Regras sem equivalente no formato antigo (intervalos, posições, fim) viram a frequência simples
+            down: data => ({
+                ...data,
+                tasks: (data.tasks || []).map(task => {
+                    const {
+                        recurrenceRule, recurrenceMode, recurrenceStart, exceptionDates, originalDueDate,
+                        catchUpPolicy, missedOccurrences, subtasks, ...rest
+                    } = task;
+                    const rule = RecurrenceUtils.normalize(recurrenceRule);
+                    const weekdays = rule && rule.freq === 'WEEKLY'
+                        ? rule.byDay.map(day => RecurrenceUtils.parseByDay(day)).filter(day => day).map(day => String(day.weekday))
+                        : [];
+
+                    return {
+                        ...rest,
+                        recurrenceType: rule ? rule.freq.toLowerCase() : null,
+                        recurrenceData: weekdays.length > 0 ? { weekdays } : null
+                    };
+                })
+            })
+        });
+
+        this.register({
+            version: 3,
+            description: 'Status de fluxo das tarefas (A fazer / Em andamento)',
+            up: data => ({
+                ...data,
+                tasks: (data.tasks || []).map(task => ({
+                    ...task,
+                    status: ['todo', 'doing'].includes(task.status) ? task.status : 'todo'
+                }))
+            }),
+            down: data => ({
+                ...data,
+                tasks: (data.tasks || []).map(task => {
+                    const { status, ...rest } = task;
+                    return rest;
+                })
+            })
+        });
+
+        this.register({
+            version: 4,
+            description: 'Categorias aninhadas (categoria pai)',
+            up: data => ({
+                ...data,
+                categories: (data.categories || []).map(category => ({
+                    ...category,
+                    parentId: category.parentId || null
+                }))
+            }),
+            // Sem hierarquia, todas as categorias voltam ao primeiro nível
+            down: data => ({
+                ...data,
+                categories: (data.categories || []).map(category => {
+                    const { parentId, ...rest } = category;
+                    return rest;
+                })
+            })
+        });
+
+        this.register({
+            version: 5,
+            description: 'Grupos de tags e tags sem limite por tarefa',
+            up: data => ({
+                ...data,
+                tags: (data.tags || []).map(tag => ({
+                    ...tag,
+                    group: tag.group || null,
+                    groupExclusive: Boolean(tag.group && tag.groupExclusive)
+                }))
+            }),
+            // Versões anteriores aceitam no máximo 3 tags por tarefa
+            down: data => ({
+                ...data,
+                tasks: (data.tasks || []).map(task => (
+                    Array.isArray(task.tags) && task.tags.length > 3 ? { ...task, tags: task.tags.slice(0, 3) } : task
+                )),
+                tags: (data.tags || []).map(tag => {
+                    const { group, groupExclusive, ...rest } = tag;
+                    return rest;
+                })
+            })
+        });
+    }
+
+    /**
+     * Versão atual do schema (a maior versão registrada)
+     * @returns {number}
+     */
+    get currentVersion() {
+        return this.migrations.reduce((max, migration) => Math.max(max, migration.version), 1);
+    }
+
+    /**
+     * Registra uma migração
+     * @param {Object} migration - { version, description, up(data), down(data) }
+     */
+    register(migration) {
+        if (!Number.isInteger(migration.version) || migration.version < 2) {
+            throw new Error('Versão de migração inválida');
+        }
+
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migração ${migration.version} precisa das funções up e down`);
+        }
+
+        if (this.migrations.some(item => item.version === migration.version)) {
+            throw new Error(`Migração ${migration.version} já registrada`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Descobre a versão do schema de um conjunto de dados
+     * Dados sem marcação são da versão 1
+     * @param {Object} data - Conjunto de dados
+     * @returns {number} Versão
+     */
+    detectVersion(data) {
+        const version = parseInt(data && data.schemaVersion);
+        return Number.isInteger(version) && version > 0 ? version : 1;
+    }
+
+    /**
+     * Lista os passos para ir de uma versão a outra
+     * @param {number} fromVersion - Versão de origem
+     * @param {number} toVersion - Versão de destino (padrão: atual)
+     * @returns {Array} Passos ({ version, description, direction })
+     */
+    getMigrationPlan(fromVersion, toVersion = this.currentVersion) {
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Dados na versão ${fromVersion} do schema são mais novos que esta aplicação (versão ${this.currentVersion})`);
+        }
+
+        if (toVersion >= fromVersion) {
+            return this.migrations
+                .filter(migration => migration.version > fromVersion && migration.version <= toVersion)
+                .map(migration => ({ version: migration.version, description: migration.description, direction: 'up' }));
+        }
+
+        return this.migrations
+            .filter(migration => migration.version <= fromVersion && migration.version > toVersion)
+            .reverse()
+            .map(migration => ({ version: migration.version, description: migration.description, direction: 'down' }));
+    }
+
+    /**
+     * Migra um conjunto de dados entre versões do schema
+     * Os dados de entrada não são alterados; o resultado traz a nova versão em schemaVersion
+     * @param {Object} data - Conjunto de dados ({ tasks, categories, tags, ... })
+     * @param {Object} options - Opções
+     * @param {number} options.toVersion - Versão de destino (padrão: atual)
+     * @returns {Object} { data, fromVersion, toVersion, applied }
+     */
+    migrate(data, { toVersion = this.currentVersion } = {}) {
+        const fromVersion = this.detectVersion(data);
+        const plan = this.getMigrationPlan(fromVersion, toVersion);
+        let result = JSON.parse(JSON.stringify(data || {}));
+
+        plan.forEach(step => {
+            const migration = this.migrations.find(item => item.version === step.version);
+            try {
+                result = migration[step.direction](result);
+            } catch (error) {
+                throw new Error(`Erro na migração ${step.version} (${step.direction}): ${error.message}`);
+            }
+        });
+
+        result.schemaVersion = toVersion;
+
+        return {
+            data: result,
+            fromVersion,
+            toVersion,
+            applied: plan
+        };
+    }
+
+    /**
+     * Simula uma migração sem aplicar (para conferência ou testes)
+     * @param {Object} data - Conjunto de dados
+     * @param {Object} options - Mesmas opções de migrate
+     * @returns {Object} { fromVersion, toVersion, applied, changedTasks, data }
+     */
+    dryRun(data, options = {}) {
+        const result = this.migrate(data, options);
+        const before = new Map((data && data.tasks || []).map(task => [task.id, JSON.stringify(task)]));
+        const changedTasks = result.data.tasks
+            ? result.data.tasks.filter(task => before.get(task.id) !== JSON.stringify(task)).length
+            : 0;
+
+        return { ...result, changedTasks };
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MigrationService;
+} else {
+    window.MigrationService = MigrationService;
+}
@@ -0,0 +1,774 @@
+/**
+ * PlainTextService - Conversão de tarefas para todo.txt e Markdown e vice-versa
+ * Responsável por formatos de texto que podem ser editados à mão e importados de volta
+ *
+ * todo.txt (uma tarefa por linha, http://todotxt.org):
+ *   (A) 2026-09-20 Título +Trabalho/Cliente_A @tag due:2026-10-20 time:09:30 rrule:FREQ=WEEKLY id:abc123
+ *   x 2026-10-02 2026-09-20 Tarefa concluída +Categoria pri:B id:def456
+ * - Prioridade alta/média/baixa = (A)/(B)/(C) (em tarefas concluídas, pri:)
+ * - Categoria = +projeto (subcategorias separadas por "/"), tags = @contexto
+ * - Extensões: due:, time:, rrule:, recmode:, exdate:, catchup:, status:, pri:, desc: e id:
+ *   (rec: de outros apps também é lido)
+ *
+ * Markdown (checklists agrupados por categoria, no estilo do plugin Tasks do Obsidian):
+ *   ## Trabalho › Cliente A
+ *   - [ ] Título #tag ⏫ 📅 2026-10-20 ⏰ 09:30 🔁 FREQ=WEEKLY 🚫 2026-10-13 ⏭ skip ➕ 2026-09-20 🆔 abc123
+ *     Descrição (linhas recuadas)
+ *     - [x] Subtarefa
+ * - [ ] pendente, [/] em andamento, [x] concluída (✅ data da conclusão)
+ * - Prioridade ⏫ alta, 🔼 média, 🔽 baixa
+ * - 🚫 ocorrências puladas da série e ⏭ o que fazer com as perdidas (marcadores do Planno)
+ *
+ * Nos tokens (+projeto, @contexto, #tag, desc:) espaços viram "_" e os demais sinais são
+ * codificados como na URL (ex: "casa, sala" = casa%2C_sala), para voltarem iguais ao importar.
+ *
+ * O ID de cada tarefa vai no arquivo, então reimportar com "Mesclar" atualiza as tarefas editadas.
+ * Não são incluídos: cores das categorias e tags e as subtarefas no todo.txt
+ * (as tarefas lidas não trazem esses campos, e a mesclagem mantém os valores locais).
+ */
+class PlainTextService {
+    /**
+     * Letras de prioridade do todo.txt
+     * @returns {Object}
+     */
+    static get todoTxtPriorities() {
+        return { high: 'A', medium: 'B', low: 'C' };
+    }
+
+    /**
+     * Marcadores do Markdown (emojis do plugin Tasks do Obsidian)
+     * @returns {Object}
+     */
+    static get markdownMarkers() {
+        return {
+            due: '📅',
+            time: '⏰',
+            recurrence: '🔁',
+            exceptions: '🚫',
+            catchUp: '⏭',
+            created: '➕',
+            done: '✅',
+            id: '🆔',
+            priority: { high: '⏫', medium: '🔼', low: '🔽' }
+        };
+    }
+
+    /**
+     * Título da seção de tarefas sem categoria no Markdown
+     * @returns {string}
+     */
+    static get uncategorizedHeading() {
+        return 'Sem categoria';
+    }
+
+    // ===== TODO.TXT =====
+
+    /**
+     * Gera o conteúdo todo.txt com as tarefas
+     * @param {Object} data - Dados ({ tasks, categories, tags })
+     * @returns {string} Conteúdo todo.txt
+     */
+    generateTodoTxt(data) {
+        const { categories, tags } = this.getLabelLookups(data);
+
+        return (data.tasks || []).map(task => {
+            const parts = [];
+            const priority = PlainTextService.todoTxtPriorities[task.priority] || 'B';
+
+            if (task.completed) {
+                parts.push('x', this.toLocalDate(task.completedAt || task.createdAt));
+            } else {
+                parts.push(`(${priority})`);
+            }
+
+            if (task.createdAt) parts.push(this.toLocalDate(task.createdAt));
+            parts.push(this.singleLine(task.title));
+
+            if (categories.has(task.category)) {
+                parts.push(`+${Category.getPath(data.categories, task.category).map(category => this.toToken(category.name)).join('/')}`);
+            }
+            (task.tags || []).forEach(tagId => {
+                if (tags.has(tagId)) parts.push(`@${this.toToken(tags.get(tagId).name)}`);
+            });
+
+            if (task.dueDate) parts.push(`due:${task.dueDate}`);
+            if (task.dueTime) parts.push(`time:${task.dueTime}`);
+
+            if (task.isRecurring && task.recurrenceRule) {
+                parts.push(`rrule:${RecurrenceUtils.toRRuleString(task.recurrenceRule)}`);
+                if (task.recurrenceMode === 'afterCompletion') parts.push('recmode:afterCompletion');
+                if ((task.exceptionDates || []).length > 0) parts.push(`exdate:${task.exceptionDates.join(',')}`);
+                if (task.catchUpPolicy && task.catchUpPolicy !== 'collapse') parts.push(`catchup:${task.catchUpPolicy}`);
+            }
+
+            if (!task.completed && task.status === 'doing') parts.push('status:doing');
+            if (task.completed) parts.push(`pri:${priority}`);
+            if (task.description && task.description.trim()) parts.push(`desc:${this.toToken(task.description)}`);
+            parts.push(`id:${task.id}`);
+
+            return parts.join(' ');
+        }).join('\n') + '\n';
+    }
+
+    /**
+     * Converte um arquivo todo.txt no formato de importação do Planno
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Object} { tasks, categories, tags, importWarnings }
+     */
+    parseTodoTxt(content) {
+        const context = this.createContext('txt');
+
+        String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+            let line = rawLine.trim();
+            if (!line) return;
+
+            const lineLabel = `Linha ${index + 1}`;
+            let completed = false;
+            let completedDate = null;
+            let priority = null;
+            let createdDate = null;
+
+            const done = line.match(/^x\s+(?:(\d{4}-\d{2}-\d{2})\s+)?(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+            if (done) {
+                completed = true;
+                completedDate = done[1] || null;
+                createdDate = done[2] || null;
+                line = line.slice(done[0].length);
+            } else {
+                const start = line.match(/^(?:\(([A-Z])\)\s+)?(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+                priority = start[1] || null;
+                createdDate = start[2] || null;
+                line = line.slice(start[0].length);
+            }
+
+            const fields = { completed, categoryPaths: [], tagNames: [], extensions: {} };
+            const titleWords = [];
+
+            line.split(/\s+/).forEach(word => {
+                const extension = word.match(/^(due|time|rrule|rec|recmode|exdate|catchup|status|pri|desc|id):(\S+)$/i);
+                if (word.length > 1 && word[0] === '+') {
+                    fields.categoryPaths.push(word.slice(1).split('/').map(token => this.fromToken(token)).filter(name => name));
+                } else if (word.length > 1 && word[0] === '@') {
+                    fields.tagNames.push(this.fromToken(word.slice(1)));
+                } else if (extension) {
+                    fields.extensions[extension[1].toLowerCase()] = extension[2];
+                } else {
+                    titleWords.push(word);
+                }
+            });
+
+            const { extensions } = fields;
+            const letter = (priority || extensions.pri || '').toUpperCase();
+            const task = this.buildTask(context, {
+                id: extensions.id,
+                title: titleWords.join(' '),
+                categoryPath: fields.categoryPaths[0],
+                tagNames: fields.tagNames,
+                priority: this.mapTodoTxtPriority(context, letter, lineLabel),
+                completed,
+                status: extensions.status,
+                createdDate,
+                completedDate,
+                dueDate: extensions.due,
+                dueTime: extensions.time,
+                label: lineLabel
+            });
+
+            if (fields.categoryPaths.length > 1) {
+                this.report(context, `${lineLabel}: só o primeiro projeto virou categoria (ignorados: ${fields.categoryPaths.slice(1).map(path => path.join('/')).join(', ')})`);
+            }
+
+            if (extensions.desc) {
+                task.description = this.limitText(context, this.fromToken(extensions.desc), 500, `${lineLabel}: descrição`);
+            }
+
+            if (extensions.rrule || extensions.rec) {
+                const recurrence = extensions.rrule
+                    ? this.parseRRule(context, extensions.rrule, extensions.recmode, lineLabel)
+                    : this.parseTodoTxtRec(extensions.rec);
+                this.applyRecurrence(context, task, recurrence, lineLabel);
+            }
+
+            this.applySeriesOptions(context, task, extensions.exdate, extensions.catchup, lineLabel);
+
+            context.tasks.push(task);
+        });
+
+        return this.finish(context);
+    }
+
+    /**
+     * Converte a prioridade do todo.txt (A = alta, B = média, C ou menor = baixa)
+     * @param {Object} context - Contexto da conversão
+     * @param {string} letter - Letra da prioridade (vazio = média)
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     * @returns {string} 'low', 'medium' ou 'high'
+     */
+    mapTodoTxtPriority(context, letter, lineLabel) {
+        if (!letter) return 'medium';
+        if (letter === 'A') return 'high';
+        if (letter === 'B') return 'medium';
+        if (letter !== 'C') {
+            this.report(context, `${lineLabel}: prioridade (${letter}) importada como baixa`);
+        }
+        return 'low';
+    }
+
+    /**
+     * Interpreta a extensão rec: de outros aplicativos todo.txt (ex: rec:1w, rec:+2m, rec:1b)
+     * O "+" indica recorrência fixa; sem ele, a próxima data conta a partir da conclusão
+     * @param {string} value - Valor da extensão
+     * @returns {Object} { rule, mode }
+     */
+    parseTodoTxtRec(value) {
+        const match = String(value).match(/^(\+)?(\d*)([dwmyb])$/i);
+        if (!match) return { rule: null };
+
+        const interval = parseInt(match[2]) || 1;
+        const unit = match[3].toLowerCase();
+        const mode = match[1] ? 'fixed' : 'afterCompletion';
+
+        if (unit === 'b') {
+            // Dias úteis só têm equivalente quando o intervalo é 1
+            const rule = interval === 1 ? { freq: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] } : null;
+            return { rule: RecurrenceUtils.normalize(rule), mode };
+        }
+
+        const freq = { d: 'DAILY', w: 'WEEKLY', m: 'MONTHLY', y: 'YEARLY' }[unit];
+        return { rule: RecurrenceUtils.normalize({ freq, interval }), mode };
+    }
+
+    // ===== MARKDOWN =====
+
+    /**
+     * Gera o conteúdo Markdown com as tarefas agrupadas por categoria
+     * @param {Object} data - Dados ({ tasks, categories, tags })
+     * @returns {string} Conteúdo Markdown
+     */
+    generateMarkdown(data) {
+        const { categories, tags } = this.getLabelLookups(data);
+        const tasks = data.tasks || [];
+        // Subcategorias seguem a categoria pai, com o caminho completo no título
+        const groups = Category.sortAsTree(data.categories || []).map(({ category }) => ({
+            heading: Category.getFullName(data.categories, category.id),
+            tasks: tasks.filter(task => task.category === category.id)
+        }));
+        groups.push({
+            heading: PlainTextService.uncategorizedHeading,
+            tasks: tasks.filter(task => !categories.has(task.category))
+        });
+
+        const lines = ['# Planno - Tarefas', ''];
+
+        groups.filter(group => group.tasks.length > 0).forEach(group => {
+            lines.push(`## ${this.singleLine(group.heading)}`, '');
+            group.tasks.forEach(task => lines.push(...this.buildMarkdownTask(task, tags)));
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Monta as linhas de uma tarefa no Markdown
+     * @param {Object} task - Tarefa
+     * @param {Map} tags - Tags por ID
+     * @returns {Array} Linhas
+     */
+    buildMarkdownTask(task, tags) {
+        const markers = PlainTextService.markdownMarkers;
+        let box = ' ';
+        if (task.completed) {
+            box = 'x';
+        } else if (task.status === 'doing') {
+            box = '/';
+        }
+
+        // "#" no título viraria tag ao importar de volta
+        const parts = [`- [${box}] ${this.singleLine(task.title).replace(/#/g, '\\#')}`];
+        (task.tags || []).forEach(tagId => {
+            if (tags.has(tagId)) parts.push(`#${this.toToken(tags.get(tagId).name)}`);
+        });
+
+        parts.push(markers.priority[task.priority] || markers.priority.medium);
+        if (task.dueDate) parts.push(`${markers.due} ${task.dueDate}`);
+        if (task.dueTime) parts.push(`${markers.time} ${task.dueTime}`);
+
+        if (task.isRecurring && task.recurrenceRule) {
+            const whenDone = task.recurrenceMode === 'afterCompletion' ? ' when done' : '';
+            parts.push(`${markers.recurrence} ${RecurrenceUtils.toRRuleString(task.recurrenceRule)}${whenDone}`);
+            if ((task.exceptionDates || []).length > 0) parts.push(`${markers.exceptions} ${task.exceptionDates.join(',')}`);
+            if (task.catchUpPolicy && task.catchUpPolicy !== 'collapse') parts.push(`${markers.catchUp} ${task.catchUpPolicy}`);
+        }
+
+        if (task.createdAt) parts.push(`${markers.created} ${this.toLocalDate(task.createdAt)}`);
+        if (task.completed) parts.push(`${markers.done} ${this.toLocalDate(task.completedAt || task.createdAt)}`);
+        parts.push(`${markers.id} ${task.id}`);
+
+        const lines = [parts.join(' ')];
+
+        if (task.description) {
+            task.description.split(/\r?\n/).forEach(line => lines.push(line.trim() ? `  ${line}` : ''));
+        }
+
+        (task.subtasks || []).forEach(subtask => {
+            lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${this.singleLine(subtask.title)}`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Converte um arquivo Markdown no formato de importação do Planno
+     * Títulos de nível 2 ou mais definem a categoria das tarefas seguintes
+     * ("Trabalho › Cliente A" é a subcategoria Cliente A de Trabalho)
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Object} { tasks, categories, tags, importWarnings }
+     */
+    parseMarkdown(content) {
+        const context = this.createContext('md');
+        let categoryPath;
+        let current = null;
+        let blankLines = 0;
+
+        String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+            const lineLabel = `Linha ${index + 1}`;
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            const item = line.match(/^(\s*)[-*+]\s+\[([ xX/])\]\s+(.*)$/);
+
+            if (heading) {
+                current = null;
+                if (heading[1].length > 1) {
+                    categoryPath = heading[2] === PlainTextService.uncategorizedHeading
+                        ? undefined
+                        : heading[2].split(/\s+›\s+/).filter(name => name);
+                }
+                return;
+            }
+
+            if (item && item[1].length === 0) {
+                current = this.parseMarkdownTask(context, item[2], item[3], categoryPath, lineLabel);
+                context.tasks.push(current);
+                blankLines = 0;
+                return;
+            }
+
+            if (!current) return;
+
+            if (item) {
+                const title = this.limitText(context, item[3].trim(), 100, `${lineLabel}: título de subtarefa`);
+                if (title) {
+                    current.subtasks.push({
+                        id: IdGenerator.generateFromString(`${current.id}:${current.subtasks.length}:${title}`, 'subtask'),
+                        title,
+                        completed: item[2].toLowerCase() === 'x'
+                    });
+                }
+                return;
+            }
+
+            if (!line.trim()) {
+                blankLines++;
+                return;
+            }
+
+            if (/^\s+\S/.test(line)) {
+                const text = line.replace(/^ {1,2}|^\t/, '');
+                current.description += (current.description ? '\n'.repeat(blankLines + 1) : '') + text;
+                blankLines = 0;
+                return;
+            }
+
+            // Texto fora de uma tarefa encerra a descrição
+            current = null;
+        });
+
+        context.tasks.forEach(task => {
+            task.description = this.limitText(context, task.description, 500, `Descrição de "${task.title}"`);
+        });
+
+        return this.finish(context);
+    }
+
+    /**
+     * Interpreta a linha de uma tarefa do Markdown
+     * @param {Object} context - Contexto da conversão
+     * @param {string} box - Conteúdo da caixa (" ", "x" ou "/")
+     * @param {string} text - Texto depois da caixa
+     * @param {Array<string>} categoryPath - Caminho da categoria da seção atual
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     * @returns {Object} Tarefa
+     */
+    parseMarkdownTask(context, box, text, categoryPath, lineLabel) {
+        const markers = PlainTextService.markdownMarkers;
+        const priorities = { '🔺': 'high', '⏫': 'high', '🔼': 'medium', '🔽': 'low', '⏬': 'low' };
+        const valueMarkers = [markers.due, markers.time, markers.recurrence, markers.exceptions, markers.catchUp, markers.created, markers.done, markers.id];
+        const values = {};
+        let priority = 'medium';
+
+        // Separar os marcadores: cada um vale até o próximo marcador
+        const pattern = new RegExp(`(${[...valueMarkers, ...Object.keys(priorities)].join('|')})\\uFE0F?`, 'gu');
+        const pieces = text.split(pattern);
+        let title = pieces[0];
+
+        for (let index = 1; index < pieces.length; index += 2) {
+            const marker = pieces[index];
+            const value = (pieces[index + 1] || '').trim();
+
+            if (priorities[marker]) {
+                priority = priorities[marker];
+                title += ` ${value}`;
+            } else {
+                values[marker] = value;
+            }
+        }
+
+        // Tags (#nome com ao menos uma letra) podem estar no título ou depois dos marcadores
+        const tagNames = [];
+        const collectTags = value => value.replace(/(^|\s)(?<!\\)#([\p{L}\p{N}_%/-]*\p{L}[\p{L}\p{N}_%/-]*)/gu, (match, space, name) => {
+            tagNames.push(this.fromToken(name));
+            return space;
+        });
+
+        title = collectTags(title).replace(/\\#/g, '#').replace(/\s+/g, ' ').trim();
+        Object.keys(values).forEach(marker => {
+            values[marker] = collectTags(values[marker]).trim();
+        });
+
+        const task = this.buildTask(context, {
+            id: values[markers.id],
+            title,
+            categoryPath,
+            tagNames,
+            priority,
+            completed: box.toLowerCase() === 'x',
+            status: box === '/' ? 'doing' : 'todo',
+            createdDate: values[markers.created],
+            completedDate: values[markers.done],
+            dueDate: values[markers.due],
+            dueTime: values[markers.time],
+            label: lineLabel
+        });
+        task.description = '';
+        task.subtasks = [];
+
+        const recurrenceText = values[markers.recurrence];
+        if (recurrenceText) {
+            const whenDone = / when done$/i.test(recurrenceText);
+            const ruleText = recurrenceText.replace(/ when done$/i, '').trim();
+            const mode = whenDone ? 'afterCompletion' : 'fixed';
+            const recurrence = /^(RRULE:)?FREQ=/i.test(ruleText)
+                ? this.parseRRule(context, ruleText, mode, lineLabel)
+                : { rule: QuickAddParser.parse(ruleText).taskData.recurrenceRule, mode };
+            this.applyRecurrence(context, task, recurrence, lineLabel, ruleText);
+        }
+
+        this.applySeriesOptions(context, task, values[markers.exceptions], values[markers.catchUp], lineLabel);
+
+        return task;
+    }
+
+    // ===== AUXILIARES =====
+
+    /**
+     * Monta mapas de categorias e tags por ID
+     * @param {Object} data - Dados ({ categories, tags })
+     * @returns {Object} { categories: Map, tags: Map }
+     */
+    getLabelLookups(data) {
+        return {
+            categories: new Map((data.categories || []).map(category => [category.id, category])),
+            tags: new Map((data.tags || []).map(tag => [tag.id, tag]))
+        };
+    }
+
+    /**
+     * Converte um texto em token sem espaços (+projeto, @contexto, #tag, desc:)
+     * Espaços viram "_"; sinais, "_" e quebras de linha são codificados (%XX) para voltarem iguais
+     * @param {string} name - Texto
+     * @returns {string} Token
+     */
+    toToken(name) {
+        return String(name).trim()
+            .replace(/[^\p{L}\p{N} -]/gu, char => {
+                const encoded = encodeURIComponent(char);
+                return encoded === char ? `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}` : encoded;
+            })
+            .replace(/ /g, '_');
+    }
+
+    /**
+     * Converte um token de volta em texto
+     * Tokens escritos à mão com "%" solto (ex: @100%) são mantidos como estão
+     * @param {string} token - Token
+     * @returns {string} Texto
+     */
+    fromToken(token) {
+        const text = String(token).replace(/_/g, ' ');
+        try {
+            return decodeURIComponent(text).trim();
+        } catch (error) {
+            return text.trim();
+        }
+    }
+
+    /**
+     * Junta um texto em uma única linha
+     * @param {string} value - Texto
+     * @returns {string} Texto sem quebras de linha
+     */
+    singleLine(value) {
+        return String(value || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Obtém a data local (YYYY-MM-DD) de um ISO
+     * @param {string} isoString - Data e hora ISO
+     * @returns {string} Data
+     */
+    toLocalDate(isoString) {
+        const date = new Date(isoString);
+        return isNaN(date.getTime()) ? DateUtils.formatDateISO(new Date()) : DateUtils.formatDateISO(date);
+    }
+
+    /**
+     * Cria o contexto de uma conversão
+     * @param {string} prefix - Prefixo dos IDs gerados
+     * @returns {Object} { prefix, categories, tags, tasks, warnings }
+     */
+    createContext(prefix) {
+        return {
+            prefix,
+            categories: new Map(),
+            tags: new Map(),
+            tasks: [],
+            warnings: []
+        };
+    }
+
+    /**
+     * Registra um item do relatório de importação
+     * @param {Object} context - Contexto da conversão
+     * @param {string} message - Mensagem
+     */
+    report(context, message) {
+        context.warnings.push(message);
+    }
+
+    /**
+     * Obtém (ou cria) uma categoria ou tag pelo nome
+     * @param {Map} map - Categorias ou tags já criadas
+     * @param {string} name - Nome
+     * @param {string} prefix - Prefixo do ID
+     * @param {string} color - Cor padrão
+     * @returns {Object} Categoria ou tag
+     */
+    getLabel(map, name, prefix, color) {
+        const key = name.toLowerCase();
+        if (!map.has(key)) {
+            map.set(key, { id: IdGenerator.generateFromString(key, prefix), name, color, createdAt: new Date().toISOString() });
+        }
+        return map.get(key);
+    }
+
+    /**
+     * Obtém (ou cria) a categoria de um caminho, criando também as categorias pai
+     * @param {Object} context - Contexto da conversão
+     * @param {Array<string>} path - Nomes da raiz até a categoria
+     * @returns {string} ID da categoria
+     */
+    getCategory(context, path) {
+        let parent = null;
+        let key = '';
+
+        path.forEach(segment => {
+            const name = this.limitText(context, segment, 50, 'Nome de categoria');
+            // A chave de uma categoria de primeiro nível é só o nome, como nas versões anteriores
+            key = key ? `${key}/${name.toLowerCase()}` : name.toLowerCase();
+            if (!context.categories.has(key)) {
+                context.categories.set(key, {
+                    id: IdGenerator.generateFromString(key, `${context.prefix}cat`),
+                    name,
+                    color: '#007bff',
+                    parentId: parent ? parent.id : null,
+                    createdAt: new Date().toISOString()
+                });
+            }
+            parent = context.categories.get(key);
+        });
+
+        return parent.id;
+    }
+
+    /**
+     * Monta uma tarefa no formato do Planno
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} fields - Campos lidos do arquivo
+     * @returns {Object} Tarefa
+     */
+    buildTask(context, fields) {
+        const title = this.limitText(context, fields.title || 'Sem título', 100, `${fields.label}: título`);
+        const tagNames = [...new Set(fields.tagNames.filter(name => name))];
+        const completed = !!fields.completed;
+
+        const dueDate = this.checkDate(context, fields.dueDate, `${fields.label}: data de vencimento`);
+        const dueTime = fields.dueTime && /^([01]\d|2[0-3]):[0-5]\d$/.test(fields.dueTime) ? fields.dueTime : '';
+        if (fields.dueTime && !dueTime) {
+            this.report(context, `${fields.label}: horário inválido ignorado (${fields.dueTime})`);
+        }
+
+        const createdDate = this.checkDate(context, fields.createdDate, `${fields.label}: data de criação`);
+        const completedDate = this.checkDate(context, fields.completedDate, `${fields.label}: data de conclusão`);
+        const id = fields.id && IdGenerator.isValid(fields.id)
+            ? fields.id
+            : IdGenerator.generateFromString(`${fields.label}:${title}`, context.prefix);
+
+        return {
+            id,
+            title,
+            category: fields.categoryPath && fields.categoryPath.length > 0
+                ? this.getCategory(context, fields.categoryPath)
+                : undefined,
+            tags: tagNames.map(name => this.getLabel(context.tags, this.limitText(context, name, 30, 'Nome de tag'), `${context.prefix}tag`, '#6c757d').id),
+            priority: fields.priority,
+            dueDate: dueDate || '',
+            dueTime: dueDate ? dueTime : '',
+            completed,
+            status: !completed && fields.status === 'doing' ? 'doing' : 'todo',
+            createdAt: createdDate ? DateUtils.createLocalDate(createdDate).toISOString() : new Date().toISOString(),
+            completedAt: completed
+                ? (completedDate ? DateUtils.createLocalDate(completedDate).toISOString() : new Date().toISOString())
+                : null,
+            isRecurring: false,
+            recurrenceRule: null,
+            recurrenceMode: 'fixed'
+        };
+    }
+
+    /**
+     * Interpreta uma RRULE do arquivo, registrando as partes ignoradas no relatório
+     * @param {Object} context - Contexto da conversão
+     * @param {string} text - Texto RRULE
+     * @param {string} mode - Modo da recorrência
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     * @returns {Object} { rule, mode }
+     */
+    parseRRule(context, text, mode, lineLabel) {
+        const ignoredParts = [];
+        const rule = RecurrenceUtils.parseRRuleString(text, ignoredParts);
+        if (rule && ignoredParts.length > 0) {
+            this.report(context, `${lineLabel}: partes da recorrência ignoradas (${ignoredParts.join(';')})`);
+        }
+        return { rule, mode };
+    }
+
+    /**
+     * Aplica uma recorrência lida do arquivo (só tarefas com data podem ser recorrentes)
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} task - Tarefa
+     * @param {Object} recurrence - { rule, mode }
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     * @param {string} source - Texto original da recorrência (para o relatório)
+     */
+    applyRecurrence(context, task, { rule, mode }, lineLabel, source = '') {
+        if (!rule) {
+            this.report(context, `${lineLabel}: recorrência não reconhecida${source ? ` ("${source}")` : ''}, importada como tarefa única`);
+            return;
+        }
+
+        if (!task.dueDate) {
+            this.report(context, `${lineLabel}: recorrência sem data de vencimento ignorada`);
+            return;
+        }
+
+        task.isRecurring = true;
+        task.recurrenceRule = rule;
+        task.recurrenceMode = RecurrenceUtils.modes.includes(mode) ? mode : 'fixed';
+    }
+
+    /**
+     * Aplica as exceções e a política de ocorrências perdidas de uma tarefa recorrente
+     * @param {Object} context - Contexto da conversão
+     * @param {Object} task - Tarefa (já com a recorrência aplicada)
+     * @param {string} exceptions - Datas separadas por vírgula
+     * @param {string} catchUpPolicy - 'all', 'collapse' ou 'skip'
+     * @param {string} lineLabel - Referência da linha (para o relatório)
+     */
+    applySeriesOptions(context, task, exceptions, catchUpPolicy, lineLabel) {
+        if (!task.isRecurring) return;
+
+        if (exceptions) {
+            task.exceptionDates = [...new Set(exceptions.split(',')
+                .map(date => this.checkDate(context, date.trim(), `${lineLabel}: exceção da recorrência`))
+                .filter(date => date))].sort();
+        }
+
+        if (catchUpPolicy) {
+            if (RecurrenceUtils.catchUpPolicies.includes(catchUpPolicy.toLowerCase())) {
+                task.catchUpPolicy = catchUpPolicy.toLowerCase();
+            } else {
+                this.report(context, `${lineLabel}: política de ocorrências perdidas inválida ignorada (${catchUpPolicy})`);
+            }
+        }
+    }
+
+    /**
+     * Confere uma data YYYY-MM-DD, registrando valores inválidos no relatório
+     * @param {Object} context - Contexto da conversão
+     * @param {string} value - Data
+     * @param {string} label - Nome do campo (para o relatório)
+     * @returns {string|null} Data válida ou null
+     */
+    checkDate(context, value, label) {
+        if (!value) return null;
+
+        const valid = /^\d{4}-\d{2}-\d{2}$/.test(value)
+            && DateUtils.formatDateISO(DateUtils.createLocalDate(value)) === value;
+        if (!valid) {
+            this.report(context, `${label} inválida ignorada (${value})`);
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Encurta um texto até o limite do Planno, registrando no relatório
+     * @param {Object} context - Contexto da conversão
+     * @param {string} text - Texto
+     * @param {number} maxLength - Tamanho máximo
+     * @param {string} label - Nome do campo (para o relatório)
+     * @returns {string} Texto dentro do limite
+     */
+    limitText(context, text, maxLength, label) {
+        const value = String(text || '');
+        if (value.length <= maxLength) return value;
+
+        this.report(context, `${label} encurtado para ${maxLength} caracteres`);
+        return value.slice(0, maxLength);
+    }
+
+    /**
+     * Finaliza a conversão
+     * @param {Object} context - Contexto da conversão
+     * @returns {Object} { tasks, categories, tags, importWarnings }
+     */
+    finish(context) {
+        if (context.tasks.length === 0) {
+            this.report(context, 'Nenhuma tarefa encontrada no arquivo');
+        }
+
+        return {
+            tasks: context.tasks,
+            categories: [...context.categories.values()],
+            tags: [...context.tags.values()],
+            importWarnings: context.warnings
+        };
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlainTextService;
+} else {
+    window.PlainTextService = PlainTextService;
+}
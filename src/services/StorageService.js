@@ -1,19 +1,45 @@
 /**
- * StorageService - Abstração do localStorage
+ * StorageService - Abstração do armazenamento
  * Responsável por todas as operações de persistência de dados
  * 
+ * Tarefas, categorias e tags são guardadas por um adaptador plugável
+ * (IndexedDBAdapter, com LocalStorageAdapter como alternativa). Os dados ficam
+ * em memória, então a leitura e a gravação continuam síncronas para os
+ * controladores; o adaptador grava em segundo plano, em ordem.
+ * Preferências continuam no localStorage.
+ * 
  * Funcionalidades:
  * - Gerenciamento de tarefas
  * - Gerenciamento de categorias
  * - Gerenciamento de tags
+ * - Escolha do backend e migração automática do localStorage
+ * - Versão do schema dos dados e migrações (MigrationService)
+ * - Sincronização entre abas com detecção de conflitos (SyncService)
  * - Configurações do usuário
  * - Configurações de ordenação
  * - Configurações de notificações
  * - Configurações de exibição
  * - Estado da sidebar
+ * - Configurações dos backups automáticos
  */
 class StorageService {
-    constructor() {
+    /**
+     * @param {Object} adapter - Adaptador de armazenamento (opcional; padrão: IndexedDB se disponível)
+     * @param {MigrationService} migrationService - Migrações do schema (opcional)
+     */
+    constructor(adapter = null, migrationService = null) {
+        this.adapter = adapter;
+        this.migrationService = migrationService || new MigrationService();
+        this.collections = { tasks: [], categories: [], tags: [] };
+        this.writeQueue = Promise.resolve();
+        this.syncService = null;
+
+        // Coleções antigas do localStorage que não puderam ser migradas (coleção -> registros)
+        this.legacyLeftovers = {};
+
+        // Momento da última alteração de cada registro (por coleção), para desempatar conflitos
+        this.changeTimes = { tasks: new Map(), categories: new Map(), tags: new Map() };
+
         this.keys = {
             tasks: 'todoTasks',
             categories: 'todoCategories',
@@ -23,14 +49,341 @@ class StorageService {
             theme: 'theme',
             sortOptions: 'sortOptions',
             completedTasksDays: 'completedTasksDays',
-            sidebarCollapsed: 'sidebarCollapsed'
+            sidebarCollapsed: 'sidebarCollapsed',
+            taskView: 'taskView',
+            storageBackend: 'storageBackend',
+            schemaVersion: 'schemaVersion',
+            backupSettings: 'backupSettings',
+            smartLists: 'smartLists'
         };
     }
 
+    // ===== BACKEND =====
+
+    /**
+     * Inicializa o adaptador de armazenamento e carrega as coleções em memória
+     * Na primeira execução com IndexedDB, os dados do localStorage são migrados
+     * Dados de uma versão anterior do schema são atualizados antes do uso
+     * @returns {Promise<string>} Nome do backend em uso
+     */
+    async init() {
+        const candidates = this.adapter
+            ? [this.adapter]
+            : [new IndexedDBAdapter(), new LocalStorageAdapter()];
+
+        for (const adapter of candidates) {
+            try {
+                await adapter.init();
+                this.adapter = adapter;
+                break;
+            } catch (error) {
+                console.error(`Erro ao inicializar armazenamento (${adapter.name}):`, error);
+                this.adapter = null;
+            }
+        }
+
+        if (!this.adapter) {
+            console.error('Nenhum armazenamento disponível; os dados não serão salvos.');
+            return null;
+        }
+
+        try {
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.error('Erro ao migrar dados do localStorage:', error);
+        }
+
+        try {
+            for (const collection of Object.keys(this.collections)) {
+                this.collections[collection] = await this.adapter.getAll(collection);
+            }
+        } catch (error) {
+            console.error('Erro ao carregar dados do armazenamento:', error);
+        }
+
+        try {
+            await this.migrateSchema();
+        } catch (error) {
+            console.error('Erro ao migrar schema dos dados:', error);
+        }
+
+        return this.adapter.name;
+    }
+
+    /**
+     * Atualiza as coleções carregadas para a versão atual do schema
+     * Dados sem versão registrada são tratados como versão 1 (ou como atuais, se não houver dados)
+     * @returns {Promise<Object|null>} Resultado da migração ou null se já estava atualizado
+     */
+    async migrateSchema() {
+        const currentVersion = this.migrationService.currentVersion;
+        const hasData = Object.values(this.collections).some(records => records.length > 0);
+        const storedVersion = this.getSchemaVersion() || (hasData ? 1 : currentVersion);
+
+        if (storedVersion === currentVersion) {
+            this.setSchemaVersion(currentVersion);
+            return null;
+        }
+
+        const result = this.migrationService.migrate({ ...this.collections, schemaVersion: storedVersion });
+
+        Object.keys(this.collections).forEach(collection => {
+            this.persist(collection, result.data[collection] || []);
+        });
+        await this.flush();
+
+        this.setSchemaVersion(result.toVersion);
+        return result;
+    }
+
+    /**
+     * Obtém a versão do schema dos dados salvos
+     * @returns {number|null} Versão ou null se não registrada
+     */
+    getSchemaVersion() {
+        const version = parseInt(localStorage.getItem(this.keys.schemaVersion));
+        return Number.isInteger(version) ? version : null;
+    }
+
+    /**
+     * Registra a versão do schema dos dados salvos
+     * @param {number} version - Versão
+     */
+    setSchemaVersion(version) {
+        localStorage.setItem(this.keys.schemaVersion, String(version));
+    }
+
+    /**
+     * Copia os dados do localStorage para o adaptador atual (uma única vez)
+     * As chaves antigas das coleções copiadas são removidas para liberar espaço; as que não foram
+     * copiadas (o novo backend já tinha dados) ficam no localStorage e em legacyLeftovers,
+     * a cada início, até o usuário decidir o que fazer com elas (ver discardLegacyLeftovers)
+     * @returns {Promise<boolean>} Se houve migração
+     */
+    async migrateFromLocalStorage() {
+        this.legacyLeftovers = {};
+        if (this.adapter.name === 'localStorage') return false;
+
+        const migrated = localStorage.getItem(this.keys.storageBackend) === this.adapter.name;
+        const legacy = new LocalStorageAdapter();
+        const copied = [];
+
+        for (const collection of Object.keys(this.collections)) {
+            const legacyRecords = await legacy.getAll(collection);
+            if (legacyRecords.length === 0) continue;
+
+            // Nunca sobrescrever dados que já estão no novo backend
+            if (!migrated && (await this.adapter.getAll(collection)).length === 0) {
+                await this.adapter.saveCollection(collection, legacyRecords);
+                copied.push(collection);
+            } else {
+                this.legacyLeftovers[collection] = legacyRecords;
+            }
+        }
+
+        await legacy.clear(copied);
+        localStorage.setItem(this.keys.storageBackend, this.adapter.name);
+        return copied.length > 0;
+    }
+
+    /**
+     * Remove do localStorage as coleções antigas que não foram migradas
+     * @returns {Promise<void>}
+     */
+    async discardLegacyLeftovers() {
+        await new LocalStorageAdapter().clear(Object.keys(this.legacyLeftovers));
+        this.legacyLeftovers = {};
+    }
+
+    /**
+     * Agenda a gravação de uma coleção no adaptador
+     * As alterações em relação à versão anterior são enviadas para as outras abas
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} records - Registros
+     * @param {string} changedAt - Momento das alterações (padrão: agora)
+     */
+    persist(collection, records, changedAt = new Date().toISOString()) {
+        const changes = this.getChanges(this.collections[collection], records);
+        this.collections[collection] = records;
+
+        changes.forEach(change => {
+            change.changedAt = changedAt;
+            this.changeTimes[collection].set(change.id, changedAt);
+        });
+
+        if (this.syncService) {
+            this.syncService.publish(collection, changes);
+        }
+
+        if (!this.adapter) return;
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.adapter.saveCollection(collection, records))
+            .catch(error => console.error(`Erro ao gravar ${collection}:`, error));
+    }
+
+    /**
+     * Compara duas versões de uma coleção
+     * @param {Array} previous - Registros anteriores
+     * @param {Array} records - Registros atuais
+     * @returns {Array} Alterações ({ id, record, base }); record null indica remoção
+     */
+    getChanges(previous, records) {
+        const previousById = new Map((previous || []).map(record => [record.id, record]));
+        const changes = [];
+
+        records.forEach(record => {
+            const base = previousById.get(record.id) || null;
+            if (!base || JSON.stringify(base) !== JSON.stringify(record)) {
+                changes.push({ id: record.id, record, base });
+            }
+            previousById.delete(record.id);
+        });
+
+        previousById.forEach((base, id) => changes.push({ id, record: null, base }));
+
+        return changes;
+    }
+
+    // ===== SYNC =====
+
+    /**
+     * Liga a sincronização entre abas
+     * @param {SyncService} syncService - Canal entre abas
+     */
+    setSyncService(syncService) {
+        this.syncService = syncService;
+    }
+
+    /**
+     * Aplica em memória as alterações feitas em outra aba
+     * A outra aba já gravou no armazenamento compartilhado, então nada é regravado aqui.
+     * Uma alteração é aplicada se o registro local ainda está na versão de onde ela partiu;
+     * se os dois lados alteraram o mesmo registro de formas diferentes, é um conflito.
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} changes - Alterações recebidas ({ id, record, base, changedAt })
+     * @returns {Object} { applied: Array, conflicts: Array<{ id, local, remote, localChangedAt, remoteChangedAt }> }
+     */
+    applyRemoteChanges(collection, changes) {
+        if (!this.collections[collection]) return { applied: [], conflicts: [] };
+
+        const serialize = record => record ? JSON.stringify(record) : null;
+        let records = this.collections[collection];
+        const applied = [];
+        const conflicts = [];
+
+        changes.forEach(change => {
+            const local = records.find(record => record.id === change.id) || null;
+            const localJson = serialize(local);
+
+            if (localJson === serialize(change.record)) return;
+
+            if (localJson === serialize(change.base)) {
+                records = this.replaceRecord(records, change.id, change.record);
+                this.changeTimes[collection].set(change.id, change.changedAt || '');
+                applied.push(change);
+            } else {
+                conflicts.push({
+                    id: change.id,
+                    local,
+                    remote: change.record,
+                    localChangedAt: this.changeTimes[collection].get(change.id) || '',
+                    remoteChangedAt: change.changedAt || ''
+                });
+            }
+        });
+
+        this.collections[collection] = records;
+        return { applied, conflicts };
+    }
+
+    /**
+     * Escolhe a versão usada enquanto o usuário não decide o conflito, do mesmo jeito nas duas abas:
+     * a alteração mais recente vence; no empate, vence a aba de maior ID
+     * @param {Object} conflict - Conflito retornado por applyRemoteChanges
+     * @param {string} remoteTabId - ID da aba que enviou a alteração
+     * @returns {boolean} Se a versão desta aba deve ser mantida
+     */
+    shouldKeepLocal(conflict, remoteTabId) {
+        if (conflict.localChangedAt !== conflict.remoteChangedAt) {
+            return conflict.localChangedAt > conflict.remoteChangedAt;
+        }
+        const localTabId = this.syncService ? this.syncService.tabId : '';
+        return localTabId > String(remoteTabId || '');
+    }
+
+    /**
+     * Resolve um conflito de sincronização mantendo uma das versões
+     * A versão escolhida é gravada e enviada às outras abas tendo a versão remota como base,
+     * para que elas a aceitem sem novo conflito
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Object} conflict - Conflito retornado por applyRemoteChanges
+     * @param {boolean} keepLocal - Se deve manter a versão desta aba
+     */
+    resolveConflict(collection, conflict, keepLocal) {
+        const current = this.collections[collection];
+        const chosen = keepLocal ? conflict.local : conflict.remote;
+        const chosenAt = (keepLocal ? conflict.localChangedAt : conflict.remoteChangedAt) || new Date().toISOString();
+
+        this.collections[collection] = this.replaceRecord(current, conflict.id, conflict.remote);
+
+        // Não se sabe qual aba gravou por último: forçar a regravação do registro
+        if (this.adapter && typeof this.adapter.forget === 'function') {
+            this.adapter.forget(collection, [conflict.id]);
+        }
+
+        this.persist(collection, this.replaceRecord(current, conflict.id, chosen), chosenAt);
+        this.changeTimes[collection].set(conflict.id, chosenAt);
+    }
+
+    /**
+     * Restaura a versão desta aba que foi descartada num conflito, por escolha do usuário
+     * Ela é gravada como uma nova alteração sobre a versão atual, que as outras abas aceitam normalmente
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Object} conflict - Conflito retornado por applyRemoteChanges
+     */
+    restoreConflictVersion(collection, conflict) {
+        // O registro gravado é o da outra aba: forçar a regravação
+        if (this.adapter && typeof this.adapter.forget === 'function') {
+            this.adapter.forget(collection, [conflict.id]);
+        }
+
+        this.persist(collection, this.replaceRecord(this.collections[collection], conflict.id, conflict.local));
+    }
+
+    /**
+     * Substitui, insere ou remove um registro mantendo a ordem da coleção
+     * @param {Array} records - Registros
+     * @param {string} id - ID do registro
+     * @param {Object|null} record - Nova versão (null para remover)
+     * @returns {Array} Nova lista de registros
+     */
+    replaceRecord(records, id, record) {
+        if (!record) return records.filter(item => item.id !== id);
+        if (!records.some(item => item.id === id)) return [...records, record];
+        return records.map(item => item.id === id ? record : item);
+    }
+
+    /**
+     * Aguarda todas as gravações pendentes
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Obtém o nome do backend em uso
+     * @returns {string|null} 'indexedDB', 'localStorage' ou null
+     */
+    getBackendName() {
+        return this.adapter ? this.adapter.name : null;
+    }
+
     // ===== TASKS =====
     saveTasks(tasks) {
         try {
-            localStorage.setItem(this.keys.tasks, JSON.stringify(tasks));
+            this.persist('tasks', JSON.parse(JSON.stringify(tasks)));
             return true;
         } catch (error) {
             console.error('Erro ao salvar tarefas:', error);
@@ -40,10 +393,7 @@ class StorageService {
 
     loadTasks() {
         try {
-            const savedTasks = localStorage.getItem(this.keys.tasks);
-            if (!savedTasks) return [];
-            
-            const tasksData = JSON.parse(savedTasks);
+            const tasksData = this.collections.tasks;
             // Converter objetos JSON para instâncias da classe Task
             return tasksData.map(taskData => new Task(taskData));
         } catch (error) {
@@ -55,7 +405,7 @@ class StorageService {
     // ===== CATEGORIES =====
     saveCategories(categories) {
         try {
-            localStorage.setItem(this.keys.categories, JSON.stringify(categories));
+            this.persist('categories', JSON.parse(JSON.stringify(categories)));
             return true;
         } catch (error) {
             console.error('Erro ao salvar categorias:', error);
@@ -65,10 +415,7 @@ class StorageService {
 
     loadCategories() {
         try {
-            const savedCategories = localStorage.getItem(this.keys.categories);
-            if (!savedCategories) return [];
-            
-            const categoriesData = JSON.parse(savedCategories);
+            const categoriesData = this.collections.categories;
             // Converter objetos JSON para instâncias da classe Category
             return categoriesData.map(categoryData => new Category(categoryData));
         } catch (error) {
@@ -80,7 +427,7 @@ class StorageService {
     // ===== TAGS =====
     saveTags(tags) {
         try {
-            localStorage.setItem(this.keys.tags, JSON.stringify(tags));
+            this.persist('tags', JSON.parse(JSON.stringify(tags)));
             return true;
         } catch (error) {
             console.error('Erro ao salvar tags:', error);
@@ -90,10 +437,7 @@ class StorageService {
 
     loadTags() {
         try {
-            const savedTags = localStorage.getItem(this.keys.tags);
-            if (!savedTags) return [];
-            
-            const tagsData = JSON.parse(savedTags);
+            const tagsData = this.collections.tags;
             // Converter objetos JSON para instâncias da classe Tag
             return tagsData.map(tagData => new Tag(tagData));
         } catch (error) {
@@ -232,6 +576,69 @@ class StorageService {
         }
     }
 
+    // ===== TASK VIEW =====
+    saveTaskView(viewState) {
+        try {
+            localStorage.setItem(this.keys.taskView, JSON.stringify(viewState));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar visualização das tarefas:', error);
+            return false;
+        }
+    }
+
+    loadTaskView() {
+        try {
+            const savedView = localStorage.getItem(this.keys.taskView);
+            return savedView ? JSON.parse(savedView) : { view: 'list', calendarMode: 'month', boardGroupBy: 'status' };
+        } catch (error) {
+            console.error('Erro ao carregar visualização das tarefas:', error);
+            return { view: 'list', calendarMode: 'month', boardGroupBy: 'status' };
+        }
+    }
+
+    // ===== BACKUP SETTINGS =====
+    saveBackupSettings(backupSettings) {
+        try {
+            localStorage.setItem(this.keys.backupSettings, JSON.stringify(backupSettings));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar configurações de backup:', error);
+            return false;
+        }
+    }
+
+    loadBackupSettings() {
+        try {
+            const savedSettings = localStorage.getItem(this.keys.backupSettings);
+            return { ...BackupService.defaultSettings, ...(savedSettings ? JSON.parse(savedSettings) : {}) };
+        } catch (error) {
+            console.error('Erro ao carregar configurações de backup:', error);
+            return BackupService.defaultSettings;
+        }
+    }
+
+    // ===== SMART LISTS =====
+    saveSmartLists(smartLists) {
+        try {
+            localStorage.setItem(this.keys.smartLists, JSON.stringify(smartLists));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar listas inteligentes:', error);
+            return false;
+        }
+    }
+
+    loadSmartLists() {
+        try {
+            const savedLists = localStorage.getItem(this.keys.smartLists);
+            return savedLists ? JSON.parse(savedLists) : [];
+        } catch (error) {
+            console.error('Erro ao carregar listas inteligentes:', error);
+            return [];
+        }
+    }
+
     // ===== UTILITY METHODS =====
     
     /**
@@ -270,11 +677,33 @@ class StorageService {
     }
 
     /**
-     * Limpa todos os dados do localStorage
+     * Limpa todos os dados (localStorage e adaptador)
      */
     clearAllData() {
         try {
+            const backend = localStorage.getItem(this.keys.storageBackend);
+            const backupSettings = localStorage.getItem(this.keys.backupSettings);
             localStorage.clear();
+
+            // Manter a marca de migração para não importar de novo dados antigos
+            if (backend) localStorage.setItem(this.keys.storageBackend, backend);
+
+            // Manter os backups automáticos configurados (eles guardam os dados apagados)
+            if (backupSettings) localStorage.setItem(this.keys.backupSettings, backupSettings);
+            this.setSchemaVersion(this.migrationService.currentVersion);
+
+            if (this.syncService) {
+                Object.keys(this.collections).forEach(collection => {
+                    this.syncService.publish(collection, this.getChanges(this.collections[collection], []));
+                });
+            }
+
+            this.collections = { tasks: [], categories: [], tags: [] };
+            if (this.adapter) {
+                this.writeQueue = this.writeQueue
+                    .then(() => this.adapter.clear())
+                    .catch(error => console.error('Erro ao limpar armazenamento:', error));
+            }
             return true;
         } catch (error) {
             console.error('Erro ao limpar dados:', error);
@@ -0,0 +1,118 @@
+/**
+ * SyncService - Sincronização entre abas
+ * Responsável por avisar as outras abas abertas do Planno sobre alterações nos dados
+ *
+ * Funcionalidades:
+ * - Canal BroadcastChannel quando disponível
+ * - Alternativa pelo evento "storage" do localStorage
+ * - Identificação da aba de origem (mensagens da própria aba são ignoradas)
+ *
+ * Formato das mensagens:
+ * { tabId, collection, changes: [{ id, record, base, changedAt }], sentAt }
+ * - record: versão nova do registro (null se removido)
+ * - base: versão a partir da qual a alteração foi feita (null se criado)
+ * - changedAt: momento da alteração (decide a versão usada enquanto o conflito não é respondido)
+ */
+class SyncService {
+    constructor(channelName = 'planno-sync') {
+        this.channelName = channelName;
+        this.tabId = IdGenerator.generate();
+        this.channel = null;
+        this.transport = null;
+        this.storageListener = null;
+    }
+
+    /**
+     * Abre o canal de comunicação entre abas
+     * @returns {string|null} Transporte em uso ('broadcastChannel', 'storage') ou null
+     */
+    init() {
+        if (this.transport) return this.transport;
+
+        try {
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.onmessage = (event) => this.receive(event.data);
+                this.transport = 'broadcastChannel';
+            } else if (typeof window !== 'undefined' && window.addEventListener) {
+                this.storageListener = (event) => {
+                    if (event.key !== this.channelName || !event.newValue) return;
+                    this.receive(JSON.parse(event.newValue));
+                };
+                window.addEventListener('storage', this.storageListener);
+                this.transport = 'storage';
+            }
+        } catch (error) {
+            console.error('Erro ao iniciar sincronização entre abas:', error);
+            this.transport = null;
+        }
+
+        return this.transport;
+    }
+
+    /**
+     * Envia as alterações de uma coleção para as outras abas
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Array} changes - Alterações ({ id, record, base, changedAt })
+     */
+    publish(collection, changes) {
+        if (!this.transport || changes.length === 0) return;
+
+        const message = {
+            tabId: this.tabId,
+            collection,
+            changes,
+            sentAt: new Date().toISOString()
+        };
+
+        try {
+            if (this.transport === 'broadcastChannel') {
+                this.channel.postMessage(message);
+            } else {
+                // O evento "storage" só dispara nas outras abas; a chave é removida logo em seguida
+                localStorage.setItem(this.channelName, JSON.stringify(message));
+                localStorage.removeItem(this.channelName);
+            }
+        } catch (error) {
+            console.error('Erro ao enviar alterações para outras abas:', error);
+        }
+    }
+
+    /**
+     * Recebe uma mensagem do canal
+     * @param {Object} message - Mensagem recebida
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId || !Array.isArray(message.changes)) return;
+        this.onMessage(message);
+    }
+
+    /**
+     * Fecha o canal de comunicação
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+
+        this.transport = null;
+    }
+
+    /**
+     * Métodos auxiliares (serão implementados pela aplicação principal)
+     */
+    onMessage(message) { /* Implementar na aplicação principal */ }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncService;
+} else {
+    window.SyncService = SyncService;
+}
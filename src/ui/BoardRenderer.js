@@ -0,0 +1,221 @@
+/**
+ * BoardRenderer - Renderização do quadro Kanban
+ * Responsável por distribuir as tarefas em colunas e montar os cartões
+ *
+ * Funcionalidades:
+ * - Agrupamento por status (A fazer / Em andamento / Concluído)
+ * - Agrupamento por prioridade ou por categoria
+ * - Cartões com categoria, data, tags e progresso das subtarefas
+ * - Marcação para arrastar cartões entre colunas
+ */
+class BoardRenderer {
+    constructor() {
+        this.groupByNames = {
+            status: 'Status',
+            priority: 'Prioridade',
+            category: 'Categoria'
+        };
+
+        this.statusColumns = [
+            { value: 'todo', label: 'A fazer', icon: 'fa-circle' },
+            { value: 'doing', label: 'Em andamento', icon: 'fa-spinner' },
+            { value: 'done', label: 'Concluído', icon: 'fa-check-circle' }
+        ];
+
+        this.priorityColumns = [
+            { value: 'low', label: 'Baixa', icon: 'fa-arrow-down' },
+            { value: 'medium', label: 'Média', icon: 'fa-minus' },
+            { value: 'high', label: 'Alta', icon: 'fa-arrow-up' }
+        ];
+
+        this.priorityClasses = {
+            high: 'priority-high',
+            medium: 'priority-medium',
+            low: 'priority-low'
+        };
+
+        this.priorityNames = {
+            high: 'Alta',
+            medium: 'Média',
+            low: 'Baixa'
+        };
+    }
+
+    /**
+     * Renderiza o quadro
+     * @param {Object} options - Opções de renderização
+     * @param {string} options.groupBy - 'status', 'priority' ou 'category'
+     * @param {Array} options.tasks - Tarefas filtradas
+     * @param {Array} options.categories - Lista de categorias
+     * @param {Array} options.tags - Lista de tags
+     */
+    renderBoard({ groupBy = 'status', tasks = [], categories = [], tags = [] }) {
+        const container = DOMUtils.getById('boardView');
+        if (!container) return;
+
+        const safeTasks = Array.isArray(tasks) ? tasks : [];
+        const safeCategories = Array.isArray(categories) ? categories : [];
+        const safeTags = Array.isArray(tags) ? tags : [];
+
+        const columns = this.getColumns(groupBy, safeCategories);
+        const columnTasks = new Map(columns.map(column => [column.value, []]));
+
+        safeTasks.forEach(task => {
+            const value = this.getTaskColumnValue(task, groupBy, columnTasks);
+            columnTasks.get(value).push(task);
+        });
+
+        container.innerHTML = `
+            <div class="board-toolbar">
+                <span class="board-toolbar-label">Agrupar por</span>
+                <div class="board-group-options" role="group" aria-label="Agrupamento do quadro">
+                    ${Object.entries(this.groupByNames).map(([value, label]) => `
+                        <button class="board-group-btn ${value === groupBy ? 'active' : ''}" data-board-group="${value}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="board-columns">
+                ${columns.map(column => this.createColumnHTML(column, columnTasks.get(column.value), safeCategories, safeTags)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Obtém as colunas para um agrupamento
+     * @param {string} groupBy - 'status', 'priority' ou 'category'
+     * @param {Array} categories - Lista de categorias
+     * @returns {Array} Colunas ({ value, label, icon, color })
+     */
+    getColumns(groupBy, categories = []) {
+        if (groupBy === 'priority') return this.priorityColumns;
+
+        if (groupBy === 'category') {
+            return [
+                ...Category.sortAsTree(categories).map(({ category }) => ({
+                    value: category.id,
+                    label: Category.getFullName(categories, category.id),
+                    color: category.color
+                })),
+                { value: '', label: 'Sem categoria', color: '#6c757d' }
+            ];
+        }
+
+        return this.statusColumns;
+    }
+
+    /**
+     * Obtém a coluna de uma tarefa
+     * @param {Object} task - Tarefa
+     * @param {string} groupBy - Agrupamento atual
+     * @param {Map} columnTasks - Colunas disponíveis
+     * @returns {string} Valor da coluna
+     */
+    getTaskColumnValue(task, groupBy, columnTasks) {
+        let value;
+
+        if (groupBy === 'priority') {
+            value = task.priority;
+        } else if (groupBy === 'category') {
+            value = task.category;
+        } else {
+            value = BoardRenderer.getTaskStatus(task);
+        }
+
+        // Valores desconhecidos (ex.: categoria excluída) vão para a coluna padrão
+        if (!columnTasks.has(value)) {
+            value = groupBy === 'priority' ? 'medium' : groupBy === 'category' ? '' : 'todo';
+        }
+
+        return value;
+    }
+
+    /**
+     * Obtém o status de fluxo de uma tarefa
+     * Tarefas concluídas estão sempre em 'done'
+     * @param {Object} task - Tarefa
+     * @returns {string} 'todo', 'doing' ou 'done'
+     */
+    static getTaskStatus(task) {
+        if (task.completed) return 'done';
+        return task.status === 'doing' ? 'doing' : 'todo';
+    }
+
+    /**
+     * Cria o HTML de uma coluna
+     * @param {Object} column - Coluna ({ value, label, icon, color })
+     * @param {Array} tasks - Tarefas da coluna
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     * @returns {string} HTML da coluna
+     */
+    createColumnHTML(column, tasks, categories, tags) {
+        return `
+            <div class="board-column" data-column-value="${DOMUtils.escapeHtml(column.value)}">
+                <div class="board-column-header">
+                    ${column.color
+                        ? `<span class="category-color" style="background-color: ${column.color};"></span>`
+                        : `<i class="fas ${column.icon}"></i>`}
+                    <span class="board-column-title">${DOMUtils.escapeHtml(column.label)}</span>
+                    <span class="board-column-count">${tasks.length}</span>
+                </div>
+                <div class="board-column-cards">
+                    ${tasks.length > 0
+                        ? tasks.map(task => this.createCardHTML(task, categories, tags)).join('')
+                        : '<p class="board-column-empty">Arraste tarefas para cá</p>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cria o HTML de um cartão
+     * @param {Object} task - Tarefa
+     * @param {Array} categories - Lista de categorias
+     * @param {Array} tags - Lista de tags
+     * @returns {string} HTML do cartão
+     */
+    createCardHTML(task, categories, tags) {
+        const category = categories.find(cat => cat.id === task.category);
+        const categoryColor = category ? category.color : '#6c757d';
+        const taskTags = (task.tags || []).map(tagId => tags.find(tag => tag.id === tagId)).filter(tag => tag);
+        const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+        const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+        const isOverdue = DateUtils.isTaskOverdue(task);
+
+        return `
+            <div class="board-card ${task.completed ? 'completed' : ''}" data-task-id="${task.id}" draggable="true" style="border-left-color: ${categoryColor};">
+                <h4 class="board-card-title">${DOMUtils.escapeHtml(task.title)}</h4>
+                <div class="board-card-meta">
+                    <span class="task-priority ${this.priorityClasses[task.priority] || ''}">${this.priorityNames[task.priority] || ''}</span>
+                    ${task.dueDate ? `
+                        <span class="board-card-date ${isOverdue ? 'overdue' : ''}">
+                            <i class="fas fa-calendar"></i>
+                            ${DateUtils.formatDateBR(DateUtils.createLocalDate(task.dueDate))}${task.dueTime ? ` ${task.dueTime}` : ''}
+                        </span>
+                    ` : ''}
+                    ${task.isRecurring || task.parentRecurringId ? '<i class="fas fa-sync-alt board-card-recurring" title="Recorrente"></i>' : ''}
+                    ${subtasks.length > 0 ? `
+                        <span class="board-card-subtasks" title="Subtarefas concluídas">
+                            <i class="fas fa-list-check"></i>
+                            ${completedSubtasks}/${subtasks.length}
+                        </span>
+                    ` : ''}
+                </div>
+                ${taskTags.length > 0 ? `
+                    <div class="task-tags">
+                        ${taskTags.map(tag => `
+                            <span class="task-tag" style="background-color: ${tag.color};">${DOMUtils.escapeHtml(tag.name)}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardRenderer;
+} else {
+    window.BoardRenderer = BoardRenderer;
+}
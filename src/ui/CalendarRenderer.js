@@ -0,0 +1,332 @@
+/**
+ * CalendarRenderer - Renderização do calendário de tarefas
+ * Responsável por posicionar as tarefas em suas datas nos modos mês, semana e dia
+ *
+ * Funcionalidades:
+ * - Visualização mensal, semanal e diária
+ * - Cálculo do período visível e navegação entre períodos
+ * - Ocorrências recorrentes previstas (somente leitura)
+ * - Marcação para arrastar e soltar (reagendamento)
+ */
+class CalendarRenderer {
+    constructor() {
+        // Semana começa na segunda-feira, como nas opções de recorrência
+        this.weekdayNames = ['Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb', 'Dom'];
+
+        this.modeNames = {
+            month: 'Mês',
+            week: 'Semana',
+            day: 'Dia'
+        };
+
+        this.priorityClasses = {
+            high: 'priority-high',
+            medium: 'priority-medium',
+            low: 'priority-low'
+        };
+
+        // Máximo de tarefas exibidas por dia no modo mensal
+        this.maxTasksPerMonthDay = 3;
+    }
+
+    /**
+     * Renderiza o calendário
+     * @param {Object} options - Opções de renderização
+     * @param {string} options.mode - 'month', 'week' ou 'day'
+     * @param {Date} options.referenceDate - Data de referência do período
+     * @param {Array} options.tasks - Tarefas filtradas
+     * @param {Array} options.projected - Ocorrências recorrentes previstas
+     * @param {Array} options.categories - Lista de categorias
+     */
+    renderCalendar({ mode = 'month', referenceDate = new Date(), tasks = [], projected = [], categories = [] }) {
+        const container = DOMUtils.getById('calendarView');
+        if (!container) return;
+
+        const safeCategories = Array.isArray(categories) ? categories : [];
+        const datedTasks = (Array.isArray(tasks) ? tasks : []).filter(task => task.dueDate);
+        const tasksByDate = this.groupTasksByDate([...datedTasks, ...(Array.isArray(projected) ? projected : [])]);
+
+        let body = '';
+        switch (mode) {
+            case 'week':
+                body = this.createWeekHTML(referenceDate, tasksByDate, safeCategories);
+                break;
+            case 'day':
+                body = this.createDayHTML(referenceDate, tasksByDate, safeCategories);
+                break;
+            default:
+                body = this.createMonthHTML(referenceDate, tasksByDate, safeCategories);
+                break;
+        }
+
+        const undatedCount = (Array.isArray(tasks) ? tasks : []).filter(task => !task.dueDate).length;
+
+        container.innerHTML = `
+            ${this.createToolbarHTML(mode, referenceDate)}
+            ${body}
+            ${undatedCount > 0 ? `
+                <p class="calendar-undated">
+                    <i class="fas fa-info-circle"></i>
+                    ${undatedCount} tarefa(s) sem data não aparecem no calendário.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Cria a barra de navegação do calendário
+     * @param {string} mode - Modo atual
+     * @param {Date} referenceDate - Data de referência
+     * @returns {string} HTML da barra
+     */
+    createToolbarHTML(mode, referenceDate) {
+        return `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button class="calendar-nav-btn" data-calendar-action="prev" title="Anterior">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button class="calendar-today-btn" data-calendar-action="today">Hoje</button>
+                    <button class="calendar-nav-btn" data-calendar-action="next" title="Próximo">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <h3 class="calendar-title">${this.getTitle(mode, referenceDate)}</h3>
+                </div>
+                <div class="calendar-modes" role="group" aria-label="Modo do calendário">
+                    ${Object.entries(this.modeNames).map(([value, label]) => `
+                        <button class="calendar-mode-btn ${value === mode ? 'active' : ''}" data-calendar-mode="${value}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cria a grade mensal
+     * @param {Date} referenceDate - Data de referência
+     * @param {Map} tasksByDate - Tarefas agrupadas por data
+     * @param {Array} categories - Lista de categorias
+     * @returns {string} HTML da grade
+     */
+    createMonthHTML(referenceDate, tasksByDate, categories) {
+        const { start, end } = this.getVisibleRange('month', referenceDate);
+        const todayISO = DateUtils.formatDateISO(new Date());
+        const cells = [];
+
+        for (let day = new Date(start); day <= end; day = DateUtils.addDays(day, 1)) {
+            const dateISO = DateUtils.formatDateISO(day);
+            const dayTasks = tasksByDate.get(dateISO) || [];
+            const hiddenCount = dayTasks.length - this.maxTasksPerMonthDay;
+
+            cells.push(`
+                <div class="calendar-day ${day.getMonth() !== referenceDate.getMonth() ? 'other-month' : ''} ${dateISO === todayISO ? 'today' : ''}" data-date="${dateISO}">
+                    <span class="calendar-day-number">${day.getDate()}</span>
+                    <div class="calendar-day-tasks">
+                        ${dayTasks.slice(0, this.maxTasksPerMonthDay).map(task => this.createTaskChipHTML(task, categories)).join('')}
+                        ${hiddenCount > 0 ? `
+                            <button class="calendar-more" data-calendar-action="open-day" data-date="${dateISO}">+${hiddenCount} mais</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `);
+        }
+
+        return `
+            <div class="calendar-grid calendar-month">
+                ${this.weekdayNames.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+                ${cells.join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Cria a grade semanal
+     * @param {Date} referenceDate - Data de referência
+     * @param {Map} tasksByDate - Tarefas agrupadas por data
+     * @param {Array} categories - Lista de categorias
+     * @returns {string} HTML da grade
+     */
+    createWeekHTML(referenceDate, tasksByDate, categories) {
+        const { start } = this.getVisibleRange('week', referenceDate);
+        const todayISO = DateUtils.formatDateISO(new Date());
+        const columns = [];
+
+        for (let i = 0; i < 7; i++) {
+            const day = DateUtils.addDays(start, i);
+            const dateISO = DateUtils.formatDateISO(day);
+            const dayTasks = tasksByDate.get(dateISO) || [];
+
+            columns.push(`
+                <div class="calendar-week-day ${dateISO === todayISO ? 'today' : ''}" data-date="${dateISO}">
+                    <button class="calendar-week-header" data-calendar-action="open-day" data-date="${dateISO}">
+                        <span>${this.weekdayNames[i]}</span>
+                        <strong>${day.getDate()}</strong>
+                    </button>
+                    <div class="calendar-day-tasks">
+                        ${dayTasks.map(task => this.createTaskChipHTML(task, categories)).join('')}
+                    </div>
+                </div>
+            `);
+        }
+
+        return `<div class="calendar-grid calendar-week">${columns.join('')}</div>`;
+    }
+
+    /**
+     * Cria a agenda diária por hora
+     * @param {Date} referenceDate - Data de referência
+     * @param {Map} tasksByDate - Tarefas agrupadas por data
+     * @param {Array} categories - Lista de categorias
+     * @returns {string} HTML da agenda
+     */
+    createDayHTML(referenceDate, tasksByDate, categories) {
+        const dateISO = DateUtils.formatDateISO(referenceDate);
+        const dayTasks = tasksByDate.get(dateISO) || [];
+        const untimed = dayTasks.filter(task => !task.dueTime);
+        const rows = [`
+            <div class="calendar-hour untimed" data-date="${dateISO}" data-time="">
+                <span class="calendar-hour-label">Sem horário</span>
+                <div class="calendar-day-tasks">
+                    ${untimed.map(task => this.createTaskChipHTML(task, categories)).join('')}
+                </div>
+            </div>
+        `];
+
+        for (let hour = 0; hour < 24; hour++) {
+            const hourLabel = `${String(hour).padStart(2, '0')}:00`;
+            const hourTasks = dayTasks.filter(task => task.dueTime && parseInt(task.dueTime.split(':')[0]) === hour);
+
+            rows.push(`
+                <div class="calendar-hour" data-date="${dateISO}" data-time="${hourLabel}">
+                    <span class="calendar-hour-label">${hourLabel}</span>
+                    <div class="calendar-day-tasks">
+                        ${hourTasks.map(task => this.createTaskChipHTML(task, categories)).join('')}
+                    </div>
+                </div>
+            `);
+        }
+
+        return `<div class="calendar-grid calendar-day-view">${rows.join('')}</div>`;
+    }
+
+    /**
+     * Cria o HTML de uma tarefa no calendário
+     * @param {Object} task - Tarefa (ou ocorrência prevista)
+     * @param {Array} categories - Lista de categorias
+     * @returns {string} HTML da tarefa
+     */
+    createTaskChipHTML(task, categories = []) {
+        const category = categories.find(cat => cat.id === task.category);
+        const categoryColor = category ? category.color : '#6c757d';
+        const title = DOMUtils.escapeHtml(task.title);
+        const tooltip = task.projected ? `${title} (ocorrência prevista)` : title;
+
+        return `
+            <div class="calendar-task ${this.priorityClasses[task.priority] || ''} ${task.completed ? 'completed' : ''} ${task.projected ? 'projected' : ''}"
+                 data-task-id="${task.projected ? task.sourceTaskId : task.id}"
+                 ${task.projected ? '' : 'draggable="true"'}
+                 style="border-left-color: ${categoryColor};"
+                 title="${tooltip}">
+                ${task.dueTime ? `<span class="calendar-task-time">${task.dueTime}</span>` : ''}
+                <span class="calendar-task-title">${title}</span>
+                ${task.isRecurring || task.parentRecurringId ? '<i class="fas fa-sync-alt calendar-task-recurring"></i>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Agrupa tarefas por data de vencimento, ordenadas por horário
+     * @param {Array} tasks - Lista de tarefas
+     * @returns {Map} Mapa data (YYYY-MM-DD) -> tarefas
+     */
+    groupTasksByDate(tasks) {
+        const groups = new Map();
+
+        tasks.forEach(task => {
+            if (!groups.has(task.dueDate)) {
+                groups.set(task.dueDate, []);
+            }
+            groups.get(task.dueDate).push(task);
+        });
+
+        // Tarefas sem horário primeiro, depois por horário
+        groups.forEach(dayTasks => {
+            dayTasks.sort((a, b) => (a.dueTime || '').localeCompare(b.dueTime || ''));
+        });
+
+        return groups;
+    }
+
+    /**
+     * Obtém o período visível para um modo
+     * @param {string} mode - 'month', 'week' ou 'day'
+     * @param {Date} referenceDate - Data de referência
+     * @returns {Object} { start, end } (datas no início do dia)
+     */
+    getVisibleRange(mode, referenceDate) {
+        const date = DateUtils.getStartOfDay(referenceDate);
+
+        if (mode === 'day') {
+            return { start: date, end: date };
+        }
+
+        if (mode === 'week') {
+            const start = this.getWeekStart(date);
+            return { start, end: DateUtils.addDays(start, 6) };
+        }
+
+        // Mês: semanas completas cobrindo o mês (6 linhas)
+        const firstOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        const start = this.getWeekStart(firstOfMonth);
+        return { start, end: DateUtils.addDays(start, 41) };
+    }
+
+    /**
+     * Obtém a segunda-feira da semana de uma data
+     * @param {Date} date - Data
+     * @returns {Date} Início da semana
+     */
+    getWeekStart(date) {
+        const offset = (date.getDay() + 6) % 7;
+        return DateUtils.getStartOfDay(DateUtils.addDays(date, -offset));
+    }
+
+    /**
+     * Avança ou retrocede um período
+     * @param {string} mode - Modo atual
+     * @param {Date} date - Data de referência
+     * @param {number} direction - 1 para avançar, -1 para voltar
+     * @returns {Date} Nova data de referência
+     */
+    shiftDate(mode, date, direction) {
+        if (mode === 'day') return DateUtils.addDays(date, direction);
+        if (mode === 'week') return DateUtils.addDays(date, 7 * direction);
+        return new Date(date.getFullYear(), date.getMonth() + direction, 1);
+    }
+
+    /**
+     * Obtém o título do período exibido
+     * @param {string} mode - Modo atual
+     * @param {Date} date - Data de referência
+     * @returns {string} Título
+     */
+    getTitle(mode, date) {
+        if (mode === 'day') {
+            return date.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        }
+
+        if (mode === 'week') {
+            const { start, end } = this.getVisibleRange('week', date);
+            return `${DateUtils.formatDateBR(start)} - ${DateUtils.formatDateBR(end)}`;
+        }
+
+        return date.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarRenderer;
+} else {
+    window.CalendarRenderer = CalendarRenderer;
+}
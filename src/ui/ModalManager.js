@@ -15,6 +15,11 @@ class ModalManager {
         this.editingCategoryId = null;
         this.editingTagId = null;
         this.currentModal = null;
+        this.subtaskDraft = [];
+        this.recurringScopeCallback = null;
+        this.recurringScopeReturnModal = null;
+        this.postponeCallback = null;
+        this.tagOptions = [];
     }
 
     /**
@@ -44,8 +49,11 @@ class ModalManager {
         } else {
             DOMUtils.setText(title, 'Nova Tarefa');
             form.reset();
+            this.subtaskDraft = [];
         }
         
+        this.renderSubtaskEditor();
+        
         DOMUtils.addClass(modal, 'show');
         DOMUtils.focus(DOMUtils.getById('taskTitle'));
     }
@@ -65,7 +73,7 @@ class ModalManager {
         
         // Resetar opções de recorrência
         DOMUtils.hide(DOMUtils.getById('recurrenceOptions'));
-        DOMUtils.hide(DOMUtils.getById('weeklyOptions'));
+        this.updateRecurrenceOptionsVisibility();
         
         // Resetar checkboxes visuais
         DOMUtils.querySelectorAll('.weekday-label').forEach(label => {
@@ -76,6 +84,10 @@ class ModalManager {
         DOMUtils.querySelectorAll('.tag-checkbox').forEach(checkbox => {
             checkbox.checked = false;
         });
+        
+        // Resetar checklist de subtarefas
+        this.subtaskDraft = [];
+        this.renderSubtaskEditor();
     }
 
     /**
@@ -120,6 +132,132 @@ class ModalManager {
         this.currentModal = null;
     }
 
+    /**
+     * Abre o modal de escolha de escopo para operações em séries recorrentes
+     * Se aberto sobre o modal de tarefa, ao fechar sem confirmar o formulário volta com as edições
+     * @param {Object} config - Configuração do modal
+     * @param {string} config.title - Título do modal
+     * @param {string} config.message - Mensagem explicativa
+     * @param {Array} config.options - Opções ({ value, label, description })
+     * @param {string} config.confirmText - Texto do botão de confirmação
+     * @param {boolean} config.danger - Se a ação é destrutiva
+     * @param {Function} config.onConfirm - Callback com o valor escolhido
+     */
+    openRecurringScopeModal({ title, message = '', options = [], confirmText = 'Confirmar', danger = false, onConfirm }) {
+        const modal = DOMUtils.getById('recurringScopeModal');
+        const optionsContainer = DOMUtils.getById('recurringScopeOptions');
+        const confirmButton = DOMUtils.getById('confirmRecurringScope');
+
+        this.recurringScopeCallback = onConfirm;
+        this.recurringScopeReturnModal = this.currentModal === 'recurringScope' ? this.recurringScopeReturnModal : this.currentModal;
+        this.currentModal = 'recurringScope';
+
+        DOMUtils.setText(DOMUtils.getById('recurringScopeTitle'), title);
+        DOMUtils.setText(DOMUtils.getById('recurringScopeMessage'), message);
+        DOMUtils.setText(confirmButton, confirmText);
+        confirmButton.classList.toggle('btn-danger', danger);
+        confirmButton.classList.toggle('btn-primary', !danger);
+
+        optionsContainer.innerHTML = options.map((option, index) => `
+            <label class="recurring-scope-option" for="recurring-scope-${option.value}">
+                <input type="radio" id="recurring-scope-${option.value}" name="recurringScope" value="${option.value}" ${index === 0 ? 'checked' : ''}>
+                <span class="recurring-scope-text">
+                    <strong>${DOMUtils.escapeHtml(option.label)}</strong>
+                    ${option.description ? `<small>${DOMUtils.escapeHtml(option.description)}</small>` : ''}
+                </span>
+            </label>
+        `).join('');
+
+        DOMUtils.addClass(modal, 'show');
+        DOMUtils.focus(DOMUtils.querySelector('input[name="recurringScope"]:checked', optionsContainer));
+    }
+
+    /**
+     * Fecha o modal de escopo de série recorrente
+     */
+    closeRecurringScopeModal() {
+        const modal = DOMUtils.getById('recurringScopeModal');
+        DOMUtils.removeClass(modal, 'show');
+        this.recurringScopeCallback = null;
+        if (this.currentModal === 'recurringScope') {
+            this.currentModal = this.recurringScopeReturnModal;
+        }
+        this.recurringScopeReturnModal = null;
+    }
+
+    /**
+     * Confirma o escopo escolhido no modal de série recorrente
+     */
+    handleRecurringScopeSubmit() {
+        const selected = DOMUtils.querySelector('input[name="recurringScope"]:checked', DOMUtils.getById('recurringScopeOptions'));
+        const callback = this.recurringScopeCallback;
+
+        this.closeRecurringScopeModal();
+
+        if (selected && typeof callback === 'function') {
+            callback(selected.value);
+        }
+    }
+
+    /**
+     * Abre o modal para adiar uma ocorrência recorrente
+     * @param {Object} task - Ocorrência a ser adiada
+     * @param {Function} onConfirm - Callback com a nova data (YYYY-MM-DD)
+     */
+    openPostponeModal(task, onConfirm) {
+        const modal = DOMUtils.getById('postponeModal');
+        const dateInput = DOMUtils.getById('postponeDate');
+        const baseDate = task.dueDate ? DateUtils.createLocalDate(task.dueDate) : new Date();
+
+        this.postponeCallback = onConfirm;
+        this.currentModal = 'postpone';
+        this.postponeBaseDate = baseDate;
+
+        const originalDate = task.originalDueDate
+            ? ` (prevista originalmente para ${DateUtils.formatDateBR(DateUtils.createLocalDate(task.originalDueDate))})`
+            : '';
+        DOMUtils.setText(DOMUtils.getById('postponeMessage'),
+            `"${task.title}" vence em ${DateUtils.formatDateBR(baseDate)}${originalDate}. As próximas ocorrências da série não mudam.`);
+        DOMUtils.setValue(dateInput, DateUtils.formatDateISO(DateUtils.addDays(baseDate, 1)));
+
+        DOMUtils.addClass(modal, 'show');
+        DOMUtils.focus(dateInput);
+    }
+
+    /**
+     * Fecha o modal de adiamento
+     */
+    closePostponeModal() {
+        const modal = DOMUtils.getById('postponeModal');
+        DOMUtils.removeClass(modal, 'show');
+        this.postponeCallback = null;
+        this.postponeBaseDate = null;
+        if (this.currentModal === 'postpone') {
+            this.currentModal = null;
+        }
+    }
+
+    /**
+     * Confirma a nova data no modal de adiamento
+     */
+    handlePostponeSubmit() {
+        const newDate = DOMUtils.getValue(DOMUtils.getById('postponeDate'));
+        const callback = this.postponeCallback;
+
+        if (!newDate) {
+            if (this.onValidationError) {
+                this.onValidationError('Escolha a nova data da ocorrência.');
+            }
+            return;
+        }
+
+        this.closePostponeModal();
+
+        if (typeof callback === 'function') {
+            callback(newDate);
+        }
+    }
+
     /**
      * Popula o formulário de tarefa
      * @param {Object} task - Dados da tarefa
@@ -132,6 +270,9 @@ class ModalManager {
         DOMUtils.setValue(DOMUtils.getById('taskDate'), task.dueDate);
         DOMUtils.setValue(DOMUtils.getById('taskTime'), task.dueTime);
         
+        // Popular subtarefas (cópia para não alterar a tarefa antes de salvar)
+        this.subtaskDraft = (task.subtasks || []).map(subtask => ({ ...subtask }));
+        
         // Popular tags
         if (task.tags && task.tags.length > 0) {
             task.tags.forEach(tagId => {
@@ -145,20 +286,238 @@ class ModalManager {
         // Popular recorrência
         if (task.isRecurring) {
             DOMUtils.getById('isRecurring').checked = true;
-            DOMUtils.setValue(DOMUtils.getById('recurrenceType'), task.recurrenceType);
             DOMUtils.show(DOMUtils.getById('recurrenceOptions'));
-            
-            if (task.recurrenceType === 'weekly' && task.recurrenceData?.weekdays) {
-                DOMUtils.show(DOMUtils.getById('weeklyOptions'));
-                task.recurrenceData.weekdays.forEach(weekday => {
-                    const checkbox = DOMUtils.querySelector(`input[value="${weekday}"]`);
-                    if (checkbox) {
-                        checkbox.checked = true;
-                        DOMUtils.addClass(checkbox.closest('.weekday-label'), 'checked');
-                    }
-                });
+            DOMUtils.setValue(DOMUtils.getById('recurrenceMode'), task.recurrenceMode || 'fixed');
+            DOMUtils.setValue(DOMUtils.getById('recurrenceCatchUp'), task.catchUpPolicy || 'collapse');
+            this.populateRecurrenceForm(task.recurrenceRule);
+        }
+    }
+
+    /**
+     * Popula os campos de recorrência a partir de uma regra
+     * @param {Object} recurrenceRule - Regra de recorrência
+     */
+    populateRecurrenceForm(recurrenceRule) {
+        const rule = RecurrenceUtils.normalize(recurrenceRule) || RecurrenceUtils.normalize({ freq: 'DAILY' });
+
+        DOMUtils.setValue(DOMUtils.getById('recurrenceFreq'), rule.freq);
+        DOMUtils.setValue(DOMUtils.getById('recurrenceInterval'), rule.interval);
+
+        // Dias da semana (checkboxes usam os valores de Date.getDay())
+        if (rule.freq === 'WEEKLY') {
+            rule.byDay.map(day => RecurrenceUtils.parseByDay(day)).filter(day => day).forEach(({ weekday }) => {
+                const checkbox = DOMUtils.querySelector(`.weekday-checkbox[value="${weekday}"]`);
+                if (checkbox) {
+                    checkbox.checked = true;
+                    DOMUtils.addClass(checkbox.closest('.weekday-label'), 'checked');
+                }
+            });
+        }
+
+        // Padrão mensal
+        if (rule.freq === 'MONTHLY') {
+            const byDay = rule.byDay.map(day => RecurrenceUtils.parseByDay(day)).filter(day => day);
+            let monthlyMode = 'monthDay';
+
+            if (rule.byMonthDay.length === 1 && rule.byMonthDay[0] === -1) {
+                monthlyMode = 'lastDay';
+            } else if (byDay.length === 5 && rule.bySetPos.length === 1 && rule.bySetPos[0] === -1) {
+                monthlyMode = 'lastBusinessDay';
+            } else if (byDay.length === 1 && byDay[0].position !== null) {
+                monthlyMode = 'weekdayPosition';
+                DOMUtils.setValue(DOMUtils.getById('monthlyPosition'), String(byDay[0].position));
+                DOMUtils.setValue(DOMUtils.getById('monthlyWeekday'), RecurrenceUtils.weekdayCodes[byDay[0].weekday]);
+            }
+
+            DOMUtils.setValue(DOMUtils.getById('monthlyMode'), monthlyMode);
+        }
+
+        // Término da série
+        let recurrenceEnd = 'never';
+        if (rule.count) {
+            recurrenceEnd = 'count';
+            DOMUtils.setValue(DOMUtils.getById('recurrenceCount'), rule.count);
+        } else if (rule.until) {
+            recurrenceEnd = 'until';
+            DOMUtils.setValue(DOMUtils.getById('recurrenceUntil'), rule.until);
+        }
+        DOMUtils.setValue(DOMUtils.getById('recurrenceEnd'), recurrenceEnd);
+
+        this.updateRecurrenceOptionsVisibility();
+    }
+
+    /**
+     * Monta a regra de recorrência a partir dos campos do formulário
+     * @returns {Object|null} Regra de recorrência normalizada
+     */
+    getRecurrenceRuleFromForm() {
+        const freq = DOMUtils.getValue(DOMUtils.getById('recurrenceFreq'));
+        const rule = {
+            freq,
+            interval: parseInt(DOMUtils.getValue(DOMUtils.getById('recurrenceInterval'))) || 1
+        };
+
+        if (freq === 'WEEKLY') {
+            const weekdays = [];
+            DOMUtils.querySelectorAll('.weekday-checkbox:checked').forEach(checkbox => {
+                weekdays.push(Number(checkbox.value));
+            });
+            rule.byDay = weekdays.sort((a, b) => a - b).map(weekday => RecurrenceUtils.weekdayCodes[weekday]);
+        }
+
+        if (freq === 'MONTHLY') {
+            switch (DOMUtils.getValue(DOMUtils.getById('monthlyMode'))) {
+                case 'weekdayPosition':
+                    rule.byDay = [`${DOMUtils.getValue(DOMUtils.getById('monthlyPosition'))}${DOMUtils.getValue(DOMUtils.getById('monthlyWeekday'))}`];
+                    break;
+                case 'lastDay':
+                    rule.byMonthDay = [-1];
+                    break;
+                case 'lastBusinessDay':
+                    rule.byDay = ['MO', 'TU', 'WE', 'TH', 'FR'];
+                    rule.bySetPos = [-1];
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        const recurrenceEnd = DOMUtils.getValue(DOMUtils.getById('recurrenceEnd'));
+        if (recurrenceEnd === 'count') {
+            rule.count = parseInt(DOMUtils.getValue(DOMUtils.getById('recurrenceCount'))) || 1;
+        } else if (recurrenceEnd === 'until') {
+            rule.until = DOMUtils.getValue(DOMUtils.getById('recurrenceUntil')) || null;
+        }
+
+        return RecurrenceUtils.normalize(rule);
+    }
+
+    /**
+     * Mostra apenas as opções de recorrência relevantes para a frequência escolhida
+     */
+    updateRecurrenceOptionsVisibility() {
+        const freq = DOMUtils.getValue(DOMUtils.getById('recurrenceFreq'));
+        const monthlyMode = DOMUtils.getValue(DOMUtils.getById('monthlyMode'));
+        const recurrenceEnd = DOMUtils.getValue(DOMUtils.getById('recurrenceEnd'));
+        const recurrenceMode = DOMUtils.getValue(DOMUtils.getById('recurrenceMode'));
+        const units = {
+            DAILY: 'dia(s)',
+            WEEKLY: 'semana(s)',
+            MONTHLY: 'mês(es)',
+            YEARLY: 'ano(s)'
+        };
+
+        const toggle = (id, visible) => visible ? DOMUtils.show(DOMUtils.getById(id)) : DOMUtils.hide(DOMUtils.getById(id));
+        toggle('weeklyOptions', freq === 'WEEKLY');
+        toggle('monthlyOptions', freq === 'MONTHLY');
+        toggle('weekdayPositionOptions', freq === 'MONTHLY' && monthlyMode === 'weekdayPosition');
+        toggle('recurrenceCountGroup', recurrenceEnd === 'count');
+        toggle('recurrenceUntilGroup', recurrenceEnd === 'until');
+        // Sem agenda fixa não há ocorrências perdidas a recuperar
+        toggle('recurrenceCatchUpGroup', recurrenceMode !== 'afterCompletion');
+
+        DOMUtils.setText(DOMUtils.getById('recurrenceIntervalUnit'), units[freq] || '');
+        this.updateRecurrenceSummary();
+    }
+
+    /**
+     * Atualiza o resumo textual da regra de recorrência
+     */
+    updateRecurrenceSummary() {
+        const summary = DOMUtils.getById('recurrenceSummary');
+        if (!summary) return;
+
+        const rule = this.getRecurrenceRuleFromForm();
+        const mode = DOMUtils.getValue(DOMUtils.getById('recurrenceMode'));
+        DOMUtils.setText(summary, rule ? `Repete: ${RecurrenceUtils.describe(rule)} (${RecurrenceUtils.describeMode(mode)})` : '');
+    }
+
+    /**
+     * Renderiza o editor de subtarefas do modal de tarefa
+     */
+    renderSubtaskEditor() {
+        const subtaskList = DOMUtils.getById('subtaskList');
+        if (!subtaskList) return;
+
+        // Subtarefas já salvas podem ser convertidas em tarefas completas
+        const savedTask = this.editingTaskId ? this.getTaskById(this.editingTaskId) : null;
+        const savedSubtaskIds = new Set((savedTask?.subtasks || []).map(subtask => subtask.id));
+        const lastIndex = this.subtaskDraft.length - 1;
+
+        subtaskList.innerHTML = this.subtaskDraft.map((subtask, index) => `
+            <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                <input type="checkbox" id="subtask-checkbox-${subtask.id}" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}>
+                <label class="subtask-title" for="subtask-checkbox-${subtask.id}">${DOMUtils.escapeHtml(subtask.title)}</label>
+                <div class="subtask-actions">
+                    <button type="button" class="subtask-btn" data-action="move-up" title="Mover para cima" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="subtask-btn" data-action="move-down" title="Mover para baixo" ${index === lastIndex ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    ${savedSubtaskIds.has(subtask.id) ? `
+                        <button type="button" class="subtask-btn" data-action="convert" title="Converter em tarefa">
+                            <i class="fas fa-share-square"></i>
+                        </button>
+                    ` : ''}
+                    <button type="button" class="subtask-btn delete" data-action="remove" title="Remover">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Adiciona uma subtarefa a partir do campo de texto
+     */
+    addSubtaskFromInput() {
+        const input = DOMUtils.getById('subtaskInput');
+        const title = DOMUtils.getValue(input).trim();
+        if (!title) return;
+
+        this.subtaskDraft.push({
+            id: IdGenerator.generateWithPrefix('subtask'),
+            title,
+            completed: false
+        });
+
+        DOMUtils.setValue(input, '');
+        this.renderSubtaskEditor();
+        DOMUtils.focus(input);
+    }
+
+    /**
+     * Executa uma ação sobre uma subtarefa do editor
+     * @param {string} subtaskId - ID da subtarefa
+     * @param {string} action - Ação (move-up, move-down, convert, remove)
+     */
+    handleSubtaskAction(subtaskId, action) {
+        const index = this.subtaskDraft.findIndex(subtask => subtask.id === subtaskId);
+        if (index === -1) return;
+
+        switch (action) {
+            case 'move-up':
+            case 'move-down': {
+                const newIndex = action === 'move-up' ? index - 1 : index + 1;
+                if (newIndex < 0 || newIndex >= this.subtaskDraft.length) return;
+                const [subtask] = this.subtaskDraft.splice(index, 1);
+                this.subtaskDraft.splice(newIndex, 0, subtask);
+                break;
             }
+            case 'convert':
+                if (this.editingTaskId && this.onConvertSubtask(this.editingTaskId, subtaskId)) {
+                    this.subtaskDraft.splice(index, 1);
+                }
+                break;
+            case 'remove':
+                this.subtaskDraft.splice(index, 1);
+                break;
+            default:
+                return;
         }
+
+        this.renderSubtaskEditor();
     }
 
     /**
@@ -168,33 +527,94 @@ class ModalManager {
     updateCategorySelects(categories = []) {
         const categorySelect = document.getElementById('taskCategory');
         if (categorySelect) {
-            categorySelect.innerHTML = categories.map(category => 
-                `<option value="${category.id}">${DOMUtils.escapeHtml(category.name)}</option>`
+            // Caminho completo para diferenciar subcategorias com o mesmo nome
+            categorySelect.innerHTML = Category.sortAsTree(categories).map(({ category }) => 
+                `<option value="${category.id}">${DOMUtils.escapeHtml(Category.getFullName(categories, category.id))}</option>`
             ).join('');
         }
     }
 
     /**
-     * Atualiza seleções de tags
+     * Atualiza a seleção de categoria pai no formulário de categorias
+     * @param {Array} categories - Lista de categorias
+     * @param {string} editingCategoryId - ID da categoria em edição (ela e suas subcategorias não podem ser pai)
+     * @param {string} selectedParentId - ID da categoria pai selecionada
+     */
+    updateCategoryParentSelect(categories = [], editingCategoryId = null, selectedParentId = null) {
+        const parentSelect = DOMUtils.getById('categoryParent');
+        if (!parentSelect) return;
+
+        const excludedIds = editingCategoryId ? Category.getDescendantIds(categories, editingCategoryId) : new Set();
+        const options = Category.sortAsTree(categories)
+            .filter(({ category }) => !excludedIds.has(category.id))
+            .map(({ category }) => {
+                const selected = category.id === selectedParentId ? ' selected' : '';
+                return `<option value="${category.id}"${selected}>${DOMUtils.escapeHtml(Category.getFullName(categories, category.id))}</option>`;
+            });
+
+        parentSelect.innerHTML = '<option value="">Nenhuma (categoria principal)</option>' + options.join('');
+    }
+
+    /**
+     * Atualiza seleções de tags, agrupadas quando houver grupos
      * @param {Array} tags - Lista de tags
      */
     updateTagSelects(tags = []) {
         const tagContainer = document.getElementById('tagSelection');
+        this.tagOptions = tags;
         
         if (tagContainer) {
-            tagContainer.innerHTML = tags.map(tag => `
-                <label class="tag-checkbox-label" for="tag-checkbox-${tag.id}">
-                    <input type="checkbox" id="tag-checkbox-${tag.id}" name="tag-${tag.id}" class="tag-checkbox" value="${tag.id}">
-                    <span class="tag-checkbox-text" style="background-color: ${tag.color};">
-                        ${DOMUtils.escapeHtml(tag.name)}
-                    </span>
-                </label>
+            const groups = Tag.getGroups(tags);
+            const hasGroups = groups.some(group => group.name);
+
+            tagContainer.innerHTML = groups.map(group => `
+                <div class="tag-selection-group" ${group.exclusive ? `data-exclusive-group="${DOMUtils.escapeHtml(group.name)}"` : ''}>
+                    ${hasGroups ? `
+                        <span class="tag-selection-group-title">
+                            ${group.name ? DOMUtils.escapeHtml(group.name) : 'Sem grupo'}${group.exclusive ? ' <small>(escolha uma)</small>' : ''}
+                        </span>
+                    ` : ''}
+                    ${group.tags.map(tag => `
+                        <label class="tag-checkbox-label" for="tag-checkbox-${tag.id}">
+                            <input type="checkbox" id="tag-checkbox-${tag.id}" name="tag-${tag.id}" class="tag-checkbox" value="${tag.id}">
+                            <span class="tag-checkbox-text" style="background-color: ${tag.color};">
+                                ${DOMUtils.escapeHtml(tag.name)}
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
             `).join('');
         } else {
             console.error('Elemento tagSelection não encontrado');
         }
     }
 
+    /**
+     * Atualiza as sugestões de grupo no formulário de tags
+     * @param {Array<string>} groupNames - Nomes dos grupos existentes
+     */
+    updateTagGroupOptions(groupNames = []) {
+        const datalist = DOMUtils.getById('tagGroupOptions');
+        if (datalist) {
+            datalist.innerHTML = groupNames.map(name =>
+                `<option value="${DOMUtils.escapeHtml(name)}"></option>`
+            ).join('');
+        }
+    }
+
+    /**
+     * Mantém no máximo uma tag marcada em grupos exclusivos
+     * @param {HTMLInputElement} checkbox - Checkbox alterado
+     */
+    handleTagCheckboxChange(checkbox) {
+        const group = checkbox.closest('[data-exclusive-group]');
+        if (!group || !checkbox.checked) return;
+
+        group.querySelectorAll('.tag-checkbox:checked').forEach(other => {
+            if (other !== checkbox) other.checked = false;
+        });
+    }
+
     /**
      * Renderiza gerenciamento de categorias
      * @param {Array} categories - Lista de categorias
@@ -202,7 +622,7 @@ class ModalManager {
     renderCategoryManagement(categories = []) {
         const categoryManagementList = DOMUtils.getById('categoriesManagementList');
         if (categoryManagementList) {
-            categoryManagementList.innerHTML = categories.map(category => 
+            categoryManagementList.innerHTML = Category.sortAsTree(categories).map(({ category }) => 
                 this.createCategoryManagementHTML(category)
             ).join('');
         }
@@ -324,16 +744,10 @@ class ModalManager {
     updateCategoryFormState(categoryCount) {
         const addButton = DOMUtils.querySelector('#categoryForm button[type="submit"]');
         
-        if (addButton) {
-            if (categoryCount >= 5) {
-                addButton.disabled = true;
-                addButton.innerHTML = '<i class="fas fa-ban"></i> Limite Atingido (5/5)';
-                DOMUtils.addClass(addButton, 'disabled');
-            } else {
-                addButton.disabled = false;
-                addButton.innerHTML = `<i class="fas fa-plus"></i> Adicionar Categoria (${categoryCount}/5)`;
-                DOMUtils.removeClass(addButton, 'disabled');
-            }
+        if (addButton && !addButton.getAttribute('data-editing-category')) {
+            addButton.disabled = false;
+            addButton.innerHTML = `<i class="fas fa-plus"></i> Adicionar Categoria (${categoryCount})`;
+            DOMUtils.removeClass(addButton, 'disabled');
         }
     }
 
@@ -344,16 +758,10 @@ class ModalManager {
     updateTagFormState(tagCount) {
         const addButton = DOMUtils.querySelector('#tagForm button[type="submit"]');
         
-        if (addButton) {
-            if (tagCount >= 5) {
-                addButton.disabled = true;
-                addButton.innerHTML = '<i class="fas fa-ban"></i> Limite Atingido (5/5)';
-                DOMUtils.addClass(addButton, 'disabled');
-            } else {
-                addButton.disabled = false;
-                addButton.innerHTML = `<i class="fas fa-plus"></i> Adicionar Tag (${tagCount}/5)`;
-                DOMUtils.removeClass(addButton, 'disabled');
-            }
+        if (addButton && !addButton.getAttribute('data-editing-tag')) {
+            addButton.disabled = false;
+            addButton.innerHTML = `<i class="fas fa-plus"></i> Adicionar Tag (${tagCount})`;
+            DOMUtils.removeClass(addButton, 'disabled');
         }
     }
 
@@ -383,6 +791,13 @@ class ModalManager {
             this.handleTaskFormSubmit();
         });
 
+        // Grupos exclusivos de tags (uma tag por grupo)
+        DOMUtils.addEventListener(DOMUtils.getById('tagSelection'), 'change', (e) => {
+            if (e.target.classList.contains('tag-checkbox')) {
+                this.handleTagCheckboxChange(e.target);
+            }
+        });
+
         // Modal de categoria
         DOMUtils.addEventListener(DOMUtils.getById('closeCategoryModal'), 'click', () => {
             this.closeCategoryModal();
@@ -405,6 +820,53 @@ class ModalManager {
             }
         });
 
+        // Modal de escopo de série recorrente
+        DOMUtils.addEventListener(DOMUtils.getById('closeRecurringScopeModal'), 'click', () => {
+            this.closeRecurringScopeModal();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('cancelRecurringScope'), 'click', () => {
+            this.closeRecurringScopeModal();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('recurringScopeModal'), 'click', (e) => {
+            if (e.target.id === 'recurringScopeModal') {
+                this.closeRecurringScopeModal();
+            }
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('recurringScopeForm'), 'submit', (e) => {
+            e.preventDefault();
+            this.handleRecurringScopeSubmit();
+        });
+
+        // Modal de adiamento de ocorrência
+        DOMUtils.addEventListener(DOMUtils.getById('closePostponeModal'), 'click', () => {
+            this.closePostponeModal();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('cancelPostpone'), 'click', () => {
+            this.closePostponeModal();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('postponeModal'), 'click', (e) => {
+            if (e.target.id === 'postponeModal') {
+                this.closePostponeModal();
+                return;
+            }
+
+            const shortcut = e.target.closest('.postpone-shortcut');
+            if (shortcut && this.postponeBaseDate) {
+                const days = parseInt(shortcut.dataset.days) || 1;
+                DOMUtils.setValue(DOMUtils.getById('postponeDate'), DateUtils.formatDateISO(DateUtils.addDays(this.postponeBaseDate, days)));
+            }
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('postponeForm'), 'submit', (e) => {
+            e.preventDefault();
+            this.handlePostponeSubmit();
+        });
+
         // Opções de recorrência
         DOMUtils.addEventListener(DOMUtils.getById('isRecurring'), 'change', (e) => {
             const recurrenceOptions = DOMUtils.getById('recurrenceOptions');
@@ -415,12 +877,46 @@ class ModalManager {
             }
         });
 
-        DOMUtils.addEventListener(DOMUtils.getById('recurrenceType'), 'change', (e) => {
-            const weeklyOptions = DOMUtils.getById('weeklyOptions');
-            if (e.target.value === 'weekly') {
-                DOMUtils.show(weeklyOptions);
-            } else {
-                DOMUtils.hide(weeklyOptions);
+        // Campos da regra de recorrência
+        ['recurrenceFreq', 'monthlyMode', 'recurrenceEnd', 'recurrenceMode'].forEach(id => {
+            DOMUtils.addEventListener(DOMUtils.getById(id), 'change', () => {
+                this.updateRecurrenceOptionsVisibility();
+            });
+        });
+
+        ['recurrenceInterval', 'monthlyPosition', 'monthlyWeekday', 'recurrenceCount', 'recurrenceUntil'].forEach(id => {
+            DOMUtils.addEventListener(DOMUtils.getById(id), 'change', () => {
+                this.updateRecurrenceSummary();
+            });
+        });
+
+        // Editor de subtarefas
+        DOMUtils.addEventListener(DOMUtils.getById('addSubtaskBtn'), 'click', () => {
+            this.addSubtaskFromInput();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('subtaskInput'), 'keydown', (e) => {
+            // Enter adiciona a subtarefa em vez de enviar o formulário
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addSubtaskFromInput();
+            }
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('subtaskList'), 'click', (e) => {
+            const button = e.target.closest('.subtask-btn');
+            const item = e.target.closest('.subtask-item');
+            if (!button || !item) return;
+            this.handleSubtaskAction(item.dataset.subtaskId, button.dataset.action);
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('subtaskList'), 'change', (e) => {
+            if (!e.target.classList.contains('subtask-checkbox')) return;
+            const item = e.target.closest('.subtask-item');
+            const subtask = this.subtaskDraft.find(entry => entry.id === item.dataset.subtaskId);
+            if (subtask) {
+                subtask.completed = e.target.checked;
+                DOMUtils.toggleClass(item, 'completed', subtask.completed);
             }
         });
 
@@ -433,6 +929,7 @@ class ModalManager {
                 } else {
                     DOMUtils.removeClass(label, 'checked');
                 }
+                this.updateRecurrenceSummary();
             }
         });
     }
@@ -443,15 +940,6 @@ class ModalManager {
      */
     getTaskFormData() {
         const isRecurring = DOMUtils.getById('isRecurring').checked;
-        const recurrenceType = DOMUtils.getValue(DOMUtils.getById('recurrenceType'));
-        
-        // Obter dias da semana selecionados
-        const weekdays = [];
-        if (recurrenceType === 'weekly') {
-            DOMUtils.querySelectorAll('.weekday-checkbox:checked').forEach(checkbox => {
-                weekdays.push(checkbox.value);
-            });
-        }
 
         // Obter tags selecionadas
         const selectedTags = [];
@@ -464,12 +952,14 @@ class ModalManager {
             description: DOMUtils.getValue(DOMUtils.getById('taskDescription')),
             category: DOMUtils.getValue(DOMUtils.getById('taskCategory')),
             tags: selectedTags,
+            subtasks: this.subtaskDraft.map(subtask => ({ ...subtask })),
             priority: DOMUtils.getValue(DOMUtils.getById('taskPriority')),
             dueDate: DOMUtils.getValue(DOMUtils.getById('taskDate')),
             dueTime: DOMUtils.getValue(DOMUtils.getById('taskTime')),
             isRecurring: isRecurring,
-            recurrenceType: isRecurring ? recurrenceType : null,
-            recurrenceData: isRecurring && weekdays.length > 0 ? { weekdays } : null
+            recurrenceRule: isRecurring ? this.getRecurrenceRuleFromForm() : null,
+            recurrenceMode: isRecurring ? DOMUtils.getValue(DOMUtils.getById('recurrenceMode')) : 'fixed',
+            catchUpPolicy: isRecurring ? DOMUtils.getValue(DOMUtils.getById('recurrenceCatchUp')) : 'collapse'
         };
     }
 
@@ -485,14 +975,21 @@ class ModalManager {
             errors.push('Por favor, insira um título para a tarefa.');
         }
 
-        if (formData.tags.length > 3) {
-            errors.push('Você pode selecionar no máximo 3 tags por tarefa.');
-        }
+        errors.push(...ValidationUtils.validateTagGroups(formData.tags, this.tagOptions).errors);
 
         if (formData.isRecurring && !formData.dueDate) {
             errors.push('Tarefas recorrentes precisam de uma data de vencimento.');
         }
 
+        if (formData.isRecurring) {
+            const ruleValidation = RecurrenceUtils.validate(formData.recurrenceRule);
+            errors.push(...ruleValidation.errors);
+
+            if (formData.recurrenceRule?.until && formData.dueDate && formData.recurrenceRule.until < formData.dueDate) {
+                errors.push('A data de término da recorrência deve ser posterior à data de vencimento.');
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -517,9 +1014,34 @@ class ModalManager {
             return;
         }
         
+        const taskId = this.editingTaskId;
+        const task = taskId ? this.getTaskById(taskId) : null;
+
+        // Tarefas recorrentes: perguntar em quais ocorrências aplicar a edição
+        // O modal de tarefa fica aberto por baixo até a confirmação, para não perder as edições
+        if (task && (task.isRecurring || task.parentRecurringId)) {
+            this.openRecurringScopeModal({
+                title: 'Editar Tarefa Recorrente',
+                message: 'Em quais ocorrências as alterações devem ser aplicadas?',
+                options: [
+                    { value: 'this', label: 'Somente esta ocorrência' },
+                    { value: 'following', label: 'Esta e as seguintes', description: 'Ocorrências anteriores mantêm os dados atuais.' },
+                    { value: 'all', label: 'Todas as ocorrências', description: 'Inclui ocorrências já concluídas. Datas de cada ocorrência são mantidas.' }
+                ],
+                confirmText: 'Salvar',
+                onConfirm: (scope) => {
+                    if (this.onTaskFormSubmit) {
+                        this.onTaskFormSubmit(formData, taskId, scope);
+                    }
+                    this.closeTaskModal();
+                }
+            });
+            return;
+        }
+
         // Chamar callback da aplicação principal
         if (this.onTaskFormSubmit) {
-            this.onTaskFormSubmit(formData, this.editingTaskId);
+            this.onTaskFormSubmit(formData, taskId);
         }
         
         this.closeTaskModal();
@@ -532,7 +1054,8 @@ class ModalManager {
     getTaskById(taskId) { return null; }
     getCategoryUsageCount(categoryId) { return 0; }
     getTagUsageCount(tagId) { return 0; }
-    onTaskFormSubmit(formData, taskId) { /* Implementar na aplicação principal */ }
+    onTaskFormSubmit(formData, taskId, scope) { /* Implementar na aplicação principal */ }
+    onConvertSubtask(taskId, subtaskId) { return false; }
 
     /**
      * Destrói o gerenciador de modais
@@ -542,6 +1065,10 @@ class ModalManager {
         this.editingCategoryId = null;
         this.editingTagId = null;
         this.currentModal = null;
+        this.subtaskDraft = [];
+        this.recurringScopeCallback = null;
+        this.recurringScopeReturnModal = null;
+        this.postponeCallback = null;
     }
 }
 
@@ -0,0 +1,154 @@
+/**
+ * QuickAddManager - Criação rápida de tarefas
+ * Responsável pelo campo de texto livre que cria tarefas sem abrir o formulário completo
+ *
+ * Funcionalidades:
+ * - Interpretação do texto enquanto o usuário digita (QuickAddParser)
+ * - Pré-visualização das partes reconhecidas em chips
+ * - Avisos para tags/categorias não encontradas
+ * - Envio com Enter e limpeza com Escape
+ */
+class QuickAddManager {
+    constructor() {
+        this.lastResult = null;
+
+        this.tokenIcons = {
+            date: 'fa-calendar',
+            time: 'fa-clock',
+            priority: 'fa-flag',
+            tag: 'fa-tag',
+            category: 'fa-folder',
+            recurrence: 'fa-sync-alt'
+        };
+    }
+
+    /**
+     * Inicializa os event listeners do campo de criação rápida
+     */
+    init() {
+        const form = DOMUtils.getById('quickAddForm');
+        const input = DOMUtils.getById('quickAddInput');
+        if (!form || !input) return;
+
+        DOMUtils.addEventListener(input, 'input', () => {
+            this.updatePreview();
+        });
+
+        DOMUtils.addEventListener(input, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.clear();
+            }
+        });
+
+        DOMUtils.addEventListener(form, 'submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+    }
+
+    /**
+     * Interpreta o texto atual do campo
+     * @returns {Object|null} Resultado do QuickAddParser ou null se vazio
+     */
+    parseInput() {
+        const value = DOMUtils.getValue(DOMUtils.getById('quickAddInput')) || '';
+        if (!value.trim()) return null;
+
+        return QuickAddParser.parse(value, {
+            categories: this.getCategories(),
+            tags: this.getTags()
+        });
+    }
+
+    /**
+     * Atualiza os chips de pré-visualização
+     */
+    updatePreview() {
+        const preview = DOMUtils.getById('quickAddPreview');
+        if (!preview) return;
+
+        this.lastResult = this.parseInput();
+        if (!this.lastResult) {
+            preview.innerHTML = '';
+            preview.style.display = 'none';
+            return;
+        }
+
+        const { taskData, tokens, warnings } = this.lastResult;
+
+        preview.innerHTML = `
+            <div class="quick-add-chips">
+                <span class="quick-add-chip title ${taskData.title ? '' : 'missing'}">
+                    <i class="fas fa-heading"></i>
+                    ${taskData.title ? DOMUtils.escapeHtml(taskData.title) : 'Sem título'}
+                </span>
+                ${tokens.map(token => `
+                    <span class="quick-add-chip ${token.type} ${token.type === 'priority' ? `priority-${token.value}` : ''}"
+                          title="${DOMUtils.escapeHtml(token.raw)}"
+                          ${token.color ? `style="border-color: ${token.color};"` : ''}>
+                        <i class="fas ${this.tokenIcons[token.type]}"></i>
+                        ${DOMUtils.escapeHtml(token.label)}
+                    </span>
+                `).join('')}
+            </div>
+            ${warnings.length > 0 ? `
+                <ul class="quick-add-warnings">
+                    ${warnings.map(warning => `<li><i class="fas fa-exclamation-triangle"></i> ${DOMUtils.escapeHtml(warning)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        preview.style.display = '';
+    }
+
+    /**
+     * Cria a tarefa a partir do texto interpretado
+     */
+    handleSubmit() {
+        const result = this.parseInput();
+        if (!result) return;
+
+        if (!result.taskData.title) {
+            this.onValidationError('Informe um título para a tarefa.');
+            return;
+        }
+
+        const taskData = { ...result.taskData };
+        if (!taskData.category) delete taskData.category;
+
+        if (this.onSubmit(taskData) !== false) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Limpa o campo e a pré-visualização
+     */
+    clear() {
+        DOMUtils.setValue(DOMUtils.getById('quickAddInput'), '');
+        this.lastResult = null;
+        this.updatePreview();
+    }
+
+    /**
+     * Foca o campo de criação rápida
+     */
+    focus() {
+        DOMUtils.focus(DOMUtils.getById('quickAddInput'));
+    }
+
+    /**
+     * Métodos auxiliares (serão implementados pela aplicação principal)
+     */
+    getCategories() { return []; }
+    getTags() { return []; }
+    onSubmit(taskData) { /* Implementar na aplicação principal */ }
+    onValidationError(message) { /* Implementar na aplicação principal */ }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAddManager;
+} else {
+    window.QuickAddManager = QuickAddManager;
+}
@@ -8,11 +8,23 @@
  * - Validação de dados
  * - Sincronização de inputs de cor
  * - Gerenciamento de formulários
+ * - Prévia item a item da importação com seleção parcial
+ * - Mapeamento de colunas de planilhas CSV
+ * - Backups automáticos e restauração de snapshots
  */
 class SettingsManager {
     constructor() {
         this.settingsPage = null;
         this.isOpen = false;
+        this.importPreview = null;
+        this.importColumnMapping = null;
+
+        this.importStatusLabels = {
+            new: 'Nova',
+            changed: 'Alterada',
+            identical: 'Idêntica',
+            invalid: 'Inválida'
+        };
     }
 
     /**
@@ -211,6 +223,18 @@ class SettingsManager {
             this.exportData('csv');
         });
 
+        DOMUtils.addEventListener(DOMUtils.getById('exportIcsBtn'), 'click', () => {
+            this.exportData('ics', { datedAsEvents: DOMUtils.getById('exportIcsEvents').checked });
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('exportTodoTxtBtn'), 'click', () => {
+            this.exportData('todotxt');
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('exportMarkdownBtn'), 'click', () => {
+            this.exportData('markdown');
+        });
+
         DOMUtils.addEventListener(DOMUtils.getById('selectImportFileBtn'), 'click', () => {
             DOMUtils.getById('importFile').click();
         });
@@ -223,10 +247,60 @@ class SettingsManager {
             this.importData();
         });
 
+        DOMUtils.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            DOMUtils.addEventListener(radio, 'change', () => {
+                if (this.importPreview) this.updateImportState();
+            });
+        });
+
+        const importPreview = DOMUtils.getById('importPreview');
+        if (importPreview) {
+            DOMUtils.addEventListener(importPreview, 'change', (e) => {
+                if (e.target.closest('[data-import-column]')) {
+                    this.updateColumnMapping();
+                    return;
+                }
+
+                const selectAll = e.target.closest('[data-import-select-all]');
+                if (selectAll) {
+                    const collection = selectAll.dataset.importSelectAll;
+                    DOMUtils.querySelectorAll(`[data-import-collection="${collection}"]:not(:disabled)`, importPreview)
+                        .forEach(checkbox => { checkbox.checked = selectAll.checked; });
+                }
+
+                if (e.target.closest('[data-import-select-all], [data-import-collection]')) {
+                    this.updateImportState();
+                }
+            });
+        }
+
         DOMUtils.addEventListener(DOMUtils.getById('clearAllDataBtn'), 'click', () => {
             this.clearAllData();
         });
 
+        // Backups automáticos
+        ['backupFrequency', 'backupKeep', 'backupDestination'].forEach(id => {
+            DOMUtils.addEventListener(DOMUtils.getById(id), 'change', () => {
+                this.onBackupSettingsChange(this.getBackupSettingsForm());
+            });
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('createBackupBtn'), 'click', () => {
+            this.onCreateBackup();
+        });
+
+        DOMUtils.addEventListener(DOMUtils.getById('chooseBackupFolderBtn'), 'click', () => {
+            this.onChooseBackupFolder();
+        });
+
+        const snapshotList = DOMUtils.getById('backupSnapshotList');
+        if (snapshotList) {
+            DOMUtils.addEventListener(snapshotList, 'click', (e) => {
+                const restoreBtn = e.target.closest('[data-restore-snapshot]');
+                if (restoreBtn) this.restoreSnapshot(restoreBtn.dataset.restoreSnapshot, restoreBtn.dataset.snapshotDate);
+            });
+        }
+
         // Fechar com Escape
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
@@ -284,10 +358,11 @@ class SettingsManager {
 
     /**
      * Exporta dados
-     * @param {string} format - Formato de exportação ('json' ou 'csv')
+     * @param {string} format - Formato de exportação ('json', 'csv' ou 'ics')
+     * @param {Object} options - Opções do formato (ics: { datedAsEvents })
      */
-    exportData(format = 'json') {
-        this.onExportData(format);
+    exportData(format = 'json', options = {}) {
+        this.onExportData(format, options);
     }
 
     /**
@@ -297,6 +372,7 @@ class SettingsManager {
     onImportFileSelect(file) {
         if (file) {
             DOMUtils.setText(DOMUtils.getById('importFileName'), `Arquivo selecionado: ${file.name}`);
+            this.importColumnMapping = null;
             
             // Validar arquivo antes de habilitar importação
             this.validateImportFile(file);
@@ -304,33 +380,230 @@ class SettingsManager {
     }
 
     /**
-     * Valida arquivo de importação
+     * Lê o arquivo de importação e mostra a prévia item a item
      * @param {File} file - Arquivo para validar
      */
     async validateImportFile(file) {
-        const validationInfo = DOMUtils.getById('importValidationInfo');
         const importBtn = DOMUtils.getById('importDataBtn');
         
         try {
             // Mostrar indicador de carregamento
             this.showValidationStatus('loading', 'Validando arquivo...');
+            this.importPreview = null;
+            this.renderImportPreview();
             
-            // Simular validação (em uma implementação real, você chamaria o ExportService)
-            const isValid = await this.onValidateImportFile(file);
-            
-            if (isValid) {
-                this.showValidationStatus('success', 'Arquivo válido - pronto para importação');
-                importBtn.disabled = false;
-            } else {
+            this.importPreview = await this.onPreviewImport(file, this.getImportOptions());
+            if (!this.importPreview) {
                 this.showValidationStatus('error', 'Arquivo inválido - não é possível importar');
                 importBtn.disabled = true;
+                return;
             }
+
+            this.renderImportPreview();
+            await this.updateImportState();
         } catch (error) {
+            this.importPreview = null;
+            this.renderImportPreview();
             this.showValidationStatus('error', `Erro na validação: ${error.message}`);
             importBtn.disabled = true;
         }
     }
 
+    /**
+     * Renderiza a lista de itens do arquivo com status e caixas de seleção
+     * Itens válidos começam marcados; inválidos não podem ser importados
+     */
+    renderImportPreview() {
+        const container = DOMUtils.getById('importPreview');
+        if (!container) return;
+
+        if (!this.importPreview) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        const sections = [
+            { key: 'tasks', label: 'Tarefas' },
+            { key: 'categories', label: 'Categorias' },
+            { key: 'tags', label: 'Tags' }
+        ];
+
+        const columns = this.importPreview.columns ? this.renderImportColumns(this.importPreview.columns) : '';
+
+        container.innerHTML = columns + (sections
+            .filter(({ key }) => this.importPreview[key].length > 0)
+            .map(({ key, label }) => {
+                const items = this.importPreview[key];
+                const counts = Object.keys(this.importStatusLabels)
+                    .map(status => ({ status, total: items.filter(item => item.status === status).length }))
+                    .filter(({ total }) => total > 0)
+                    .map(({ status, total }) => `<span class="import-preview-status status-${status}">${total} ${this.importStatusLabels[status].toLowerCase()}(s)</span>`)
+                    .join('');
+
+                return `
+                    <div class="import-preview-section">
+                        <div class="import-preview-header">
+                            <label>
+                                <input type="checkbox" data-import-select-all="${key}" ${items.some(item => item.status !== 'invalid') ? 'checked' : 'disabled'}>
+                                <strong>${label} (${items.length})</strong>
+                            </label>
+                            <div class="import-preview-counts">${counts}</div>
+                        </div>
+                        <ul class="import-preview-list">
+                            ${items.map(item => this.renderImportPreviewItem(key, item)).join('')}
+                        </ul>
+                    </div>
+                `;
+            }).join('') || '<p class="import-preview-empty">O arquivo não contém tarefas, categorias ou tags.</p>');
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Renderiza a escolha do campo de cada coluna de uma planilha CSV
+     * @param {Object} columns - Colunas da planilha ({ headers, mapping, fields })
+     * @returns {string} HTML do mapeamento
+     */
+    renderImportColumns(columns) {
+        const rows = columns.headers.map((header, index) => {
+            const options = [{ key: '', label: 'Ignorar' }, ...columns.fields]
+                .map(({ key, label }) => `<option value="${key}" ${columns.mapping[index] === key ? 'selected' : ''}>${DOMUtils.escapeHtml(label)}</option>`)
+                .join('');
+
+            return `
+                <li class="import-column-item">
+                    <span class="import-column-header">${DOMUtils.escapeHtml(header || `Coluna ${index + 1}`)}</span>
+                    <select data-import-column="${index}">${options}</select>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="import-preview-section import-column-mapping">
+                <div class="import-preview-header">
+                    <strong>Colunas da planilha</strong>
+                </div>
+                <ul class="import-column-list">${rows}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Lê o mapeamento de colunas escolhido e refaz a prévia
+     */
+    updateColumnMapping() {
+        this.importColumnMapping = Array.from(DOMUtils.querySelectorAll('[data-import-column]', DOMUtils.getById('importPreview')))
+            .map(select => select.value);
+
+        const file = DOMUtils.getById('importFile').files[0];
+        if (file) this.validateImportFile(file);
+    }
+
+    /**
+     * Obtém as opções de leitura do arquivo de importação
+     * @returns {Object} Opções para ExportService.readImportFile ({ columnMapping })
+     */
+    getImportOptions() {
+        return { columnMapping: this.importColumnMapping };
+    }
+
+    /**
+     * Renderiza um item da prévia de importação
+     * @param {string} collection - 'tasks', 'categories' ou 'tags'
+     * @param {Object} item - Item da prévia ({ index, label, status, errors, changes })
+     * @returns {string} HTML do item
+     */
+    renderImportPreviewItem(collection, item) {
+        const invalid = item.status === 'invalid';
+        let detail = '';
+        if (invalid) {
+            detail = item.errors.join(', ');
+        } else if (item.status === 'changed') {
+            detail = `Muda: ${item.changes.join(', ')}`;
+        }
+
+        return `
+            <li class="import-preview-item status-${item.status}">
+                <label>
+                    <input type="checkbox" data-import-collection="${collection}" data-import-index="${item.index}" ${invalid ? 'disabled' : 'checked'}>
+                    <span class="import-preview-label">${DOMUtils.escapeHtml(String(item.label))}</span>
+                    <span class="import-preview-status status-${item.status}">${this.importStatusLabels[item.status]}</span>
+                </label>
+                ${detail ? `<small class="import-preview-detail">${DOMUtils.escapeHtml(detail)}</small>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Obtém os itens marcados na prévia
+     * @returns {Object} Índices escolhidos ({ tasks, categories, tags })
+     */
+    getImportSelection() {
+        const selection = { tasks: [], categories: [], tags: [] };
+
+        DOMUtils.querySelectorAll('[data-import-collection]:checked', DOMUtils.getById('importPreview'))
+            .forEach(checkbox => {
+                selection[checkbox.dataset.importCollection].push(parseInt(checkbox.dataset.importIndex));
+            });
+
+        return selection;
+    }
+
+    /**
+     * Atualiza a mensagem de status e o botão de importar conforme a seleção
+     */
+    async updateImportState() {
+        const importBtn = DOMUtils.getById('importDataBtn');
+        const preview = this.importPreview;
+        if (!preview) return;
+
+        ['tasks', 'categories', 'tags'].forEach(collection => {
+            const selectAll = DOMUtils.querySelector(`[data-import-select-all="${collection}"]`);
+            const checkboxes = Array.from(DOMUtils.querySelectorAll(`[data-import-collection="${collection}"]:not(:disabled)`));
+            if (selectAll && checkboxes.length > 0) {
+                const checked = checkboxes.filter(checkbox => checkbox.checked).length;
+                selectAll.checked = checked === checkboxes.length;
+                selectAll.indeterminate = checked > 0 && checked < checkboxes.length;
+            }
+        });
+
+        if (preview.errors.length > 0) {
+            this.showValidationStatus('error', 'Arquivo inválido - não é possível importar',
+                preview.errors.map(message => ({ type: 'error', message })));
+            importBtn.disabled = true;
+            return;
+        }
+
+        const selection = this.getImportSelection();
+        const selected = selection.tasks.length + selection.categories.length + selection.tags.length;
+        const invalid = ['tasks', 'categories', 'tags']
+            .reduce((total, collection) => total + preview[collection].filter(item => item.status === 'invalid').length, 0);
+        const details = (preview.warnings || []).map(message => ({ type: 'warning', message }));
+        if (preview.source) {
+            details.unshift({ type: 'info', message: `Arquivo convertido de ${preview.source}${details.length > 0 ? ' - itens sem equivalente no Planno:' : ''}` });
+        }
+        if (invalid > 0) {
+            details.push({ type: 'warning', message: `${invalid} item(ns) inválido(s) não serão importados` });
+        }
+
+        if (selected === 0) {
+            this.showValidationStatus('warning', 'Nenhum item selecionado para importação', details);
+            importBtn.disabled = true;
+            return;
+        }
+
+        if (this.getImportMode() === 'merge') {
+            const summary = await this.onPreviewImportMerge(DOMUtils.getById('importFile').files[0], selection, this.getImportOptions());
+            this.showValidationStatus('success', `${selected} item(ns) selecionado(s) - prévia da mesclagem:`,
+                [...this.getMergeSummaryDetails(summary), ...details]);
+        } else {
+            this.showValidationStatus('success', `${selected} item(ns) selecionado(s) - pronto para importação (substitui os dados atuais)`, details);
+        }
+
+        importBtn.disabled = false;
+    }
+
     /**
      * Mostra status de validação
      * @param {string} status - Status da validação ('loading', 'success', 'error', 'warning')
@@ -369,7 +642,7 @@ class SettingsManager {
             detailsHtml = `
                 <div class="validation-details">
                     <ul>
-                        ${details.map(detail => `<li class="${detail.type === 'error' ? 'error-item' : 'warning-item'}">${detail.message}</li>`).join('')}
+                        ${details.map(detail => `<li class="${['error', 'info'].includes(detail.type) ? detail.type : 'warning'}-item">${DOMUtils.escapeHtml(detail.message)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -378,7 +651,7 @@ class SettingsManager {
         validationInfo.innerHTML = `
             <div class="validation-status">
                 <i class="${iconClass} ${statusClass}"></i>
-                <span class="validation-text">${message}</span>
+                <span class="validation-text">${DOMUtils.escapeHtml(message)}</span>
             </div>
             ${detailsHtml}
         `;
@@ -386,13 +659,52 @@ class SettingsManager {
         validationInfo.style.display = 'block';
     }
 
+    /**
+     * Obtém o modo de importação selecionado
+     * @returns {string} 'replace' ou 'merge'
+     */
+    getImportMode() {
+        const selected = DOMUtils.querySelector('input[name="importMode"]:checked');
+        return selected ? selected.value : 'replace';
+    }
+
+    /**
+     * Monta as linhas da prévia de mesclagem
+     * @param {Object} summary - Resumo do ImportMergeService.summarize
+     * @returns {Array} Detalhes para showValidationStatus
+     */
+    getMergeSummaryDetails(summary) {
+        if (!summary) return [];
+
+        const sections = [
+            { key: 'tasks', label: 'Tarefas' },
+            { key: 'categories', label: 'Categorias' },
+            { key: 'tags', label: 'Tags' }
+        ];
+
+        const details = sections.map(({ key, label }) => ({
+            type: 'info',
+            message: `${label}: ${summary[key].added} nova(s), ${summary[key].updated} atualizada(s), ${summary[key].skipped} ignorada(s)`
+        }));
+
+        const remapped = summary.categories.remapped + summary.tags.remapped;
+        if (remapped > 0) {
+            details.push({
+                type: 'warning',
+                message: `${remapped} categoria(s)/tag(s) com ID já usado por outro nome receberão um novo ID`
+            });
+        }
+
+        return details;
+    }
+
     /**
      * Importa dados
      */
     importData() {
         const file = DOMUtils.getById('importFile').files[0];
         if (file) {
-            this.onImportData(file);
+            this.onImportData(file, this.getImportMode(), this.importPreview ? this.getImportSelection() : null, this.getImportOptions());
         }
     }
 
@@ -400,11 +712,105 @@ class SettingsManager {
      * Limpa todos os dados
      */
     clearAllData() {
-        if (confirm('⚠️ ATENÇÃO: Isso irá apagar TODOS os seus dados permanentemente. Esta ação não pode ser desfeita!\n\nTem certeza que deseja continuar?')) {
+        if (confirm('⚠️ ATENÇÃO: Isso irá apagar TODOS os seus dados. Um backup de segurança será criado antes da limpeza; se não for possível criá-lo, você poderá desistir.\n\nTem certeza que deseja continuar?')) {
             this.onClearAllData();
         }
     }
 
+    /**
+     * Lê as configurações de backup do formulário
+     * @returns {Object} { frequency, keep, destination }
+     */
+    getBackupSettingsForm() {
+        return {
+            frequency: DOMUtils.getValue(DOMUtils.getById('backupFrequency')),
+            keep: parseInt(DOMUtils.getValue(DOMUtils.getById('backupKeep'))),
+            destination: DOMUtils.getValue(DOMUtils.getById('backupDestination'))
+        };
+    }
+
+    /**
+     * Renderiza a seção de backups automáticos
+     * @param {Object|null} state - { settings, folder, folderSupported, snapshots } ou null se indisponível
+     */
+    renderBackupPanel(state) {
+        const status = DOMUtils.getById('backupStatus');
+        const list = DOMUtils.getById('backupSnapshotList');
+        const controls = ['backupFrequency', 'backupKeep', 'backupDestination', 'createBackupBtn', 'chooseBackupFolderBtn']
+            .map(id => DOMUtils.getById(id))
+            .filter(Boolean);
+        if (!status || !list) return;
+
+        controls.forEach(control => { control.disabled = !state; });
+        if (!state) {
+            DOMUtils.setText(status, 'Backups automáticos indisponíveis neste navegador (IndexedDB desativado).');
+            list.innerHTML = '';
+            return;
+        }
+
+        const { settings, folder, folderSupported, snapshots } = state;
+        DOMUtils.setValue(DOMUtils.getById('backupFrequency'), settings.frequency);
+        DOMUtils.setValue(DOMUtils.getById('backupKeep'), settings.keep);
+        DOMUtils.setValue(DOMUtils.getById('backupDestination'), settings.destination);
+
+        const folderOption = DOMUtils.querySelector('#backupDestination option[value="folder"]');
+        if (folderOption) folderOption.disabled = !folderSupported;
+        DOMUtils.getById('chooseBackupFolderBtn').style.display = folderSupported ? '' : 'none';
+
+        const messages = [settings.lastBackupAt
+            ? `Último backup: ${new Date(settings.lastBackupAt).toLocaleString('pt-BR')}.`
+            : 'Nenhum backup feito ainda.'];
+        if (settings.destination === 'folder') {
+            if (!folder) {
+                messages.push('Escolha a pasta onde os backups serão gravados; até lá, eles ficam no navegador.');
+            } else if (!folder.granted) {
+                messages.push(`Sem permissão para gravar na pasta "${folder.name}" - clique em "Fazer Backup Agora" para permitir; até lá, os backups ficam no navegador.`);
+            } else {
+                messages.push(`Pasta: ${folder.name}.`);
+            }
+        }
+        DOMUtils.setText(status, messages.join(' '));
+
+        list.innerHTML = snapshots.length === 0
+            ? '<li class="backup-snapshot-empty">Nenhum backup disponível para restauração.</li>'
+            : snapshots.map(snapshot => this.renderSnapshotItem(snapshot)).join('');
+    }
+
+    /**
+     * Renderiza um snapshot da lista de restauração
+     * @param {Object} snapshot - Resumo do snapshot (BackupService.listSnapshots)
+     * @returns {string} HTML do item
+     */
+    renderSnapshotItem(snapshot) {
+        const date = new Date(snapshot.createdAt).toLocaleString('pt-BR');
+        const reason = BackupService.reasonLabels[snapshot.reason] || BackupService.reasonLabels.scheduled;
+        const counts = `${snapshot.counts.tasks} tarefa(s), ${snapshot.counts.categories} categoria(s), ${snapshot.counts.tags} tag(s)`;
+        const destination = snapshot.destination === 'folder' ? 'Pasta' : 'Navegador';
+
+        return `
+            <li class="backup-snapshot-item">
+                <div class="backup-snapshot-info">
+                    <strong>${DOMUtils.escapeHtml(date)}</strong>
+                    <small>${DOMUtils.escapeHtml(`${reason} · ${counts} · ${destination}`)}</small>
+                </div>
+                <button class="btn btn-secondary" data-restore-snapshot="${DOMUtils.escapeHtml(snapshot.id)}" data-snapshot-date="${DOMUtils.escapeHtml(date)}">
+                    <i class="fas fa-undo"></i> Restaurar
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Restaura um snapshot após confirmação
+     * @param {string} snapshotId - ID do snapshot
+     * @param {string} date - Data do snapshot (para a confirmação)
+     */
+    restoreSnapshot(snapshotId, date) {
+        if (confirm(`Restaurar o backup de ${date}?\n\nOs dados atuais serão substituídos. Um backup de segurança deles será criado antes; se não for possível criá-lo, você poderá desistir.`)) {
+            this.onRestoreSnapshot(snapshotId);
+        }
+    }
+
 
     /**
      * Atualiza UI de ordenação
@@ -465,9 +871,14 @@ class SettingsManager {
         this.onSortOptionsChange(sortOptions);
     }
     onSortOptionsChange(sortOptions) { /* Implementar na aplicação principal */ }
-    onExportData(format) { /* Implementar na aplicação principal */ }
-    onValidateImportFile(file) { /* Implementar na aplicação principal */ }
-    onImportData(file) { /* Implementar na aplicação principal */ }
+    onExportData(format, options) { /* Implementar na aplicação principal */ }
+    onPreviewImport(file, options) { return null; }
+    onImportData(file, mode, selection, options) { /* Implementar na aplicação principal */ }
+    onPreviewImportMerge(file, selection, options) { return null; }
+    onBackupSettingsChange(settings) { /* Implementar na aplicação principal */ }
+    onCreateBackup() { /* Implementar na aplicação principal */ }
+    onChooseBackupFolder() { /* Implementar na aplicação principal */ }
+    onRestoreSnapshot(snapshotId) { /* Implementar na aplicação principal */ }
     onClearAllData() { /* Implementar na aplicação principal */ }
 
     /**
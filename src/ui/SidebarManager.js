@@ -8,6 +8,7 @@
  * - Responsividade
  * - Event listeners
  * - Persistência de estado
+ * - Listas inteligentes (buscas salvas) com contadores
  */
 class SidebarManager {
     constructor() {
@@ -227,6 +228,54 @@ class SidebarManager {
         });
     }
 
+    /**
+     * Renderiza as listas inteligentes
+     * @param {Array} smartLists - Listas salvas
+     * @param {Object} counts - Número de tarefas por ID de lista
+     * @param {string} activeId - ID da lista cujos filtros estão aplicados (opcional)
+     */
+    renderSmartLists(smartLists, counts = {}, activeId = null) {
+        const container = DOMUtils.getById('smartListList');
+        if (!container) return;
+
+        if (smartLists.length === 0) {
+            container.innerHTML = '<p class="smart-list-empty">Filtre ou busque e salve com + para criar uma lista.</p>';
+            return;
+        }
+
+        container.innerHTML = smartLists.map(list => `
+            <div class="smart-list-item ${list.id === activeId ? 'active' : ''}"
+                 data-smart-list-id="${list.id}"
+                 data-smart-list-name="${DOMUtils.escapeHtml(list.name)}"
+                 onclick="app.applySmartList('${list.id}')">
+                <i class="fas fa-bolt smart-list-icon"></i>
+                <span class="smart-list-name">${DOMUtils.escapeHtml(list.name)}</span>
+                <span class="smart-list-count">(${counts[list.id] || 0})</span>
+                <button type="button" class="smart-list-delete" title="Excluir lista"
+                        onclick="event.stopPropagation(); app.deleteSmartListConfirm('${list.id}')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Mostra ou esconde o campo para salvar a lista inteligente
+     * @param {boolean} show - Mostrar (padrão: alternar)
+     */
+    toggleSmartListForm(show = null) {
+        const form = DOMUtils.getById('smartListForm');
+        const input = DOMUtils.getById('smartListName');
+        if (!form || !input) return;
+
+        const visible = show === null ? form.style.display === 'none' : show;
+        form.style.display = visible ? '' : 'none';
+        DOMUtils.setValue(input, '');
+        if (visible) {
+            DOMUtils.focus(input);
+        }
+    }
+
     /**
      * Obtém o estado atual da sidebar
      * @returns {Object} Estado da sidebar
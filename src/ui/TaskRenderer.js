@@ -22,6 +22,9 @@ class TaskRenderer {
             medium: 'Média',
             low: 'Baixa'
         };
+
+        // Categorias com subcategorias recolhidas na sidebar
+        this.collapsedCategories = new Set();
     }
 
     /**
@@ -51,33 +54,66 @@ class TaskRenderer {
     }
 
     /**
-     * Renderiza a lista de categorias
+     * Renderiza a lista de categorias em árvore
      * @param {Array} categories - Lista de categorias
-     * @param {string} activeCategoryId - ID da categoria ativa
+     * @param {Array<string>} activeCategoryIds - IDs das categorias selecionadas no filtro
+     * @param {Object} categoryStats - Contadores por categoria (ver CategoryController.getCategoryStats)
      */
-    renderCategories(categories, activeCategoryId = null) {
+    renderCategories(categories, activeCategoryIds = [], categoryStats = {}) {
         const categoryList = DOMUtils.getById('categoryList');
         if (!categoryList) return;
 
         const safeCategories = Array.isArray(categories) ? categories : [];
-        categoryList.innerHTML = safeCategories.map(category => 
-            this.createCategoryHTML(category, activeCategoryId)
+        let hiddenBelowDepth = Infinity;
+
+        // Subcategorias de uma categoria recolhida não são exibidas
+        const visibleEntries = Category.sortAsTree(safeCategories).filter(entry => {
+            if (entry.depth > hiddenBelowDepth) return false;
+            hiddenBelowDepth = entry.hasChildren && this.collapsedCategories.has(entry.category.id) ? entry.depth : Infinity;
+            return true;
+        });
+
+        categoryList.innerHTML = visibleEntries.map(entry =>
+            this.createCategoryHTML(entry, activeCategoryIds, categoryStats[entry.category.id])
         ).join('');
     }
 
     /**
-     * Renderiza a lista de tags
+     * Alterna a exibição das subcategorias de uma categoria
+     * @param {string} categoryId - ID da categoria
+     */
+    toggleCategoryCollapse(categoryId) {
+        if (this.collapsedCategories.has(categoryId)) {
+            this.collapsedCategories.delete(categoryId);
+        } else {
+            this.collapsedCategories.add(categoryId);
+        }
+    }
+
+    /**
+     * Renderiza a lista de tags, agrupada quando houver grupos
      * @param {Array} tags - Lista de tags
-     * @param {string} activeTagId - ID da tag ativa
+     * @param {Array<string>} activeTagIds - IDs das tags incluídas no filtro
+     * @param {Array<string>} excludedTagIds - IDs das tags negadas no filtro (NOT)
      */
-    renderTags(tags, activeTagId = null) {
+    renderTags(tags, activeTagIds = [], excludedTagIds = []) {
         const tagList = DOMUtils.getById('tagList');
         if (!tagList) return;
 
         const safeTags = Array.isArray(tags) ? tags : [];
-        tagList.innerHTML = safeTags.map(tag => 
-            this.createTagHTML(tag, activeTagId)
-        ).join('');
+        const groups = Tag.getGroups(safeTags);
+        const hasGroups = groups.some(group => group.name);
+
+        // Sem grupos, a lista continua plana
+        tagList.innerHTML = groups.map(group => `
+            ${hasGroups ? `
+                <div class="tag-group-title" ${group.exclusive ? 'title="Uma tag por tarefa"' : ''}>
+                    <span>${group.name ? DOMUtils.escapeHtml(group.name) : 'Sem grupo'}</span>
+                    ${group.exclusive ? '<i class="fas fa-dot-circle"></i>' : ''}
+                </div>
+            ` : ''}
+            ${group.tags.map(tag => this.createTagHTML(tag, activeTagIds, excludedTagIds)).join('')}
+        `).join('');
     }
 
     /**
@@ -94,13 +130,17 @@ class TaskRenderer {
         
         const category = safeCategories.find(cat => cat.id === task.category);
         const categoryColor = category ? category.color : '#6c757d';
-        const categoryName = category ? category.name : 'Sem categoria';
+        const categoryName = category ? Category.getFullName(safeCategories, category.id) : 'Sem categoria';
         
         // Obter tags da tarefa
         const taskTags = task.tags ? task.tags.map(tagId => 
             safeTags.find(tag => tag.id === tagId)
         ).filter(tag => tag) : [];
 
+        // Progresso do checklist de subtarefas
+        const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+        const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+
         const dueDate = task.dueDate ? DateUtils.formatDateBR(DateUtils.createLocalDate(task.dueDate)) : '';
         const dueTime = task.dueTime || '';
 
@@ -141,8 +181,16 @@ class TaskRenderer {
             <button class="task-action-btn edit" title="Editar">
                 <i class="fas fa-edit"></i>
             </button>
-            ${task.isRecurring && !task.parentRecurringId ? `
-                <button class="task-action-btn delete-series" title="Excluir Série Completa">
+            ${(task.isRecurring || task.parentRecurringId) && !task.completed && task.dueDate ? `
+                <button class="task-action-btn skip" title="Pular esta ocorrência">
+                    <i class="fas fa-forward"></i>
+                </button>
+                <button class="task-action-btn postpone" title="Adiar esta ocorrência">
+                    <i class="fas fa-calendar-plus"></i>
+                </button>
+            ` : ''}
+            ${task.isRecurring || task.parentRecurringId ? `
+                <button class="task-action-btn delete-series" title="Excluir Série">
                     <i class="fas fa-trash-alt"></i>
                 </button>
             ` : ''}
@@ -154,17 +202,35 @@ class TaskRenderer {
                 <div class="task-meta">
                     <div class="task-category">
                         <span class="category-color" style="background-color: ${categoryColor};"></span>
-                        <span>${categoryName}</span>
+                        <span>${DOMUtils.escapeHtml(categoryName)}</span>
                     </div>
                     <div class="task-priority ${this.priorityClasses[task.priority]}">
                         ${this.priorityNames[task.priority]}
                     </div>
+                    ${task.status === 'doing' && !task.completed ? `
+                        <div class="task-status-doing">
+                            <i class="fas fa-spinner"></i>
+                            <span>Em andamento</span>
+                        </div>
+                    ` : ''}
                     ${dueDate ? `
                         <div class="task-date">
                             <i class="fas fa-calendar"></i>
                             <span>${dueDate}${dueTime ? ` às ${dueTime}` : ''}</span>
                         </div>
                     ` : ''}
+                    ${task.originalDueDate ? `
+                        <div class="task-postponed" title="Data prevista: ${DateUtils.formatDateBR(DateUtils.createLocalDate(task.originalDueDate))}">
+                            <i class="fas fa-calendar-plus"></i>
+                            <span>Adiada</span>
+                        </div>
+                    ` : ''}
+                    ${task.missedOccurrences > 0 ? `
+                        <div class="task-missed" title="Ocorrências perdidas agrupadas nesta tarefa">
+                            <i class="fas fa-layer-group"></i>
+                            <span>+${task.missedOccurrences} perdida(s)</span>
+                        </div>
+                    ` : ''}
                     ${urgencyClass ? `
                         <div class="task-urgency ${urgencyClass}">
                             <i class="${urgencyIcon}"></i>
@@ -172,9 +238,15 @@ class TaskRenderer {
                         </div>
                     ` : ''}
                     ${task.isRecurring ? `
-                        <div class="task-recurrence">
-                            <i class="fas fa-sync-alt"></i>
-                            <span>${this.getRecurrenceLabel(task.recurrenceType)}</span>
+                        <div class="task-recurrence ${task.recurrenceMode === 'afterCompletion' ? 'after-completion' : ''}">
+                            <i class="fas ${task.recurrenceMode === 'afterCompletion' ? 'fa-redo' : 'fa-sync-alt'}"></i>
+                            <span>${this.getRecurrenceLabel(task.recurrenceRule, task.recurrenceMode)}</span>
+                        </div>
+                    ` : ''}
+                    ${subtasks.length > 0 ? `
+                        <div class="task-subtasks ${completedSubtasks === subtasks.length ? 'all-done' : ''}" title="Subtarefas concluídas">
+                            <i class="fas fa-list-check"></i>
+                            <span>${completedSubtasks}/${subtasks.length}</span>
                         </div>
                     ` : ''}
                     ${taskTags.length > 0 ? `
@@ -193,19 +265,30 @@ class TaskRenderer {
 
     /**
      * Cria HTML para uma categoria
-     * @param {Object} category - Dados da categoria
-     * @param {string} activeCategoryId - ID da categoria ativa
+     * @param {Object} entry - Item da árvore ({ category, depth, hasChildren })
+     * @param {Array<string>} activeCategoryIds - IDs das categorias selecionadas no filtro
+     * @param {Object} stats - Contadores da categoria (pendentes incluindo subcategorias em totalPending)
      * @returns {string} HTML da categoria
      */
-    createCategoryHTML(category, activeCategoryId = null) {
-        const usageCount = this.getCategoryUsageCount(category.id);
-        const isActive = activeCategoryId === category.id;
+    createCategoryHTML(entry, activeCategoryIds = [], stats = null) {
+        const { category, depth, hasChildren } = entry;
+        const usageCount = stats ? stats.totalPending : 0;
+        const isActive = activeCategoryIds.includes(category.id);
+        const isCollapsed = this.collapsedCategories.has(category.id);
         
         return `
             <div class="category-item ${isActive ? 'active' : ''}" 
                  data-category-id="${category.id}" 
                  data-category-name="${DOMUtils.escapeHtml(category.name)}"
-                 onclick="app.filterByCategory('${category.id}')">
+                 style="--category-depth: ${depth};"
+                 title="Ctrl+clique para selecionar várias"
+                 onclick="app.filterByCategory('${category.id}', event)">
+                ${hasChildren ? `
+                    <button type="button" class="category-toggle" title="${isCollapsed ? 'Expandir' : 'Recolher'} subcategorias"
+                            onclick="event.stopPropagation(); app.toggleCategoryCollapse('${category.id}')">
+                        <i class="fas fa-chevron-${isCollapsed ? 'right' : 'down'}"></i>
+                    </button>
+                ` : '<span class="category-toggle-spacer"></span>'}
                 <span class="category-color" style="background-color: ${category.color};"></span>
                 <span>${DOMUtils.escapeHtml(category.name)}</span>
                 ${usageCount > 0 ? `<span class="category-usage">(${usageCount})</span>` : ''}
@@ -216,18 +299,21 @@ class TaskRenderer {
     /**
      * Cria HTML para uma tag
      * @param {Object} tag - Dados da tag
-     * @param {string} activeTagId - ID da tag ativa
+     * @param {Array<string>} activeTagIds - IDs das tags incluídas no filtro
+     * @param {Array<string>} excludedTagIds - IDs das tags negadas no filtro
      * @returns {string} HTML da tag
      */
-    createTagHTML(tag, activeTagId = null) {
+    createTagHTML(tag, activeTagIds = [], excludedTagIds = []) {
         const usageCount = this.getTagUsageCount(tag.id);
-        const isActive = activeTagId === tag.id;
+        const isActive = activeTagIds.includes(tag.id);
+        const isExcluded = excludedTagIds.includes(tag.id);
         
         return `
-            <div class="tag-item ${isActive ? 'active' : ''}" 
+            <div class="tag-item ${isActive ? 'active' : ''} ${isExcluded ? 'excluded' : ''}" 
                  data-tag-id="${tag.id}" 
                  data-tag-name="${DOMUtils.escapeHtml(tag.name)}"
-                 onclick="app.filterByTag('${tag.id}')">
+                 title="Ctrl+clique para combinar tags"
+                 onclick="app.filterByTag('${tag.id}', event)">
                 <span class="tag-color" style="background-color: ${tag.color};"></span>
                 <span>${DOMUtils.escapeHtml(tag.name)}</span>
                 ${usageCount > 0 ? `<span class="tag-usage">(${usageCount})</span>` : ''}
@@ -253,29 +339,13 @@ class TaskRenderer {
 
     /**
      * Obtém o rótulo de recorrência
-     * @param {string} recurrenceType - Tipo de recorrência
+     * @param {Object} recurrenceRule - Regra de recorrência
+     * @param {string} recurrenceMode - Modo de recorrência ('fixed' ou 'afterCompletion')
      * @returns {string} Rótulo da recorrência
      */
-    getRecurrenceLabel(recurrenceType) {
-        const labels = {
-            daily: 'Diária',
-            weekly: 'Semanal',
-            monthly: 'Mensal',
-            yearly: 'Anual'
-        };
-        return labels[recurrenceType] || 'Recorrente';
-    }
-
-    /**
-     * Obtém o número de tarefas usando uma categoria
-     * @param {string} categoryId - ID da categoria
-     * @returns {number} Número de tarefas
-     */
-    getCategoryUsageCount(categoryId) {
-        if (!this.categoryUsageCounts) {
-            return 0;
-        }
-        return this.categoryUsageCounts.get(categoryId) || 0;
+    getRecurrenceLabel(recurrenceRule, recurrenceMode = 'fixed') {
+        const label = RecurrenceUtils.describe(recurrenceRule);
+        return recurrenceMode === 'afterCompletion' ? `${label} ${RecurrenceUtils.describeMode(recurrenceMode)}` : label;
     }
 
     /**
@@ -290,20 +360,6 @@ class TaskRenderer {
         return this.tagUsageCounts.get(tagId) || 0;
     }
 
-    /**
-     * Atualiza o contador de uso de categorias
-     * @param {Array} tasks - Lista de tarefas
-     */
-    updateCategoryUsageCounts(tasks) {
-        this.categoryUsageCounts = new Map();
-        tasks.forEach(task => {
-            if (!task.completed) {
-                const count = this.categoryUsageCounts.get(task.category) || 0;
-                this.categoryUsageCounts.set(task.category, count + 1);
-            }
-        });
-    }
-
     /**
      * Atualiza o contador de uso de tags
      * @param {Array} tasks - Lista de tarefas
@@ -391,17 +447,14 @@ class TaskRenderer {
      * @returns {Object} Informações de recorrência
      */
     getRecurrenceInfo(task) {
-        const labels = {
-            daily: 'Diária',
-            weekly: 'Semanal',
-            monthly: 'Mensal',
-            yearly: 'Anual'
-        };
-
+        const mode = task.recurrenceMode || 'fixed';
         return {
-            type: task.recurrenceType,
-            label: labels[task.recurrenceType] || 'Recorrente',
-            data: task.recurrenceData
+            type: task.recurrenceRule ? task.recurrenceRule.freq.toLowerCase() : 'none',
+            label: this.getRecurrenceLabel(task.recurrenceRule, mode),
+            rule: task.recurrenceRule,
+            rrule: RecurrenceUtils.toRRuleString(task.recurrenceRule),
+            mode,
+            modeLabel: RecurrenceUtils.describeMode(mode)
         };
     }
 
@@ -409,7 +462,7 @@ class TaskRenderer {
      * Destrói o renderizador
      */
     destroy() {
-        this.categoryUsageCounts = null;
+        this.collapsedCategories.clear();
         this.tagUsageCounts = null;
     }
 }
@@ -0,0 +1,104 @@
+/**
+ * CSVUtils - Utilitários para leitura de CSV
+ * Responsável por interpretar arquivos CSV (RFC 4180) usados na importação
+ *
+ * Funcionalidades:
+ * - Campos entre aspas, com aspas duplicadas ("") e quebras de linha
+ * - Detecção do separador (vírgula, ponto e vírgula ou tabulação)
+ * - Conversão de linhas em objetos a partir do cabeçalho
+ */
+class CSVUtils {
+    /**
+     * Detecta o separador a partir da primeira linha
+     * @param {string} text - Conteúdo CSV
+     * @returns {string} Separador
+     */
+    static detectDelimiter(text) {
+        const firstLine = String(text || '').split(/\r?\n/)[0] || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        return counts[0].count > 0 ? counts[0].delimiter : ',';
+    }
+
+    /**
+     * Interpreta um texto CSV
+     * @param {string} text - Conteúdo CSV
+     * @param {string} delimiter - Separador (padrão: detectado automaticamente)
+     * @returns {Array<Array<string>>} Linhas com os valores de cada coluna
+     */
+    static parse(text, delimiter = null) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+
+            if (inQuotes) {
+                if (char === '"' && source[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[index + 1] === '\n') index++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Linhas vazias não têm dados
+        return rows.filter(values => values.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Converte linhas em objetos usando a primeira linha como cabeçalho
+     * @param {Array<Array<string>>} rows - Linhas (ver parse)
+     * @returns {Array<Object>} Objetos indexados pelo nome da coluna
+     */
+    static toObjects(rows) {
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(name => name.trim());
+        return rows.slice(1).map(values => {
+            const record = {};
+            header.forEach((name, index) => {
+                record[name] = values[index] !== undefined ? values[index] : '';
+            });
+            return record;
+        });
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVUtils;
+} else {
+    window.CSVUtils = CSVUtils;
+}
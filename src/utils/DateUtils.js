@@ -102,52 +102,26 @@ class DateUtils {
 
     /**
      * Calcula a próxima data de recorrência
-     * @param {Object} task - Tarefa com configuração de recorrência
-     * @returns {Date|null} Próxima data de recorrência ou null
-     */
-    static calculateNextRecurrenceDate(task) {
-        if (!task.dueDate || !task.recurrenceType) return null;
-        
-        const currentDate = this.createLocalDate(task.dueDate);
+     * @param {Object} task - Tarefa com regra de recorrência (a data da tarefa, ou recurrenceStart
+     *                        se ela foi adiada/pulada, é o início da série)
+     * @param {string} fromDate - Data da ocorrência atual (YYYY-MM-DD); padrão é o início da série
+     * @param {string} completedAt - Data/hora de conclusão (usada no modo 'afterCompletion')
+     * @returns {Date|null} Próxima data de recorrência ou null se a série terminou
+     */
+    static calculateNextRecurrenceDate(task, fromDate = null, completedAt = null) {
+        if (!task.dueDate || !task.recurrenceRule) return null;
+
+        // No modo "após a conclusão" o padrão recomeça no dia em que a tarefa foi concluída
+        if (task.recurrenceMode === 'afterCompletion') {
+            return RecurrenceUtils.getNextOccurrenceAfterCompletion(task.recurrenceRule, completedAt ? new Date(completedAt) : new Date(), task.exceptionDates);
+        }
         
-        // Para recorrências, sempre usar a data original da tarefa como base
+        // Na agenda fixa, sempre usar a data original da série como base
         // A próxima recorrência deve seguir o padrão original, não a data atual
-        const baseDate = currentDate;
+        const startDate = this.createLocalDate(task.recurrenceStart || task.dueDate);
+        const currentDate = fromDate ? this.createLocalDate(fromDate) : startDate;
         
-        switch (task.recurrenceType) {
-            case 'daily':
-                return this.addDays(baseDate, 1);
-            
-            case 'weekly':
-                const weekdays = task.recurrenceData?.weekdays || [];
-                if (weekdays.length === 0) return this.addDays(baseDate, 7);
-                
-                // Find next weekday from the selected list
-                const currentWeekday = baseDate.getDay();
-                const selectedWeekdays = weekdays.map(Number).sort((a, b) => a - b);
-                
-                // Look for next weekday in the same week
-                for (const weekday of selectedWeekdays) {
-                    if (weekday > currentWeekday) {
-                        const daysToAdd = weekday - currentWeekday;
-                        return this.addDays(baseDate, daysToAdd);
-                    }
-                }
-                
-                // If no weekday found in current week, find first weekday of next week
-                const firstWeekday = selectedWeekdays[0];
-                const daysToNextWeek = 7 - currentWeekday + firstWeekday;
-                return this.addDays(baseDate, daysToNextWeek);
-            
-            case 'monthly':
-                return this.addMonths(baseDate, 1);
-            
-            case 'yearly':
-                return this.addYears(baseDate, 1);
-            
-            default:
-                return null;
-        }
+        return RecurrenceUtils.getNextOccurrence(task.recurrenceRule, startDate, currentDate, task.exceptionDates);
     }
 
     /**
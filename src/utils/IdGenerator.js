@@ -40,6 +40,14 @@ class IdGenerator {
         return this.generate();
     }
 
+    /**
+     * Gera um ID único para listas inteligentes
+     * @returns {string} ID único para lista inteligente
+     */
+    static generateSmartListId() {
+        return this.generate();
+    }
+
     /**
      * Valida se um ID tem o formato correto
      * @param {string} id - ID para validar
@@ -49,6 +57,22 @@ class IdGenerator {
         return typeof id === 'string' && id.length > 0 && /^[a-z0-9]+$/i.test(id);
     }
 
+    /**
+     * Gera um ID estável a partir de um texto (o mesmo texto sempre gera o mesmo ID)
+     * Usado para itens importados de outros aplicativos, para que reimportar não duplique
+     * @param {string} value - Texto de origem
+     * @param {string} prefix - Prefixo alfanumérico (opcional)
+     * @returns {string} ID derivado
+     */
+    static generateFromString(value, prefix = '') {
+        let hash = 5381;
+        const text = String(value);
+        for (let index = 0; index < text.length; index++) {
+            hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+        }
+        return `${prefix}${hash.toString(36)}`;
+    }
+
     /**
      * Gera um ID com prefixo específico
      * @param {string} prefix - Prefixo para o ID
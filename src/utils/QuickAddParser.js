@@ -0,0 +1,381 @@
+/**
+ * QuickAddParser - Interpretação de texto livre para criação rápida de tarefas
+ * Responsável por extrair data, horário, prioridade, tags, categoria e recorrência
+ * de frases em português ou inglês
+ *
+ * Funcionalidades:
+ * - Datas relativas (hoje, amanhã, sexta, em 3 dias, next week) e absolutas (25/12, 2026-11-01)
+ * - Horários (15h, 15h30, 15:30, 3pm, meio-dia)
+ * - Prioridade com "!" (!alta, !média, !baixa, !high, !1)
+ * - Tags com "#" e categoria com "@" (resolvidas pelo nome, sem diferenciar acentos)
+ * - Recorrência (todo dia, toda segunda, todo mês, a cada 2 semanas, every weekday)
+ *
+ * Exemplo: "Pagar conta amanhã 15h #financeiro @casa !alta todo mês"
+ */
+class QuickAddParser {
+    /**
+     * Padrão dos nomes de dias da semana (texto sem acentos, em minúsculas)
+     * @returns {string} Trecho de expressão regular
+     */
+    static get weekdayPattern() {
+        return '(?:(?:segunda|terca|quarta|quinta|sexta)s?(?:-feiras?)?|sabados?|domingos?|' +
+            'mondays?|tuesdays?|wednesdays?|thursdays?|fridays?|saturdays?|sundays?)';
+    }
+
+    /**
+     * Interpreta um texto de criação rápida
+     * @param {string} text - Texto digitado
+     * @param {Object} options - Contexto da interpretação
+     * @param {Array} options.categories - Categorias existentes
+     * @param {Array} options.tags - Tags existentes
+     * @param {Date} options.referenceDate - Data de referência (padrão: hoje)
+     * @returns {Object} { taskData, tokens, warnings }
+     */
+    static parse(text, { categories = [], tags = [], referenceDate = new Date() } = {}) {
+        const source = String(text || '').normalize('NFC');
+        const folded = this.fold(source);
+        const consumed = new Array(source.length).fill(false);
+        const today = DateUtils.getStartOfDay(referenceDate);
+
+        const result = {
+            taskData: {
+                title: '',
+                dueDate: '',
+                dueTime: '',
+                tags: [],
+                category: null,
+                priority: 'medium',
+                isRecurring: false,
+                recurrenceRule: null
+            },
+            tokens: [],
+            warnings: []
+        };
+
+        const state = { source, folded, consumed, today, categories, tags, result };
+
+        this.parseRecurrence(state);
+        this.parseDate(state);
+        this.parseTime(state);
+        this.parsePriority(state);
+        this.parseLabels(state);
+
+        // Recorrências precisam de data: usar a primeira ocorrência a partir de hoje
+        if (result.taskData.isRecurring && !result.taskData.dueDate) {
+            const first = RecurrenceUtils.getNextOccurrence(result.taskData.recurrenceRule, today, DateUtils.addDays(today, -1));
+            result.taskData.dueDate = DateUtils.formatDateISO(first || today);
+        }
+
+        result.taskData.title = this.cleanTitle(source.split('').filter((_, index) => !consumed[index]).join(''));
+
+        return result;
+    }
+
+    /**
+     * Procura a primeira ocorrência livre de um padrão e marca o trecho como usado
+     * @param {Object} state - Estado da interpretação
+     * @param {string} pattern - Expressão regular (sobre o texto sem acentos)
+     * @param {Function} handler - Recebe o match; retornar false ignora o trecho
+     * @param {boolean} all - Se deve processar todas as ocorrências
+     */
+    static consume(state, pattern, handler, all = false) {
+        const regex = new RegExp(`(?<![\\p{L}\\p{N}#@!])${pattern}(?![\\p{L}\\p{N}])`, 'gu');
+        let match;
+
+        while ((match = regex.exec(state.folded)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            const isFree = state.consumed.slice(start, end).every(used => !used);
+            if (isFree && handler(match, state.source.slice(start, end)) !== false) {
+                state.consumed.fill(true, start, end);
+                if (!all) return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Interpreta expressões de recorrência
+     * @param {Object} state - Estado da interpretação
+     */
+    static parseRecurrence(state) {
+        const weekday = this.weekdayPattern;
+        const setRule = (rule, raw) => {
+            state.result.taskData.isRecurring = true;
+            state.result.taskData.recurrenceRule = RecurrenceUtils.normalize(rule);
+            state.result.tokens.push({ type: 'recurrence', label: RecurrenceUtils.describe(rule), raw });
+        };
+
+        const units = '(dias?|days?|semanas?|weeks?|mes(?:es)?|months?|anos?|years?)';
+        const patterns = [
+            [`(?:a cada|every) (\\d+) ${units}`, match => ({ freq: this.unitToFreq(match[2]), interval: parseInt(match[1]) })],
+            ['(?:todos os dias uteis|todo dia util|em dias uteis|dias uteis|every weekday|weekdays)', () => ({ freq: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] })],
+            [`(?:toda|todo|todas as|todos os|every) (${weekday}(?:\\s*(?:,|e|and)\\s*${weekday})*)`, match => ({
+                freq: 'WEEKLY',
+                byDay: match[1].split(/\s*(?:,|\se\s|\sand\s)\s*/).map(name => this.weekdayToCode(name.trim())).filter(code => code)
+            })],
+            ['(?:todo dia|todos os dias|diariamente|every day|daily)', () => ({ freq: 'DAILY' })],
+            ['(?:toda semana|todas as semanas|semanalmente|every week|weekly)', () => ({ freq: 'WEEKLY' })],
+            ['(?:todo mes|todos os meses|mensalmente|every month|monthly)', () => ({ freq: 'MONTHLY' })],
+            ['(?:todo ano|todos os anos|anualmente|every year|yearly|annually)', () => ({ freq: 'YEARLY' })]
+        ];
+
+        for (const [pattern, buildRule] of patterns) {
+            const found = this.consume(state, pattern, (match, raw) => {
+                const rule = buildRule(match);
+                if (!RecurrenceUtils.normalize(rule)) return false;
+                setRule(rule, raw);
+            });
+            if (found) return;
+        }
+    }
+
+    /**
+     * Interpreta expressões de data
+     * @param {Object} state - Estado da interpretação
+     */
+    static parseDate(state) {
+        const { today } = state;
+        const setDate = (date, raw) => {
+            state.result.taskData.dueDate = DateUtils.formatDateISO(date);
+            state.result.tokens.push({ type: 'date', label: DateUtils.formatDateBR(date), raw });
+        };
+
+        const patterns = [
+            ['(?:depois de amanha|day after tomorrow)', () => DateUtils.addDays(today, 2)],
+            ['(?:hoje|today)', () => today],
+            ['(?:amanha|tomorrow)', () => DateUtils.addDays(today, 1)],
+            ['(?:em|in) (\\d+) (dias?|days?|semanas?|weeks?)', match => {
+                const amount = parseInt(match[1]);
+                return DateUtils.addDays(today, /^(semana|week)/.test(match[2]) ? amount * 7 : amount);
+            }],
+            ['(?:semana que vem|proxima semana|next week)', () => DateUtils.addDays(today, 7)],
+            [`(?:(?:na|no|nesta|neste|next|on|this)\\s+)?(?:proxim[ao]\\s+)?(${this.weekdayPattern})`, match => {
+                const weekday = RecurrenceUtils.weekdayCodes.indexOf(this.weekdayToCode(match[1]));
+                if (weekday === -1) return null;
+                return DateUtils.addDays(today, ((weekday - today.getDay() + 7) % 7) || 7);
+            }],
+            ['(\\d{4})-(\\d{2})-(\\d{2})', match => this.buildDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]))],
+            ['(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?', match => {
+                const day = parseInt(match[1]);
+                const month = parseInt(match[2]);
+                if (match[3]) {
+                    const year = parseInt(match[3]);
+                    return this.buildDate(year < 100 ? 2000 + year : year, month, day);
+                }
+
+                // Sem ano: a próxima vez que a data acontecer
+                const date = this.buildDate(today.getFullYear(), month, day);
+                return date && date < today ? this.buildDate(today.getFullYear() + 1, month, day) : date;
+            }]
+        ];
+
+        for (const [pattern, buildDate] of patterns) {
+            const found = this.consume(state, pattern, (match, raw) => {
+                const date = buildDate(match);
+                if (!date) return false;
+                setDate(date, raw);
+            });
+            if (found) return;
+        }
+    }
+
+    /**
+     * Interpreta expressões de horário
+     * "Nh" sozinho só é horário a partir das 6h ("estudar 2h" é duração); com "às"/"at" antes,
+     * vale qualquer hora, inclusive o número sem "h" ("às 3", "at 3")
+     * @param {Object} state - Estado da interpretação
+     */
+    static parseTime(state) {
+        const prefix = '(?:(?:as|a|at)\\s+)?';
+        // "as" sem acento é artigo ("revisar as 3 propostas"): conferir no texto original
+        const hasCue = raw => /^(?:às|at)\s/i.test(raw);
+        const patterns = [
+            [`${prefix}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)`, match => {
+                let hour = parseInt(match[1]);
+                if (hour < 1 || hour > 12) return null;
+                if (match[3] === 'pm' && hour !== 12) hour += 12;
+                if (match[3] === 'am' && hour === 12) hour = 0;
+                return [hour, parseInt(match[2] || '0')];
+            }],
+            ['((?:as|a|at)\\s+)?(\\d{1,2})h(\\d{2})?(?:min)?', match => {
+                const hour = parseInt(match[2]);
+                if (hour < 6 && !match[1]) return null;
+                return [hour, parseInt(match[3] || '0')];
+            }],
+            [`${prefix}(\\d{1,2}):(\\d{2})`, match => [parseInt(match[1]), parseInt(match[2])]],
+            [`${prefix}(?:meio-dia|meio dia|noon)`, () => [12, 0]],
+            [`${prefix}(?:meia-noite|meia noite|midnight)`, () => [0, 0]],
+            ['(?:as|at)\\s+(\\d{1,2})', (match, raw) => hasCue(raw) ? [parseInt(match[1]), 0] : null]
+        ];
+
+        for (const [pattern, buildTime] of patterns) {
+            const found = this.consume(state, pattern, (match, raw) => {
+                const time = buildTime(match, raw);
+                if (!time || time[0] > 23 || time[1] > 59) return false;
+
+                const value = `${String(time[0]).padStart(2, '0')}:${String(time[1]).padStart(2, '0')}`;
+                state.result.taskData.dueTime = value;
+                state.result.tokens.push({ type: 'time', label: value, raw: raw.trim() });
+            });
+            if (found) return;
+        }
+    }
+
+    /**
+     * Interpreta a prioridade (!alta, !high, !1)
+     * @param {Object} state - Estado da interpretação
+     */
+    static parsePriority(state) {
+        const priorities = {
+            alta: 'high', high: 'high', 1: 'high',
+            media: 'medium', medium: 'medium', normal: 'medium', 2: 'medium',
+            baixa: 'low', low: 'low', 3: 'low'
+        };
+        const names = { high: 'Alta', medium: 'Média', low: 'Baixa' };
+
+        this.consume(state, '!(alta|high|media|medium|normal|baixa|low|[123])', (match, raw) => {
+            const priority = priorities[match[1]];
+            state.result.taskData.priority = priority;
+            state.result.tokens.push({ type: 'priority', label: names[priority], value: priority, raw });
+        });
+    }
+
+    /**
+     * Interpreta tags (#nome) e categoria (@nome)
+     * "#" procura primeiro nas tags e "@" primeiro nas categorias
+     * Nomes não encontrados permanecem no título e geram um aviso
+     * @param {Object} state - Estado da interpretação
+     */
+    static parseLabels(state) {
+        const { taskData } = state.result;
+        const regex = /(?<![\p{L}\p{N}])([#@])([\p{L}\p{N}_-]+)/gu;
+        let match;
+
+        while ((match = regex.exec(state.source)) !== null) {
+            const [raw, marker, name] = match;
+            const tag = this.findByName(state.tags, name);
+            const category = this.findByName(state.categories, name);
+            const target = marker === '#' ? (tag ? 'tag' : category ? 'category' : null) : (category ? 'category' : tag ? 'tag' : null);
+
+            if (!target) {
+                state.result.warnings.push(`"${raw}" não corresponde a nenhuma tag ou categoria.`);
+                continue;
+            }
+
+            if (target === 'tag') {
+                if (taskData.tags.includes(tag.id)) {
+                    // Repetida: apenas remover do título
+                } else if (Tag.findGroupConflicts([...taskData.tags, tag.id], state.tags).length > 0) {
+                    state.result.warnings.push(`O grupo "${tag.group}" aceita apenas uma tag por tarefa: "${raw}" foi ignorada.`);
+                    continue;
+                } else {
+                    taskData.tags.push(tag.id);
+                    state.result.tokens.push({ type: 'tag', label: tag.name, color: tag.color, value: tag.id, raw });
+                }
+            } else if (taskData.category && taskData.category !== category.id) {
+                state.result.warnings.push(`A tarefa já está em outra categoria: "${raw}" foi ignorada.`);
+                continue;
+            } else if (!taskData.category) {
+                taskData.category = category.id;
+                state.result.tokens.push({ type: 'category', label: category.name, color: category.color, value: category.id, raw });
+            }
+
+            state.consumed.fill(true, match.index, match.index + raw.length);
+        }
+    }
+
+    /**
+     * Procura um item pelo nome, ignorando maiúsculas, acentos e espaços (trocados por - ou _)
+     * @param {Array} items - Categorias ou tags
+     * @param {string} name - Nome digitado
+     * @returns {Object|undefined} Item encontrado
+     */
+    static findByName(items, name) {
+        const slug = value => this.fold(String(value)).trim().replace(/[\s_]+/g, '-');
+        const target = slug(name);
+        return (items || []).find(item => slug(item.name) === target || slug(item.id) === target);
+    }
+
+    /**
+     * Remove acentos e converte para minúsculas mantendo o comprimento do texto
+     * (as posições continuam válidas no texto original)
+     * @param {string} text - Texto original (NFC)
+     * @returns {string} Texto sem acentos
+     */
+    static fold(text) {
+        return Array.from(text).map(char => {
+            const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            return base.length === char.length ? base : char;
+        }).join('');
+    }
+
+    /**
+     * Limpa o título após remover os trechos interpretados
+     * @param {string} text - Texto restante
+     * @returns {string} Título
+     */
+    static cleanTitle(text) {
+        const connectors = ['às', 'as', 'at', 'on', 'em', 'no', 'na', 'de', 'para', 'e', 'and'];
+        const words = text.replace(/\s+/g, ' ').trim().split(' ').filter(word => word);
+
+        while (words.length > 1 && connectors.includes(this.fold(words[words.length - 1]))) {
+            words.pop();
+        }
+
+        return words.join(' ').replace(/\s+([,.;:])/g, '$1').replace(/[,;:]$/, '').trim();
+    }
+
+    /**
+     * Converte uma unidade (dias, weeks...) para frequência RRULE
+     * @param {string} unit - Unidade digitada
+     * @returns {string} Frequência
+     */
+    static unitToFreq(unit) {
+        if (/^(dia|day)/.test(unit)) return 'DAILY';
+        if (/^(semana|week)/.test(unit)) return 'WEEKLY';
+        if (/^(mes|month)/.test(unit)) return 'MONTHLY';
+        return 'YEARLY';
+    }
+
+    /**
+     * Converte o nome de um dia da semana para o código RRULE
+     * @param {string} name - Nome (segunda, sexta-feira, monday...)
+     * @returns {string|null} Código (MO, FR...)
+     */
+    static weekdayToCode(name) {
+        const prefixes = {
+            seg: 'MO', ter: 'TU', qua: 'WE', qui: 'TH', sex: 'FR', sab: 'SA', dom: 'SU',
+            mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA', sun: 'SU'
+        };
+        return prefixes[this.fold(name).substring(0, 3)] || null;
+    }
+
+    /**
+     * Cria uma data validando dia e mês
+     * @param {number} year - Ano
+     * @param {number} month - Mês (1-12)
+     * @param {number} day - Dia
+     * @returns {Date|null} Data ou null se inválida
+     */
+    static buildDate(year, month, day) {
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAddParser;
+} else {
+    window.QuickAddParser = QuickAddParser;
+}
@@ -0,0 +1,672 @@
+/**
+ * RecurrenceUtils - Motor de regras de recorrência
+ * Responsável por interpretar e calcular regras no formato RRULE (RFC 5545)
+ *
+ * Funcionalidades:
+ * - Modelo de regra (FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYSETPOS, COUNT, UNTIL)
+ * - Conversão de/para texto RRULE
+ * - Conversão do formato antigo (recurrenceType/recurrenceData)
+ * - Cálculo de próximas ocorrências (agenda fixa ou a partir da conclusão)
+ * - Validação e descrição da regra em português
+ *
+ * Formato da regra:
+ * {
+ *   freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY',
+ *   interval: 1,
+ *   byDay: ['MO', 'TH'] ou com posição ['2TU', '-1FR'],
+ *   byMonthDay: [15, -1],
+ *   bySetPos: [-1],
+ *   count: null,
+ *   until: null (YYYY-MM-DD)
+ * }
+ */
+class RecurrenceUtils {
+    /**
+     * Frequências suportadas
+     * @returns {Array} Lista de frequências
+     */
+    static get frequencies() {
+        return ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+    }
+
+    /**
+     * Códigos de dia da semana na ordem de Date.getDay()
+     * @returns {Array} Códigos RRULE (SU..SA)
+     */
+    static get weekdayCodes() {
+        return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * Modos de recorrência: agenda fixa (a partir do início da série)
+     * ou após a conclusão (a partir de completedAt)
+     * @returns {Array} Lista de modos
+     */
+    static get modes() {
+        return ['fixed', 'afterCompletion'];
+    }
+
+    /**
+     * Políticas para ocorrências perdidas enquanto o app esteve fechado:
+     * gerar todas, agrupar em uma tarefa atrasada ou pular para a próxima data
+     * @returns {Array} Lista de políticas
+     */
+    static get catchUpPolicies() {
+        return ['all', 'collapse', 'skip'];
+    }
+
+    /**
+     * Limite de períodos percorridos em um cálculo (evita laços infinitos)
+     * @returns {number}
+     */
+    static get maxIterations() {
+        return 5000;
+    }
+
+    /**
+     * Cria uma regra normalizada com valores padrão
+     * @param {Object} rule - Regra parcial
+     * @returns {Object|null} Regra normalizada ou null se inválida
+     */
+    static normalize(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+
+        const freq = String(rule.freq || '').toUpperCase();
+        if (!this.frequencies.includes(freq)) return null;
+
+        const toArray = value => Array.isArray(value) ? value : (value === undefined || value === null || value === '' ? [] : [value]);
+
+        return {
+            freq,
+            interval: Math.max(1, parseInt(rule.interval) || 1),
+            byDay: toArray(rule.byDay).map(day => String(day).toUpperCase().trim()).filter(day => day),
+            byMonthDay: toArray(rule.byMonthDay).map(Number).filter(day => Number.isInteger(day) && day !== 0),
+            bySetPos: toArray(rule.bySetPos).map(Number).filter(pos => Number.isInteger(pos) && pos !== 0),
+            count: rule.count ? Math.max(1, parseInt(rule.count) || 1) : null,
+            until: rule.until || null
+        };
+    }
+
+    /**
+     * Converte o formato antigo de recorrência para uma regra
+     * @param {string} recurrenceType - Tipo antigo (daily, weekly, monthly, yearly)
+     * @param {Object} recurrenceData - Dados antigos ({ weekdays: ['1', '4'] })
+     * @returns {Object|null} Regra equivalente ou null
+     */
+    static fromLegacy(recurrenceType, recurrenceData = null) {
+        const freqMap = {
+            daily: 'DAILY',
+            weekly: 'WEEKLY',
+            monthly: 'MONTHLY',
+            yearly: 'YEARLY'
+        };
+
+        const freq = freqMap[recurrenceType];
+        if (!freq) return null;
+
+        const byDay = freq === 'WEEKLY' && Array.isArray(recurrenceData?.weekdays)
+            ? recurrenceData.weekdays.map(Number).sort((a, b) => a - b).map(day => this.weekdayCodes[day]).filter(code => code)
+            : [];
+
+        return this.normalize({ freq, interval: 1, byDay });
+    }
+
+    /**
+     * Converte uma regra para texto RRULE
+     * @param {Object} rule - Regra de recorrência
+     * @returns {string} Texto RRULE (sem o prefixo "RRULE:")
+     */
+    static toRRuleString(rule) {
+        const normalized = this.normalize(rule);
+        if (!normalized) return '';
+
+        const parts = [`FREQ=${normalized.freq}`];
+        if (normalized.interval > 1) parts.push(`INTERVAL=${normalized.interval}`);
+        if (normalized.byDay.length > 0) parts.push(`BYDAY=${normalized.byDay.join(',')}`);
+        if (normalized.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${normalized.byMonthDay.join(',')}`);
+        if (normalized.bySetPos.length > 0) parts.push(`BYSETPOS=${normalized.bySetPos.join(',')}`);
+        if (normalized.count) parts.push(`COUNT=${normalized.count}`);
+        if (normalized.until) parts.push(`UNTIL=${normalized.until.replace(/-/g, '')}`);
+
+        return parts.join(';');
+    }
+
+    /**
+     * Interpreta um texto RRULE
+     * Partes sem equivalente no Planno (ex: BYMONTH, FREQ=HOURLY) não entram na regra;
+     * quem importa pode passar uma lista para recebê-las e avisar o usuário
+     * @param {string} rruleString - Texto RRULE (com ou sem prefixo "RRULE:")
+     * @param {Array<string>} ignoredParts - Recebe as partes ignoradas (ex: "BYMONTH=3"; opcional)
+     * @returns {Object|null} Regra normalizada ou null se inválida
+     */
+    static parseRRuleString(rruleString, ignoredParts = []) {
+        if (!rruleString || typeof rruleString !== 'string') return null;
+
+        const rule = {};
+        rruleString.trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            if (!key || value === undefined) return;
+
+            switch (key.trim().toUpperCase()) {
+                case 'FREQ':
+                    rule.freq = value.trim();
+                    if (!this.frequencies.includes(rule.freq.toUpperCase())) ignoredParts.push(part.trim());
+                    break;
+                case 'INTERVAL':
+                    rule.interval = parseInt(value);
+                    break;
+                case 'BYDAY':
+                    rule.byDay = value.split(',');
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = value.split(',');
+                    break;
+                case 'BYSETPOS':
+                    rule.bySetPos = value.split(',');
+                    break;
+                case 'COUNT':
+                    rule.count = parseInt(value);
+                    break;
+                case 'UNTIL': {
+                    // Aceita YYYYMMDD ou YYYYMMDDTHHMMSSZ
+                    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})/);
+                    if (match) rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+                    break;
+                }
+                case 'WKST':
+                    // A semana do Planno começa na segunda-feira
+                    if (value.trim().toUpperCase() !== 'MO') ignoredParts.push(part.trim());
+                    break;
+                default:
+                    ignoredParts.push(part.trim());
+                    break;
+            }
+        });
+
+        return this.normalize(rule);
+    }
+
+    /**
+     * Valida uma regra de recorrência
+     * @param {Object} rule - Regra para validar
+     * @returns {Object} { isValid: boolean, errors: Array }
+     */
+    static validate(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return { isValid: false, errors: ['Regra de recorrência deve ser um objeto'] };
+        }
+
+        if (!this.frequencies.includes(String(rule.freq || '').toUpperCase())) {
+            errors.push('Frequência de recorrência inválida');
+        }
+
+        if (rule.interval !== undefined && (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1)) {
+            errors.push('Intervalo de recorrência deve ser um inteiro maior que zero');
+        }
+
+        if (rule.byDay !== undefined && rule.byDay !== null) {
+            if (!Array.isArray(rule.byDay)) {
+                errors.push('BYDAY deve ser um array');
+            } else if (rule.byDay.some(day => !this.parseByDay(day))) {
+                errors.push('BYDAY contém dias inválidos');
+            }
+        }
+
+        if (rule.byMonthDay !== undefined && rule.byMonthDay !== null) {
+            if (!Array.isArray(rule.byMonthDay)) {
+                errors.push('BYMONTHDAY deve ser um array');
+            } else if (rule.byMonthDay.some(day => !Number.isInteger(Number(day)) || Number(day) === 0 || Math.abs(Number(day)) > 31)) {
+                errors.push('BYMONTHDAY deve conter dias entre 1 e 31 (ou -1 a -31)');
+            }
+        }
+
+        if (rule.bySetPos !== undefined && rule.bySetPos !== null) {
+            if (!Array.isArray(rule.bySetPos)) {
+                errors.push('BYSETPOS deve ser um array');
+            } else if (rule.bySetPos.some(pos => !Number.isInteger(Number(pos)) || Number(pos) === 0)) {
+                errors.push('BYSETPOS deve conter posições diferentes de zero');
+            }
+        }
+
+        if (rule.count !== undefined && rule.count !== null && (!Number.isInteger(Number(rule.count)) || Number(rule.count) < 1)) {
+            errors.push('COUNT deve ser um inteiro maior que zero');
+        }
+
+        if (rule.until && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) {
+            errors.push('UNTIL deve estar no formato YYYY-MM-DD');
+        }
+
+        if (rule.count && rule.until) {
+            errors.push('COUNT e UNTIL não podem ser usados juntos');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Interpreta um item de BYDAY (ex: "MO", "2TU", "-1FR")
+     * @param {string} value - Item de BYDAY
+     * @returns {Object|null} { weekday: number, position: number|null }
+     */
+    static parseByDay(value) {
+        const match = String(value).toUpperCase().trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) return null;
+
+        return {
+            weekday: this.weekdayCodes.indexOf(match[2]),
+            position: match[1] ? parseInt(match[1]) : null
+        };
+    }
+
+    /**
+     * Calcula a próxima ocorrência após uma data
+     * @param {Object} rule - Regra de recorrência
+     * @param {Date} startDate - Início da série (DTSTART)
+     * @param {Date} afterDate - Data de referência (a ocorrência deve ser posterior)
+     * @param {Array} exceptionDates - Datas excluídas da série (EXDATE, YYYY-MM-DD)
+     * @returns {Date|null} Próxima ocorrência ou null se a série terminou
+     */
+    static getNextOccurrence(rule, startDate, afterDate = null, exceptionDates = []) {
+        const reference = DateUtils.getStartOfDay(afterDate || startDate);
+        const exceptions = new Set(exceptionDates || []);
+        let next = null;
+
+        // Como no EXDATE, datas excluídas continuam contando para o COUNT
+        this.iterateOccurrences(rule, startDate, (date) => {
+            if (date > reference && !exceptions.has(DateUtils.formatDateISO(date))) {
+                next = date;
+                return false;
+            }
+            return true;
+        }, reference);
+
+        return next;
+    }
+
+    /**
+     * Calcula a próxima ocorrência contando a partir da data de conclusão
+     * O dia da conclusão passa a ser o início do padrão; COUNT é controlado
+     * por quem chama, pois a série não tem um início fixo
+     * @param {Object} rule - Regra de recorrência
+     * @param {Date} completedDate - Data em que a ocorrência foi concluída
+     * @param {Array} exceptionDates - Datas excluídas da série (YYYY-MM-DD)
+     * @returns {Date|null} Próxima ocorrência ou null se a série terminou
+     */
+    static getNextOccurrenceAfterCompletion(rule, completedDate, exceptionDates = []) {
+        const normalized = this.normalize(rule);
+        if (!normalized || !completedDate) return null;
+
+        const start = DateUtils.getStartOfDay(completedDate);
+        return this.getNextOccurrence({ ...normalized, count: null }, start, start, exceptionDates);
+    }
+
+    /**
+     * Percorre as ocorrências de uma regra em ordem cronológica
+     * @param {Object} rule - Regra de recorrência
+     * @param {Date} startDate - Início da série (DTSTART)
+     * @param {Function} visitor - Recebe (date, index); retornar false interrompe
+     * @param {Date} fromDate - Dica para pular períodos anteriores (o visitor pode não receber datas anteriores a ela)
+     */
+    static iterateOccurrences(rule, startDate, visitor, fromDate = null) {
+        const normalized = this.normalize(rule);
+        if (!normalized || !startDate) return;
+
+        const start = DateUtils.getStartOfDay(startDate);
+        const until = normalized.until ? DateUtils.createLocalDate(normalized.until) : null;
+        let periodStart = this.getPeriodStart(normalized.freq, start);
+
+        // Pular direto para perto da data de interesse; com COUNT, as ocorrências dos períodos
+        // pulados são só contadas (sem passar pelo visitor nem pelo limite de iterações)
+        let index = 0;
+        if (fromDate && fromDate > start) {
+            const periods = this.getPeriodsBetween(normalized.freq, periodStart, this.getPeriodStart(normalized.freq, fromDate));
+            const jumps = Math.max(0, Math.floor(periods / normalized.interval) - 1);
+
+            if (normalized.count) {
+                for (let jump = 0; jump < jumps && index < normalized.count; jump++) {
+                    index += this.expandPeriod(normalized, periodStart, start).filter(candidate => candidate >= start).length;
+                    periodStart = this.addPeriods(normalized.freq, periodStart, normalized.interval);
+                }
+            } else {
+                periodStart = this.addPeriods(normalized.freq, periodStart, jumps * normalized.interval);
+            }
+        }
+
+        for (let i = 0; i < this.maxIterations; i++) {
+            const candidates = this.expandPeriod(normalized, periodStart, start);
+
+            for (const candidate of candidates) {
+                if (candidate < start) continue;
+                if (until && candidate > until) return;
+                if (normalized.count && index >= normalized.count) return;
+
+                if (visitor(candidate, index) === false) return;
+                index++;
+            }
+
+            periodStart = this.addPeriods(normalized.freq, periodStart, normalized.interval);
+            if (until && periodStart > until) return;
+        }
+    }
+
+    /**
+     * Obtém o início do período que contém a data (semana começa na segunda, WKST=MO)
+     * @param {string} freq - Frequência
+     * @param {Date} date - Data de referência
+     * @returns {Date} Início do período
+     */
+    static getPeriodStart(freq, date) {
+        switch (freq) {
+            case 'WEEKLY':
+                return DateUtils.addDays(DateUtils.getStartOfDay(date), -((date.getDay() + 6) % 7));
+            case 'MONTHLY':
+                return new Date(date.getFullYear(), date.getMonth(), 1);
+            case 'YEARLY':
+                return new Date(date.getFullYear(), 0, 1);
+            default:
+                return DateUtils.getStartOfDay(date);
+        }
+    }
+
+    /**
+     * Avança um número de períodos a partir do início de um período
+     * @param {string} freq - Frequência
+     * @param {Date} periodStart - Início do período
+     * @param {number} count - Número de períodos
+     * @returns {Date} Início do novo período
+     */
+    static addPeriods(freq, periodStart, count) {
+        switch (freq) {
+            case 'WEEKLY':
+                return DateUtils.addDays(periodStart, count * 7);
+            case 'MONTHLY':
+                return new Date(periodStart.getFullYear(), periodStart.getMonth() + count, 1);
+            case 'YEARLY':
+                return new Date(periodStart.getFullYear() + count, 0, 1);
+            default:
+                return DateUtils.addDays(periodStart, count);
+        }
+    }
+
+    /**
+     * Conta quantos períodos existem entre dois inícios de período
+     * @param {string} freq - Frequência
+     * @param {Date} from - Início do primeiro período
+     * @param {Date} to - Início do último período
+     * @returns {number} Número de períodos
+     */
+    static getPeriodsBetween(freq, from, to) {
+        switch (freq) {
+            case 'WEEKLY':
+                return Math.round((to - from) / (7 * 24 * 60 * 60 * 1000));
+            case 'MONTHLY':
+                return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+            case 'YEARLY':
+                return to.getFullYear() - from.getFullYear();
+            default:
+                // Arredondar para compensar mudanças de horário de verão
+                return Math.round((to - from) / (24 * 60 * 60 * 1000));
+        }
+    }
+
+    /**
+     * Gera as datas candidatas de um período, já filtradas e ordenadas
+     * @param {Object} rule - Regra normalizada
+     * @param {Date} periodStart - Início do período
+     * @param {Date} start - Início da série (DTSTART)
+     * @returns {Array<Date>} Datas candidatas
+     */
+    static expandPeriod(rule, periodStart, start) {
+        const byDay = rule.byDay.map(day => this.parseByDay(day)).filter(day => day);
+        let candidates = [];
+
+        switch (rule.freq) {
+            case 'DAILY': {
+                const date = new Date(periodStart);
+                const matchesDay = byDay.length === 0 || byDay.some(day => day.weekday === date.getDay());
+                const matchesMonthDay = rule.byMonthDay.length === 0 || this.resolveMonthDays(rule.byMonthDay, date.getFullYear(), date.getMonth()).includes(date.getDate());
+                if (matchesDay && matchesMonthDay) candidates.push(date);
+                break;
+            }
+
+            case 'WEEKLY': {
+                const weekdays = byDay.length > 0 ? byDay.map(day => day.weekday) : [start.getDay()];
+                for (let offset = 0; offset < 7; offset++) {
+                    const date = DateUtils.addDays(periodStart, offset);
+                    if (weekdays.includes(date.getDay())) candidates.push(date);
+                }
+                break;
+            }
+
+            case 'MONTHLY':
+                candidates = this.expandMonth(rule, byDay, periodStart.getFullYear(), periodStart.getMonth(), start);
+                break;
+
+            case 'YEARLY':
+                candidates = this.expandYear(rule, byDay, periodStart.getFullYear(), start);
+                break;
+
+            default:
+                return [];
+        }
+
+        candidates.sort((a, b) => a - b);
+        return this.applySetPos(candidates, rule.bySetPos);
+    }
+
+    /**
+     * Gera as datas candidatas dentro de um mês
+     * @param {Object} rule - Regra normalizada
+     * @param {Array} byDay - Itens de BYDAY já interpretados
+     * @param {number} year - Ano
+     * @param {number} month - Mês (0-11)
+     * @param {Date} start - Início da série (DTSTART)
+     * @returns {Array<Date>} Datas candidatas
+     */
+    static expandMonth(rule, byDay, year, month, start) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        let days = null;
+
+        if (rule.byMonthDay.length > 0) {
+            days = this.resolveMonthDays(rule.byMonthDay, year, month);
+        }
+
+        if (byDay.length > 0) {
+            const weekdayDays = [];
+            byDay.forEach(({ weekday, position }) => {
+                const matches = [];
+                for (let day = 1; day <= daysInMonth; day++) {
+                    if (new Date(year, month, day).getDay() === weekday) matches.push(day);
+                }
+
+                if (position === null) {
+                    weekdayDays.push(...matches);
+                } else {
+                    const match = position > 0 ? matches[position - 1] : matches[matches.length + position];
+                    if (match) weekdayDays.push(match);
+                }
+            });
+
+            days = days ? days.filter(day => weekdayDays.includes(day)) : weekdayDays;
+        }
+
+        // Sem BYDAY/BYMONTHDAY, repetir no mesmo dia da data inicial (meses sem esse dia são pulados)
+        if (days === null) {
+            days = start.getDate() <= daysInMonth ? [start.getDate()] : [];
+        }
+
+        return [...new Set(days)].map(day => new Date(year, month, day));
+    }
+
+    /**
+     * Gera as datas candidatas dentro de um ano
+     * Sem BYDAY/BYMONTHDAY, repete no dia e mês da data inicial; com eles (não há BYMONTH),
+     * vale para todos os meses, e posições em BYDAY contam no ano (20MO = 20ª segunda do ano)
+     * @param {Object} rule - Regra normalizada
+     * @param {Array} byDay - Itens de BYDAY já interpretados
+     * @param {number} year - Ano
+     * @param {Date} start - Início da série (DTSTART)
+     * @returns {Array<Date>} Datas candidatas
+     */
+    static expandYear(rule, byDay, year, start) {
+        if (byDay.length === 0 && rule.byMonthDay.length === 0) {
+            return this.expandMonth(rule, byDay, year, start.getMonth(), start);
+        }
+
+        let days = [];
+        for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = DateUtils.addDays(date, 1)) {
+            days.push(date);
+        }
+
+        if (byDay.length > 0) {
+            const selected = new Set();
+            byDay.forEach(({ weekday, position }) => {
+                const matches = days.filter(date => date.getDay() === weekday);
+                if (position === null) {
+                    matches.forEach(date => selected.add(date));
+                } else {
+                    const match = position > 0 ? matches[position - 1] : matches[matches.length + position];
+                    if (match) selected.add(match);
+                }
+            });
+            days = days.filter(date => selected.has(date));
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            days = days.filter(date => this.resolveMonthDays(rule.byMonthDay, year, date.getMonth()).includes(date.getDate()));
+        }
+
+        return days;
+    }
+
+    /**
+     * Converte dias do mês (incluindo negativos) em dias reais do mês
+     * @param {Array<number>} monthDays - Dias (ex: [15, -1])
+     * @param {number} year - Ano
+     * @param {number} month - Mês (0-11)
+     * @returns {Array<number>} Dias válidos no mês
+     */
+    static resolveMonthDays(monthDays, year, month) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        return monthDays
+            .map(day => day > 0 ? day : daysInMonth + day + 1)
+            .filter(day => day >= 1 && day <= daysInMonth);
+    }
+
+    /**
+     * Aplica BYSETPOS sobre as candidatas de um período
+     * @param {Array<Date>} candidates - Datas ordenadas
+     * @param {Array<number>} setPos - Posições (1 = primeira, -1 = última)
+     * @returns {Array<Date>} Datas selecionadas
+     */
+    static applySetPos(candidates, setPos) {
+        if (!setPos || setPos.length === 0) return candidates;
+
+        const selected = setPos
+            .map(pos => pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos])
+            .filter(date => date);
+
+        return [...new Set(selected)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Descreve a regra em português
+     * @param {Object} rule - Regra de recorrência
+     * @returns {string} Descrição (ex: "A cada 2 semanas (Seg, Qui)")
+     */
+    static describe(rule) {
+        const normalized = this.normalize(rule);
+        if (!normalized) return 'Recorrente';
+
+        const shortNames = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+        const units = {
+            DAILY: ['Diária', 'dias'],
+            WEEKLY: ['Semanal', 'semanas'],
+            MONTHLY: ['Mensal', 'meses'],
+            YEARLY: ['Anual', 'anos']
+        };
+
+        const [singleLabel, pluralUnit] = units[normalized.freq];
+        let label = normalized.interval === 1 ? singleLabel : `A cada ${normalized.interval} ${pluralUnit}`;
+
+        const byDay = normalized.byDay.map(day => this.parseByDay(day)).filter(day => day);
+        const details = this.describeMonthlyPattern(normalized, byDay);
+
+        if (details) {
+            label += ` ${details}`;
+        } else if (byDay.length > 0) {
+            label += ` (${byDay.map(day => shortNames[day.weekday]).join(', ')})`;
+        } else if (normalized.byMonthDay.length > 0) {
+            label += ` (dia ${normalized.byMonthDay.map(day => day > 0 ? day : 'último').join(', ')})`;
+        }
+
+        if (normalized.count) {
+            label += `, ${normalized.count} ${normalized.count === 1 ? 'vez' : 'vezes'}`;
+        } else if (normalized.until) {
+            label += `, até ${DateUtils.formatDateBR(DateUtils.createLocalDate(normalized.until))}`;
+        }
+
+        return label;
+    }
+
+    /**
+     * Descreve o modo de recorrência
+     * @param {string} mode - 'fixed' ou 'afterCompletion'
+     * @returns {string} Descrição do modo
+     */
+    static describeMode(mode) {
+        return mode === 'afterCompletion' ? 'após a conclusão' : 'agenda fixa';
+    }
+
+    /**
+     * Descreve padrões mensais comuns (último dia útil, 2ª terça etc.)
+     * @param {Object} rule - Regra normalizada
+     * @param {Array} byDay - Itens de BYDAY já interpretados
+     * @returns {string|null} Descrição ou null se não for um padrão conhecido
+     */
+    static describeMonthlyPattern(rule, byDay) {
+        if (rule.freq !== 'MONTHLY') return null;
+
+        const longNames = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+        const isMasculine = weekday => weekday === 0 || weekday === 6;
+
+        // Último/primeiro dia útil: BYDAY=MO..FR;BYSETPOS=1 ou -1
+        const businessDays = [1, 2, 3, 4, 5];
+        const isBusinessDays = byDay.length === 5 && byDay.every(day => day.position === null && businessDays.includes(day.weekday));
+        if (isBusinessDays && rule.bySetPos.length === 1) {
+            if (rule.bySetPos[0] === -1) return '(último dia útil)';
+            if (rule.bySetPos[0] === 1) return '(primeiro dia útil)';
+        }
+
+        // N-ésimo dia da semana: BYDAY=2TU ou BYDAY=TU;BYSETPOS=2
+        if (byDay.length === 1 && rule.byMonthDay.length === 0) {
+            const position = byDay[0].position !== null ? byDay[0].position : (rule.bySetPos.length === 1 ? rule.bySetPos[0] : null);
+            if (position !== null) {
+                const weekday = byDay[0].weekday;
+                const masculine = isMasculine(weekday);
+                const ordinal = position === -1
+                    ? (masculine ? 'último' : 'última')
+                    : `${position}${masculine ? 'º' : 'ª'}`;
+                return `(${masculine ? 'no' : 'na'} ${ordinal} ${longNames[weekday]})`;
+            }
+        }
+
+        if (rule.byMonthDay.length === 1 && byDay.length === 0) {
+            return rule.byMonthDay[0] === -1 ? '(último dia do mês)' : `(dia ${rule.byMonthDay[0]})`;
+        }
+
+        return null;
+    }
+}
+
+// Exportar para uso em módulos ES6 ou como global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceUtils;
+} else {
+    window.RecurrenceUtils = RecurrenceUtils;
+}
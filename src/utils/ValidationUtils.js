@@ -137,9 +137,10 @@ class ValidationUtils {
     /**
      * Valida uma tarefa completa
      * @param {Object} task - Objeto da tarefa
+     * @param {Array} tags - Lista de tags (para a regra de uma tag por grupo)
      * @returns {Object} { isValid: boolean, errors: Array }
      */
-    static validateTask(task) {
+    static validateTask(task, tags = []) {
         const errors = [];
 
         // Validar título
@@ -174,10 +175,8 @@ class ValidationUtils {
             errors.push(timeValidation.message);
         }
 
-        // Validar tags (máximo 3)
-        if (task.tags && task.tags.length > 3) {
-            errors.push('Você pode selecionar no máximo 3 tags por tarefa.');
-        }
+        // Validar tags (sem limite, mas grupos exclusivos aceitam apenas uma)
+        errors.push(...this.validateTagGroups(task.tags, tags).errors);
 
         // Validar tarefa recorrente
         if (task.isRecurring && !task.dueDate) {
@@ -190,6 +189,23 @@ class ValidationUtils {
         };
     }
 
+    /**
+     * Valida as tags de uma tarefa pelos grupos exclusivos (uma tag por grupo)
+     * @param {Array<string>} tagIds - IDs das tags da tarefa
+     * @param {Array} tags - Lista de tags
+     * @returns {Object} { isValid: boolean, errors: Array }
+     */
+    static validateTagGroups(tagIds = [], tags = []) {
+        const errors = Tag.findGroupConflicts(tagIds || [], tags).map(conflict =>
+            `O grupo "${conflict.group}" aceita apenas uma tag por tarefa (selecionadas: ${conflict.tags.map(tag => tag.name).join(', ')}).`
+        );
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Valida uma categoria
      * @param {Object} category - Objeto da categoria
@@ -242,6 +258,14 @@ class ValidationUtils {
             errors.push(nameLengthValidation.message);
         }
 
+        // Validar grupo (opcional)
+        if (tag.group) {
+            const groupLengthValidation = this.validateLength(tag.group, 1, 30, 'Nome do grupo');
+            if (!groupLengthValidation.isValid) {
+                errors.push(groupLengthValidation.message);
+            }
+        }
+
         // Validar cor
         const colorValidation = this.validateColor(tag.color);
         if (!colorValidation.isValid) {